@@ -44,6 +44,14 @@ if (process.env.NODE_ENV === 'test') {
     if (req.headers['x-test-auth'] === 'true') {
       req.isAuthenticated = () => true;
       req.user = { displayName: 'Test User', emails: [{ value: 'test@example.com' }] };
+      // Stand-in Employee record; tests pick the role/department they need
+      req.employee = {
+        employeeId: 'EMP-TEST',
+        email: 'test@example.com',
+        role: req.headers['x-test-role'] || 'Manager',
+        department: req.headers['x-test-department'] || 'Production',
+        active: true
+      };
     } else {
       req.isAuthenticated = () => false;
       req.user = null;
@@ -105,6 +113,17 @@ app.get('/', (req, res) => {
       productionRuns: '/production-runs',
       employees: '/employees',
       qualityChecks: '/quality-checks',
+      molds: '/molds',
+      materials: '/materials',
+      materialLots: '/material-lots',
+      downtime: '/downtime',
+      recipes: '/recipes',
+      maintenance: '/maintenance',
+      audit: '/audit',
+      reports: '/reports',
+      events: '/events',
+      webhooks: '/webhooks',
+      nonconformances: '/nonconformances',
       auth: '/auth/google',
       documentation: '/api-docs'
     },
@@ -148,6 +167,65 @@ try {
   console.warn('⚠️ Employee/QualityCheck routes missing:', err.message);
 }
 
+try {
+  app.use('/molds', require('./routes/molds'));
+  app.use('/materials', require('./routes/materials'));
+  app.use('/material-lots', require('./routes/materialLots'));
+  console.log('✅ Mold and Material routes loaded');
+} catch (err) {
+  console.warn('⚠️ Mold/Material routes missing:', err.message);
+}
+
+try {
+  app.use('/recipes', require('./routes/recipes'));
+  console.log('✅ Recipe routes loaded');
+} catch (err) {
+  console.warn('⚠️ Recipe routes missing:', err.message);
+}
+
+try {
+  app.use('/maintenance', require('./routes/maintenance'));
+  console.log('✅ Maintenance routes loaded');
+} catch (err) {
+  console.warn('⚠️ Maintenance routes missing:', err.message);
+}
+
+try {
+  app.use('/audit', require('./routes/audit'));
+  console.log('✅ Audit routes loaded');
+} catch (err) {
+  console.warn('⚠️ Audit routes missing:', err.message);
+}
+
+try {
+  app.use('/downtime', require('./routes/downtime'));
+  app.use('/reports', require('./routes/reports'));
+  console.log('✅ Downtime and Report routes loaded');
+} catch (err) {
+  console.warn('⚠️ Downtime/Report routes missing:', err.message);
+}
+
+try {
+  app.use('/events', require('./routes/events'));
+  console.log('✅ Event stream routes loaded');
+} catch (err) {
+  console.warn('⚠️ Event stream routes missing:', err.message);
+}
+
+try {
+  app.use('/webhooks', require('./routes/webhooks'));
+  console.log('✅ Webhook routes loaded');
+} catch (err) {
+  console.warn('⚠️ Webhook routes missing:', err.message);
+}
+
+try {
+  app.use('/nonconformances', require('./routes/nonconformances'));
+  console.log('✅ Nonconformance routes loaded');
+} catch (err) {
+  console.warn('⚠️ Nonconformance routes missing:', err.message);
+}
+
 // -----------------------
 // Add OAuth debug route
 // -----------------------
@@ -179,6 +257,17 @@ app.use((req, res) => {
       '/production-runs', 
       '/employees', 
       '/quality-checks', 
+      '/molds',
+      '/materials',
+      '/material-lots',
+      '/downtime',
+      '/recipes',
+      '/maintenance',
+      '/audit',
+      '/reports',
+      '/events',
+      '/webhooks',
+      '/nonconformances',
       '/api-docs',
       '/auth/google',
       '/oauth-debug'
@@ -212,6 +301,12 @@ if (process.env.NODE_ENV !== 'test') {
     console.log('   2. https://plastic-manufacturing-api.onrender.com/api-docs/oauth2-redirect.html');
     console.log('   3. http://localhost:3000/auth/google/callback');
   });
+
+  // Generate preventive maintenance work orders as plans fall due
+  require('./services/maintenance').startMaintenanceScheduler();
+
+  // Notify webhook subscribers of shop-floor events and retry failed deliveries
+  require('./services/webhooks').startWebhookDispatcher();
 }
 
 module.exports = app;
\ No newline at end of file
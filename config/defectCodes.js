@@ -0,0 +1,35 @@
+// Injection-molding defect codes accepted on scrap entries.
+// Extend the list with DEFECT_CODES, e.g.
+//   DEFECT_CODES="jetting:Jetting,weld_line:Visible weld line"
+const defaultDefects = {
+  short_shot: 'Short shot',
+  flash: 'Flash',
+  sink_marks: 'Sink marks',
+  warpage: 'Warpage',
+  burn_marks: 'Burn marks',
+  splay: 'Splay (silver streaks)',
+  contamination: 'Contamination',
+  other: 'Other'
+};
+
+const parseDefects = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .reduce((defects, entry) => {
+    const [code, ...description] = entry.split(':');
+    defects[code.trim()] = description.join(':').trim() || code.trim();
+    return defects;
+  }, {});
+
+const defects = {
+  ...defaultDefects,
+  ...parseDefects(process.env.DEFECT_CODES)
+};
+
+const isValidDefect = (code) => Object.prototype.hasOwnProperty.call(defects, code);
+
+module.exports = {
+  defects,
+  isValidDefect
+};
@@ -0,0 +1,37 @@
+// Reason codes accepted when a machine goes down or into maintenance.
+// Extend the list with DOWNTIME_REASONS, e.g.
+//   DOWNTIME_REASONS="robot_fault:Take-out robot fault,dryer_alarm:Dryer alarm"
+const defaultReasons = {
+  mold_change: 'Mold change',
+  material_shortage: 'Material shortage',
+  breakdown: 'Machine breakdown',
+  no_operator: 'No operator available',
+  planned_maintenance: 'Planned maintenance',
+  setup: 'Setup and adjustment',
+  color_change: 'Color or material change',
+  quality_issue: 'Quality issue',
+  no_orders: 'No orders scheduled',
+  other: 'Other'
+};
+
+const parseReasons = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .reduce((reasons, entry) => {
+    const [code, ...description] = entry.split(':');
+    reasons[code.trim()] = description.join(':').trim() || code.trim();
+    return reasons;
+  }, {});
+
+const reasons = {
+  ...defaultReasons,
+  ...parseReasons(process.env.DOWNTIME_REASONS)
+};
+
+const isValidReason = (code) => Object.prototype.hasOwnProperty.call(reasons, code);
+
+module.exports = {
+  reasons,
+  isValidReason
+};
@@ -0,0 +1,15 @@
+// Live event stream (GET /events). EVENT_BUFFER_SIZE is how many recent
+// events are kept for clients resuming with Last-Event-ID (default 1000);
+// EVENT_HEARTBEAT_SECONDS how often an idle stream is kept alive (default 25).
+const bufferSize = Number(process.env.EVENT_BUFFER_SIZE) || 1000;
+
+const heartbeatSeconds = Number(process.env.EVENT_HEARTBEAT_SECONDS) || 25;
+
+// How long browsers wait before reconnecting a dropped stream
+const retryMs = 5000;
+
+module.exports = {
+  bufferSize,
+  heartbeatSeconds,
+  retryMs
+};
@@ -0,0 +1,12 @@
+// Nonconformance (NCR) dispositions: what happens to the suspect parts of a
+// failed or held quality check. Every suspect part needs exactly one.
+const dispositions = {
+  scrap: 'Scrap the parts; recorded as scrap on the run when the NCR is closed',
+  rework: 'Rework the parts and re-inspect them',
+  use_as_is: 'Release the parts unchanged; needs a justification in the notes',
+  return_to_supplier: 'Return to the supplier of a material lot the run consumed'
+};
+
+module.exports = {
+  dispositions
+};
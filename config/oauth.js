@@ -1,6 +1,7 @@
 const passport = require('passport');
 const session = require('express-session');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const Employee = require('../models/employee');
 
 module.exports = function (app) {
   console.log('=== INITIALIZING GOOGLE OAUTH CONFIGURATION ===');
@@ -45,13 +46,26 @@ module.exports = function (app) {
         // REMOVED: state - let Passport handle it
         passReqToCallback: false  // SIMPLIFIED: no need for req parameter
       },
-      function (accessToken, refreshToken, profile, done) {
+      async function (accessToken, refreshToken, profile, done) {
         console.log('✅ PASSPORT VERIFY CALLBACK EXECUTED');
         console.log('User authenticated:', profile.id, profile.displayName);
         console.log('Email:', profile.emails?.[0]?.value);
         
-        // Simply return the profile
-        return done(null, profile);
+        // Link the Google account to its Employee record by email; roles and
+        // permissions are read from the Employee on every request
+        try {
+          const email = profile.emails?.[0]?.value?.toLowerCase();
+          const employee = email ? await Employee.findOne({ email }) : null;
+          if (employee) {
+            profile.employeeRef = employee._id;
+            console.log('Linked to employee:', employee.employeeId, employee.role);
+          } else {
+            console.warn('⚠️ No employee record for', email);
+          }
+          return done(null, profile);
+        } catch (error) {
+          return done(error);
+        }
       }
     );
     
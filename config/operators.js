@@ -0,0 +1,14 @@
+// Who may operate a production run (ProductionRun.operator). Set
+// REQUIRE_OPERATOR_ASSIGNMENT=true to also require the employee to be
+// assigned to the run's machine (Employee.assignedMachine).
+const departments = ['Production'];
+
+const roles = ['Operator', 'Supervisor'];
+
+const requireAssignment = process.env.REQUIRE_OPERATOR_ASSIGNMENT === 'true';
+
+module.exports = {
+  departments,
+  roles,
+  requireAssignment
+};
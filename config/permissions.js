@@ -0,0 +1,115 @@
+// Permission matrix. Permissions are "<resource>:<action>" strings; an employee
+// holds the union of the permissions granted to their role, to their
+// department and to their role within that department. Every active employee
+// can read.
+
+const READ = [
+  'machines:read',
+  'productionRuns:read',
+  'qualityChecks:read',
+  'employees:read',
+  'molds:read',
+  'materials:read',
+  'materialLots:read',
+  'downtime:read',
+  'reports:read',
+  'recipes:read',
+  'maintenance:read',
+  'nonconformances:read'
+];
+
+// Running a job on the floor: lifecycle transitions, material consumption,
+// scrap and manually posted machine cycles
+const OPERATE = ['productionRuns:operate', 'productionRuns:consume', 'productionRuns:scrap', 'machines:cycles'];
+
+const INSPECT = ['qualityChecks:create', 'qualityChecks:update', 'productionRuns:scrap', 'nonconformances:manage'];
+
+const MAINTAIN = ['machines:update', 'molds:update', 'maintenance:plan'];
+
+// Maintaining process recipes; approving them is kept to managers
+const ENGINEER = ['recipes:create', 'recipes:update', 'recipes:delete'];
+
+const PLAN = [
+  'productionRuns:create',
+  'productionRuns:update',
+  'materialLots:create',
+  'materialLots:update'
+];
+
+const ROLE_PERMISSIONS = {
+  Operator: [...READ, ...OPERATE],
+  Inspector: [...READ, ...INSPECT],
+  // Only technicians carry out maintenance work orders
+  Technician: [...READ, ...MAINTAIN, ...ENGINEER, 'workOrders:work'],
+  Supervisor: [...READ, ...OPERATE, ...INSPECT, ...MAINTAIN, ...PLAN, ...ENGINEER, 'audit:read'],
+  Manager: [
+    ...READ,
+    ...OPERATE,
+    ...MAINTAIN,
+    ...PLAN,
+    ...ENGINEER,
+    'recipes:approve',
+    'audit:read',
+    'deleted:read',
+    'deleted:restore',
+    'machines:create',
+    'machines:delete',
+    'productionRuns:delete',
+    'qualityChecks:delete',
+    'molds:create',
+    'molds:delete',
+    'materials:create',
+    'materials:update',
+    'employees:create',
+    'employees:update',
+    'nonconformances:manage',
+    'webhooks:manage'
+  ],
+  // Only administrators can permanently remove soft-deleted records
+  Administrator: [
+    ...READ,
+    'employees:create',
+    'employees:update',
+    'employees:delete',
+    'audit:read',
+    'deleted:read',
+    'deleted:restore',
+    'deleted:purge',
+    'webhooks:manage'
+  ]
+};
+
+const DEPARTMENT_PERMISSIONS = {
+  Production: [],
+  Quality: ['materialLots:update', 'nonconformances:manage'],
+  Maintenance: MAINTAIN,
+  Shipping: [],
+  Administration: ['employees:create', 'employees:update']
+};
+
+// Only quality managers approve nonconformance dispositions
+const ROLE_IN_DEPARTMENT_PERMISSIONS = {
+  Manager: {
+    Quality: ['nonconformances:approve']
+  }
+};
+
+// All permissions of an employee; inactive employees have none
+const permissionsFor = (employee) => {
+  if (!employee || employee.active === false) return [];
+  return [...new Set([
+    ...(ROLE_PERMISSIONS[employee.role] || []),
+    ...(DEPARTMENT_PERMISSIONS[employee.department] || []),
+    ...(ROLE_IN_DEPARTMENT_PERMISSIONS[employee.role]?.[employee.department] || [])
+  ])].sort();
+};
+
+const hasPermission = (employee, permission) => permissionsFor(employee).includes(permission);
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  DEPARTMENT_PERMISSIONS,
+  ROLE_IN_DEPARTMENT_PERMISSIONS,
+  permissionsFor,
+  hasPermission
+};
@@ -0,0 +1,68 @@
+// Shift calendar. Times are local "HH:mm"; a shift whose end is earlier
+// than its start runs past midnight into the next day.
+// Replace the default calendar with SHIFTS, e.g.
+//   SHIFTS="Day=07:00-19:00,Night=19:00-07:00"
+const defaultShifts = [
+  { name: 'Morning', start: '06:00', end: '14:00' },
+  { name: 'Evening', start: '14:00', end: '22:00' },
+  { name: 'Night', start: '22:00', end: '06:00' }
+];
+
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const parseShifts = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, times = ''] = entry.split('=');
+    const [start, end] = times.split('-').map(time => time && time.trim());
+    if (!name.trim() || !TIME.test(start) || !TIME.test(end) || start === end) {
+      throw new Error(`Invalid shift definition "${entry}" (expected Name=HH:mm-HH:mm)`);
+    }
+    return { name: name.trim(), start, end };
+  });
+
+const shifts = process.env.SHIFTS ? parseShifts(process.env.SHIFTS) : defaultShifts;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const crossesMidnight = ({ start, end }) => toMinutes(end) <= toMinutes(start);
+
+// Name of the shift a timestamp falls into
+const shiftOf = (date) => {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const shift = shifts.find(({ start, end }) => {
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    return from < to
+      ? minutes >= from && minutes < to
+      : minutes >= from || minutes < to;
+  });
+  return shift ? shift.name : 'Unassigned';
+};
+
+// Start and end of every shift of a production day ("YYYY-MM-DD"). A shift
+// that crosses midnight belongs to the day it starts on.
+const shiftWindows = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const at = (time, offsetDays = 0) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, date + offsetDays, hours, minutes);
+  };
+
+  return shifts.map(shift => ({
+    name: shift.name,
+    from: at(shift.start),
+    to: at(shift.end, crossesMidnight(shift) ? 1 : 0)
+  }));
+};
+
+module.exports = {
+  shifts,
+  shiftOf,
+  shiftWindows
+};
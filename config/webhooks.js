@@ -0,0 +1,31 @@
+// Outbound webhook deliveries (services/webhooks.js). A failed delivery is
+// retried after 30 s, 1 min, 2 min, ... (doubling, at most 6 h apart) until
+// WEBHOOK_MAX_ATTEMPTS (default 8) attempts have failed. Receivers have
+// WEBHOOK_TIMEOUT_SECONDS (default 10) to answer with a 2xx status.
+
+// Event types a webhook can subscribe to
+const events = {
+  'qualityCheck.flagged': 'A quality check resulted in Fail or Hold',
+  'machine.down': 'A machine went down',
+  'run.completed': 'A production run was completed'
+};
+
+const maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+const timeoutSeconds = Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10;
+
+const backoff = {
+  baseSeconds: 30,
+  maxSeconds: 6 * 60 * 60
+};
+
+// How often pending retries are looked for
+const retryCheckSeconds = 30;
+
+module.exports = {
+  events,
+  maxAttempts,
+  timeoutSeconds,
+  backoff,
+  retryCheckSeconds
+};
@@ -0,0 +1,59 @@
+const AuditEntry = require('../models/auditEntry');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { ENTITIES } = require('../services/audit');
+
+// Get audit entries, newest first by default
+const getAuditEntries = async (req, res) => {
+  try {
+    const { entity, id, user, from, to } = req.query;
+    const filter = {};
+
+    if (entity) {
+      if (!ENTITIES.includes(entity)) {
+        return res.status(400).json({
+          error: 'Invalid entity',
+          message: `Entity must be one of: ${ENTITIES.join(', ')}`
+        });
+      }
+      filter.entity = entity;
+    }
+
+    if (id) {
+      if (!/^[0-9a-fA-F]{24}$/.test(id)) {
+        return res.status(400).json({
+          error: 'Invalid ID format',
+          message: 'Please provide a valid MongoDB ID (24 character hex string)'
+        });
+      }
+      filter.entityId = id;
+    }
+
+    if (user) filter.user = user;
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'Dates must be valid ISO 8601 dates'
+      });
+    }
+
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      pageOf(AuditEntry.find(filter), req.pagination),
+      AuditEntry.countDocuments(filter)
+    ]);
+    sendPage(req, res, entries, total);
+  } catch (error) {
+    console.error('Error fetching audit entries:', error);
+    res.status(500).json({ error: 'Failed to fetch audit entries' });
+  }
+};
+
+module.exports = {
+  getAuditEntries
+};
@@ -1,12 +1,41 @@
 const Employee = require('../models/employee');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { recordAudit } = require('../services/audit');
+const { findReferences, describeReferences } = require('../services/references');
+const { importRows, resolveMachineCodes } = require('../services/import');
+const { sendImportReport } = require('../middleware/import');
+const { mapLegacyEmployee, isLegacyEmployee, legacyStatusProblem } = require('../middleware/legacyEmployee');
+const { shifts } = require('../config/shifts');
+
+const DEPARTMENTS = ['Production', 'Quality', 'Maintenance', 'Shipping', 'Administration'];
+const SHIFT_NAMES = [...shifts.map(shift => shift.name), 'Flexible'];
+
+// Employees can be addressed by MongoDB ID or by their employeeId (e.g. EMP-001)
+const employeeFilter = (id) => (
+  /^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { employeeId: id }
+);
+
+// A shift being assigned must be in the current calendar; returns a 400 body
+// or null. Shifts already stored stay valid after the calendar changes.
+const shiftProblem = (shift, current) => {
+  if (shift === undefined || shift === current || SHIFT_NAMES.includes(shift)) {
+    return null;
+  }
+  return {
+    error: 'Invalid shift',
+    message: `Shift must be one of: ${SHIFT_NAMES.join(', ')}`
+  };
+};
 
 // Get all employees
 const getAllEmployees = async (req, res) => {
   try {
-    const employees = await Employee.find()
-      .populate('assignedMachine', 'name machineId status')
-      .sort({ lastName: 1, firstName: 1 });
-    res.status(200).json(employees);
+    const [employees, total] = await Promise.all([
+      pageOf(Employee.find(), req.pagination)
+        .populate('assignedMachine', 'name machineId status'),
+      Employee.countDocuments()
+    ]);
+    sendPage(req, res, employees, total);
   } catch (error) {
     console.error('Error fetching employees:', error);
     res.status(500).json({ error: 'Failed to fetch employees' });
@@ -16,7 +45,7 @@ const getAllEmployees = async (req, res) => {
 // Get employee by ID
 const getEmployeeById = async (req, res) => {
   try {
-    const employee = await Employee.findById(req.params.id)
+    const employee = await Employee.findOne(employeeFilter(req.params.id))
       .populate('assignedMachine', 'name machineId status');
     
     if (!employee) {
@@ -33,8 +62,14 @@ const getEmployeeById = async (req, res) => {
 // Create new employee
 const createEmployee = async (req, res) => {
   try {
+    const problem = shiftProblem(req.body.shift);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
     const employee = new Employee(req.body);
     await employee.save();
+    await recordAudit('Employee', 'create', { after: employee, user: req.user });
     res.status(201).json(employee);
   } catch (error) {
     console.error('Error creating employee:', error);
@@ -57,12 +92,41 @@ const createEmployee = async (req, res) => {
   }
 };
 
+// Import employees from a CSV file or JSON array; legacy rows are mapped
+// like POST /employees and assignedMachine may be a machine code
+const importEmployees = async (req, res) => {
+  try {
+    const rows = await resolveMachineCodes(req.importRows, 'assignedMachine');
+    const report = await importRows('Employee', Employee, rows, {
+      ...req.importOptions,
+      key: 'employeeId',
+      unique: ['employeeId', 'email'],
+      validate: async (row) => {
+        const fields = isLegacyEmployee(row) ? mapLegacyEmployee(row) : row;
+        const problem = legacyStatusProblem(row.status) || shiftProblem(fields.shift);
+        return problem ? { error: { status: 400, body: problem } } : { fields };
+      }
+    });
+    sendImportReport(res, report);
+  } catch (error) {
+    console.error('Error importing employees:', error);
+    res.status(500).json({ error: 'Failed to import employees' });
+  }
+};
+
 // Update employee
 const updateEmployee = async (req, res) => {
   try {
     const updates = req.body;
-    const employee = await Employee.findByIdAndUpdate(
-      req.params.id,
+    const before = await Employee.findOne(employeeFilter(req.params.id));
+
+    const problem = shiftProblem(updates.shift, before?.shift);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    const employee = await Employee.findOneAndUpdate(
+      employeeFilter(req.params.id),
       updates,
       { new: true, runValidators: true }
     ).populate('assignedMachine', 'name machineId status');
@@ -71,6 +135,7 @@ const updateEmployee = async (req, res) => {
       return res.status(404).json({ error: 'Employee not found' });
     }
     
+    await recordAudit('Employee', 'update', { before, after: employee, user: req.user });
     res.status(200).json(employee);
   } catch (error) {
     console.error('Error updating employee:', error);
@@ -96,12 +161,28 @@ const updateEmployee = async (req, res) => {
 // Delete employee
 const deleteEmployee = async (req, res) => {
   try {
-    const employee = await Employee.findByIdAndDelete(req.params.id);
+    const existing = await Employee.findOne(employeeFilter(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    
+    // Employees are removed for good, so deleted quality checks count too
+    const references = await findReferences('Employee', existing._id, { includeDeleted: true });
+    if (references.length > 0) {
+      return res.status(409).json({
+        error: 'Delete blocked',
+        message: `Employee is still referenced by ${describeReferences(references)}; deactivate the employee instead`,
+        references
+      });
+    }
+    
+    const employee = await Employee.findOneAndDelete({ _id: existing._id });
     
     if (!employee) {
       return res.status(404).json({ error: 'Employee not found' });
     }
     
+    await recordAudit('Employee', 'delete', { before: employee, user: req.user });
     res.status(200).json({ 
       message: 'Employee deleted successfully',
       deletedEmployee: employee 
@@ -116,11 +197,21 @@ const deleteEmployee = async (req, res) => {
 const getEmployeesByDepartment = async (req, res) => {
   try {
     const { department } = req.params;
-    const employees = await Employee.find({ department })
-      .populate('assignedMachine', 'name machineId status')
-      .sort({ lastName: 1 });
+
+    if (!DEPARTMENTS.includes(department)) {
+      return res.status(400).json({
+        error: 'Invalid department',
+        message: `Department must be one of: ${DEPARTMENTS.join(', ')}`
+      });
+    }
+
+    const [employees, total] = await Promise.all([
+      pageOf(Employee.find({ department }), req.pagination)
+        .populate('assignedMachine', 'name machineId status'),
+      Employee.countDocuments({ department })
+    ]);
     
-    res.status(200).json(employees);
+    sendPage(req, res, employees, total);
   } catch (error) {
     console.error('Error fetching employees by department:', error);
     res.status(500).json({ error: 'Failed to fetch employees' });
@@ -130,11 +221,13 @@ const getEmployeesByDepartment = async (req, res) => {
 // Get active employees
 const getActiveEmployees = async (req, res) => {
   try {
-    const employees = await Employee.find({ active: true })
-      .populate('assignedMachine', 'name machineId status')
-      .sort({ lastName: 1, firstName: 1 });
+    const [employees, total] = await Promise.all([
+      pageOf(Employee.find({ active: true }), req.pagination)
+        .populate('assignedMachine', 'name machineId status'),
+      Employee.countDocuments({ active: true })
+    ]);
     
-    res.status(200).json(employees);
+    sendPage(req, res, employees, total);
   } catch (error) {
     console.error('Error fetching active employees:', error);
     res.status(500).json({ error: 'Failed to fetch active employees' });
@@ -145,6 +238,7 @@ module.exports = {
   getAllEmployees,
   getEmployeeById,
   createEmployee,
+  importEmployees,
   updateEmployee,
   deleteEmployee,
   getEmployeesByDepartment,
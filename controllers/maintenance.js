@@ -0,0 +1,512 @@
+const MaintenancePlan = require('../models/maintenancePlan');
+const WorkOrder = require('../models/workOrder');
+const Machine = require('../models/machine');
+const ProductionRun = require('../models/productionRun');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { userIdentifier } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const {
+  planStatus,
+  generateDueWorkOrders,
+  overdueMaintenance,
+  enterMaintenance,
+  leaveMaintenance
+} = require('../services/maintenance');
+
+const TRIGGER_TYPES = ['calendar', 'shots'];
+const WORK_ORDER_STATUSES = ['open', 'in_progress', 'completed'];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Query parameters can arrive as arrays or objects; only a plain ID string may reach a filter
+const isObjectId = (value) => typeof value === 'string' && OBJECT_ID.test(value);
+
+// Plans can be addressed by MongoDB ID or by their planId (e.g. PM-IM001-HYD)
+const planFilter = (id) => (
+  OBJECT_ID.test(id) ? { _id: id } : { planId: id }
+);
+
+// Work orders can be addressed by MongoDB ID or by their workOrderNumber
+const workOrderFilter = (id) => (
+  OBJECT_ID.test(id) ? { _id: id } : { workOrderNumber: id }
+);
+
+const validationFailed = (res, error) => res.status(400).json({
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// A plan needs the interval that matches its trigger
+const triggerProblem = ({ triggerType, intervalDays, intervalShots }) => {
+  if (!TRIGGER_TYPES.includes(triggerType)) {
+    return `triggerType must be one of: ${TRIGGER_TYPES.join(', ')}`;
+  }
+  if (triggerType === 'calendar' && !(Number.isInteger(Number(intervalDays)) && Number(intervalDays) > 0)) {
+    return 'Calendar plans need intervalDays (a positive whole number of days)';
+  }
+  if (triggerType === 'shots' && !(Number.isInteger(Number(intervalShots)) && Number(intervalShots) > 0)) {
+    return 'Shot-based plans need intervalShots (a positive whole number of cycles)';
+  }
+  return null;
+};
+
+// Get all maintenance plans
+const getAllPlans = async (req, res) => {
+  try {
+    const { machineId, triggerType, active } = req.query;
+    const filter = {};
+
+    if (machineId) {
+      if (!isObjectId(machineId)) {
+        return res.status(400).json({ error: 'Invalid machine ID' });
+      }
+      filter.machineId = machineId;
+    }
+    if (triggerType) {
+      if (!TRIGGER_TYPES.includes(triggerType)) {
+        return res.status(400).json({
+          error: 'Invalid trigger type',
+          message: `triggerType must be one of: ${TRIGGER_TYPES.join(', ')}`
+        });
+      }
+      filter.triggerType = triggerType;
+    }
+    if (active !== undefined) filter.active = active === 'true';
+
+    const [plans, total] = await Promise.all([
+      pageOf(MaintenancePlan.find(filter), req.pagination)
+        .populate('machineId', 'machineId name status shotCount'),
+      MaintenancePlan.countDocuments(filter)
+    ]);
+    sendPage(req, res, plans, total);
+  } catch (error) {
+    console.error('Error fetching maintenance plans:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance plans' });
+  }
+};
+
+// Get maintenance plan by ID, with how far it is from falling due
+const getPlanById = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findOne(planFilter(req.params.id))
+      .populate('machineId', 'machineId name status shotCount');
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Maintenance plan not found' });
+    }
+
+    const { overdueRatio, ...dueStatus } = planStatus(plan, plan.machineId);
+    res.status(200).json({ plan, dueStatus });
+  } catch (error) {
+    console.error('Error fetching maintenance plan:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance plan' });
+  }
+};
+
+// Create a maintenance plan. Unless told when the machine was last serviced,
+// the first interval counts from now.
+const createPlan = async (req, res) => {
+  try {
+    const { planId, machineId } = req.body;
+
+    const requiredFields = ['planId', 'machineId', 'name', 'triggerType'];
+    const missingFields = requiredFields.filter(field => !req.body[field]);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: missingFields,
+        required: requiredFields
+      });
+    }
+
+    if (!/^[A-Z0-9-]+$/.test(planId)) {
+      return res.status(400).json({
+        error: 'Invalid plan ID format',
+        message: 'Plan ID must contain only uppercase letters, numbers, and hyphens'
+      });
+    }
+
+    const problem = triggerProblem(req.body);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid trigger', message: problem });
+    }
+
+    if (!OBJECT_ID.test(machineId)) {
+      return res.status(400).json({ error: 'Invalid machine ID' });
+    }
+
+    const machine = await Machine.findById(machineId);
+    if (!machine) {
+      return res.status(404).json({ error: 'Machine not found', message: `No machine found with ID: ${machineId}` });
+    }
+
+    const { workOrderCount, ...fields } = req.body;
+    const plan = new MaintenancePlan({
+      ...fields,
+      lastServicedAt: req.body.lastServicedAt || new Date(),
+      lastServicedShots: req.body.lastServicedShots ?? machine.shotCount ?? 0,
+      createdBy: userIdentifier(req.user)
+    });
+    await plan.save();
+    await recordAudit('MaintenancePlan', 'create', { after: plan, user: req.user });
+
+    res.status(201).json(plan);
+  } catch (error) {
+    console.error('Error creating maintenance plan:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Duplicate entry',
+        message: 'Plan ID already exists'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create maintenance plan' });
+  }
+};
+
+// Update a maintenance plan (e.g. change its interval or deactivate it)
+const updatePlan = async (req, res) => {
+  try {
+    const blocked = ['planId', 'machineId', 'workOrderCount'].filter(field => req.body[field] !== undefined);
+    if (blocked.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid update',
+        message: 'planId, machineId and workOrderCount cannot be changed; create a new plan instead',
+        fields: blocked
+      });
+    }
+
+    const plan = await MaintenancePlan.findOne(planFilter(req.params.id));
+    if (!plan) {
+      return res.status(404).json({ error: 'Maintenance plan not found' });
+    }
+
+    const problem = triggerProblem({
+      triggerType: req.body.triggerType || plan.triggerType,
+      intervalDays: req.body.intervalDays ?? plan.intervalDays,
+      intervalShots: req.body.intervalShots ?? plan.intervalShots
+    });
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid trigger', message: problem });
+    }
+
+    const before = plan.toObject();
+    plan.set(req.body);
+    await plan.save();
+    await recordAudit('MaintenancePlan', 'update', { before, after: plan, user: req.user });
+
+    res.status(200).json(plan);
+  } catch (error) {
+    console.error('Error updating maintenance plan:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({ error: 'Failed to update maintenance plan' });
+  }
+};
+
+// Get all work orders
+const getAllWorkOrders = async (req, res) => {
+  try {
+    const { machineId, planId, status } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!WORK_ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `Status must be one of: ${WORK_ORDER_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+
+    if (machineId) {
+      if (!isObjectId(machineId)) {
+        return res.status(400).json({ error: 'Invalid machine ID' });
+      }
+      filter.machineId = machineId;
+    }
+    if (planId) {
+      if (!isObjectId(planId)) {
+        return res.status(400).json({ error: 'Invalid plan ID' });
+      }
+      filter.planId = planId;
+    }
+
+    const [workOrders, total] = await Promise.all([
+      pageOf(WorkOrder.find(filter), req.pagination)
+        .populate('machineId', 'machineId name status')
+        .populate('planId', 'planId name triggerType'),
+      WorkOrder.countDocuments(filter)
+    ]);
+    sendPage(req, res, workOrders, total);
+  } catch (error) {
+    console.error('Error fetching work orders:', error);
+    res.status(500).json({ error: 'Failed to fetch work orders' });
+  }
+};
+
+// Get work order by ID or number
+const getWorkOrderById = async (req, res) => {
+  try {
+    const workOrder = await WorkOrder.findOne(workOrderFilter(req.params.id))
+      .populate('machineId', 'machineId name status')
+      .populate('planId', 'planId name triggerType intervalDays intervalShots');
+
+    if (!workOrder) {
+      return res.status(404).json({ error: 'Work order not found' });
+    }
+
+    res.status(200).json(workOrder);
+  } catch (error) {
+    console.error('Error fetching work order:', error);
+    res.status(500).json({ error: 'Failed to fetch work order' });
+  }
+};
+
+// Start work: the machine goes into maintenance until the order is completed
+const startWorkOrder = async (req, res) => {
+  try {
+    const workOrder = await WorkOrder.findOne(workOrderFilter(req.params.id));
+    if (!workOrder) {
+      return res.status(404).json({ error: 'Work order not found' });
+    }
+
+    if (workOrder.status !== 'open') {
+      return res.status(409).json({
+        error: 'Illegal transition',
+        message: `Work order ${workOrder.workOrderNumber} is ${workOrder.status}`
+      });
+    }
+
+    const machine = await Machine.findById(workOrder.machineId);
+    if (!machine) {
+      return res.status(404).json({ error: 'Machine not found' });
+    }
+
+    const runningRun = await ProductionRun.findOne({ machineId: machine._id, status: 'running' });
+    if (runningRun) {
+      return res.status(409).json({
+        error: 'Machine busy',
+        message: `Production run ${runningRun.runId} is running on this machine; pause or complete it first`,
+        runningRun: {
+          id: runningRun._id,
+          runId: runningRun.runId
+        }
+      });
+    }
+
+    const started = await WorkOrder.findOneAndUpdate(
+      { _id: workOrder._id, status: 'open' },
+      {
+        $set: {
+          status: 'in_progress',
+          startedAt: new Date(),
+          startedBy: userIdentifier(req.user),
+          machineStatusBefore: machine.status
+        }
+      },
+      { new: true }
+    );
+    if (!started) {
+      return res.status(409).json({
+        error: 'Illegal transition',
+        message: `Work order ${workOrder.workOrderNumber} was started by someone else`
+      });
+    }
+
+    await recordAudit('WorkOrder', 'update', { before: workOrder, after: started, user: req.user });
+    const updatedMachine = await enterMaintenance(machine, started, req.user);
+
+    res.status(200).json({
+      message: `Work order ${started.workOrderNumber} started; machine ${machine.machineId} is in maintenance`,
+      workOrder: started,
+      machine: {
+        id: machine._id,
+        machineId: machine.machineId,
+        status: updatedMachine.status
+      }
+    });
+  } catch (error) {
+    console.error('Error starting work order:', error);
+    res.status(500).json({ error: 'Failed to start work order' });
+  }
+};
+
+// Validate the parts used on a work order.
+// Returns { parts } or { errors } describing each bad entry.
+const parsePartsUsed = (partsUsed = []) => {
+  if (!Array.isArray(partsUsed)) {
+    return { errors: [{ message: 'partsUsed must be an array' }] };
+  }
+
+  const errors = [];
+  const parts = partsUsed.map((part, index) => {
+    const quantity = Number(part?.quantity);
+    if (!part?.partNumber || !String(part.partNumber).trim()) {
+      errors.push({ index, field: 'partNumber', message: 'partNumber is required' });
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({ index, field: 'quantity', message: 'quantity must be a positive whole number' });
+    }
+    return { partNumber: String(part?.partNumber || '').trim(), description: part?.description, quantity };
+  });
+
+  return errors.length > 0 ? { errors } : { parts };
+};
+
+// Complete work: record notes and parts used, mark the plan serviced and
+// return the machine to service
+const completeWorkOrder = async (req, res) => {
+  try {
+    const notes = req.body.notes && String(req.body.notes).trim();
+    if (!notes) {
+      return res.status(400).json({
+        error: 'Missing notes',
+        message: 'Describe the work done in notes to complete a work order'
+      });
+    }
+
+    if (notes.length > 2000) {
+      return res.status(400).json({
+        error: 'Invalid notes',
+        message: 'Notes cannot exceed 2000 characters'
+      });
+    }
+
+    const { parts, errors } = parsePartsUsed(req.body.partsUsed);
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid parts used',
+        details: errors
+      });
+    }
+
+    const workOrder = await WorkOrder.findOne(workOrderFilter(req.params.id));
+    if (!workOrder) {
+      return res.status(404).json({ error: 'Work order not found' });
+    }
+
+    if (workOrder.status !== 'in_progress') {
+      return res.status(409).json({
+        error: 'Illegal transition',
+        message: workOrder.status === 'open'
+          ? `Start work order ${workOrder.workOrderNumber} before completing it`
+          : `Work order ${workOrder.workOrderNumber} is ${workOrder.status}`
+      });
+    }
+
+    const completedAt = new Date();
+    const completed = await WorkOrder.findOneAndUpdate(
+      { _id: workOrder._id, status: 'in_progress' },
+      {
+        $set: {
+          status: 'completed',
+          active: false,
+          completedAt,
+          completedBy: userIdentifier(req.user),
+          notes,
+          partsUsed: parts
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!completed) {
+      return res.status(409).json({
+        error: 'Illegal transition',
+        message: `Work order ${workOrder.workOrderNumber} was completed by someone else`
+      });
+    }
+
+    await recordAudit('WorkOrder', 'update', { before: workOrder, after: completed, user: req.user });
+
+    const machine = await Machine.findById(workOrder.machineId);
+    const updatedMachine = machine ? await leaveMaintenance(machine, completed, req.user) : null;
+
+    // The next interval counts from this service
+    const serviced = { lastServicedAt: completedAt, lastServicedShots: machine?.shotCount || 0 };
+    const plan = await MaintenancePlan.findOneAndUpdate({ _id: workOrder.planId }, { $set: serviced });
+    if (plan) {
+      await recordAudit('MaintenancePlan', 'update', {
+        before: plan,
+        after: { ...plan.toObject(), ...serviced },
+        user: req.user
+      });
+    }
+
+    res.status(200).json({
+      message: `Work order ${completed.workOrderNumber} completed`,
+      workOrder: completed,
+      machine: updatedMachine
+        ? { id: updatedMachine._id, machineId: updatedMachine.machineId, status: updatedMachine.status }
+        : null
+    });
+  } catch (error) {
+    console.error('Error completing work order:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({ error: 'Failed to complete work order' });
+  }
+};
+
+// Generate work orders for every plan that is due now
+const checkPlans = async (req, res) => {
+  try {
+    const workOrders = await generateDueWorkOrders({}, new Date(), req.user);
+    res.status(200).json({
+      message: `Generated ${workOrders.length} work order(s)`,
+      workOrders
+    });
+  } catch (error) {
+    console.error('Error checking maintenance plans:', error);
+    res.status(500).json({ error: 'Failed to check maintenance plans' });
+  }
+};
+
+// Plans that are due and not yet serviced
+const getOverdue = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.machineId) {
+      if (!isObjectId(req.query.machineId)) {
+        return res.status(400).json({ error: 'Invalid machine ID' });
+      }
+      filter.machineId = req.query.machineId;
+    }
+
+    const overdue = await overdueMaintenance(filter);
+    res.status(200).json({
+      count: overdue.length,
+      overdue
+    });
+  } catch (error) {
+    console.error('Error fetching overdue maintenance:', error);
+    res.status(500).json({ error: 'Failed to fetch overdue maintenance' });
+  }
+};
+
+module.exports = {
+  getAllPlans,
+  getPlanById,
+  createPlan,
+  updatePlan,
+  getAllWorkOrders,
+  getWorkOrderById,
+  startWorkOrder,
+  completeWorkOrder,
+  checkPlans,
+  getOverdue
+};
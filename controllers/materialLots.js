@@ -0,0 +1,231 @@
+const MaterialLot = require('../models/materialLot');
+const Material = require('../models/material');
+const ProductionRun = require('../models/productionRun');
+const QualityCheck = require('../models/qualityCheck');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { recordAudit } = require('../services/audit');
+
+const LOT_STATUSES = ['quarantine', 'released', 'on_hold', 'rejected', 'consumed'];
+
+// Lots can be addressed by MongoDB ID or by their lotNumber
+const lotFilter = (id) => (
+  /^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { lotNumber: id }
+);
+
+// Get all material lots
+const getAllMaterialLots = async (req, res) => {
+  try {
+    const { materialId, status, supplierLotNumber } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!LOT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `Status must be one of: ${LOT_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+
+    if (materialId) filter.materialId = materialId;
+    if (supplierLotNumber) filter.supplierLotNumber = supplierLotNumber;
+
+    const [lots, total] = await Promise.all([
+      pageOf(MaterialLot.find(filter), req.pagination)
+        .populate('materialId', 'materialId name resinType grade'),
+      MaterialLot.countDocuments(filter)
+    ]);
+
+    sendPage(req, res, lots, total);
+  } catch (error) {
+    console.error('Error fetching material lots:', error);
+    res.status(500).json({ error: 'Failed to fetch material lots' });
+  }
+};
+
+// Get material lot by ID
+const getMaterialLotById = async (req, res) => {
+  try {
+    const lot = await MaterialLot.findOne(lotFilter(req.params.id))
+      .populate('materialId', 'materialId name resinType grade supplier');
+
+    if (!lot) {
+      return res.status(404).json({ error: 'Material lot not found' });
+    }
+
+    res.status(200).json(lot);
+  } catch (error) {
+    console.error('Error fetching material lot:', error);
+    res.status(500).json({ error: 'Failed to fetch material lot' });
+  }
+};
+
+// Receive a new material lot
+const createMaterialLot = async (req, res) => {
+  try {
+    const material = await Material.findById(req.body.materialId);
+    if (!material) {
+      return res.status(400).json({ error: 'Invalid material ID' });
+    }
+
+    const lot = new MaterialLot({
+      supplier: material.supplier,
+      ...req.body
+    });
+    await lot.save();
+    await recordAudit('MaterialLot', 'create', { after: lot, user: req.user });
+
+    res.status(201).json(lot);
+  } catch (error) {
+    console.error('Error creating material lot:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid material ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Duplicate entry',
+        message: 'Lot number already exists'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create material lot' });
+  }
+};
+
+// Update material lot (e.g. release from quarantine or put on hold)
+const updateMaterialLot = async (req, res) => {
+  try {
+    if (req.body.materialId) {
+      const material = await Material.findById(req.body.materialId);
+      if (!material) {
+        return res.status(400).json({ error: 'Invalid material ID' });
+      }
+    }
+
+    const before = await MaterialLot.findOne(lotFilter(req.params.id));
+    const lot = await MaterialLot.findOneAndUpdate(
+      lotFilter(req.params.id),
+      req.body,
+      { new: true, runValidators: true }
+    ).populate('materialId', 'materialId name resinType grade');
+
+    if (!lot) {
+      return res.status(404).json({ error: 'Material lot not found' });
+    }
+
+    await recordAudit('MaterialLot', 'update', { before, after: lot, user: req.user });
+    res.status(200).json(lot);
+  } catch (error) {
+    console.error('Error updating material lot:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid material ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Duplicate entry',
+        message: 'Lot number already exists'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to update material lot' });
+  }
+};
+
+// Forward genealogy: every run, machine and quality check a lot touched,
+// deleted ones included
+const getLotGenealogy = async (req, res) => {
+  try {
+    const lot = await MaterialLot.findOne(lotFilter(req.params.id))
+      .populate('materialId', 'materialId name resinType grade supplier');
+
+    if (!lot) {
+      return res.status(404).json({ error: 'Material lot not found' });
+    }
+
+    // A recall must reach every part made from the lot, so deleted runs,
+    // machines and checks are included and flagged by their deletedAt
+    const runs = await ProductionRun.find({ 'materialLots.lotId': lot._id }, null, { includeDeleted: true })
+      .populate({ path: 'machineId', select: 'name machineId status deletedAt', options: { includeDeleted: true } })
+      .sort({ startTime: 1 });
+
+    const qualityChecks = runs.length === 0 ? [] : await QualityCheck.find({
+      productionRunId: { $in: runs.map(run => run._id) }
+    }, null, { includeDeleted: true })
+      .populate({ path: 'productionRunId', select: 'runId partNumber deletedAt', options: { includeDeleted: true } })
+      .populate('employeeId', 'firstName lastName employeeId')
+      .sort({ checkDate: 1 });
+
+    const machines = new Map();
+    const runSummaries = runs.map(run => {
+      if (run.machineId?._id) {
+        machines.set(String(run.machineId._id), run.machineId);
+      }
+
+      const quantityConsumed = run.materialLots
+        .filter(entry => String(entry.lotId) === String(lot._id))
+        .reduce((sum, entry) => sum + entry.quantity, 0);
+
+      return {
+        id: run._id,
+        runId: run.runId,
+        partNumber: run.partNumber,
+        partName: run.partName,
+        status: run.status,
+        startTime: run.startTime,
+        endTime: run.endTime,
+        actualQty: run.actualQty,
+        machine: run.machineId,
+        quantityConsumed,
+        deletedAt: run.deletedAt || null
+      };
+    });
+
+    res.status(200).json({
+      lot,
+      summary: {
+        runs: runs.length,
+        machines: machines.size,
+        partNumbers: [...new Set(runs.map(run => run.partNumber))],
+        quantityConsumed: runSummaries.reduce((sum, run) => sum + run.quantityConsumed, 0),
+        partsProduced: runSummaries.reduce((sum, run) => sum + (run.actualQty || 0), 0),
+        qualityChecks: qualityChecks.length,
+        failedChecks: qualityChecks.filter(check => ['Fail', 'Hold'].includes(check.result)).length,
+        deletedRuns: runs.filter(run => run.deletedAt).length,
+        deletedChecks: qualityChecks.filter(check => check.deletedAt).length
+      },
+      runs: runSummaries,
+      machines: Array.from(machines.values()),
+      qualityChecks
+    });
+  } catch (error) {
+    console.error('Error building lot genealogy:', error);
+    res.status(500).json({ error: 'Failed to build lot genealogy' });
+  }
+};
+
+module.exports = {
+  getAllMaterialLots,
+  getMaterialLotById,
+  createMaterialLot,
+  updateMaterialLot,
+  getLotGenealogy
+};
@@ -0,0 +1,121 @@
+const Material = require('../models/material');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { recordAudit } = require('../services/audit');
+
+// Get all materials
+const getAllMaterials = async (req, res) => {
+  try {
+    const { resinType, supplier, active } = req.query;
+    const filter = {};
+
+    if (resinType) filter.resinType = resinType;
+    if (supplier) filter.supplier = supplier;
+    if (active !== undefined) filter.active = active === 'true';
+
+    const [materials, total] = await Promise.all([
+      pageOf(Material.find(filter), req.pagination),
+      Material.countDocuments(filter)
+    ]);
+    sendPage(req, res, materials, total);
+  } catch (error) {
+    console.error('Error fetching materials:', error);
+    res.status(500).json({ error: 'Failed to fetch materials' });
+  }
+};
+
+// Get material by ID
+const getMaterialById = async (req, res) => {
+  try {
+    const material = await Material.findById(req.params.id);
+
+    if (!material) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+
+    res.status(200).json(material);
+  } catch (error) {
+    console.error('Error fetching material:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid material ID' });
+    }
+
+    res.status(500).json({ error: 'Failed to fetch material' });
+  }
+};
+
+// Create new material
+const createMaterial = async (req, res) => {
+  try {
+    const material = new Material(req.body);
+    await material.save();
+    await recordAudit('Material', 'create', { after: material, user: req.user });
+    res.status(201).json(material);
+  } catch (error) {
+    console.error('Error creating material:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Duplicate entry',
+        message: 'Material ID already exists'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create material' });
+  }
+};
+
+// Update material
+const updateMaterial = async (req, res) => {
+  try {
+    const before = await Material.findById(req.params.id);
+    const material = await Material.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!material) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+
+    await recordAudit('Material', 'update', { before, after: material, user: req.user });
+    res.status(200).json(material);
+  } catch (error) {
+    console.error('Error updating material:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid material ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Duplicate entry',
+        message: 'Material ID already exists'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to update material' });
+  }
+};
+
+module.exports = {
+  getAllMaterials,
+  getMaterialById,
+  createMaterial,
+  updateMaterial
+};
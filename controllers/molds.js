@@ -0,0 +1,186 @@
+const Mold = require('../models/mold');
+const Machine = require('../models/machine');
+const { capacityProblems } = require('../services/moldFit');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { recordAudit } = require('../services/audit');
+const { findReferences, describeReferences } = require('../services/references');
+
+const MOLD_STATUSES = ['available', 'in_use', 'maintenance', 'retired'];
+
+// Molds can be addressed by MongoDB ID or by their moldId (e.g. MLD-001)
+const moldFilter = (id) => (
+  /^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { moldId: id }
+);
+
+// Get all molds
+const getAllMolds = async (req, res) => {
+  try {
+    const { status, partNumber } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!MOLD_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `Status must be one of: ${MOLD_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+
+    if (partNumber) filter.partNumber = partNumber;
+
+    const [molds, total] = await Promise.all([
+      pageOf(Mold.find(filter), req.pagination),
+      Mold.countDocuments(filter)
+    ]);
+    sendPage(req, res, molds, total);
+  } catch (error) {
+    console.error('Error fetching molds:', error);
+    res.status(500).json({ error: 'Failed to fetch molds' });
+  }
+};
+
+// Get mold by ID
+const getMoldById = async (req, res) => {
+  try {
+    const mold = await Mold.findOne(moldFilter(req.params.id));
+
+    if (!mold) {
+      return res.status(404).json({ error: 'Mold not found' });
+    }
+
+    res.status(200).json(mold);
+  } catch (error) {
+    console.error('Error fetching mold:', error);
+    res.status(500).json({ error: 'Failed to fetch mold' });
+  }
+};
+
+// Create new mold
+const createMold = async (req, res) => {
+  try {
+    const mold = new Mold(req.body);
+    await mold.save();
+    await recordAudit('Mold', 'create', { after: mold, user: req.user });
+    res.status(201).json(mold);
+  } catch (error) {
+    console.error('Error creating mold:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Duplicate entry',
+        message: 'Mold ID already exists'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create mold' });
+  }
+};
+
+// Update mold
+const updateMold = async (req, res) => {
+  try {
+    const before = await Mold.findOne(moldFilter(req.params.id));
+    const mold = await Mold.findOneAndUpdate(
+      moldFilter(req.params.id),
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!mold) {
+      return res.status(404).json({ error: 'Mold not found' });
+    }
+
+    await recordAudit('Mold', 'update', { before, after: mold, user: req.user });
+    res.status(200).json(mold);
+  } catch (error) {
+    console.error('Error updating mold:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Duplicate entry',
+        message: 'Mold ID already exists'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to update mold' });
+  }
+};
+
+// Delete mold
+const deleteMold = async (req, res) => {
+  try {
+    const existing = await Mold.findOne(moldFilter(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: 'Mold not found' });
+    }
+
+    // Molds are removed for good, so deleted runs count too
+    const references = await findReferences('Mold', existing._id, { includeDeleted: true });
+    if (references.length > 0) {
+      return res.status(409).json({
+        error: 'Delete blocked',
+        message: `Mold is still referenced by ${describeReferences(references)}; retire the mold instead`,
+        references
+      });
+    }
+
+    const mold = await Mold.findOneAndDelete({ _id: existing._id });
+
+    if (!mold) {
+      return res.status(404).json({ error: 'Mold not found' });
+    }
+
+    await recordAudit('Mold', 'delete', { before: mold, user: req.user });
+    res.status(200).json({
+      message: 'Mold deleted successfully',
+      deletedMold: mold
+    });
+  } catch (error) {
+    console.error('Error deleting mold:', error);
+    res.status(500).json({ error: 'Failed to delete mold' });
+  }
+};
+
+// Get machines whose tonnage and shot size can accommodate the mold
+const getCompatibleMachines = async (req, res) => {
+  try {
+    const mold = await Mold.findOne(moldFilter(req.params.id));
+
+    if (!mold) {
+      return res.status(404).json({ error: 'Mold not found' });
+    }
+
+    const machines = await Machine.find().sort({ machineId: 1 });
+    const compatible = machines.filter(machine => capacityProblems(mold, machine).length === 0);
+
+    res.status(200).json(compatible);
+  } catch (error) {
+    console.error('Error fetching compatible machines:', error);
+    res.status(500).json({ error: 'Failed to fetch compatible machines' });
+  }
+};
+
+module.exports = {
+  getAllMolds,
+  getMoldById,
+  createMold,
+  updateMold,
+  deleteMold,
+  getCompatibleMachines
+};
@@ -0,0 +1,412 @@
+const Nonconformance = require('../models/nonconformance');
+const QualityCheck = require('../models/qualityCheck');
+const ProductionRun = require('../models/productionRun');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { recordAudit } = require('../services/audit');
+const { publish, runProgress, FLAGGED_RESULTS } = require('../services/events');
+const { inTransaction } = require('../services/transaction');
+const { runYield } = require('../services/scrap');
+const {
+  ACTIONS,
+  allowedActions,
+  nextStatus,
+  applyTransition,
+  dispositionProblems,
+  scrapEntries,
+  openForCheck
+} = require('../services/nonconformance');
+const { dispositions } = require('../config/nonconformances');
+
+const STATUSES = ['open', 'pending_approval', 'approved', 'closed'];
+// Run statuses scrap can be recorded in
+const SCRAP_STATUSES = ['running', 'paused', 'completed'];
+const EDITABLE_FIELDS = ['description', 'quantity', 'dispositions'];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Query parameters can arrive as arrays or objects; only a plain ID string may reach a filter
+const isObjectId = (value) => typeof value === 'string' && OBJECT_ID.test(value);
+
+// NCRs can be addressed by MongoDB ID or by their ncrNumber (e.g. NCR-QC-2024-001)
+const ncrFilter = (id) => (
+  OBJECT_ID.test(id) ? { _id: id } : { ncrNumber: id }
+);
+
+const validationFailed = (res, error) => res.status(400).json({
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// Check the shape of edited fields; returns a 400 body or null. Whether the
+// dispositions add up is checked on submit.
+const editProblem = ({ quantity, dispositions: lines }) => {
+  if (quantity !== undefined && !(Number.isInteger(quantity) && quantity >= 0)) {
+    return { error: 'Invalid quantity', message: 'quantity must be a whole number of parts' };
+  }
+  if (lines !== undefined) {
+    if (!Array.isArray(lines)) {
+      return { error: 'Invalid dispositions', message: 'dispositions must be an array' };
+    }
+    const bad = lines.findIndex(line => !dispositions[line?.disposition]
+      || !(Number.isInteger(line.quantity) && line.quantity > 0));
+    if (bad !== -1) {
+      return {
+        error: 'Invalid dispositions',
+        message: `Disposition ${bad + 1} needs a disposition of ${Object.keys(dispositions).join(', ')} and a positive whole quantity`
+      };
+    }
+  }
+  return null;
+};
+
+// Get all nonconformances
+const getAllNonconformances = async (req, res) => {
+  try {
+    const { status, result, productionRunId, machineId } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `Status must be one of: ${STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+
+    if (result) {
+      if (!FLAGGED_RESULTS.includes(result)) {
+        return res.status(400).json({
+          error: 'Invalid result',
+          message: `Result must be one of: ${FLAGGED_RESULTS.join(', ')}`
+        });
+      }
+      filter.result = result;
+    }
+    if (productionRunId) {
+      if (!isObjectId(productionRunId)) {
+        return res.status(400).json({ error: 'Invalid production run ID' });
+      }
+      filter.productionRunId = productionRunId;
+    }
+    if (machineId) {
+      if (!isObjectId(machineId)) {
+        return res.status(400).json({ error: 'Invalid machine ID' });
+      }
+      filter.machineId = machineId;
+    }
+
+    const [ncrs, total] = await Promise.all([
+      pageOf(Nonconformance.find(filter), req.pagination)
+        .populate('productionRunId', 'runId partNumber partName status')
+        .populate('machineId', 'machineId name'),
+      Nonconformance.countDocuments(filter)
+    ]);
+    sendPage(req, res, ncrs, total);
+  } catch (error) {
+    console.error('Error fetching nonconformances:', error);
+    res.status(500).json({ error: 'Failed to fetch nonconformances' });
+  }
+};
+
+// Get nonconformance by ID or number, with the actions it allows next
+const getNonconformanceById = async (req, res) => {
+  try {
+    const ncr = await Nonconformance.findOne(ncrFilter(req.params.id))
+      .populate('qualityCheckId', 'checkId checkType checkDate result defectsFound')
+      .populate('productionRunId', 'runId partNumber partName status actualQty rejectQty')
+      .populate('machineId', 'machineId name')
+      .populate('dispositions.materialLotId', 'lotNumber supplier supplierLotNumber');
+
+    if (!ncr) {
+      return res.status(404).json({ error: 'Nonconformance not found' });
+    }
+
+    res.status(200).json({ nonconformance: ncr, allowedActions: allowedActions(ncr.status) });
+  } catch (error) {
+    console.error('Error fetching nonconformance:', error);
+    res.status(500).json({ error: 'Failed to fetch nonconformance' });
+  }
+};
+
+// Open an NCR for a Fail or Hold check that has none, e.g. one recorded
+// before NCRs were opened automatically
+const createNonconformance = async (req, res) => {
+  try {
+    const { qualityCheckId, pauseRun, description, quantity } = req.body;
+
+    if (!qualityCheckId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: ['qualityCheckId'],
+        required: ['qualityCheckId']
+      });
+    }
+
+    if (!OBJECT_ID.test(qualityCheckId)) {
+      return res.status(400).json({ error: 'Invalid quality check ID' });
+    }
+
+    const problem = editProblem({ quantity });
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    const check = await QualityCheck.findById(qualityCheckId);
+    if (!check) {
+      return res.status(404).json({ error: 'Quality check not found' });
+    }
+
+    if (!FLAGGED_RESULTS.includes(check.result)) {
+      return res.status(409).json({
+        error: 'Check not flagged',
+        message: `Quality check ${check.checkId} resulted in ${check.result}; only Fail and Hold checks open a nonconformance`
+      });
+    }
+
+    const opened = await openForCheck(check, { pauseRun: pauseRun === true, user: req.user, description, quantity });
+    if (!opened) {
+      return res.status(404).json({ error: 'Production run not found' });
+    }
+
+    if (!opened.created) {
+      return res.status(409).json({
+        error: 'Nonconformance exists',
+        message: `Quality check ${check.checkId} already has ${opened.ncr.ncrNumber}`,
+        nonconformance: { id: opened.ncr._id, ncrNumber: opened.ncr.ncrNumber, status: opened.ncr.status }
+      });
+    }
+
+    res.status(201).json(opened.ncr);
+  } catch (error) {
+    console.error('Error creating nonconformance:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Nonconformance exists',
+        message: 'The quality check already has a nonconformance'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create nonconformance' });
+  }
+};
+
+// Edit the description, suspect quantity and dispositions of an open NCR
+const updateNonconformance = async (req, res) => {
+  try {
+    const blocked = Object.keys(req.body).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (blocked.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid update',
+        message: `Only ${EDITABLE_FIELDS.join(', ')} can be changed; status changes go through the workflow actions`,
+        fields: blocked
+      });
+    }
+
+    const problem = editProblem(req.body);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    const ncr = await Nonconformance.findOne(ncrFilter(req.params.id));
+    if (!ncr) {
+      return res.status(404).json({ error: 'Nonconformance not found' });
+    }
+
+    if (ncr.status !== 'open') {
+      return res.status(409).json({
+        error: 'Not editable',
+        message: `${ncr.ncrNumber} is ${ncr.status}; only open nonconformances can be edited`
+      });
+    }
+
+    const before = ncr.toObject();
+    ncr.set(req.body);
+    await ncr.save();
+    await recordAudit('Nonconformance', 'update', { before, after: ncr, user: req.user });
+
+    res.status(200).json(ncr);
+  } catch (error) {
+    console.error('Error updating nonconformance:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({ error: 'Failed to update nonconformance' });
+  }
+};
+
+// Fields a workflow action sets besides its history entry
+const TRANSITION_FIELDS = ['status', 'approvedBy', 'approvedAt', 'closedBy', 'closedAt', 'closureNotes'];
+
+// Thrown inside the close transaction to roll back the NCR update
+const REJECTS_EXCEED_OUTPUT = 'Rejects exceed output';
+
+// Write a transition applied to `ncr` only while the NCR is still in the
+// status it was read in, so two concurrent approvers cannot both succeed.
+// Returns the updated NCR, or null when another request changed it first.
+const saveTransition = (ncr, entry, session) => Nonconformance.findOneAndUpdate(
+  { _id: ncr._id, status: entry.from },
+  {
+    $set: Object.fromEntries(TRANSITION_FIELDS
+      .filter(field => ncr[field] !== undefined)
+      .map(field => [field, ncr[field]])),
+    $push: { history: entry }
+  },
+  { new: true, runValidators: true, session }
+);
+
+// Close an NCR and post its scrap dispositions to the run, in one
+// transaction. Returns { ncr, run }: ncr is null when the NCR changed
+// meanwhile, run is null when the rejects would exceed the run's output.
+// Either way nothing is written.
+const closeWithScrap = async (ncr, entry, run, user) => {
+  const entries = scrapEntries(ncr, user);
+  const quantity = entries.reduce((sum, line) => sum + line.quantity, 0);
+
+  try {
+    return await inTransaction(async (session) => {
+      const closed = await saveTransition(ncr, entry, session);
+      if (!closed) return { ncr: null, run };
+
+      if (quantity === 0) return { ncr: closed, run };
+
+      const updatedRun = await ProductionRun.findOneAndUpdate(
+        {
+          _id: run._id,
+          status: { $in: SCRAP_STATUSES },
+          $expr: { $lte: [{ $add: [{ $ifNull: ['$rejectQty', 0] }, quantity] }, '$actualQty'] }
+        },
+        { $inc: { rejectQty: quantity }, $push: { scrap: { $each: entries } } },
+        { new: true, session }
+      );
+      if (!updatedRun) throw new Error(REJECTS_EXCEED_OUTPUT);
+      return { ncr: closed, run: updatedRun };
+    });
+  } catch (error) {
+    if (error.message === REJECTS_EXCEED_OUTPUT) return { ncr, run: null };
+    throw error;
+  }
+};
+
+// Workflow actions: submit, approve, reject, close
+const transitionNonconformance = (action) => async (req, res) => {
+  try {
+    const reason = req.body?.reason;
+    if (ACTIONS[action].requiresReason && (!reason || !String(reason).trim())) {
+      return res.status(400).json({
+        error: 'Missing reason',
+        message: action === 'close'
+          ? 'Describe how the disposition was carried out and verified to close a nonconformance'
+          : `A reason is required to ${action} a nonconformance`
+      });
+    }
+
+    const ncr = await Nonconformance.findOne(ncrFilter(req.params.id));
+    if (!ncr) {
+      return res.status(404).json({ error: 'Nonconformance not found' });
+    }
+
+    if (!nextStatus(ncr.status, action)) {
+      return res.status(409).json({
+        error: 'Illegal transition',
+        message: `Cannot ${action} a nonconformance that is ${ncr.status}`,
+        currentStatus: ncr.status,
+        allowedActions: allowedActions(ncr.status)
+      });
+    }
+
+    // A run deleted after the NCR was opened still needs its NCR closed
+    const run = await ProductionRun.findById(ncr.productionRunId, null, { includeDeleted: true });
+    if (!run) {
+      return res.status(404).json({ error: 'Production run not found' });
+    }
+
+    if (action === 'submit') {
+      const problems = dispositionProblems(ncr, run);
+      if (problems.length > 0) {
+        return res.status(409).json({
+          error: 'Disposition incomplete',
+          message: `${ncr.ncrNumber} cannot be submitted for approval yet`,
+          problems
+        });
+      }
+    }
+
+    if (action === 'close' && scrapEntries(ncr).length > 0 && (run.deletedAt || !SCRAP_STATUSES.includes(run.status))) {
+      return res.status(409).json({
+        error: 'Scrap not allowed',
+        message: `Scrap cannot be recorded on production run ${run.runId}, which is ${run.deletedAt ? 'deleted' : run.status}`,
+        currentStatus: run.status
+      });
+    }
+
+    const before = ncr.toObject();
+    const entry = applyTransition(ncr, action, { user: req.user, reason });
+
+    const { ncr: updated, run: updatedRun } = action === 'close'
+      ? await closeWithScrap(ncr, entry, run, req.user)
+      : { ncr: await saveTransition(ncr, entry), run };
+
+    if (!updated) {
+      return res.status(409).json({
+        error: 'Status changed',
+        message: `${ncr.ncrNumber} is no longer ${entry.from}; reload it and try again`
+      });
+    }
+
+    if (!updatedRun) {
+      return res.status(409).json({
+        error: 'Rejects exceed output',
+        message: `Run ${run.runId} has produced ${run.actualQty || 0} parts, ${run.rejectQty || 0} already rejected`,
+        ...runYield(run)
+      });
+    }
+
+    await recordAudit('Nonconformance', 'update', { before, after: updated, user: req.user });
+
+    const body = {
+      message: `${updated.ncrNumber} is now ${updated.status}`,
+      transition: entry,
+      nonconformance: updated
+    };
+
+    if (action !== 'close') {
+      return res.status(200).json(body);
+    }
+
+    if (updatedRun !== run) {
+      await recordAudit('ProductionRun', 'update', { before: run, after: updatedRun, user: req.user });
+      publish('run.progress', { machineId: updatedRun.machineId, ...runProgress(updatedRun) });
+    }
+    res.status(200).json({
+      ...body,
+      run: { id: updatedRun._id, runId: updatedRun.runId, status: updatedRun.status, ...runYield(updatedRun) }
+    });
+  } catch (error) {
+    console.error(`Error applying ${action} to nonconformance:`, error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({ error: `Failed to ${action} nonconformance` });
+  }
+};
+
+module.exports = {
+  getAllNonconformances,
+  getNonconformanceById,
+  createNonconformance,
+  updateNonconformance,
+  transitionNonconformance
+};
@@ -2,6 +2,98 @@ const QualityCheck = require('../models/qualityCheck');
 const ProductionRun = require('../models/productionRun');
 const Machine = require('../models/machine');
 const Employee = require('../models/employee');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { sendExport } = require('../middleware/export');
+const { recordAudit } = require('../services/audit');
+const { publishFlaggedCheck } = require('../services/events');
+const { openForCheck } = require('../services/nonconformance');
+const { softDeleteFieldsProblem, softDeleteById, restoreById, purgeById } = require('../services/softDelete');
+const {
+  SUBGROUP_SIZES,
+  xbarRChart,
+  individualsChart,
+  capability,
+  detectRuleViolations,
+  pointsBeyondLimits
+} = require('../services/spc');
+const {
+  measuredValue,
+  specLimits,
+  evaluateMeasurements,
+  storedEvaluation,
+  deriveResult,
+  resultConflicts
+} = require('../services/tolerance');
+
+// Columns of the CSV/Excel export of the check list
+const CHECK_COLUMNS = [
+  'checkId', 'checkDate', 'checkType', 'result',
+  'productionRunId.runId', 'productionRunId.partNumber', 'productionRunId.partName',
+  'machineId.machineId', 'machineId.name',
+  'employeeId.employeeId', 'employeeId.firstName', 'employeeId.lastName',
+  'defectsFound', 'correctiveAction', 'notes', 'measurements', 'nextCheckDate', 'deletedAt'
+];
+
+// The given result, or the one implied by the evaluated measurements.
+// Returns { result } or { rejection } when it conflicts with them.
+const settleResult = (result, evaluation) => {
+  const settledResult = result ?? deriveResult(evaluation);
+  if (resultConflicts(settledResult, evaluation)) {
+    return {
+      rejection: {
+        status: 400,
+        body: {
+          error: 'Result conflicts with measurements',
+          message: 'A check with measurements out of spec cannot pass',
+          outOfSpec: evaluation.outOfSpec
+        }
+      }
+    };
+  }
+  
+  return { result: settledResult };
+};
+
+// Evaluate measurements against their tolerances and settle the overall result.
+// Returns { measurements, result } or { rejection: { status, body } }.
+const evaluateCheck = (measurements, result) => {
+  if (!Array.isArray(measurements)) {
+    return { measurements, result };
+  }
+  
+  const evaluation = evaluateMeasurements(measurements);
+  if (evaluation.errors.length > 0) {
+    return {
+      rejection: {
+        status: 400,
+        body: { error: 'Invalid tolerance', details: evaluation.errors }
+      }
+    };
+  }
+  
+  return { measurements: evaluation.measurements, ...settleResult(result, evaluation) };
+};
+
+// Open an NCR for a Fail or Hold check; returns a summary of a newly opened
+// one. The check is already saved, so a failure is only logged: the NCR can
+// still be opened through POST /nonconformances.
+const openNonconformance = async (check, { pauseRun, user }) => {
+  try {
+    const opened = await openForCheck(check, { pauseRun: pauseRun === true, user });
+    if (!opened?.created) return null;
+    
+    const { ncr } = opened;
+    return { id: ncr._id, ncrNumber: ncr.ncrNumber, status: ncr.status, runPaused: ncr.runPaused };
+  } catch (error) {
+    console.error('Error opening nonconformance:', error);
+    return null;
+  }
+};
+
+// The check as returned, with the NCR it opened if any
+const withNonconformance = (check, nonconformance) => (
+  nonconformance ? { ...check.toJSON(), nonconformance } : check
+);
 
 // Get all quality checks
 const getAllQualityChecks = async (req, res) => {
@@ -18,13 +110,26 @@ const getAllQualityChecks = async (req, res) => {
     if (result) filter.result = result;
     if (checkType) filter.checkType = checkType;
     
-    const qualityChecks = await QualityCheck.find(filter)
-      .populate('productionRunId', 'runId partName partNumber')
-      .populate('machineId', 'name machineId')
-      .populate('employeeId', 'firstName lastName employeeId')
-      .sort({ checkDate: -1 });
+    const options = { includeDeleted: req.includeDeleted };
+    if (req.exportFormat) {
+      const cursor = QualityCheck.find(filter, null, options)
+        .sort(req.pagination.sort)
+        .populate('productionRunId', 'runId partName partNumber')
+        .populate('machineId', 'name machineId')
+        .populate('employeeId', 'firstName lastName employeeId')
+        .cursor();
+      return sendExport(req, res, cursor, CHECK_COLUMNS, 'quality-checks');
+    }
     
-    res.status(200).json(qualityChecks);
+    const [qualityChecks, total] = await Promise.all([
+      pageOf(QualityCheck.find(filter, null, options), req.pagination)
+        .populate('productionRunId', 'runId partName partNumber')
+        .populate('machineId', 'name machineId')
+        .populate('employeeId', 'firstName lastName employeeId'),
+      QualityCheck.countDocuments(filter, options)
+    ]);
+    
+    sendPage(req, res, qualityChecks, total);
   } catch (error) {
     console.error('Error fetching quality checks:', error);
     res.status(500).json({ error: 'Failed to fetch quality checks' });
@@ -34,7 +139,7 @@ const getAllQualityChecks = async (req, res) => {
 // Get quality check by ID
 const getQualityCheckById = async (req, res) => {
   try {
-    const qualityCheck = await QualityCheck.findById(req.params.id)
+    const qualityCheck = await QualityCheck.findById(req.params.id, null, { includeDeleted: req.includeDeleted })
       .populate('productionRunId', 'runId partName partNumber targetQty actualQty')
       .populate('machineId', 'name machineId model status')
       .populate('employeeId', 'firstName lastName employeeId department');
@@ -53,6 +158,11 @@ const getQualityCheckById = async (req, res) => {
 // Create new quality check
 const createQualityCheck = async (req, res) => {
   try {
+    const softDeleteProblem = softDeleteFieldsProblem(req.body);
+    if (softDeleteProblem) {
+      return res.status(softDeleteProblem.status).json(softDeleteProblem.body);
+    }
+    
     // Validate referenced documents exist
     const [productionRun, machine, employee] = await Promise.all([
       ProductionRun.findById(req.body.productionRunId),
@@ -72,8 +182,15 @@ const createQualityCheck = async (req, res) => {
       return res.status(400).json({ error: 'Invalid employee ID' });
     }
     
-    const qualityCheck = new QualityCheck(req.body);
+    const { measurements, result, rejection } = evaluateCheck(req.body.measurements, req.body.result);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+    
+    const { pauseRun, ...fields } = req.body;
+    const qualityCheck = new QualityCheck({ ...fields, measurements, result });
     await qualityCheck.save();
+    await recordAudit('QualityCheck', 'create', { after: qualityCheck, user: req.user });
     
     // Populate references before returning
     const populatedCheck = await QualityCheck.findById(qualityCheck._id)
@@ -81,7 +198,9 @@ const createQualityCheck = async (req, res) => {
       .populate('machineId', 'name machineId')
       .populate('employeeId', 'firstName lastName');
     
-    res.status(201).json(populatedCheck);
+    publishFlaggedCheck(populatedCheck || qualityCheck);
+    const nonconformance = await openNonconformance(populatedCheck || qualityCheck, { pauseRun, user: req.user });
+    res.status(201).json(withNonconformance(populatedCheck || qualityCheck, nonconformance));
   } catch (error) {
     console.error('Error creating quality check:', error);
     
@@ -106,7 +225,13 @@ const createQualityCheck = async (req, res) => {
 // Update quality check
 const updateQualityCheck = async (req, res) => {
   try {
-    const updates = req.body;
+    // Checks are only deleted through DELETE /quality-checks/{id}
+    const softDeleteProblem = softDeleteFieldsProblem(req.body);
+    if (softDeleteProblem) {
+      return res.status(softDeleteProblem.status).json(softDeleteProblem.body);
+    }
+    
+    let { pauseRun, ...updates } = req.body;
     
     // Validate referenced documents if provided
     if (updates.productionRunId) {
@@ -130,6 +255,29 @@ const updateQualityCheck = async (req, res) => {
       }
     }
     
+    // Check the new measurements against the stored result, or a new result
+    // against the statuses stored on the measurements (not re-evaluated)
+    if (updates.measurements !== undefined || updates.result !== undefined) {
+      const existing = await QualityCheck.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Quality check not found' });
+      }
+      
+      const { measurements, result, rejection } = updates.measurements !== undefined
+        ? evaluateCheck(updates.measurements, updates.result ?? existing.result)
+        : settleResult(updates.result, storedEvaluation(existing.measurements));
+      if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+      }
+      
+      updates = {
+        ...updates,
+        ...(updates.measurements !== undefined && { measurements }),
+        ...(updates.result !== undefined && { result })
+      };
+    }
+    
+    const before = await QualityCheck.findById(req.params.id);
     const qualityCheck = await QualityCheck.findByIdAndUpdate(
       req.params.id,
       updates,
@@ -143,7 +291,10 @@ const updateQualityCheck = async (req, res) => {
       return res.status(404).json({ error: 'Quality check not found' });
     }
     
-    res.status(200).json(qualityCheck);
+    await recordAudit('QualityCheck', 'update', { before, after: qualityCheck, user: req.user });
+    publishFlaggedCheck(qualityCheck, before?.result);
+    const nonconformance = await openNonconformance(qualityCheck, { pauseRun, user: req.user });
+    res.status(200).json(withNonconformance(qualityCheck, nonconformance));
   } catch (error) {
     console.error('Error updating quality check:', error);
     
@@ -165,15 +316,16 @@ const updateQualityCheck = async (req, res) => {
   }
 };
 
-// Delete quality check
+// Delete quality check (soft delete; see restoreQualityCheck)
 const deleteQualityCheck = async (req, res) => {
   try {
-    const qualityCheck = await QualityCheck.findByIdAndDelete(req.params.id);
+    const { before, after: qualityCheck } = await softDeleteById(QualityCheck, req.params.id, req.user);
     
     if (!qualityCheck) {
       return res.status(404).json({ error: 'Quality check not found' });
     }
     
+    await recordAudit('QualityCheck', 'delete', { before, after: qualityCheck, user: req.user });
     res.status(200).json({ 
       message: 'Quality check deleted successfully',
       deletedCheck: qualityCheck 
@@ -184,17 +336,83 @@ const deleteQualityCheck = async (req, res) => {
   }
 };
 
+// Restore a deleted quality check
+const restoreQualityCheck = async (req, res) => {
+  try {
+    const { before, after: qualityCheck } = await restoreById(QualityCheck, req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ error: 'Quality check not found' });
+    }
+    
+    if (!qualityCheck) {
+      return res.status(409).json({ 
+        error: 'Not deleted',
+        message: `Quality check ${before.checkId} is not deleted`
+      });
+    }
+    
+    await recordAudit('QualityCheck', 'restore', { before, after: qualityCheck, user: req.user });
+    res.status(200).json({ 
+      message: 'Quality check restored successfully',
+      qualityCheck 
+    });
+  } catch (error) {
+    console.error('Error restoring quality check:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid quality check ID' });
+    }
+    
+    res.status(500).json({ error: 'Failed to restore quality check' });
+  }
+};
+
+// Permanently remove a deleted quality check
+const purgeQualityCheck = async (req, res) => {
+  try {
+    const { before, purged: qualityCheck } = await purgeById(QualityCheck, req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ error: 'Quality check not found' });
+    }
+    
+    if (!qualityCheck) {
+      return res.status(409).json({ 
+        error: 'Not deleted',
+        message: `Delete quality check ${before.checkId} before purging it`
+      });
+    }
+    
+    await recordAudit('QualityCheck', 'purge', { before: qualityCheck, user: req.user });
+    res.status(200).json({ 
+      message: 'Quality check permanently deleted',
+      purgedCheck: { id: qualityCheck._id, checkId: qualityCheck.checkId }
+    });
+  } catch (error) {
+    console.error('Error purging quality check:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid quality check ID' });
+    }
+    
+    res.status(500).json({ error: 'Failed to purge quality check' });
+  }
+};
+
 // Get quality checks by result
 const getQualityChecksByResult = async (req, res) => {
   try {
     const { result } = req.params;
-    const qualityChecks = await QualityCheck.find({ result })
-      .populate('productionRunId', 'runId partName')
-      .populate('machineId', 'name machineId')
-      .populate('employeeId', 'firstName lastName')
-      .sort({ checkDate: -1 });
+    const [qualityChecks, total] = await Promise.all([
+      pageOf(QualityCheck.find({ result }), req.pagination)
+        .populate('productionRunId', 'runId partName')
+        .populate('machineId', 'name machineId')
+        .populate('employeeId', 'firstName lastName'),
+      QualityCheck.countDocuments({ result })
+    ]);
     
-    res.status(200).json(qualityChecks);
+    sendPage(req, res, qualityChecks, total);
   } catch (error) {
     console.error('Error fetching quality checks by result:', error);
     res.status(500).json({ error: 'Failed to fetch quality checks' });
@@ -219,12 +437,136 @@ const getRecentQualityChecks = async (req, res) => {
   }
 };
 
+// Statistical process control for one parameter of a part number
+const getSpcAnalysis = async (req, res) => {
+  try {
+    const { partNumber, parameter, from, to } = req.query;
+    
+    if (!partNumber || !parameter) {
+      return res.status(400).json({ 
+        error: 'Missing required parameters',
+        required: ['partNumber', 'parameter']
+      });
+    }
+    
+    const subgroupSize = req.query.subgroupSize ? Number(req.query.subgroupSize) : 5;
+    if (!SUBGROUP_SIZES.includes(subgroupSize)) {
+      return res.status(400).json({ 
+        error: 'Invalid subgroup size',
+        message: `Subgroup size must be between ${SUBGROUP_SIZES[0]} and ${SUBGROUP_SIZES[SUBGROUP_SIZES.length - 1]}`
+      });
+    }
+    
+    const limits = {};
+    for (const limit of ['lsl', 'usl']) {
+      if (req.query[limit] !== undefined) {
+        limits[limit] = Number(req.query[limit]);
+        if (isNaN(limits[limit])) {
+          return res.status(400).json({ 
+            error: 'Invalid spec limits',
+            message: `${limit} must be a number`
+          });
+        }
+      }
+    }
+    
+    if (limits.lsl !== undefined && limits.usl !== undefined && limits.lsl >= limits.usl) {
+      return res.status(400).json({ 
+        error: 'Invalid spec limits',
+        message: 'lsl must be less than usl'
+      });
+    }
+    
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ 
+        error: 'Invalid date range',
+        message: 'Dates must be valid ISO 8601 dates'
+      });
+    }
+    
+    const filter = { 'measurements.parameter': parameter };
+    if (from || to) {
+      filter.checkDate = {};
+      if (from) filter.checkDate.$gte = new Date(from);
+      if (to) filter.checkDate.$lte = new Date(to);
+    }
+    
+    const runs = await ProductionRun.find({ partNumber }).select('_id');
+    filter.productionRunId = { $in: runs.map(run => run._id) };
+    
+    const qualityChecks = await QualityCheck.find(filter).sort({ checkDate: 1 });
+    
+    // One observation per measurement of the parameter, in check order
+    const observations = qualityChecks.flatMap(check => check.measurements
+      .filter(measurement => measurement.parameter === parameter)
+      .map(measurement => ({
+        value: measuredValue(measurement),
+        unit: measurement.unit,
+        tolerance: measurement.tolerance,
+        checkId: check.checkId,
+        checkDate: check.checkDate
+      }))
+      .filter(observation => typeof observation.value === 'number' && isFinite(observation.value)));
+    const values = observations.map(observation => observation.value);
+    
+    const xbarR = xbarRChart(values, subgroupSize);
+    const individuals = individualsChart(values);
+    const sigmaWithin = xbarR ? xbarR.sigmaWithin : individuals?.sigmaWithin;
+    
+    // Without explicit limits, use the tolerance of the most recent measurement
+    let specSource = Object.keys(limits).length > 0 ? 'query' : null;
+    if (!specSource) {
+      const latestTolerance = observations.map(observation => observation.tolerance).filter(Boolean).pop();
+      if (latestTolerance) {
+        const { lsl, usl } = specLimits(latestTolerance);
+        if (lsl !== null) limits.lsl = lsl;
+        if (usl !== null) limits.usl = usl;
+        specSource = 'tolerance';
+      }
+    }
+    
+    const violations = (chart) => detectRuleViolations(chart.points, chart.centerLine, (chart.ucl - chart.centerLine) / 3);
+    
+    res.status(200).json({
+      partNumber,
+      parameter,
+      unit: observations[0]?.unit,
+      from: from || null,
+      to: to || null,
+      observations: observations.length,
+      xbarR: xbarR && {
+        ...xbarR,
+        violations: {
+          xbar: violations(xbarR.xbar),
+          rangeOutOfControl: pointsBeyondLimits(xbarR.range)
+        }
+      },
+      individuals: individuals && {
+        ...individuals,
+        violations: {
+          individuals: violations(individuals.individuals),
+          movingRangeOutOfControl: pointsBeyondLimits(individuals.movingRange)
+        },
+        checks: observations.map(({ checkId, checkDate }) => ({ checkId, checkDate }))
+      },
+      specSource,
+      capability: capability(values, limits, sigmaWithin)
+    });
+  } catch (error) {
+    console.error('Error building SPC analysis:', error);
+    res.status(500).json({ error: 'Failed to build SPC analysis' });
+  }
+};
+
 module.exports = {
   getAllQualityChecks,
   getQualityCheckById,
   createQualityCheck,
   updateQualityCheck,
   deleteQualityCheck,
+  restoreQualityCheck,
+  purgeQualityCheck,
   getQualityChecksByResult,
-  getRecentQualityChecks
+  getRecentQualityChecks,
+  getSpcAnalysis
 };
\ No newline at end of file
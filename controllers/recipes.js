@@ -0,0 +1,450 @@
+const Recipe = require('../models/recipe');
+const Mold = require('../models/mold');
+const Machine = require('../models/machine');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { userIdentifier } = require('../middleware/auth');
+const { diffParameters } = require('../services/recipes');
+const { recordAudit } = require('../services/audit');
+
+const RECIPE_STATUSES = ['draft', 'approved', 'superseded'];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const invalidId = (res) => res.status(400).json({
+  error: 'Invalid ID format',
+  message: 'Please provide a valid MongoDB ID (24 character hex string)'
+});
+
+const notFound = (res, id) => res.status(404).json({
+  error: 'Recipe not found',
+  message: `No recipe version found with ID: ${id}`
+});
+
+const validationFailed = (res, error) => res.status(400).json({
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+const plainParameters = (parameters) => (
+  parameters && typeof parameters.toObject === 'function' ? parameters.toObject() : parameters || {}
+);
+
+const populateRefs = (query) => query
+  .populate('moldId', 'moldId name cavities')
+  .populate('machineId', 'machineId name');
+
+// Get all recipe versions
+const getAllRecipes = async (req, res) => {
+  try {
+    const { recipeId, partNumber, moldId, machineId, status } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!RECIPE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `Status must be one of: ${RECIPE_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+
+    if (recipeId) filter.recipeId = recipeId;
+    if (partNumber) filter.partNumber = partNumber;
+    if (moldId) filter.moldId = moldId;
+    if (machineId) filter.machineId = machineId;
+
+    const [recipes, total] = await Promise.all([
+      populateRefs(pageOf(Recipe.find(filter), req.pagination)),
+      Recipe.countDocuments(filter)
+    ]);
+    sendPage(req, res, recipes, total);
+  } catch (error) {
+    console.error('Error fetching recipes:', error);
+    res.status(500).json({ error: 'Failed to fetch recipes' });
+  }
+};
+
+// Get recipe version by ID
+const getRecipeById = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return invalidId(res);
+    }
+
+    const recipe = await populateRefs(Recipe.findById(req.params.id));
+    if (!recipe) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(200).json(recipe);
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    res.status(500).json({ error: 'Failed to fetch recipe' });
+  }
+};
+
+// Create version 1 of a new recipe, as a draft
+const createRecipe = async (req, res) => {
+  try {
+    const { recipeId, partNumber, moldId, machineId, parameters, changeNote } = req.body;
+
+    const requiredFields = ['recipeId', 'partNumber', 'moldId', 'machineId', 'parameters'];
+    const missingFields = requiredFields.filter(field => !req.body[field]);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: missingFields,
+        required: requiredFields
+      });
+    }
+
+    if (!/^[A-Z0-9-]+$/.test(recipeId)) {
+      return res.status(400).json({
+        error: 'Invalid recipe ID format',
+        message: 'Recipe ID must contain only uppercase letters, numbers, and hyphens'
+      });
+    }
+
+    if (!OBJECT_ID.test(moldId) || !OBJECT_ID.test(machineId)) {
+      return invalidId(res);
+    }
+
+    const [mold, machine] = await Promise.all([Mold.findById(moldId), Machine.findById(machineId)]);
+    if (!mold) {
+      return res.status(404).json({ error: 'Mold not found', message: `No mold found with ID: ${moldId}` });
+    }
+    if (!machine) {
+      return res.status(404).json({ error: 'Machine not found', message: `No machine found with ID: ${machineId}` });
+    }
+
+    const existing = await Recipe.findOne({ recipeId });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Recipe exists',
+        message: `Recipe ${recipeId} already exists; use POST /recipes/{id}/versions to add a version`
+      });
+    }
+
+    const recipe = new Recipe({
+      recipeId,
+      version: 1,
+      partNumber,
+      moldId,
+      machineId,
+      parameters,
+      changeNote,
+      status: 'draft',
+      createdBy: userIdentifier(req.user)
+    });
+    await recipe.save();
+    await recordAudit('Recipe', 'create', { after: recipe, user: req.user });
+
+    res.status(201).json(recipe);
+  } catch (error) {
+    console.error('Error creating recipe:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Recipe exists',
+        message: 'A recipe with this ID and version already exists'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create recipe' });
+  }
+};
+
+// Start a new draft version from an existing version. Parameters given in
+// the body override the ones copied from the source version.
+const createRecipeVersion = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return invalidId(res);
+    }
+
+    const source = await Recipe.findById(req.params.id);
+    if (!source) {
+      return notFound(res, req.params.id);
+    }
+
+    const latest = await Recipe.findOne({ recipeId: source.recipeId }).sort({ version: -1 });
+
+    const recipe = new Recipe({
+      recipeId: source.recipeId,
+      version: (latest?.version || source.version) + 1,
+      partNumber: source.partNumber,
+      moldId: source.moldId,
+      machineId: source.machineId,
+      parameters: {
+        ...plainParameters(source.parameters),
+        ...(req.body.parameters || {})
+      },
+      changeNote: req.body.changeNote,
+      basedOnVersion: source.version,
+      status: 'draft',
+      createdBy: userIdentifier(req.user)
+    });
+    await recipe.save();
+    await recordAudit('Recipe', 'create', { after: recipe, user: req.user });
+
+    res.status(201).json(recipe);
+  } catch (error) {
+    console.error('Error creating recipe version:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    // Another version was added at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Version conflict',
+        message: 'A new version of this recipe was created concurrently; retry'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create recipe version' });
+  }
+};
+
+// Edit a draft version's setpoints or change note
+const updateRecipe = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return invalidId(res);
+    }
+
+    const fixedFields = Object.keys(req.body).filter(field => !['parameters', 'changeNote'].includes(field));
+    if (fixedFields.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid update',
+        message: 'Only parameters and changeNote can be edited; create a new recipe for another part, mold or machine',
+        fields: fixedFields
+      });
+    }
+
+    const recipe = await Recipe.findById(req.params.id);
+    if (!recipe) {
+      return notFound(res, req.params.id);
+    }
+
+    if (recipe.status !== 'draft') {
+      return res.status(409).json({
+        error: 'Recipe locked',
+        message: `Version ${recipe.version} is ${recipe.status}; create a new version to change it`
+      });
+    }
+
+    const before = recipe.toObject();
+    if (req.body.parameters) {
+      recipe.parameters = { ...plainParameters(recipe.parameters), ...req.body.parameters };
+    }
+    if (req.body.changeNote !== undefined) {
+      recipe.changeNote = req.body.changeNote;
+    }
+    await recipe.save();
+    await recordAudit('Recipe', 'update', { before, after: recipe, user: req.user });
+
+    res.status(200).json(recipe);
+  } catch (error) {
+    console.error('Error updating recipe:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({ error: 'Failed to update recipe' });
+  }
+};
+
+// Approve a draft version. The previously approved version is superseded.
+const approveRecipe = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return invalidId(res);
+    }
+
+    const recipe = await Recipe.findById(req.params.id);
+    if (!recipe) {
+      return notFound(res, req.params.id);
+    }
+
+    if (recipe.status !== 'draft') {
+      return res.status(409).json({
+        error: 'Not a draft',
+        message: `Version ${recipe.version} is already ${recipe.status}`
+      });
+    }
+
+    const approver = userIdentifier(req.user);
+    if (recipe.createdBy && recipe.createdBy === approver) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'A recipe version must be approved by someone other than its author'
+      });
+    }
+
+    const newer = await Recipe.findOne({
+      recipeId: recipe.recipeId,
+      status: 'approved',
+      version: { $gt: recipe.version }
+    });
+    if (newer) {
+      return res.status(409).json({
+        error: 'Newer version approved',
+        message: `Version ${newer.version} of ${recipe.recipeId} is already approved`
+      });
+    }
+
+    const approvedAt = new Date();
+    const approved = await Recipe.findOneAndUpdate(
+      { _id: recipe._id, status: 'draft' },
+      { $set: { status: 'approved', approvedBy: approver, approvedAt } },
+      { new: true }
+    );
+    if (!approved) {
+      return res.status(409).json({
+        error: 'Not a draft',
+        message: `Version ${recipe.version} was changed while it was being approved`
+      });
+    }
+
+    await recordAudit('Recipe', 'update', { before: recipe, after: approved, user: req.user });
+
+    const previous = { recipeId: recipe.recipeId, status: 'approved', _id: { $ne: recipe._id } };
+    const superseded = await Recipe.find(previous);
+    await Recipe.updateMany(previous, { $set: { status: 'superseded', supersededAt: approvedAt } });
+    for (const version of superseded) {
+      await recordAudit('Recipe', 'update', {
+        before: version,
+        after: { ...version.toObject(), status: 'superseded', supersededAt: approvedAt },
+        user: req.user
+      });
+    }
+
+    res.status(200).json({
+      message: `Recipe ${approved.recipeId} version ${approved.version} approved`,
+      recipe: approved
+    });
+  } catch (error) {
+    console.error('Error approving recipe:', error);
+    res.status(500).json({ error: 'Failed to approve recipe' });
+  }
+};
+
+// Setpoint changes between this version and another version of the same
+// recipe (?against=<version number or ID>, defaults to the version it was based on)
+const diffRecipe = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return invalidId(res);
+    }
+
+    const recipe = await Recipe.findById(req.params.id);
+    if (!recipe) {
+      return notFound(res, req.params.id);
+    }
+
+    const { against } = req.query;
+    let baseFilter;
+    if (against === undefined) {
+      baseFilter = { recipeId: recipe.recipeId, version: recipe.basedOnVersion || recipe.version - 1 };
+    } else if (OBJECT_ID.test(against)) {
+      baseFilter = { _id: against };
+    } else if (Number.isInteger(Number(against)) && Number(against) > 0) {
+      baseFilter = { recipeId: recipe.recipeId, version: Number(against) };
+    } else {
+      return res.status(400).json({
+        error: 'Invalid comparison',
+        message: 'against must be a version number or a recipe version ID'
+      });
+    }
+
+    const base = baseFilter.version === 0 ? null : await Recipe.findOne(baseFilter);
+    if (!base) {
+      return res.status(404).json({
+        error: 'Recipe version not found',
+        message: against === undefined
+          ? `Version ${recipe.version} of ${recipe.recipeId} has no earlier version to compare with`
+          : `No version ${against} of recipe ${recipe.recipeId}`
+      });
+    }
+
+    if (base.recipeId !== recipe.recipeId) {
+      return res.status(400).json({
+        error: 'Invalid comparison',
+        message: `Version ${against} belongs to recipe ${base.recipeId}, not ${recipe.recipeId}`
+      });
+    }
+
+    const summary = (version) => ({
+      id: version._id,
+      version: version.version,
+      status: version.status,
+      approvedAt: version.approvedAt,
+      changeNote: version.changeNote
+    });
+
+    res.status(200).json({
+      recipeId: recipe.recipeId,
+      from: summary(base),
+      to: summary(recipe),
+      ...diffParameters(base.parameters, recipe.parameters)
+    });
+  } catch (error) {
+    console.error('Error comparing recipe versions:', error);
+    res.status(500).json({ error: 'Failed to compare recipe versions' });
+  }
+};
+
+// Delete a draft version; approved and superseded versions are kept as history
+const deleteRecipe = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return invalidId(res);
+    }
+
+    const recipe = await Recipe.findOneAndDelete({ _id: req.params.id, status: 'draft' });
+    if (!recipe) {
+      const existing = await Recipe.findById(req.params.id);
+      if (existing) {
+        return res.status(409).json({
+          error: 'Recipe locked',
+          message: `Version ${existing.version} is ${existing.status} and cannot be deleted`
+        });
+      }
+      return notFound(res, req.params.id);
+    }
+
+    await recordAudit('Recipe', 'delete', { before: recipe, user: req.user });
+    res.status(200).json({
+      message: 'Recipe draft deleted successfully',
+      deletedRecipe: {
+        id: recipe._id,
+        recipeId: recipe.recipeId,
+        version: recipe.version
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting recipe:', error);
+    res.status(500).json({ error: 'Failed to delete recipe' });
+  }
+};
+
+module.exports = {
+  getAllRecipes,
+  getRecipeById,
+  createRecipe,
+  createRecipeVersion,
+  updateRecipe,
+  approveRecipe,
+  diffRecipe,
+  deleteRecipe
+};
@@ -0,0 +1,314 @@
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { pageOf, sendPage } = require('../middleware/pagination');
+const { userIdentifier } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { generateSecret, attemptDelivery } = require('../services/webhooks');
+const { events } = require('../config/webhooks');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+const validationFailed = (res, error) => res.status(400).json({
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// Secrets are never written to the audit log
+const withoutSecret = (webhook) => {
+  const { secret, ...fields } = webhook.toObject();
+  return fields;
+};
+
+// Check the fields a caller can set; returns a 400 body or null
+const webhookProblem = ({ url, events: types, machineIds }) => {
+  if (url !== undefined && !URL_PATTERN.test(url)) {
+    return { error: 'Invalid URL', message: 'url must be an http(s) URL' };
+  }
+  if (types !== undefined) {
+    if (!Array.isArray(types) || types.length === 0) {
+      return { error: 'Invalid events', message: 'events must be a non-empty array' };
+    }
+    const unknown = types.filter(type => !events[type]);
+    if (unknown.length > 0) {
+      return {
+        error: 'Invalid events',
+        message: `Unknown event types: ${unknown.join(', ')}`,
+        allowed: Object.keys(events)
+      };
+    }
+  }
+  if (machineIds !== undefined && (!Array.isArray(machineIds) || !machineIds.every(id => OBJECT_ID.test(id)))) {
+    return { error: 'Invalid machine IDs', message: 'machineIds must be an array of machine MongoDB IDs' };
+  }
+  return null;
+};
+
+// Get all webhooks (without their secrets)
+const getAllWebhooks = async (req, res) => {
+  try {
+    const { event, active } = req.query;
+    const filter = {};
+
+    if (event) filter.events = event;
+    if (active !== undefined) filter.active = active === 'true';
+
+    const [webhooks, total] = await Promise.all([
+      pageOf(Webhook.find(filter), req.pagination),
+      Webhook.countDocuments(filter)
+    ]);
+    sendPage(req, res, webhooks, total);
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+};
+
+// Get webhook by ID
+const getWebhookById = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook' });
+  }
+};
+
+// Create a webhook. The signing secret is generated here and only returned
+// in this response.
+const createWebhook = async (req, res) => {
+  try {
+    const requiredFields = ['name', 'url', 'events'];
+    const missingFields = requiredFields.filter(field => !req.body[field]);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: missingFields,
+        required: requiredFields
+      });
+    }
+
+    const problem = webhookProblem(req.body);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    const { name, url, events: types, machineIds, active } = req.body;
+    const webhook = new Webhook({
+      name,
+      url,
+      events: types,
+      machineIds,
+      active,
+      secret: generateSecret(),
+      createdBy: userIdentifier(req.user)
+    });
+    await webhook.save();
+    await recordAudit('Webhook', 'create', { after: withoutSecret(webhook), user: req.user });
+
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+};
+
+// Update a webhook's name, URL, events, machines or active flag
+const updateWebhook = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const blocked = ['secret', 'secretRotatedAt', 'createdBy'].filter(field => req.body[field] !== undefined);
+    if (blocked.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid update',
+        message: 'secret, secretRotatedAt and createdBy cannot be changed; use rotate-secret for a new secret',
+        fields: blocked
+      });
+    }
+
+    const problem = webhookProblem(req.body);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const before = webhook.toObject();
+    const { name, url, events: types, machineIds, active } = req.body;
+    webhook.set(Object.fromEntries(
+      Object.entries({ name, url, events: types, machineIds, active }).filter(([, value]) => value !== undefined)
+    ));
+    await webhook.save();
+    await recordAudit('Webhook', 'update', { before, after: webhook, user: req.user });
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+};
+
+// Replace a webhook's signing secret; the new one is only returned here
+const rotateSecret = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const before = await Webhook.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const webhook = await Webhook.findByIdAndUpdate(
+      req.params.id,
+      { $set: { secret: generateSecret(), secretRotatedAt: new Date() } },
+      { new: true }
+    ).select('+secret');
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    // Only secretRotatedAt shows in the audit entry, never the secret itself
+    await recordAudit('Webhook', 'update', { before, after: withoutSecret(webhook), user: req.user });
+
+    res.status(200).json({ message: 'Secret rotated', secret: webhook.secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+};
+
+// Delete a webhook together with its delivery log
+const deleteWebhook = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await recordAudit('Webhook', 'delete', { before: webhook, user: req.user });
+
+    res.status(200).json({ message: 'Webhook deleted successfully', webhook });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+};
+
+// Get a webhook's delivery log, newest first
+const getDeliveries = async (req, res) => {
+  try {
+    if (!OBJECT_ID.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const { status, event } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const filter = { webhookId: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      pageOf(WebhookDelivery.find(filter), req.pagination),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+    sendPage(req, res, deliveries, total);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+};
+
+// Send a delivery again now, whatever its status
+const redeliver = async (req, res) => {
+  try {
+    const { id, deliveryId } = req.params;
+    if (!OBJECT_ID.test(id) || !OBJECT_ID.test(deliveryId)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const webhook = await Webhook.findById(id).select('+secret');
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, webhookId: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (!webhook.active) {
+      return res.status(409).json({
+        error: 'Webhook inactive',
+        message: 'Activate the webhook before redelivering'
+      });
+    }
+
+    const updated = await attemptDelivery(delivery, webhook, { manual: true, user: req.user });
+    const attempt = updated.attempts[updated.attempts.length - 1];
+
+    res.status(200).json({
+      message: attempt.error ? `Redelivery failed: ${attempt.error}` : 'Redelivered',
+      delivery: updated
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to redeliver' });
+  }
+};
+
+module.exports = {
+  getAllWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  getDeliveries,
+  redeliver
+};
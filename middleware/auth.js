@@ -1,3 +1,7 @@
+const crypto = require('crypto');
+const Employee = require('../models/employee');
+const { hasPermission } = require('../config/permissions');
+
 // Authentication middleware
 const isAuthenticated = (req, res, next) => {
   if (req.isAuthenticated()) {
@@ -9,9 +13,29 @@ const isAuthenticated = (req, res, next) => {
   });
 };
 
-// Authorization middleware (basic role-based)
-const hasRole = (role) => {
-  return (req, res, next) => {
+// Employee record behind the signed-in Google account: the one linked at
+// login (config/oauth.js), or else the one with the same email address
+const resolveEmployee = async (req) => {
+  if (req.employee !== undefined) {
+    return req.employee;
+  }
+
+  const email = req.user?.emails?.[0]?.value?.toLowerCase();
+  let employee = null;
+  if (req.user?.employeeRef) {
+    employee = await Employee.findById(req.user.employeeRef);
+  }
+  if (!employee && email) {
+    employee = await Employee.findOne({ email });
+  }
+
+  req.employee = employee;
+  return employee;
+};
+
+// Shared guard: 401 when signed out, 403 unless `allowed(employee)` holds
+const authorize = (allowed, describe) => {
+  return async (req, res, next) => {
     if (!req.isAuthenticated()) {
       return res.status(401).json({ 
         error: 'Unauthorized',
@@ -19,33 +43,102 @@ const hasRole = (role) => {
       });
     }
 
-    // In a real application, you would check the user's role from your database
-    // For this example, we'll check the email domain or other user properties
-    const userEmail = req.user.emails?.[0]?.value || '';
-    
-    // Simple role check based on email domain
-    // You can replace this with your own logic
-    if (role === 'admin' && userEmail.endsWith('@admin.com')) {
-      return next();
+    try {
+      const employee = await resolveEmployee(req);
+
+      if (!employee) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          ...describe(),
+          message: 'No employee record is linked to this account'
+        });
+      }
+
+      if (employee.active === false) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          ...describe(),
+          message: 'Employee account is inactive'
+        });
+      }
+
+      if (!allowed(employee)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          ...describe(),
+          role: employee.role,
+          department: employee.department
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error resolving employee permissions:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
     }
-    
-    if (role === 'manager' && (userEmail.endsWith('@admin.com') || userEmail.endsWith('@manager.com'))) {
+  };
+};
+
+// Authorization middleware: requires a permission from config/permissions.js
+const requirePermission = (permission) => authorize(
+  employee => hasPermission(employee, permission),
+  () => ({ message: `Missing permission '${permission}'`, permission })
+);
+
+// Authorization middleware: requires one of the given Employee roles
+const hasRole = (...roles) => authorize(
+  employee => roles.includes(employee.role),
+  () => ({ message: `Role ${roles.map(role => `'${role}'`).join(' or ')} required`, roles })
+);
+
+const sameKey = (given, expected) => {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Machine-facing endpoints: accept the shared MACHINE_API_KEY in the
+// X-Machine-Key header, otherwise fall back to requirePermission
+const machineKeyOrPermission = (permission) => {
+  const guard = requirePermission(permission);
+  return (req, res, next) => {
+    const key = req.get('x-machine-key');
+    if (key !== undefined && process.env.MACHINE_API_KEY) {
+      if (!sameKey(key, process.env.MACHINE_API_KEY)) {
+        return res.status(401).json({ 
+          error: 'Unauthorized',
+          message: 'Invalid machine key'
+        });
+      }
+      req.machineClient = true;
       return next();
     }
-    
-    // Default: allow access for authenticated users with any email
-    // You can customize this based on your needs
-    return next();
-    
-    // If you want to be strict:
-    // res.status(403).json({ 
-    //   error: 'Forbidden',
-    //   message: `Role '${role}' required to access this resource`
-    // });
+    return guard(req, res, next);
   };
 };
 
+// ?includeDeleted=true also returns soft-deleted records, for holders of
+// deleted:read. Sets req.includeDeleted for the handler.
+const allowIncludeDeleted = (req, res, next) => {
+  req.includeDeleted = false;
+  if (req.query.includeDeleted !== 'true') {
+    return next();
+  }
+  return requirePermission('deleted:read')(req, res, () => {
+    req.includeDeleted = true;
+    next();
+  });
+};
+
+// Identify the current user in logs and history records
+const userIdentifier = (user) => user?.emails?.[0]?.value || user?.displayName || 'unknown';
+
 module.exports = {
+  allowIncludeDeleted,
   isAuthenticated,
-  hasRole
+  hasRole,
+  machineKeyOrPermission,
+  requirePermission,
+  resolveEmployee,
+  userIdentifier
 };
\ No newline at end of file
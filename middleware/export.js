@@ -0,0 +1,110 @@
+// CSV and Excel export for list and report endpoints.
+//
+//   ?format=csv | ?format=xlsx | Accept: text/csv
+//
+// `exportable` picks the format and stores it on req.exportFormat (null for
+// JSON); `sendExport` writes rows as a file. Columns are dotted paths into
+// each row, so populated references flatten to columns like machineId.name.
+// Rows may be an array or a query cursor; they are written as they are read,
+// so large exports are streamed rather than built in memory.
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const acceptedFormat = (req) => {
+  const type = req.accepts(['application/json', ...Object.values(FORMATS)]);
+  return Object.keys(FORMATS).find(format => FORMATS[format] === type) || null;
+};
+
+// Pick the response format from ?format, else the Accept header
+const exportable = (req, res, next) => {
+  const { format } = req.query;
+  if (format !== undefined && format !== 'json' && !FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of: json, ${Object.keys(FORMATS).join(', ')}`
+    });
+  }
+
+  req.exportFormat = format === undefined ? acceptedFormat(req) : (FORMATS[format] ? format : null);
+  next();
+};
+
+const plain = (row) => (typeof row?.toObject === 'function' ? row.toObject({ virtuals: true }) : row);
+
+const valueAt = (row, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), row);
+
+// Spreadsheet cell for a value: ObjectIds become hex strings, lists are joined
+const cell = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (Array.isArray(value)) return value.map(item => (item && typeof item === 'object' ? JSON.stringify(item) : item)).join('; ');
+  return JSON.stringify(value);
+};
+
+// Quote CSV fields, and defuse text Excel would run as a formula
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = async (res, rows, columns) => {
+  const write = async (line) => {
+    if (!res.write(`${line}\r\n`)) await once(res, 'drain');
+  };
+
+  // The byte order mark makes Excel read the file as UTF-8
+  res.write('\ufeff');
+  await write(columns.map(csvField).join(','));
+  for await (const row of rows) {
+    const values = plain(row);
+    await write(columns.map(column => csvField(cell(valueAt(values, column)))).join(','));
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, rows, columns, name) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(name.slice(0, 31));
+  sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+  for await (const row of rows) {
+    const values = plain(row);
+    sheet.addRow(columns.map(column => cell(valueAt(values, column)))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Send `rows` in req.exportFormat as the attachment `<name>.csv|.xlsx`
+const sendExport = async (req, res, rows, columns, name) => {
+  const format = req.exportFormat;
+  res.status(200);
+  res.type(FORMATS[format]);
+  res.attachment(`${name}.${format}`);
+
+  try {
+    if (format === 'xlsx') {
+      await writeXlsx(res, rows, columns, name);
+    } else {
+      await writeCsv(res, rows, columns);
+    }
+  } catch (error) {
+    // Part of the file may be out already, so the response can only be cut off
+    console.error(`Error exporting ${name}:`, error);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  FORMATS,
+  exportable,
+  sendExport
+};
@@ -0,0 +1,81 @@
+// Bulk import requests (services/import.js).
+//
+//   POST /<collection>/import            CSV (Content-Type: text/csv) or a JSON array
+//   ?dryRun=true                         validate and report, write nothing
+//   ?partial=true                        create the valid rows, report the rest
+//
+// `importBody` reads the file into req.importRows and the flags into
+// req.importOptions; `sendImportReport` answers with the import report.
+const express = require('express');
+const { parseCsv } = require('../services/import');
+
+const MAX_ROWS = 5000;
+
+// Rows from the request body: CSV text, a JSON array or { rows: [...] }.
+// Returns { rows } or { error }.
+const parseImport = (body) => {
+  let rows;
+  if (typeof body === 'string') {
+    try {
+      rows = parseCsv(body);
+    } catch (error) {
+      return { error: `Could not read the CSV file: ${error.message}` };
+    }
+  } else {
+    rows = Array.isArray(body) ? body : body?.rows;
+    if (!Array.isArray(rows)) {
+      return { error: 'Send a CSV file (Content-Type: text/csv) or a JSON array of records' };
+    }
+    if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      return { error: 'Every JSON record must be an object' };
+    }
+  }
+
+  if (rows.length === 0) return { error: 'The file contains no records' };
+  if (rows.length > MAX_ROWS) return { error: `At most ${MAX_ROWS} records can be imported at once` };
+  return { rows };
+};
+
+const readImport = (req, res, next) => {
+  const { rows, error } = parseImport(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid import file',
+      message: error
+    });
+  }
+
+  req.importRows = rows;
+  req.importOptions = {
+    dryRun: req.query.dryRun === 'true',
+    partial: req.query.partial === 'true',
+    user: req.user
+  };
+  next();
+};
+
+// JSON bodies go through the app-wide parser; CSV files are read here
+const importBody = [
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  readImport
+];
+
+// 200 for a dry run, 201 when records were created, 400 when none were
+const sendImportReport = (res, report) => {
+  if (report.dryRun) return res.status(200).json(report);
+  if (report.imported > 0) return res.status(201).json(report);
+
+  return res.status(400).json({
+    error: 'Import failed',
+    message: report.partial
+      ? 'No row could be imported'
+      : `${report.invalid} of ${report.total} rows are invalid; nothing was imported`,
+    ...report
+  });
+};
+
+module.exports = {
+  MAX_ROWS,
+  importBody,
+  sendImportReport
+};
@@ -0,0 +1,89 @@
+// Maps the legacy in-memory employee shape ({ name, position, status })
+// onto the Employee schema ({ firstName, lastName, role, active }).
+
+const ROLES = ['Operator', 'Supervisor', 'Manager', 'Technician', 'Inspector', 'Administrator'];
+
+// Legacy status values and what they mean for Employee.active
+const LEGACY_STATUS = {
+  active: true,
+  on_leave: false,
+  terminated: false
+};
+
+const isLegacyStatus = (status) => Object.prototype.hasOwnProperty.call(LEGACY_STATUS, status);
+
+// Split "John Doe" / "Mary Ann Smith" into first and last name
+const splitName = (name) => {
+  const parts = String(name).trim().split(/\s+/);
+  if (parts.length === 1) {
+    return { firstName: parts[0] };
+  }
+  return {
+    firstName: parts.slice(0, -1).join(' '),
+    lastName: parts[parts.length - 1]
+  };
+};
+
+// Match a free-text position such as "Machine Operator" to a role
+const roleFromPosition = (position) => {
+  const text = String(position).toLowerCase();
+  return ROLES.find(role => text.includes(role.toLowerCase()));
+};
+
+// Return a copy of the payload with legacy fields translated.
+// Fields already in the new shape always win over legacy ones.
+const mapLegacyEmployee = (payload = {}) => {
+  const { name, position, status, ...rest } = payload;
+  const mapped = { ...rest };
+
+  if (name && !mapped.firstName && !mapped.lastName) {
+    Object.assign(mapped, splitName(name));
+  }
+
+  if (position && !mapped.role) {
+    const role = roleFromPosition(position);
+    if (role) mapped.role = role;
+  }
+
+  // Unknown statuses are left unmapped; legacyStatusProblem() reports them
+  if (isLegacyStatus(status) && mapped.active === undefined) {
+    mapped.active = LEGACY_STATUS[status];
+  }
+
+  return mapped;
+};
+
+// Check whether a payload still uses the legacy shape
+const isLegacyEmployee = (payload = {}) =>
+  ['name', 'position', 'status'].some(field => payload[field] !== undefined);
+
+// A 400 body for a legacy status with no meaning for Employee.active, or null
+const legacyStatusProblem = (status) => {
+  if (status === undefined || isLegacyStatus(status)) return null;
+  return {
+    error: 'Invalid status',
+    message: `Status must be one of: ${Object.keys(LEGACY_STATUS).join(', ')}`
+  };
+};
+
+// Express middleware: translate legacy request bodies before they reach the controller
+const normalizeLegacyEmployee = (req, res, next) => {
+  if (!req.body || !isLegacyEmployee(req.body)) {
+    return next();
+  }
+
+  const problem = legacyStatusProblem(req.body.status);
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+
+  req.body = mapLegacyEmployee(req.body);
+  next();
+};
+
+module.exports = {
+  mapLegacyEmployee,
+  isLegacyEmployee,
+  legacyStatusProblem,
+  normalizeLegacyEmployee
+};
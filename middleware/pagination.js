@@ -0,0 +1,99 @@
+// Pagination and sorting for list endpoints.
+//
+//   ?page=2&limit=25&sort=-startTime,runId
+//
+// `paginate` validates the query and stores { page, limit, skip, sort } on
+// req.pagination; `sendPage` responds with the page as a JSON array and sets
+// the X-Total-Count and Link (first/prev/next/last) headers.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const positiveInteger = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// "-startTime,runId" -> { startTime: -1, runId: 1 }
+const parseSort = (sort, sortFields) => {
+  const spec = {};
+  for (const token of String(sort).split(',').map(part => part.trim()).filter(Boolean)) {
+    const field = token.replace(/^[-+]/, '');
+    if (!sortFields.includes(field)) {
+      return { error: `Cannot sort by "${field}". Sortable fields: ${sortFields.join(', ')}` };
+    }
+    spec[field] = token.startsWith('-') ? -1 : 1;
+  }
+  return { sort: spec };
+};
+
+const paginate = ({ sortFields, defaultSort, defaultLimit = DEFAULT_LIMIT }) => {
+  return (req, res, next) => {
+    const page = req.query.page === undefined ? 1 : positiveInteger(req.query.page);
+    const limit = req.query.limit === undefined ? defaultLimit : positiveInteger(req.query.limit);
+
+    if (!page) {
+      return res.status(400).json({
+        error: 'Invalid pagination parameters',
+        message: 'page must be a positive integer'
+      });
+    }
+
+    if (!limit || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        error: 'Invalid pagination parameters',
+        message: `limit must be an integer between 1 and ${MAX_LIMIT}`
+      });
+    }
+
+    const { sort, error } = req.query.sort ? parseSort(req.query.sort, sortFields) : { sort: defaultSort };
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid sort parameter',
+        message: error
+      });
+    }
+
+    req.pagination = {
+      page,
+      limit,
+      skip: (page - 1) * limit,
+      // _id breaks ties so pages stay stable
+      sort: { ...sort, _id: sort._id || 1 }
+    };
+    next();
+  };
+};
+
+// Apply req.pagination to a mongoose query
+const pageOf = (query, { sort, skip, limit }) => query.sort(sort).skip(skip).limit(limit);
+
+const pageUrl = (req, page) => {
+  const params = new URLSearchParams(req.query);
+  params.set('page', page);
+  params.set('limit', req.pagination.limit);
+  const path = req.path === '/' ? '' : req.path;
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}${path}?${params}`;
+};
+
+const sendPage = (req, res, items, total) => {
+  const { page, limit } = req.pagination;
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+
+  const links = [[1, 'first']];
+  if (page > 1) links.push([Math.min(page - 1, lastPage), 'prev']);
+  if (page < lastPage) links.push([page + 1, 'next']);
+  links.push([lastPage, 'last']);
+
+  res.set('X-Total-Count', String(total));
+  res.set('Link', links.map(([target, rel]) => `<${pageUrl(req, target)}>; rel="${rel}"`).join(', '));
+  res.status(200).json(items);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  paginate,
+  pageOf,
+  sendPage
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const auditEntrySchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'purge'],
+    required: true
+  },
+  // Field-level diff; nested fields use dotted paths (e.g. specifications.tonnage)
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  user: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+});
+
+auditEntrySchema.index({ entity: 1, entityId: 1, timestamp: -1 });
+auditEntrySchema.index({ user: 1, timestamp: -1 });
+auditEntrySchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const downtimeEventSchema = new mongoose.Schema({
+  machineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Machine',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['down', 'maintenance'],
+    required: true
+  },
+  reasonCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  startTime: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endTime: Date,
+  openedBy: String,
+  closedBy: String
+}, {
+  timestamps: true
+});
+
+downtimeEventSchema.index({ machineId: 1, startTime: -1 });
+downtimeEventSchema.index({ machineId: 1, endTime: 1 });
+
+module.exports = mongoose.model('DowntimeEvent', downtimeEventSchema);
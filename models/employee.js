@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { shifts } = require('../config/shifts');
 
 const employeeSchema = new mongoose.Schema({
   employeeId: { 
@@ -45,10 +46,13 @@ const employeeSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Assigned shift. New assignments must be a configured shift or Flexible
+  // (checked in controllers/employees.js); not an enum, so employees keep
+  // their shift when the SHIFTS calendar changes.
   shift: {
     type: String,
-    enum: ['Morning', 'Evening', 'Night', 'Flexible'],
-    default: 'Morning'
+    trim: true,
+    default: shifts[0].name
   },
   active: {
     type: Boolean,
@@ -60,7 +64,14 @@ const employeeSchema = new mongoose.Schema({
     default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Full name, kept for clients written against the legacy { name } shape
+employeeSchema.virtual('name').get(function () {
+  return [this.firstName, this.lastName].filter(Boolean).join(' ');
 });
 
 module.exports = mongoose.model('Employee', employeeSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const machineSchema = new mongoose.Schema({
   machineId: { 
@@ -19,9 +20,17 @@ const machineSchema = new mongoose.Schema({
     enum: ['operational', 'maintenance', 'down', 'idle'],
     default: 'operational'
   },
-  location: String
+  location: String,
+  // Cycles reported through POST /machines/{id}/cycles; drives shot-based maintenance
+  shotCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
 }, {
   timestamps: true
 });
 
+machineSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Machine', machineSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One machine cycle (shot) as reported by the machine. The sequence number is
+// assigned by the machine and makes repeated deliveries of a batch harmless.
+const machineCycleSchema = new mongoose.Schema({
+  machineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Machine',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Cycle time in seconds
+  cycleTime: {
+    type: Number,
+    min: 0
+  },
+  // Machine shot counter reading after the cycle
+  shotCounter: {
+    type: Number,
+    min: 0
+  },
+  // Run that was running on the machine when the cycle was received
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductionRun',
+    default: null
+  },
+  // Parts added to the run's actualQty (the mold's cavities)
+  partsProduced: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+machineCycleSchema.index({ machineId: 1, sequence: 1 }, { unique: true });
+machineCycleSchema.index({ machineId: 1, timestamp: -1 });
+machineCycleSchema.index({ runId: 1, timestamp: 1 });
+
+module.exports = mongoose.model('MachineCycle', machineCycleSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Preventive maintenance for a machine, due every `intervalDays` (calendar)
+// or every `intervalShots` machine cycles (shots) since it was last serviced
+const maintenancePlanSchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  machineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Machine',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Checklist copied onto every work order
+  tasks: [{
+    type: String,
+    trim: true,
+    maxlength: 200
+  }],
+  triggerType: {
+    type: String,
+    enum: ['calendar', 'shots'],
+    required: true
+  },
+  intervalDays: {
+    type: Number,
+    min: 1
+  },
+  intervalShots: {
+    type: Number,
+    min: 1
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // When the last work order was completed and the machine's shot count then
+  lastServicedAt: Date,
+  lastServicedShots: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Work orders generated so far; numbers the next one
+  workOrderCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+maintenancePlanSchema.index({ machineId: 1, active: 1 });
+
+module.exports = mongoose.model('MaintenancePlan', maintenancePlanSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const materialSchema = new mongoose.Schema({
+  materialId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Polymer family, e.g. ABS, PP, PC, PA66
+  resinType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  grade: {
+    type: String,
+    trim: true
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    enum: ['kg', 'lb'],
+    default: 'kg'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Material', materialSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const materialLotSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  materialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    required: true
+  },
+  // Lot number printed by the supplier (what a recall notice refers to)
+  supplierLotNumber: {
+    type: String,
+    trim: true
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  receivedDate: {
+    type: Date,
+    default: Date.now
+  },
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remainingQty: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['quarantine', 'released', 'on_hold', 'rejected', 'consumed'],
+    default: 'quarantine'
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+materialLotSchema.index({ supplierLotNumber: 1 });
+
+// A new lot starts with its full received quantity available
+materialLotSchema.pre('save', function (next) {
+  if (this.isNew && this.remainingQty == null) {
+    this.remainingQty = this.quantity;
+  }
+  next();
+});
+
+module.exports = mongoose.model('MaterialLot', materialLotSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const moldSchema = new mongoose.Schema({
+  moldId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  partNumber: {
+    type: String,
+    trim: true
+  },
+  cavities: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  // Minimum clamp force in tons
+  requiredTonnage: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Total shot weight in grams (all cavities plus runner)
+  shotWeight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Standard cycle time in seconds
+  standardCycleTime: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['available', 'in_use', 'maintenance', 'retired'],
+    default: 'available'
+  },
+  manufacturer: String,
+  location: String,
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Mold', moldSchema);
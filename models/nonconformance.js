@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { dispositions } = require('../config/nonconformances');
+
+// Nonconformance report (NCR) opened for a quality check that resulted in
+// Fail or Hold. Its suspect parts are dispositioned, the disposition is
+// approved by a quality manager, and the NCR is closed once carried out
+// (services/nonconformance.js).
+const nonconformanceSchema = new mongoose.Schema({
+  ncrNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // One NCR per check
+  qualityCheckId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QualityCheck',
+    required: true,
+    unique: true
+  },
+  productionRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductionRun',
+    required: true
+  },
+  machineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Machine',
+    required: true
+  },
+  partNumber: String,
+  // Result of the check that opened the NCR
+  result: {
+    type: String,
+    enum: ['Fail', 'Hold'],
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  // Suspect parts to disposition
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'pending_approval', 'approved', 'closed'],
+    default: 'open'
+  },
+  // Whether opening the NCR paused the run
+  runPaused: {
+    type: Boolean,
+    default: false
+  },
+  dispositions: [{
+    disposition: {
+      type: String,
+      enum: Object.keys(dispositions),
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Scrap only: defect code for the run's scrap entry
+    defectCode: String,
+    // Return to supplier only: the lot going back
+    materialLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaterialLot'
+    },
+    notes: {
+      type: String,
+      maxlength: 500
+    }
+  }],
+  openedBy: String,
+  approvedBy: String,
+  approvedAt: Date,
+  closedBy: String,
+  closedAt: Date,
+  // How the carried-out disposition was verified
+  closureNotes: {
+    type: String,
+    maxlength: 1000
+  },
+  // Status changes made through the workflow endpoints
+  history: [{
+    action: {
+      type: String,
+      enum: ['submit', 'approve', 'reject', 'close'],
+      required: true
+    },
+    from: String,
+    to: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    user: String,
+    reason: {
+      type: String,
+      maxlength: 1000
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+nonconformanceSchema.index({ status: 1, createdAt: -1 });
+nonconformanceSchema.index({ productionRunId: 1 });
+
+module.exports = mongoose.model('Nonconformance', nonconformanceSchema);
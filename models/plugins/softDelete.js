@@ -0,0 +1,34 @@
+// Soft delete: deleting sets deletedAt/deletedBy and keeps the document.
+// Queries leave deleted documents out unless they set the includeDeleted
+// option (query.setOptions({ includeDeleted: true })) or filter on deletedAt
+// themselves.
+const QUERIES = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany'
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: String
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERIES, function () {
+    if (this.getOptions().includeDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+};
+
+module.exports = softDelete;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const productionRunSchema = new mongoose.Schema({
   runId: { 
@@ -11,6 +12,17 @@ const productionRunSchema = new mongoose.Schema({
     ref: 'Machine', 
     required: true 
   },
+  moldId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mold',
+    default: null
+  },
+  // Approved recipe version with the process setpoints for the run
+  recipeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    default: null
+  },
   partNumber: { 
     type: String, 
     required: true 
@@ -33,6 +45,12 @@ const productionRunSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Parts scrapped out of actualQty; the sum of the scrap entries
+  rejectQty: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   status: {
     type: String,
     enum: ['scheduled', 'running', 'completed', 'paused', 'cancelled'],
@@ -43,9 +61,100 @@ const productionRunSchema = new mongoose.Schema({
     default: Date.now 
   },
   endTime: Date,
-  operator: String
+  // Planned slot on the machine (services/schedule.js); unset for unscheduled runs
+  plannedStart: {
+    type: Date,
+    default: null
+  },
+  plannedEnd: {
+    type: Date,
+    default: null
+  },
+  // Employee running the run; must qualify under config/operators.js
+  operator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
+  // Resin lots consumed by the run, for recall traceability
+  materialLots: [{
+    lotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaterialLot',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    recordedBy: String
+  }],
+  // Rejected parts by defect code, recorded through POST /production-runs/{id}/scrap
+  scrap: [{
+    defectCode: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    recordedBy: String
+  }],
+  // Status changes made through the lifecycle endpoints
+  transitions: [{
+    action: {
+      type: String,
+      enum: ['start', 'pause', 'resume', 'complete', 'cancel'],
+      required: true
+    },
+    from: String,
+    to: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    user: String,
+    reason: {
+      type: String,
+      maxlength: 500
+    }
+  }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+productionRunSchema.virtual('goodQty').get(function () {
+  return Math.max(0, (this.actualQty || 0) - (this.rejectQty || 0));
 });
 
+productionRunSchema.index({ 'materialLots.lotId': 1 });
+productionRunSchema.index({ 'scrap.recordedAt': 1 });
+productionRunSchema.index({ machineId: 1, plannedStart: 1 });
+productionRunSchema.index({ operator: 1, startTime: 1 });
+
+// Only one run may be running on a machine at any time
+productionRunSchema.index(
+  { machineId: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+
+productionRunSchema.plugin(softDelete);
+
 module.exports = mongoose.model('ProductionRun', productionRunSchema);
\ No newline at end of file
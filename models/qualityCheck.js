@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Nominal with plus/minus limits, or explicit min/max bounds
+const toleranceSchema = new mongoose.Schema({
+  nominal: Number,
+  plus: { type: Number, min: 0 },
+  minus: { type: Number, min: 0 },
+  min: Number,
+  max: Number,
+  unit: String
+}, { _id: false });
 
 const qualityCheckSchema = new mongoose.Schema({
   checkId: { 
@@ -41,8 +52,9 @@ const qualityCheckSchema = new mongoose.Schema({
     parameter: String,
     value: Number,
     unit: String,
-    tolerance: String,
+    tolerance: toleranceSchema,
     actualValue: Number,
+    // Evaluated server-side from actualValue (or value) against the tolerance
     status: {
       type: String,
       enum: ['Within', 'Out of Spec']
@@ -68,4 +80,6 @@ const qualityCheckSchema = new mongoose.Schema({
   timestamps: true
 });
 
+qualityCheckSchema.plugin(softDelete);
+
 module.exports = mongoose.model('QualityCheck', qualityCheckSchema);
\ No newline at end of file
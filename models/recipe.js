@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Process setpoints of a recipe version
+const parametersSchema = new mongoose.Schema({
+  // Barrel zone temperatures in °C, from the feed throat to the nozzle
+  barrelZones: {
+    type: [{ type: Number, min: 0 }],
+    validate: {
+      validator: zones => zones.length > 0,
+      message: 'At least one barrel zone temperature is required'
+    }
+  },
+  // bar
+  injectionPressure: { type: Number, required: true, min: 0 },
+  // mm/s
+  injectionSpeed: { type: Number, required: true, min: 0 },
+  // bar
+  holdPressure: { type: Number, required: true, min: 0 },
+  // seconds
+  holdTime: { type: Number, required: true, min: 0 },
+  // seconds
+  coolingTime: { type: Number, required: true, min: 0 },
+  // °C
+  moldTemperature: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// One version of the approved process for a part on a mold and machine.
+// Versions of the same recipe share a recipeId; only drafts can be edited.
+const recipeSchema = new mongoose.Schema({
+  recipeId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  partNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  moldId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mold',
+    required: true
+  },
+  machineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Machine',
+    required: true
+  },
+  parameters: {
+    type: parametersSchema,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'superseded'],
+    default: 'draft'
+  },
+  // What changed compared to the version it was derived from
+  changeNote: {
+    type: String,
+    maxlength: 500
+  },
+  basedOnVersion: Number,
+  createdBy: String,
+  approvedBy: String,
+  approvedAt: Date,
+  supersededAt: Date
+}, {
+  timestamps: true
+});
+
+recipeSchema.index({ recipeId: 1, version: 1 }, { unique: true });
+recipeSchema.index({ partNumber: 1, moldId: 1, machineId: 1, status: 1 });
+
+module.exports = mongoose.model('Recipe', recipeSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { events } = require('../config/webhooks');
+
+// An outbound webhook subscription: events of the listed types (optionally
+// only for some machines) are POSTed to `url`, signed with `secret`.
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'url must be an http(s) URL']
+  },
+  events: {
+    type: [{ type: String, enum: Object.keys(events) }],
+    validate: [types => types.length > 0, 'Subscribe to at least one event']
+  },
+  // Only events for these machines; empty for all machines
+  machineIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Machine'
+  }],
+  // HMAC key for the X-Webhook-Signature header; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  secretRotatedAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
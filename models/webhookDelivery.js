@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook, with every attempt made to deliver it.
+// Pending deliveries are retried at nextAttemptAt; a delivery fails for good
+// once it runs out of attempts (config/webhooks.js).
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // ID of the live event (services/events.js) that caused the delivery
+  eventId: String,
+  // The JSON body that is POSTed
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastResponseCode: Number,
+  deliveredAt: Date,
+  attempts: [{
+    at: Date,
+    // HTTP status of the response; null when no response was received
+    responseCode: Number,
+    error: String,
+    durationMs: Number,
+    // Attempts requested through the redeliver endpoint
+    manual: Boolean,
+    requestedBy: String
+  }]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
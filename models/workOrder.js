@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Maintenance work generated from a plan when it falls due. While a work
+// order is in progress its machine is in maintenance.
+const workOrderSchema = new mongoose.Schema({
+  workOrderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenancePlan',
+    required: true
+  },
+  machineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Machine',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'completed'],
+    default: 'open'
+  },
+  // True while open or in progress; a plan has at most one active work order
+  active: {
+    type: Boolean,
+    default: true
+  },
+  tasks: [String],
+  // What made the plan due
+  dueAt: Date,
+  dueShots: Number,
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  startedBy: String,
+  // Machine status before the work started, restored on completion
+  machineStatusBefore: String,
+  completedAt: Date,
+  completedBy: String,
+  notes: {
+    type: String,
+    maxlength: 2000
+  },
+  partsUsed: [{
+    partNumber: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+workOrderSchema.index({ planId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+workOrderSchema.index({ machineId: 1, status: 1 });
+
+module.exports = mongoose.model('WorkOrder', workOrderSchema);
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const { getAuditEntries } = require('../controllers/audit');
+
+// Sortable fields and default order for the list endpoint
+const paginateAudit = paginate({
+  sortFields: ['timestamp', 'entity', 'user', 'action'],
+  defaultSort: { timestamp: -1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         entity:
+ *           type: string
+ *           enum: [Machine, ProductionRun, QualityCheck, Employee, Mold, Material, MaterialLot, Recipe, MaintenancePlan, WorkOrder, Webhook, Nonconformance]
+ *         entityId:
+ *           type: string
+ *           description: MongoDB ID of the changed document
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *           description: delete is a soft delete; purge removes a deleted record permanently
+ *         changes:
+ *           type: array
+ *           description: Changed fields; nested fields use dotted paths. Creates have a null before, purges a null after.
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         user:
+ *           type: string
+ *           description: Email of the user who made the change
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         entity: "ProductionRun"
+ *         entityId: "507f1f77bcf86cd799439033"
+ *         action: "update"
+ *         changes:
+ *           - { field: "targetQty", before: 5000, after: 6500 }
+ *         user: "planner@example.com"
+ *         timestamp: "2024-01-15T09:12:00.000Z"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Who changed what, and when
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Get audit entries
+ *     description: Every create, update, delete, restore and purge made through the API, newest first by default.
+ *     tags: [Audit]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [Machine, ProductionRun, QualityCheck, Employee, Mold, Material, MaterialLot, Recipe, MaintenancePlan, WorkOrder, Webhook, Nonconformance]
+ *       - in: query
+ *         name: id
+ *         schema:
+ *           type: string
+ *         description: MongoDB ID of the changed document
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Email of the user who made the change
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of audit entries
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         description: Invalid entity, ID or date range, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('audit:read'), paginateAudit, getAuditEntries);
+
+module.exports = router;
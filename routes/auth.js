@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const passport = require('passport');
+const { resolveEmployee } = require('../middleware/auth');
+const { permissionsFor } = require('../config/permissions');
 
 /**
  * @swagger
@@ -204,16 +206,25 @@ router.get('/logout', (req, res) => {
  * /auth/status:
  *   get:
  *     summary: Check authentication status
- *     description: Returns current authentication status
+ *     description: Returns current authentication status, the linked employee record and its permissions
  *     tags: [Authentication]
  *     responses:
  *       200:
  *         description: Authentication status
  */
-router.get('/status', (req, res) => {
+router.get('/status', async (req, res) => {
   const isAuth = req.isAuthenticated();
   console.log('📊 Status check - Authenticated:', isAuth);
   
+  let employee = null;
+  if (isAuth) {
+    try {
+      employee = await resolveEmployee(req);
+    } catch (error) {
+      console.error('Error resolving employee:', error);
+    }
+  }
+  
   res.json({
     authenticated: isAuth,
     user: isAuth ? {
@@ -222,6 +233,14 @@ router.get('/status', (req, res) => {
       email: req.user.emails?.[0]?.value,
       provider: req.user.provider
     } : null,
+    employee: employee ? {
+      id: employee._id,
+      employeeId: employee.employeeId,
+      role: employee.role,
+      department: employee.department,
+      active: employee.active
+    } : null,
+    permissions: permissionsFor(employee),
     timestamp: new Date().toISOString(),
     sessionId: req.sessionID,
     sessionExists: !!req.session
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate, pageOf, sendPage } = require('../middleware/pagination');
+const DowntimeEvent = require('../models/downtimeEvent');
+const { reasons } = require('../config/downtimeReasons');
+
+// Sortable fields and default order for the list endpoints
+const paginateEvents = paginate({
+  sortFields: ['startTime', 'endTime', 'reasonCode', 'status'],
+  defaultSort: { startTime: -1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DowntimeEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         machineId:
+ *           type: string
+ *           description: Reference to machine MongoDB ID
+ *         status:
+ *           type: string
+ *           enum: [down, maintenance]
+ *           description: Machine status that opened the event
+ *         reasonCode:
+ *           type: string
+ *           description: Downtime reason code
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           description: Empty while the machine is still down
+ *         openedBy:
+ *           type: string
+ *         closedBy:
+ *           type: string
+ *       example:
+ *         machineId: "507f1f77bcf86cd799439011"
+ *         status: "down"
+ *         reasonCode: "breakdown"
+ *         notes: "Hydraulic leak on clamp unit"
+ *         startTime: "2024-01-15T10:12:00Z"
+ *         endTime: "2024-01-15T11:40:00Z"
+ *         openedBy: "supervisor@company.com"
+ *         closedBy: "technician@company.com"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Downtime
+ *   description: Machine downtime events
+ */
+
+/**
+ * @swagger
+ * /downtime:
+ *   get:
+ *     summary: Get downtime events
+ *     description: Events are opened and closed automatically by machine status changes (PUT /machines/{id}).
+ *     tags: [Downtime]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *         description: Filter by machine MongoDB ID
+ *       - in: query
+ *         name: reasonCode
+ *         schema:
+ *           type: string
+ *         description: Filter by reason code
+ *       - in: query
+ *         name: open
+ *         schema:
+ *           type: boolean
+ *         description: Only open (true) or closed (false) events
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of downtime events, newest first
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DowntimeEvent'
+ *       400:
+ *         description: Invalid machine ID format, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('downtime:read'), paginateEvents, async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.machineId) {
+      if (!req.query.machineId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          error: 'Invalid ID format',
+          message: 'Please provide a valid MongoDB ID (24 character hex string)'
+        });
+      }
+      filter.machineId = req.query.machineId;
+    }
+
+    if (req.query.reasonCode) {
+      filter.reasonCode = req.query.reasonCode;
+    }
+
+    if (req.query.open === 'true') {
+      filter.endTime = null;
+    } else if (req.query.open === 'false') {
+      filter.endTime = { $ne: null };
+    }
+
+    const [events, total] = await Promise.all([
+      pageOf(DowntimeEvent.find(filter), req.pagination)
+        .populate('machineId', 'name machineId status'),
+      DowntimeEvent.countDocuments(filter)
+    ]);
+
+    sendPage(req, res, events, total);
+  } catch (error) {
+    console.error('Error fetching downtime events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch downtime events',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /downtime/reasons:
+ *   get:
+ *     summary: Get downtime reason codes
+ *     description: Configured with defaults and extended through the DOWNTIME_REASONS environment variable.
+ *     tags: [Downtime]
+ *     security:
+ *       - OAuth2: []
+ *     responses:
+ *       200:
+ *         description: Reason codes and their descriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/reasons', isAuthenticated, requirePermission('downtime:read'), (req, res) => {
+  res.status(200).json(
+    Object.entries(reasons).map(([code, description]) => ({ code, description }))
+  );
+});
+
+module.exports = router;
@@ -1,6 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { isAuthenticated } = require('../middleware/auth');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const { normalizeLegacyEmployee } = require('../middleware/legacyEmployee');
+const { importBody } = require('../middleware/import');
+const {
+  getAllEmployees,
+  getEmployeeById,
+  createEmployee,
+  importEmployees,
+  updateEmployee,
+  deleteEmployee,
+  getEmployeesByDepartment,
+  getActiveEmployees
+} = require('../controllers/employees');
+
+// Sortable fields and default order for the list endpoints
+const paginateEmployees = paginate({
+  sortFields: ['employeeId', 'lastName', 'firstName', 'department', 'role', 'hireDate', 'createdAt'],
+  defaultSort: { lastName: 1, firstName: 1 }
+});
 
 /**
  * @swagger
@@ -10,8 +29,11 @@ const { isAuthenticated } = require('../middleware/auth');
  *       type: object
  *       required:
  *         - employeeId
- *         - name
+ *         - firstName
+ *         - lastName
  *         - email
+ *         - department
+ *         - role
  *       properties:
  *         _id:
  *           type: string
@@ -19,70 +41,103 @@ const { isAuthenticated } = require('../middleware/auth');
  *         employeeId:
  *           type: string
  *           description: Unique employee identifier
+ *         firstName:
+ *           type: string
+ *           minLength: 2
+ *           description: Employee first name
+ *         lastName:
+ *           type: string
+ *           minLength: 2
+ *           description: Employee last name
  *         name:
  *           type: string
- *           description: Employee full name
+ *           readOnly: true
+ *           deprecated: true
+ *           description: Full name derived from firstName and lastName, kept in responses for legacy clients; cannot be set
  *         email:
  *           type: string
  *           description: Employee email
+ *         phone:
+ *           type: string
+ *           description: Employee phone number
  *         department:
  *           type: string
+ *           enum: [Production, Quality, Maintenance, Shipping, Administration]
  *           description: Department name
- *         position:
+ *         role:
  *           type: string
- *           description: Job position
+ *           enum: [Operator, Supervisor, Manager, Technician, Inspector, Administrator]
+ *           description: Job role
  *         hireDate:
  *           type: string
  *           format: date
  *           description: Hire date
+ *         shift:
+ *           type: string
+ *           default: Morning
+ *           description: Assigned shift. New assignments must be one of the configured shifts (SHIFTS) or Flexible; stored shifts stay valid when the calendar changes
+ *         active:
+ *           type: boolean
+ *           default: true
+ *           description: Whether the employee is currently active
+ *         assignedMachine:
+ *           type: string
+ *           description: Reference to the machine the employee is assigned to
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *       example:
+ *         employeeId: "EMP-001"
+ *         firstName: "John"
+ *         lastName: "Doe"
+ *         email: "john.doe@company.com"
+ *         department: "Production"
+ *         role: "Operator"
+ *         hireDate: "2023-01-15"
+ *         shift: "Morning"
+ *         active: true
+ *     LegacyEmployee:
+ *       type: object
+ *       deprecated: true
+ *       description: >
+ *         Deprecated payload shape. Still accepted on POST and PUT and mapped onto
+ *         the Employee schema: name is split into firstName/lastName, position is
+ *         matched to a role and status becomes active (active → true, on_leave and
+ *         terminated → false).
+ *       properties:
+ *         employeeId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         department:
+ *           type: string
+ *         position:
+ *           type: string
  *         status:
  *           type: string
  *           enum: [active, on_leave, terminated]
- *           default: active
- *           description: Employment status
  *       example:
  *         employeeId: "EMP-001"
  *         name: "John Doe"
  *         email: "john.doe@company.com"
  *         department: "Production"
  *         position: "Machine Operator"
- *         hireDate: "2023-01-15"
  *         status: "active"
  */
 
-// In-memory data store for testing (replace with MongoDB model later)
-let employees = [
-  {
-    id: '1',
-    employeeId: 'EMP-001',
-    name: 'John Doe',
-    email: 'john@example.com',
-    department: 'Production',
-    position: 'Operator',
-    hireDate: '2023-01-15',
-    status: 'active'
-  },
-  {
-    id: '2',
-    employeeId: 'EMP-002',
-    name: 'Jane Smith',
-    email: 'jane@example.com',
-    department: 'Quality',
-    position: 'Inspector',
-    hireDate: '2023-02-20',
-    status: 'active'
-  },
-  {
-    id: '3',
-    employeeId: 'EMP-003',
-    name: 'Bob Johnson',
-    email: 'bob@example.com',
-    department: 'Maintenance',
-    position: 'Technician',
-    hireDate: '2022-11-10',
-    status: 'on_leave'
-  }
-];
+/**
+ * @swagger
+ * tags:
+ *   name: Employees
+ *   description: Employee management endpoints
+ */
 
 /**
  * @swagger
@@ -92,31 +147,34 @@ let employees = [
  *     tags: [Employees]
  *     security:
  *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
  *     responses:
  *       200:
  *         description: List of all employees
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Employee'
+ *       400:
+ *         description: Invalid pagination or sort parameters
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.get('/', isAuthenticated, async (req, res) => {
-  try {
-    res.json(employees);
-  } catch (error) {
-    console.error('Error fetching employees:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch employees',
-      message: error.message 
-    });
-  }
-});
+router.get('/', isAuthenticated, requirePermission('employees:read'), paginateEmployees, getAllEmployees);
 
 /**
  * @swagger
@@ -126,32 +184,78 @@ router.get('/', isAuthenticated, async (req, res) => {
  *     tags: [Employees]
  *     security:
  *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
  *     responses:
  *       200:
  *         description: List of active employees
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Employee'
+ *       400:
+ *         description: Invalid pagination or sort parameters
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.get('/active', isAuthenticated, async (req, res) => {
-  try {
-    const activeEmployees = employees.filter(emp => emp.status === 'active');
-    res.json(activeEmployees);
-  } catch (error) {
-    console.error('Error fetching active employees:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch active employees',
-      message: error.message 
-    });
-  }
-});
+router.get('/active', isAuthenticated, requirePermission('employees:read'), paginateEmployees, getActiveEmployees);
+
+/**
+ * @swagger
+ * /employees/department/{department}:
+ *   get:
+ *     summary: Get employees by department
+ *     tags: [Employees]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: department
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Production, Quality, Maintenance, Shipping, Administration]
+ *         description: Department to filter by
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of employees in the department
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Employee'
+ *       400:
+ *         description: Invalid department, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/department/:department', isAuthenticated, requirePermission('employees:read'), paginateEmployees, getEmployeesByDepartment);
 
 /**
  * @swagger
@@ -167,7 +271,7 @@ router.get('/active', isAuthenticated, async (req, res) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: Employee ID or employeeId
+ *         description: Employee MongoDB ID or employeeId
  *     responses:
  *       200:
  *         description: Employee data
@@ -175,48 +279,16 @@ router.get('/active', isAuthenticated, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Employee'
- *       400:
- *         description: Invalid ID
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Employee not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', isAuthenticated, async (req, res) => {
-  try {
-    const id = req.params.id;
-    
-    // Check for empty ID
-    if (!id || id.trim() === '') {
-      return res.status(400).json({ 
-        error: 'Invalid ID',
-        message: 'Employee ID cannot be empty' 
-      });
-    }
-    
-    // Find employee by ID or employeeId
-    const employee = employees.find(emp => 
-      emp.id === id || emp.employeeId === id
-    );
-    
-    if (!employee) {
-      return res.status(404).json({ 
-        error: 'Employee not found',
-        message: `No employee found with ID: ${id}` 
-      });
-    }
-    
-    res.json(employee);
-  } catch (error) {
-    console.error('Error fetching employee:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch employee',
-      message: error.message 
-    });
-  }
-});
+router.get('/:id', isAuthenticated, requirePermission('employees:read'), getEmployeeById);
 
 /**
  * @swagger
@@ -231,79 +303,79 @@ router.get('/:id', isAuthenticated, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Employee'
+ *             oneOf:
+ *               - $ref: '#/components/schemas/Employee'
+ *               - $ref: '#/components/schemas/LegacyEmployee'
  *     responses:
  *       201:
  *         description: Employee created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Employee'
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error or duplicate entry
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.post('/', isAuthenticated, async (req, res) => {
-  try {
-    const { employeeId, name, email } = req.body;
-    
-    // Validate required fields
-    if (!employeeId || !name || !email) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        required: ['employeeId', 'name', 'email'],
-        received: { employeeId, name, email }
-      });
-    }
-    
-    // Check if employeeId already exists
-    const existingEmployee = employees.find(emp => emp.employeeId === employeeId);
-    if (existingEmployee) {
-      return res.status(400).json({ 
-        error: 'Duplicate employee ID',
-        message: `Employee with ID ${employeeId} already exists` 
-      });
-    }
-    
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ 
-        error: 'Invalid email format',
-        message: 'Please provide a valid email address' 
-      });
-    }
-    
-    // Validate status if provided
-    if (req.body.status && !['active', 'on_leave', 'terminated'].includes(req.body.status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status',
-        message: 'Status must be one of: active, on_leave, terminated' 
-      });
-    }
-    
-    // Create new employee
-    const newEmployee = {
-      id: (employees.length + 1).toString(),
-      employeeId,
-      name,
-      email,
-      department: req.body.department || '',
-      position: req.body.position || '',
-      hireDate: req.body.hireDate || new Date().toISOString().split('T')[0],
-      status: req.body.status || 'active'
-    };
-    
-    employees.push(newEmployee);
-    
-    res.status(201).json(newEmployee);
-  } catch (error) {
-    console.error('Error creating employee:', error);
-    res.status(500).json({ 
-      error: 'Failed to create employee',
-      message: error.message 
-    });
-  }
-});
+router.post('/', isAuthenticated, requirePermission('employees:create'), normalizeLegacyEmployee, createEmployee);
+
+/**
+ * @swagger
+ * /employees/import:
+ *   post:
+ *     summary: Import employees from a CSV file or JSON array
+ *     description: >
+ *       Each row is checked against the Employee schema; legacy rows ({ name, position, status })
+ *       are mapped like POST /employees. assignedMachine may be a machine MongoDB ID or a machine
+ *       code such as IM-001. employeeId and email must not already exist, in the file or in the database.
+ *     tags: [Employees]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/Partial'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             employeeId,firstName,lastName,email,department,role,shift,assignedMachine
+ *             EMP-101,Maria,Lopez,maria.lopez@example.com,Production,Operator,Morning,IM-001
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Employee'
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       201:
+ *         description: Employees created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Unreadable file, or rows are invalid and nothing was imported (the report lists the errors)
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/import', isAuthenticated, requirePermission('employees:create'), importBody, importEmployees);
 
 /**
  * @swagger
@@ -319,103 +391,34 @@ router.post('/', isAuthenticated, async (req, res) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: Employee ID or employeeId
+ *         description: Employee MongoDB ID or employeeId
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Employee'
+ *             oneOf:
+ *               - $ref: '#/components/schemas/Employee'
+ *               - $ref: '#/components/schemas/LegacyEmployee'
  *     responses:
  *       200:
  *         description: Employee updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Employee'
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error or duplicate entry
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Employee not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', isAuthenticated, async (req, res) => {
-  try {
-    const id = req.params.id;
-    
-    // Check for empty ID
-    if (!id || id.trim() === '') {
-      return res.status(400).json({ 
-        error: 'Invalid ID',
-        message: 'Employee ID cannot be empty' 
-      });
-    }
-    
-    // Find employee by ID or employeeId
-    const index = employees.findIndex(emp => 
-      emp.id === id || emp.employeeId === id
-    );
-    
-    if (index === -1) {
-      return res.status(404).json({ 
-        error: 'Employee not found',
-        message: `No employee found with ID: ${id}` 
-      });
-    }
-    
-    const { employeeId, name, email, status } = req.body;
-    const employee = employees[index];
-    
-    // Validate required fields if provided
-    if (employeeId && employeeId !== employee.employeeId) {
-      // Check if new employeeId already exists
-      const existingEmployee = employees.find(emp => 
-        emp.employeeId === employeeId && emp.id !== employee.id
-      );
-      if (existingEmployee) {
-        return res.status(400).json({ 
-          error: 'Duplicate employee ID',
-          message: `Employee with ID ${employeeId} already exists` 
-        });
-      }
-    }
-    
-    // Validate email format if provided
-    if (email) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({ 
-          error: 'Invalid email format',
-          message: 'Please provide a valid email address' 
-        });
-      }
-    }
-    
-    // Validate status if provided
-    if (status && !['active', 'on_leave', 'terminated'].includes(status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status',
-        message: 'Status must be one of: active, on_leave, terminated' 
-      });
-    }
-    
-    // Update employee (merge existing with new data)
-    employees[index] = {
-      ...employee,
-      ...req.body,
-      // Preserve ID if not explicitly changed
-      id: employee.id,
-      employeeId: employeeId || employee.employeeId
-    };
-    
-    res.json(employees[index]);
-  } catch (error) {
-    console.error('Error updating employee:', error);
-    res.status(500).json({ 
-      error: 'Failed to update employee',
-      message: error.message 
-    });
-  }
-});
+router.put('/:id', isAuthenticated, requirePermission('employees:update'), normalizeLegacyEmployee, updateEmployee);
 
 /**
  * @swagger
@@ -431,60 +434,25 @@ router.put('/:id', isAuthenticated, async (req, res) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: Employee ID or employeeId
+ *         description: Employee MongoDB ID or employeeId
  *     responses:
  *       200:
  *         description: Employee deleted successfully
- *       400:
- *         description: Invalid ID
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Employee not found
+ *       409:
+ *         description: Quality checks still reference the employee
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeleteBlocked'
  *       500:
  *         description: Server error
  */
-router.delete('/:id', isAuthenticated, async (req, res) => {
-  try {
-    const id = req.params.id;
-    
-    // Check for empty ID
-    if (!id || id.trim() === '') {
-      return res.status(400).json({ 
-        error: 'Invalid ID',
-        message: 'Employee ID cannot be empty' 
-      });
-    }
-    
-    // Find employee index by ID or employeeId
-    const index = employees.findIndex(emp => 
-      emp.id === id || emp.employeeId === id
-    );
-    
-    if (index === -1) {
-      return res.status(404).json({ 
-        error: 'Employee not found',
-        message: `No employee found with ID: ${id}` 
-      });
-    }
-    
-    // Store deleted employee for response
-    const deletedEmployee = employees[index];
-    
-    // Remove employee from array
-    employees.splice(index, 1);
-    
-    res.json({ 
-      message: 'Employee deleted successfully',
-      employee: deletedEmployee 
-    });
-  } catch (error) {
-    console.error('Error deleting employee:', error);
-    res.status(500).json({ 
-      error: 'Failed to delete employee',
-      message: error.message 
-    });
-  }
-});
+router.delete('/:id', isAuthenticated, requirePermission('employees:delete'), deleteEmployee);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
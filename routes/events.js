@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { heartbeatSeconds, retryMs } = require('../config/events');
+const { EVENT_TYPES, subscribe, eventsAfter, lastEventId } = require('../services/events');
+const Machine = require('../models/machine');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Live shop-floor events
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LiveEvent:
+ *       type: object
+ *       description: >
+ *         Sent as a Server-Sent Event: `id` is the event ID, `event` the type and `data` this object as JSON.
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: lx3k9a2b-42
+ *         type:
+ *           type: string
+ *           enum: [machine.status, run.status, run.progress, qualityCheck.flagged]
+ *         machineId:
+ *           type: string
+ *           nullable: true
+ *           description: MongoDB ID of the machine the event concerns
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         data:
+ *           type: object
+ *           description: >
+ *             machine.status - machine, status, previousStatus, reasonCode;
+ *             run.status - run, status, action, previousStatus and quantities;
+ *             run.progress - run, status, targetQty, actualQty, rejectQty;
+ *             qualityCheck.flagged - check, result (Fail or Hold), previousResult, run, defectsFound
+ */
+
+// Event types selected by ?types=: full types, or groups such as "run"
+const parseTypes = (types) => {
+  if (!types) return { types: Object.keys(EVENT_TYPES) };
+
+  const selected = new Set();
+  const unknown = [];
+  String(types).split(',').map(type => type.trim()).filter(Boolean).forEach(type => {
+    const matching = Object.keys(EVENT_TYPES).filter(known => known === type || known.startsWith(`${type}.`));
+    if (matching.length === 0) unknown.push(type);
+    matching.forEach(known => selected.add(known));
+  });
+
+  if (unknown.length > 0) {
+    return { error: `Unknown event type: ${unknown.join(', ')}. Known types: ${Object.keys(EVENT_TYPES).join(', ')}` };
+  }
+  return { types: [...selected] };
+};
+
+// Machines selected by ?machine=: MongoDB IDs or machine codes such as IM-001
+const parseMachines = async (machine) => {
+  if (!machine) return { machines: null };
+
+  const values = String(machine).split(',').map(value => value.trim()).filter(Boolean);
+  const codes = values.filter(value => !/^[0-9a-fA-F]{24}$/.test(value));
+  const found = codes.length > 0 ? await Machine.find({ machineId: { $in: codes } }, 'machineId') : [];
+  const missing = codes.filter(code => !found.some(entry => entry.machineId === code));
+  if (missing.length > 0) {
+    return { error: `No machine found with machineId: ${missing.join(', ')}` };
+  }
+
+  return {
+    machines: [
+      ...values.filter(value => /^[0-9a-fA-F]{24}$/.test(value)),
+      ...found.map(entry => String(entry._id))
+    ]
+  };
+};
+
+const formatEvent = event => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Stream live shop-floor events
+ *     description: >
+ *       A Server-Sent Events stream (use EventSource in the browser) of machine status changes,
+ *       production run status transitions and progress, and quality checks that failed or were put on hold.
+ *       Event types the user has no read permission for are left out. A comment line is sent when the
+ *       stream is idle to keep it open. Reconnecting clients send Last-Event-ID (EventSource does this
+ *       on its own) to receive the events they missed; when those are no longer kept, a `resync` event
+ *       tells the client to reload its data.
+ *     tags: [Events]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Comma-separated event types (machine.status, run.status, run.progress, qualityCheck.flagged)
+ *           or groups (machine, run, qualityCheck). Defaults to all.
+ *       - in: query
+ *         name: machine
+ *         schema:
+ *           type: string
+ *         description: Only events for these machines - comma-separated MongoDB IDs or machine codes (e.g. IM-001)
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received; events published since then are replayed first
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as the Last-Event-ID header, for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/LiveEvent'
+ *       400:
+ *         description: Unknown event type
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission for every requested event type
+ *       404:
+ *         description: Machine not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('machines:read'), async (req, res) => {
+  try {
+    const { types: requested, error: typeError } = parseTypes(req.query.types);
+    if (typeError) {
+      return res.status(400).json({
+        error: 'Invalid event type',
+        message: typeError
+      });
+    }
+
+    const types = requested.filter(type => hasPermission(req.employee, EVENT_TYPES[type]));
+    if (types.length === 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Missing read permission for the requested event types',
+        permissions: [...new Set(requested.map(type => EVENT_TYPES[type]))]
+      });
+    }
+
+    const { machines, error: machineError } = await parseMachines(req.query.machine);
+    if (machineError) {
+      return res.status(404).json({
+        error: 'Machine not found',
+        message: machineError
+      });
+    }
+
+    const matches = event => types.includes(event.type) && (!machines || machines.includes(event.machineId));
+    const send = event => res.write(formatEvent(event));
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${retryMs}\n\n`);
+
+    // Replay what a reconnecting client missed before going live
+    const resumeFrom = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (resumeFrom) {
+      const { events, gap } = eventsAfter(resumeFrom);
+      if (gap) {
+        res.write(`id: ${lastEventId()}\nevent: resync\ndata: ${JSON.stringify({ message: 'Events were missed; reload the current state' })}\n\n`);
+      } else {
+        events.filter(matches).forEach(send);
+      }
+    }
+
+    const unsubscribe = subscribe(event => {
+      if (matches(event)) send(event);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatSeconds * 1000);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    res.status(500).json({
+      error: 'Failed to open event stream',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
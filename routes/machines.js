@@ -1,6 +1,38 @@
 const express = require('express');
 const router = express.Router();
+const { isAuthenticated, requirePermission, machineKeyOrPermission, allowIncludeDeleted } = require('../middleware/auth');
+const { paginate, pageOf, sendPage } = require('../middleware/pagination');
+const { exportable, sendExport } = require('../middleware/export');
+const { importBody, sendImportReport } = require('../middleware/import');
 const Machine = require('../models/machine');
+const MachineCycle = require('../models/machineCycle');
+const Mold = require('../models/mold');
+const { calculateOee, loadRunsAndChecks, parseWindow } = require('../services/oee');
+const { requiresReason, recordStatusChange } = require('../services/downtime');
+const { recordAudit } = require('../services/audit');
+const { softDeleteFieldsProblem, restoreById, purgeById } = require('../services/softDelete');
+const { CASCADE_POLICIES, findReferences, describeReferences, deleteWithReferences } = require('../services/references');
+const { reasons, isValidReason } = require('../config/downtimeReasons');
+const { MAX_BATCH, parseCycles, ingestCycles } = require('../services/cycles');
+const { plannedDuration, parseScheduleWindow, machineSchedule, nextAvailableSlot } = require('../services/schedule');
+const { importRows } = require('../services/import');
+
+// Sortable fields and default order for the list endpoints
+const paginateMachines = paginate({
+  sortFields: ['machineId', 'name', 'status', 'tonnage', 'location', 'createdAt'],
+  defaultSort: { machineId: 1 }
+});
+
+// Columns of the CSV/Excel export of the machine list
+const MACHINE_COLUMNS = [
+  'machineId', 'name', 'model', 'manufacturer', 'tonnage', 'shotSize', 'status',
+  'location', 'shotCount', 'createdAt', 'updatedAt', 'deletedAt'
+];
+
+const paginateCycles = paginate({
+  sortFields: ['sequence', 'timestamp', 'cycleTime'],
+  defaultSort: { sequence: -1 }
+});
 
 /**
  * @swagger
@@ -48,6 +80,18 @@ const Machine = require('../models/machine');
  *           type: string
  *           maxLength: 500
  *           description: Additional operator notes
+ *         shotCount:
+ *           type: integer
+ *           readOnly: true
+ *           description: Cycles reported through POST /machines/{id}/cycles; drives shot-based maintenance plans
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Set when the machine was deleted; deleted machines are hidden unless includeDeleted=true
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
  *       example:
  *         machineId: "IM-001"
  *         name: "Toshiba 350T"
@@ -66,22 +110,56 @@ const Machine = require('../models/machine');
  *   get:
  *     summary: Get all machines
  *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Format'
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
  *     responses:
  *       200:
  *         description: List of all machines
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Machine'
+ *           text/csv:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *       400:
+ *         description: Invalid pagination or sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', isAuthenticated, requirePermission('machines:read'), allowIncludeDeleted, paginateMachines, exportable, async (req, res) => {
   try {
-    const machines = await Machine.find();
-    res.status(200).json(machines);
+    const options = { includeDeleted: req.includeDeleted };
+    if (req.exportFormat) {
+      const cursor = Machine.find({}, null, options).sort(req.pagination.sort).cursor();
+      return sendExport(req, res, cursor, MACHINE_COLUMNS, 'machines');
+    }
+    
+    const [machines, total] = await Promise.all([
+      pageOf(Machine.find({}, null, options), req.pagination),
+      Machine.countDocuments({}, options)
+    ]);
+    sendPage(req, res, machines, total);
   } catch (error) {
     console.error('Error fetching machines:', error);
     res.status(500).json({ 
@@ -97,6 +175,8 @@ router.get('/', async (req, res) => {
  *   get:
  *     summary: Get machine by ID
  *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -104,6 +184,7 @@ router.get('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: Machine MongoDB ID
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Machine data
@@ -113,12 +194,16 @@ router.get('/', async (req, res) => {
  *               $ref: '#/components/schemas/Machine'
  *       400:
  *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Machine not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', isAuthenticated, requirePermission('machines:read'), allowIncludeDeleted, async (req, res) => {
   try {
     // Validate MongoDB ID format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -128,7 +213,7 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    const machine = await Machine.findById(req.params.id);
+    const machine = await Machine.findById(req.params.id, null, { includeDeleted: req.includeDeleted });
     if (!machine) {
       return res.status(404).json({ 
         error: 'Machine not found',
@@ -147,97 +232,118 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @swagger
- * /machines:
- *   post:
- *     summary: Create a new machine
+ * /machines/{id}/oee:
+ *   get:
+ *     summary: Get Overall Equipment Effectiveness for a machine
+ *     description: >
+ *       Computes availability, performance and quality for the machine over a date range
+ *       from its production runs and their quality checks.
  *     tags: [Machines]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Machine'
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Machine MongoDB ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (defaults to 7 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (defaults to now)
+ *       - in: query
+ *         name: partNumber
+ *         schema:
+ *           type: string
+ *         description: Only include runs for this part number
+ *       - in: query
+ *         name: idealCycleTime
+ *         schema:
+ *           type: number
+ *         description: Ideal seconds per part. Defaults to the mold's standard cycle time / cavities; without either, performance is measured against target quantity.
  *     responses:
- *       201:
- *         description: Machine created successfully
+ *       200:
+ *         description: OEE figures for the machine
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Machine'
+ *               $ref: '#/components/schemas/OeeResult'
  *       400:
- *         description: Bad request - validation error
+ *         description: Invalid ID format or query parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Machine not found
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.get('/:id/oee', isAuthenticated, requirePermission('machines:read'), async (req, res) => {
   try {
-    const { machineId, name } = req.body;
-    
-    // Validate required fields
-    if (!machineId || !name) {
-      const missingFields = [];
-      if (!machineId) missingFields.push('machineId');
-      if (!name) missingFields.push('name');
-      
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ 
-        error: 'Missing required fields',
-        missing: missingFields,
-        required: ['machineId', 'name'],
-        received: { machineId, name }
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
       });
     }
     
-    // Validate machineId format (alphanumeric with hyphens)
-    const machineIdRegex = /^[A-Z0-9-]+$/;
-    if (!machineIdRegex.test(machineId)) {
+    const { window, error } = parseWindow(req.query);
+    if (error) {
       return res.status(400).json({ 
-        error: 'Invalid machine ID format',
-        message: 'Machine ID must contain only uppercase letters, numbers, and hyphens'
+        error: 'Invalid date range',
+        message: error
       });
     }
     
-    // Validate name length
-    if (name.length < 2) {
+    const idealCycleTime = req.query.idealCycleTime ? Number(req.query.idealCycleTime) : undefined;
+    if (idealCycleTime !== undefined && !(idealCycleTime > 0)) {
       return res.status(400).json({ 
-        error: 'Invalid machine name',
-        message: 'Machine name must be at least 2 characters long'
+        error: 'Invalid ideal cycle time',
+        message: 'Ideal cycle time must be a positive number of seconds'
       });
     }
     
-    // Validate status if provided
-    if (req.body.status && !['operational', 'maintenance', 'down', 'idle'].includes(req.body.status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status',
-        message: 'Status must be one of: operational, maintenance, down, idle'
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) {
+      return res.status(404).json({ 
+        error: 'Machine not found',
+        message: `No machine found with ID: ${req.params.id}` 
       });
     }
     
-    const machine = new Machine(req.body);
-    await machine.save();
-    res.status(201).json(machine);
-  } catch (error) {
-    console.error('Error creating machine:', error);
-    
-    if (error.code === 11000) {
-      return res.status(400).json({ 
-        error: 'Duplicate entry',
-        message: 'Machine ID already exists',
-        field: error.keyValue
-      });
+    const filter = { machineId: machine._id };
+    if (req.query.partNumber) {
+      filter.partNumber = req.query.partNumber;
     }
     
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ 
-        error: 'Validation failed',
-        details: Object.values(error.errors).map(err => ({
-          field: err.path,
-          message: err.message
-        }))
-      });
-    }
+    const { runs, checks, downtime } = await loadRunsAndChecks(filter, window);
     
+    res.status(200).json({
+      machine: {
+        id: machine._id,
+        machineId: machine.machineId,
+        name: machine.name,
+        status: machine.status
+      },
+      from: window.from,
+      to: window.to,
+      ...calculateOee(runs, checks, window, { idealCycleTime, downtime })
+    });
+  } catch (error) {
+    console.error('Error calculating machine OEE:', error);
     res.status(500).json({ 
-      error: 'Failed to create machine',
+      error: 'Failed to calculate OEE',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -245,10 +351,17 @@ router.post('/', async (req, res) => {
 
 /**
  * @swagger
- * /machines/{id}:
- *   put:
- *     summary: Update a machine
+ * /machines/{id}/schedule:
+ *   get:
+ *     summary: Get the machine's schedule timeline
+ *     description: >
+ *       Gantt-style timeline of the production runs planned on the machine in a date range, one bar per run
+ *       in start order. Runs without a planned slot are placed from their startTime, and running or paused runs
+ *       extend to now when they overrun their planned end. Cancelled and unscheduled runs are left out. Each bar
+ *       lists the active runs it overlaps, which can only happen for runs planned before conflicts were checked.
  *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -256,27 +369,89 @@ router.post('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: Machine MongoDB ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Machine'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (defaults to now)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (defaults to 7 days after from)
  *     responses:
  *       200:
- *         description: Machine updated successfully
+ *         description: Planned runs overlapping the window
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Machine'
+ *               type: object
+ *               properties:
+ *                 machine:
+ *                   type: object
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScheduleBar'
  *       400:
- *         description: Bad request - validation error
+ *         description: Invalid ID format or date range
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Machine not found
  *       500:
  *         description: Server error
+ *
+ * components:
+ *   schemas:
+ *     ScheduleBar:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         runId:
+ *           type: string
+ *         partNumber:
+ *           type: string
+ *         partName:
+ *           type: string
+ *         status:
+ *           type: string
+ *         targetQty:
+ *           type: number
+ *         actualQty:
+ *           type: number
+ *         plannedStart:
+ *           type: string
+ *           format: date-time
+ *         plannedEnd:
+ *           type: string
+ *           format: date-time
+ *         actualStart:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         actualEnd:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: runIds of active runs whose planned slot overlaps this one
  */
-router.put('/:id', async (req, res) => {
+router.get('/:id/schedule', isAuthenticated, requirePermission('machines:read'), async (req, res) => {
   try {
     // Validate MongoDB ID format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -286,51 +461,15 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // Validate request body is not empty
-    if (Object.keys(req.body).length === 0) {
-      return res.status(400).json({ 
-        error: 'Empty request body',
-        message: 'No data provided for update' 
-      });
-    }
-    
-    // Validate machineId format if being updated
-    if (req.body.machineId) {
-      const machineIdRegex = /^[A-Z0-9-]+$/;
-      if (!machineIdRegex.test(req.body.machineId)) {
-        return res.status(400).json({ 
-          error: 'Invalid machine ID format',
-          message: 'Machine ID must contain only uppercase letters, numbers, and hyphens'
-        });
-      }
-    }
-    
-    // Validate name if being updated
-    if (req.body.name && req.body.name.length < 2) {
-      return res.status(400).json({ 
-        error: 'Invalid machine name',
-        message: 'Machine name must be at least 2 characters long'
-      });
-    }
-    
-    // Validate status if provided
-    if (req.body.status && !['operational', 'maintenance', 'down', 'idle'].includes(req.body.status)) {
+    const { window, error } = parseScheduleWindow(req.query);
+    if (error) {
       return res.status(400).json({ 
-        error: 'Invalid status',
-        message: 'Status must be one of: operational, maintenance, down, idle'
+        error: 'Invalid date range',
+        message: error
       });
     }
     
-    const machine = await Machine.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { 
-        new: true, 
-        runValidators: true,
-        context: 'query'
-      }
-    );
-    
+    const machine = await Machine.findById(req.params.id);
     if (!machine) {
       return res.status(404).json({ 
         error: 'Machine not found',
@@ -338,30 +477,21 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    res.status(200).json(machine);
+    res.status(200).json({
+      machine: {
+        id: machine._id,
+        machineId: machine.machineId,
+        name: machine.name,
+        status: machine.status
+      },
+      from: window.from,
+      to: window.to,
+      runs: await machineSchedule(machine._id, window)
+    });
   } catch (error) {
-    console.error('Error updating machine:', error);
-    
-    if (error.code === 11000) {
-      return res.status(400).json({ 
-        error: 'Duplicate entry',
-        message: 'Machine ID already exists',
-        field: error.keyValue
-      });
-    }
-    
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ 
-        error: 'Validation failed',
-        details: Object.values(error.errors).map(err => ({
-          field: err.path,
-          message: err.message
-        }))
-      });
-    }
-    
-    res.status(400).json({ 
-      error: 'Failed to update machine',
+    console.error('Error fetching machine schedule:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch schedule',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -369,10 +499,17 @@ router.put('/:id', async (req, res) => {
 
 /**
  * @swagger
- * /machines/{id}:
- *   delete:
- *     summary: Delete a machine
+ * /machines/{id}/next-slot:
+ *   get:
+ *     summary: Find the next available slot on a machine
+ *     description: >
+ *       Earliest slot at or after `after` that does not overlap a scheduled, running or paused run. Runs without a
+ *       planned slot occupy the machine from their startTime, and running or paused runs at least until now.
+ *       Give the length either as `duration` in minutes or as `targetQty` and `moldId`, in which case it is derived
+ *       from the mold's standard cycle time.
  *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -380,17 +517,58 @@ router.put('/:id', async (req, res) => {
  *           type: string
  *         required: true
  *         description: Machine MongoDB ID
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: number
+ *         description: Slot length in minutes
+ *       - in: query
+ *         name: targetQty
+ *         schema:
+ *           type: integer
+ *         description: Parts to produce (with moldId, instead of duration)
+ *       - in: query
+ *         name: moldId
+ *         schema:
+ *           type: string
+ *         description: Mold MongoDB ID (with targetQty, instead of duration)
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest acceptable start (defaults to now)
  *     responses:
  *       200:
- *         description: Machine deleted successfully
+ *         description: The next free slot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 machine:
+ *                   type: object
+ *                 plannedStart:
+ *                   type: string
+ *                   format: date-time
+ *                 plannedEnd:
+ *                   type: string
+ *                   format: date-time
+ *                 duration:
+ *                   type: number
+ *                   description: Slot length in minutes
  *       400:
- *         description: Invalid ID format
+ *         description: Invalid ID format, missing or invalid duration, or the mold has no standard cycle time
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
- *         description: Machine not found
+ *         description: Machine or mold not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/next-slot', isAuthenticated, requirePermission('machines:read'), async (req, res) => {
   try {
     // Validate MongoDB ID format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -400,8 +578,23 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    const machine = await Machine.findByIdAndDelete(req.params.id);
+    const after = req.query.after ? new Date(req.query.after) : new Date();
+    if (isNaN(after)) {
+      return res.status(400).json({ 
+        error: 'Invalid date',
+        message: 'after must be a valid ISO 8601 date'
+      });
+    }
+    
+    const { duration: minutes, targetQty, moldId } = req.query;
+    if (minutes === undefined && (targetQty === undefined || moldId === undefined)) {
+      return res.status(400).json({ 
+        error: 'Missing duration',
+        message: 'Provide duration in minutes, or targetQty and moldId'
+      });
+    }
     
+    const machine = await Machine.findById(req.params.id);
     if (!machine) {
       return res.status(404).json({ 
         error: 'Machine not found',
@@ -409,18 +602,1097 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    res.status(200).json({ 
-      message: 'Machine deleted successfully',
-      deletedMachine: {
+    let duration;
+    if (minutes !== undefined) {
+      if (!(Number(minutes) > 0)) {
+        return res.status(400).json({ 
+          error: 'Invalid duration',
+          message: 'duration must be a positive number of minutes'
+        });
+      }
+      duration = Number(minutes) * 60 * 1000;
+    } else {
+      if (!moldId.match(/^[0-9a-fA-F]{24}$/) || !(Number(targetQty) > 0)) {
+        return res.status(400).json({ 
+          error: 'Invalid duration',
+          message: 'targetQty must be a positive number and moldId a valid MongoDB ID'
+        });
+      }
+      const mold = await Mold.findById(moldId);
+      if (!mold) {
+        return res.status(404).json({ 
+          error: 'Mold not found',
+          message: `No mold found with ID: ${moldId}`
+        });
+      }
+      duration = plannedDuration(Number(targetQty), mold);
+      if (!duration) {
+        return res.status(400).json({ 
+          error: 'Invalid duration',
+          message: `Mold ${mold.moldId} has no standard cycle time; provide duration instead`
+        });
+      }
+    }
+    
+    const slot = await nextAvailableSlot(machine._id, duration, after);
+    res.status(200).json({
+      machine: {
         id: machine._id,
         machineId: machine.machineId,
         name: machine.name
-      }
+      },
+      plannedStart: slot.start,
+      plannedEnd: slot.end,
+      duration: duration / 60000
     });
   } catch (error) {
-    console.error('Error deleting machine:', error);
+    console.error('Error finding next available slot:', error);
     res.status(500).json({ 
-      error: 'Failed to delete machine',
+      error: 'Failed to find next available slot',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /machines/{id}/cycles:
+ *   post:
+ *     summary: Report machine cycles
+ *     description: |
+ *       Machine-facing endpoint for batches of shot counter readings and cycle times.
+ *       Each cycle is identified by the machine's sequence number; cycles already received
+ *       are skipped, so a batch can safely be sent again. Every new cycle adds the mold's
+ *       cavities (1 without a mold) to actualQty of the run that was running on the machine at
+ *       the cycle's timestamp, so late batches are counted on the run that made the parts.
+ *       Cycles while no run was running (for example while a run is paused) are stored without
+ *       a run.
+ *       New cycles also raise the machine's shotCount, which drives shot-based maintenance plans.
+ *       Shop-floor gateways may authenticate with the X-Machine-Key header instead of a login.
+ *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *       - MachineKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Machine MongoDB ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cycles
+ *             properties:
+ *               cycles:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - sequence
+ *                   properties:
+ *                     sequence:
+ *                       type: integer
+ *                       minimum: 0
+ *                       description: Cycle sequence number assigned by the machine
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the cycle finished (defaults to the time received)
+ *                     cycleTime:
+ *                       type: number
+ *                       description: Cycle time in seconds
+ *                     shotCounter:
+ *                       type: integer
+ *                       description: Machine shot counter reading after the cycle
+ *           example:
+ *             cycles:
+ *               - { sequence: 1041, timestamp: "2024-01-15T10:00:31Z", cycleTime: 31.2, shotCounter: 884120 }
+ *               - { sequence: 1042, timestamp: "2024-01-15T10:01:02Z", cycleTime: 30.9, shotCounter: 884121 }
+ *     responses:
+ *       200:
+ *         description: Every cycle in the batch had already been received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CycleIngestResult'
+ *       201:
+ *         description: New cycles stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CycleIngestResult'
+ *       400:
+ *         description: Invalid ID format or invalid cycles
+ *       401:
+ *         description: Unauthorized - Authentication required, or invalid machine key
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Machine not found
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: Raw cycle history of a machine
+ *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Machine MongoDB ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only cycles at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only cycles at or before this time
+ *       - in: query
+ *         name: runId
+ *         schema:
+ *           type: string
+ *         description: Only cycles counted on this production run (MongoDB ID)
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: Cycles, newest sequence first by default
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MachineCycle'
+ *       400:
+ *         description: Invalid ID format, date range or pagination parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Machine not found
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   securitySchemes:
+ *     MachineKey:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Machine-Key
+ *   schemas:
+ *     MachineCycle:
+ *       type: object
+ *       properties:
+ *         machineId:
+ *           type: string
+ *         sequence:
+ *           type: integer
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         cycleTime:
+ *           type: number
+ *         shotCounter:
+ *           type: integer
+ *         runId:
+ *           type: string
+ *           nullable: true
+ *           description: Production run the cycle was counted on
+ *         partsProduced:
+ *           type: integer
+ *           description: Parts added to the run's actualQty
+ *     CycleRunCount:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         runId:
+ *           type: string
+ *         actualQty:
+ *           type: integer
+ *         targetQty:
+ *           type: integer
+ *         partsPerShot:
+ *           type: integer
+ *         partsAdded:
+ *           type: integer
+ *           description: Parts this batch added to the run
+ *     CycleIngestResult:
+ *       type: object
+ *       properties:
+ *         received:
+ *           type: integer
+ *           description: Distinct sequence numbers in the batch
+ *         accepted:
+ *           type: integer
+ *           description: Cycles stored by this request
+ *         duplicates:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Sequence numbers that had already been received
+ *         partsAdded:
+ *           type: integer
+ *         run:
+ *           nullable: true
+ *           description: The run the latest cycle was counted on
+ *           allOf:
+ *             - $ref: '#/components/schemas/CycleRunCount'
+ *         runs:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CycleRunCount'
+ *           description: Every run cycles of the batch were counted on
+ *         workOrders:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Numbers of maintenance work orders generated because shot-based plans fell due
+ */
+router.post('/:id/cycles', machineKeyOrPermission('machines:cycles'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const { cycles, errors } = parseCycles(req.body?.cycles);
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid cycles',
+        message: `Provide up to ${MAX_BATCH} cycles, each with a sequence number`,
+        details: errors
+      });
+    }
+    
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) {
+      return res.status(404).json({ 
+        error: 'Machine not found',
+        message: `No machine found with ID: ${req.params.id}` 
+      });
+    }
+    
+    const result = await ingestCycles(machine, cycles);
+    
+    res.status(result.accepted > 0 ? 201 : 200).json({
+      machine: {
+        id: machine._id,
+        machineId: machine.machineId,
+        name: machine.name
+      },
+      ...result
+    });
+  } catch (error) {
+    console.error('Error ingesting machine cycles:', error);
+    res.status(500).json({ 
+      error: 'Failed to ingest cycles',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/:id/cycles', isAuthenticated, requirePermission('machines:read'), paginateCycles, async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const filter = { machineId: req.params.id };
+    
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from > to)) {
+      return res.status(400).json({ 
+        error: 'Invalid date range',
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+    
+    if (req.query.runId) {
+      if (!req.query.runId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ 
+          error: 'Invalid ID format',
+          message: 'runId must be a valid MongoDB ID (24 character hex string)'
+        });
+      }
+      filter.runId = req.query.runId;
+    }
+    
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) {
+      return res.status(404).json({ 
+        error: 'Machine not found',
+        message: `No machine found with ID: ${req.params.id}` 
+      });
+    }
+    
+    const [cycles, total] = await Promise.all([
+      pageOf(MachineCycle.find(filter), req.pagination),
+      MachineCycle.countDocuments(filter)
+    ]);
+    sendPage(req, res, cycles, total);
+  } catch (error) {
+    console.error('Error fetching machine cycles:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch cycles',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Going down or into maintenance requires a valid reason code
+const reasonCodeProblem = (previousStatus, status, reasonCode) => {
+  if (!requiresReason(previousStatus, status)) {
+    return null;
+  }
+  
+  if (!reasonCode) {
+    return {
+      status: 400,
+      body: {
+        error: 'Missing reason code',
+        message: `A reasonCode is required to set a machine to ${status}`,
+        reasonCodes: Object.keys(reasons)
+      }
+    };
+  }
+  
+  if (!isValidReason(reasonCode)) {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid reason code',
+        message: `Reason code must be one of: ${Object.keys(reasons).join(', ')}`
+      }
+    };
+  }
+  
+  return null;
+};
+
+// Field checks for a new machine, shared by POST /machines and the import.
+// Returns { status, body } for the first problem found, or null.
+const checkNewMachine = (fields) => {
+  const { machineId, name } = fields;
+  
+  const softDeleteProblem = softDeleteFieldsProblem(fields);
+  if (softDeleteProblem) {
+    return softDeleteProblem;
+  }
+  
+  // Validate required fields
+  if (!machineId || !name) {
+    const missingFields = [];
+    if (!machineId) missingFields.push('machineId');
+    if (!name) missingFields.push('name');
+    
+    return {
+      status: 400,
+      body: {
+        error: 'Missing required fields',
+        missing: missingFields,
+        required: ['machineId', 'name'],
+        received: { machineId, name }
+      }
+    };
+  }
+  
+  // Validate machineId format (alphanumeric with hyphens)
+  const machineIdRegex = /^[A-Z0-9-]+$/;
+  if (!machineIdRegex.test(machineId)) {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid machine ID format',
+        message: 'Machine ID must contain only uppercase letters, numbers, and hyphens'
+      }
+    };
+  }
+  
+  // Validate name length
+  if (name.length < 2) {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid machine name',
+        message: 'Machine name must be at least 2 characters long'
+      }
+    };
+  }
+  
+  // Validate status if provided
+  if (fields.status && !['operational', 'maintenance', 'down', 'idle'].includes(fields.status)) {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid status',
+        message: 'Status must be one of: operational, maintenance, down, idle'
+      }
+    };
+  }
+  
+  return reasonCodeProblem(null, fields.status, fields.reasonCode);
+};
+
+/**
+ * @swagger
+ * /machines:
+ *   post:
+ *     summary: Create a new machine
+ *     description: >
+ *       Creating a machine down or in maintenance opens a downtime event and requires a reasonCode
+ *       (see GET /downtime/reasons).
+ *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Machine'
+ *               - type: object
+ *                 properties:
+ *                   reasonCode:
+ *                     type: string
+ *                     description: Downtime reason code, required when status is down or maintenance
+ *                   downtimeNotes:
+ *                     type: string
+ *                     maxLength: 500
+ *                     description: Notes stored on the downtime event
+ *     responses:
+ *       201:
+ *         description: Machine created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Machine'
+ *       400:
+ *         description: Bad request - validation error, or missing/invalid reason code
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/', isAuthenticated, requirePermission('machines:create'), async (req, res) => {
+  try {
+    const invalid = checkNewMachine(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
+    }
+    
+    const { shotCount, reasonCode, downtimeNotes, ...fields } = req.body;
+    const machine = new Machine(fields);
+    await machine.save();
+    await recordAudit('Machine', 'create', { after: machine, user: req.user });
+    
+    // Machines created down or in maintenance start with an open downtime event
+    if (requiresReason(null, machine.status)) {
+      await recordStatusChange(machine, null, {
+        reasonCode,
+        notes: downtimeNotes,
+        user: req.user
+      });
+    }
+    res.status(201).json(machine);
+  } catch (error) {
+    console.error('Error creating machine:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        error: 'Duplicate entry',
+        message: 'Machine ID already exists',
+        field: error.keyValue
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Failed to create machine',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /machines/import:
+ *   post:
+ *     summary: Import machines from a CSV file or JSON array
+ *     description: >
+ *       Each row is checked like POST /machines and against the Machine schema. CSV files
+ *       have a header row of field names; empty cells are left out. machineId must not
+ *       already exist, in the file or in the database. Rows that are down or in maintenance
+ *       need a reasonCode (and may have downtimeNotes) and open a downtime event.
+ *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/Partial'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             machineId,name,manufacturer,tonnage,location
+ *             IM-010,Engel Victory 200,Engel,200,Hall B
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Machine'
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       201:
+ *         description: Machines created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Unreadable file, or rows are invalid and nothing was imported (the report lists the errors)
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/import', isAuthenticated, requirePermission('machines:create'), importBody, async (req, res) => {
+  try {
+    const report = await importRows('Machine', Machine, req.importRows, {
+      ...req.importOptions,
+      key: 'machineId',
+      validate: async (row) => {
+        const invalid = checkNewMachine(row);
+        if (invalid) return { error: invalid };
+        const { shotCount, reasonCode, downtimeNotes, ...fields } = row;
+        return { fields };
+      }
+    });
+    
+    // Open downtime events for machines imported down or in maintenance, like POST /machines
+    for (const { row, id } of report.created) {
+      const { reasonCode, downtimeNotes, ...fields } = req.importRows[row - 1];
+      if (requiresReason(null, fields.status)) {
+        await recordStatusChange({ ...fields, _id: id }, null, {
+          reasonCode,
+          notes: downtimeNotes,
+          user: req.user
+        });
+      }
+    }
+    sendImportReport(res, report);
+  } catch (error) {
+    console.error('Error importing machines:', error);
+    res.status(500).json({ 
+      error: 'Failed to import machines',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /machines/{id}:
+ *   put:
+ *     summary: Update a machine
+ *     description: >
+ *       Setting status to down or maintenance opens a downtime event and requires a reasonCode
+ *       (see GET /downtime/reasons). Returning to operational or idle closes the open event.
+ *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Machine MongoDB ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Machine'
+ *               - type: object
+ *                 properties:
+ *                   reasonCode:
+ *                     type: string
+ *                     description: Downtime reason code, required when status changes to down or maintenance
+ *                   downtimeNotes:
+ *                     type: string
+ *                     maxLength: 500
+ *                     description: Notes stored on the downtime event
+ *     responses:
+ *       200:
+ *         description: Machine updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Machine'
+ *       400:
+ *         description: Bad request - validation error, or missing/invalid reason code
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Machine not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', isAuthenticated, requirePermission('machines:update'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    // Validate request body is not empty
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({ 
+        error: 'Empty request body',
+        message: 'No data provided for update' 
+      });
+    }
+    
+    // Validate machineId format if being updated
+    if (req.body.machineId) {
+      const machineIdRegex = /^[A-Z0-9-]+$/;
+      if (!machineIdRegex.test(req.body.machineId)) {
+        return res.status(400).json({ 
+          error: 'Invalid machine ID format',
+          message: 'Machine ID must contain only uppercase letters, numbers, and hyphens'
+        });
+      }
+    }
+    
+    // Validate name if being updated
+    if (req.body.name && req.body.name.length < 2) {
+      return res.status(400).json({ 
+        error: 'Invalid machine name',
+        message: 'Machine name must be at least 2 characters long'
+      });
+    }
+    
+    // Validate status if provided
+    if (req.body.status && !['operational', 'maintenance', 'down', 'idle'].includes(req.body.status)) {
+      return res.status(400).json({ 
+        error: 'Invalid status',
+        message: 'Status must be one of: operational, maintenance, down, idle'
+      });
+    }
+    
+    // Machines are only deleted through DELETE /machines/{id}
+    const softDeleteProblem = softDeleteFieldsProblem(req.body);
+    if (softDeleteProblem) {
+      return res.status(softDeleteProblem.status).json(softDeleteProblem.body);
+    }
+    
+    // The shot count only grows through reported cycles
+    if (req.body.shotCount !== undefined) {
+      return res.status(400).json({ 
+        error: 'Invalid update',
+        message: 'Shot count cannot be updated directly'
+      });
+    }
+    
+    // Downtime reason and notes are recorded on the downtime event, not the machine
+    const { reasonCode, downtimeNotes, ...updates } = req.body;
+    
+    const existing = await Machine.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ 
+        error: 'Machine not found',
+        message: `No machine found with ID: ${req.params.id}` 
+      });
+    }
+    
+    // Going down or into maintenance requires a reason code
+    let previousStatus = null;
+    if (req.body.status) {
+      previousStatus = existing.status;
+      
+      const invalid = reasonCodeProblem(previousStatus, req.body.status, reasonCode);
+      if (invalid) {
+        return res.status(invalid.status).json(invalid.body);
+      }
+    }
+    
+    const machine = await Machine.findByIdAndUpdate(
+      req.params.id,
+      updates,
+      { 
+        new: true, 
+        runValidators: true,
+        context: 'query'
+      }
+    );
+    
+    if (!machine) {
+      return res.status(404).json({ 
+        error: 'Machine not found',
+        message: `No machine found with ID: ${req.params.id}` 
+      });
+    }
+    
+    if (previousStatus) {
+      await recordStatusChange(machine, previousStatus, {
+        reasonCode,
+        notes: downtimeNotes,
+        user: req.user
+      });
+    }
+    
+    await recordAudit('Machine', 'update', { before: existing, after: machine, user: req.user });
+    res.status(200).json(machine);
+  } catch (error) {
+    console.error('Error updating machine:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        error: 'Duplicate entry',
+        message: 'Machine ID already exists',
+        field: error.keyValue
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    
+    res.status(400).json({ 
+      error: 'Failed to update machine',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /machines/{id}:
+ *   delete:
+ *     summary: Delete a machine
+ *     description: |
+ *       Soft delete. The machine is hidden from normal queries and can be restored with POST /machines/{id}/restore.
+ *       Production runs, quality checks and employees assigned to the machine block the delete unless a cascade
+ *       policy is given: `unassign` clears employee assignments, `delete` also deletes the machine's runs and
+ *       checks. Cascades run in a single transaction. Nonconformances (NCRs), recipes and maintenance plans for the
+ *       machine always block the delete. Work orders, downtime events, cycles and webhook filters are history: they
+ *       keep pointing at the deleted machine and only block a purge.
+ *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Machine MongoDB ID
+ *       - $ref: '#/components/parameters/Cascade'
+ *     responses:
+ *       200:
+ *         description: Machine deleted successfully; `cascaded` counts the dependent records unassigned or deleted with it
+ *       400:
+ *         description: Invalid ID format or cascade policy
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Machine not found
+ *       409:
+ *         description: Other records still reference the machine
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeleteBlocked'
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', isAuthenticated, requirePermission('machines:delete'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const policy = req.query.cascade;
+    if (policy !== undefined && !CASCADE_POLICIES.includes(policy)) {
+      return res.status(400).json({ 
+        error: 'Invalid cascade policy',
+        message: `cascade must be one of: ${CASCADE_POLICIES.join(', ')}`
+      });
+    }
+    
+    const { blocking, before, after: machine, changes } = await deleteWithReferences('Machine', Machine, req.params.id, {
+      policy,
+      user: req.user
+    });
+    
+    if (blocking) {
+      return res.status(409).json({ 
+        error: 'Delete blocked',
+        message: `Machine is still referenced by ${describeReferences(blocking)}`,
+        references: blocking,
+        cascadePolicies: CASCADE_POLICIES
+      });
+    }
+    
+    if (!machine) {
+      return res.status(404).json({ 
+        error: 'Machine not found',
+        message: `No machine found with ID: ${req.params.id}` 
+      });
+    }
+    
+    await recordAudit('Machine', 'delete', { before, after: machine, user: req.user });
+    for (const change of changes) {
+      await recordAudit(change.entity, change.action, { before: change.before, after: change.after, user: req.user });
+    }
+    res.status(200).json({ 
+      message: 'Machine deleted successfully',
+      deletedMachine: {
+        id: machine._id,
+        machineId: machine.machineId,
+        name: machine.name,
+        deletedAt: machine.deletedAt,
+        deletedBy: machine.deletedBy
+      },
+      cascaded: changes.length
+    });
+  } catch (error) {
+    console.error('Error deleting machine:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete machine',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /machines/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted machine
+ *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Machine MongoDB ID
+ *     responses:
+ *       200:
+ *         description: Machine restored
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Machine not found
+ *       409:
+ *         description: Machine is not deleted
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', isAuthenticated, requirePermission('deleted:restore'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const { before, after: machine } = await restoreById(Machine, req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ 
+        error: 'Machine not found',
+        message: `No machine found with ID: ${req.params.id}` 
+      });
+    }
+    
+    if (!machine) {
+      return res.status(409).json({ 
+        error: 'Not deleted',
+        message: `Machine ${before.machineId} is not deleted`
+      });
+    }
+    
+    await recordAudit('Machine', 'restore', { before, after: machine, user: req.user });
+    res.status(200).json({ 
+      message: 'Machine restored successfully',
+      machine
+    });
+  } catch (error) {
+    console.error('Error restoring machine:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore machine',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /machines/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a machine
+ *     description: Removes a deleted machine for good. Administrators only; the machine must be deleted first.
+ *     tags: [Machines]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Machine MongoDB ID
+ *     responses:
+ *       200:
+ *         description: Machine permanently deleted
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Machine not found
+ *       409:
+ *         description: Machine is not deleted, or other records (deleted or not) still reference it
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/purge', isAuthenticated, requirePermission('deleted:purge'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    // Purging cannot be undone, so even deleted dependents block it
+    const references = await findReferences('Machine', req.params.id, { includeDeleted: true });
+    if (references.length > 0) {
+      return res.status(409).json({ 
+        error: 'Purge blocked',
+        message: `Machine is still referenced by ${describeReferences(references)}`,
+        references
+      });
+    }
+    
+    const { before, purged: machine } = await purgeById(Machine, req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ 
+        error: 'Machine not found',
+        message: `No machine found with ID: ${req.params.id}` 
+      });
+    }
+    
+    if (!machine) {
+      return res.status(409).json({ 
+        error: 'Not deleted',
+        message: `Delete machine ${before.machineId} before purging it`
+      });
+    }
+    
+    await recordAudit('Machine', 'purge', { before: machine, user: req.user });
+    res.status(200).json({ 
+      message: 'Machine permanently deleted',
+      purgedMachine: {
+        id: machine._id,
+        machineId: machine.machineId,
+        name: machine.name
+      }
+    });
+  } catch (error) {
+    console.error('Error purging machine:', error);
+    res.status(500).json({ 
+      error: 'Failed to purge machine',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -0,0 +1,554 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  getAllPlans,
+  getPlanById,
+  createPlan,
+  updatePlan,
+  getAllWorkOrders,
+  getWorkOrderById,
+  startWorkOrder,
+  completeWorkOrder,
+  checkPlans,
+  getOverdue
+} = require('../controllers/maintenance');
+
+// Sortable fields and default order for the list endpoints
+const paginatePlans = paginate({
+  sortFields: ['planId', 'name', 'triggerType', 'lastServicedAt', 'createdAt'],
+  defaultSort: { planId: 1 }
+});
+
+const paginateWorkOrders = paginate({
+  sortFields: ['workOrderNumber', 'status', 'dueAt', 'generatedAt', 'completedAt'],
+  defaultSort: { generatedAt: -1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MaintenancePlan:
+ *       type: object
+ *       required:
+ *         - planId
+ *         - machineId
+ *         - name
+ *         - triggerType
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         planId:
+ *           type: string
+ *           description: Unique plan identifier
+ *         machineId:
+ *           type: string
+ *           description: Reference to machine MongoDB ID
+ *         name:
+ *           type: string
+ *         tasks:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Checklist copied onto every work order
+ *         triggerType:
+ *           type: string
+ *           enum: [calendar, shots]
+ *           description: Due every intervalDays days, or every intervalShots machine cycles, since the last service
+ *         intervalDays:
+ *           type: integer
+ *           minimum: 1
+ *         intervalShots:
+ *           type: integer
+ *           minimum: 1
+ *         active:
+ *           type: boolean
+ *           default: true
+ *         lastServicedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the last work order was completed (defaults to when the plan was created)
+ *         lastServicedShots:
+ *           type: integer
+ *           description: Machine shot count at the last service (defaults to the machine's current count)
+ *       example:
+ *         planId: "PM-IM001-HYD"
+ *         machineId: "507f1f77bcf86cd799439011"
+ *         name: "Hydraulic oil and filter check"
+ *         tasks: ["Check oil level", "Replace return filter", "Inspect hoses for leaks"]
+ *         triggerType: "shots"
+ *         intervalShots: 250000
+ *     WorkOrder:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         workOrderNumber:
+ *           type: string
+ *           example: "PM-IM001-HYD-WO004"
+ *         planId:
+ *           type: string
+ *         machineId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, in_progress, completed]
+ *         tasks:
+ *           type: array
+ *           items:
+ *             type: string
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a calendar plan fell due
+ *         dueShots:
+ *           type: integer
+ *           description: Shot count at which a shot-based plan fell due
+ *         generatedAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         startedBy:
+ *           type: string
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         completedBy:
+ *           type: string
+ *         notes:
+ *           type: string
+ *           maxLength: 2000
+ *         partsUsed:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WorkOrderPart'
+ *     WorkOrderPart:
+ *       type: object
+ *       required:
+ *         - partNumber
+ *         - quantity
+ *       properties:
+ *         partNumber:
+ *           type: string
+ *         description:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Maintenance
+ *   description: Preventive maintenance plans and work orders
+ */
+
+/**
+ * @swagger
+ * /maintenance/overdue:
+ *   get:
+ *     summary: Overdue preventive maintenance
+ *     description: >
+ *       Active plans that are due and have not been serviced, most overdue first (relative to
+ *       the plan's interval), with the work order generated for each, if any.
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *         description: Only plans for this machine (MongoDB ID)
+ *     responses:
+ *       200:
+ *         description: Overdue plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 overdue:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       plan:
+ *                         type: object
+ *                       machine:
+ *                         type: object
+ *                       dueAt:
+ *                         type: string
+ *                         format: date-time
+ *                       overdueDays:
+ *                         type: number
+ *                       dueShots:
+ *                         type: integer
+ *                       shotCount:
+ *                         type: integer
+ *                       overdueShots:
+ *                         type: integer
+ *                       workOrder:
+ *                         type: object
+ *                         nullable: true
+ *       400:
+ *         description: Invalid machine ID
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/overdue', isAuthenticated, requirePermission('maintenance:read'), getOverdue);
+
+/**
+ * @swagger
+ * /maintenance/check:
+ *   post:
+ *     summary: Generate work orders for due plans now
+ *     description: Plans are also checked periodically (MAINTENANCE_CHECK_MINUTES) and shot-based plans whenever cycles are reported. A plan never has more than one open work order.
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     responses:
+ *       200:
+ *         description: Work orders generated by this check
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/check', isAuthenticated, requirePermission('maintenance:plan'), checkPlans);
+
+/**
+ * @swagger
+ * /maintenance/plans:
+ *   get:
+ *     summary: Get all maintenance plans
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: triggerType
+ *         schema:
+ *           type: string
+ *           enum: [calendar, shots]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of maintenance plans
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MaintenancePlan'
+ *       400:
+ *         description: Invalid machine ID or triggerType, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a maintenance plan
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaintenancePlan'
+ *     responses:
+ *       201:
+ *         description: Plan created
+ *       400:
+ *         description: Bad request - validation error, or the interval does not match the trigger
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Machine not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/plans', isAuthenticated, requirePermission('maintenance:read'), paginatePlans, getAllPlans);
+router.post('/plans', isAuthenticated, requirePermission('maintenance:plan'), createPlan);
+
+/**
+ * @swagger
+ * /maintenance/plans/{id}:
+ *   get:
+ *     summary: Get a maintenance plan with its due status
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Plan MongoDB ID or planId
+ *     responses:
+ *       200:
+ *         description: The plan and how far it is from falling due
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plan:
+ *                   $ref: '#/components/schemas/MaintenancePlan'
+ *                 dueStatus:
+ *                   type: object
+ *                   properties:
+ *                     due:
+ *                       type: boolean
+ *                     dueAt:
+ *                       type: string
+ *                       format: date-time
+ *                     remainingDays:
+ *                       type: number
+ *                     dueShots:
+ *                       type: integer
+ *                     remainingShots:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Plan not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update a maintenance plan
+ *     description: Change the name, tasks, trigger or interval, or deactivate the plan. The plan's machine cannot be changed.
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Plan MongoDB ID or planId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaintenancePlan'
+ *     responses:
+ *       200:
+ *         description: Plan updated
+ *       400:
+ *         description: Bad request - validation error or fields that cannot be changed
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Plan not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/plans/:id', isAuthenticated, requirePermission('maintenance:read'), getPlanById);
+router.put('/plans/:id', isAuthenticated, requirePermission('maintenance:plan'), updatePlan);
+
+/**
+ * @swagger
+ * /maintenance/work-orders:
+ *   get:
+ *     summary: Get all work orders
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, in_progress, completed]
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: planId
+ *         schema:
+ *           type: string
+ *         description: Plan MongoDB ID
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of work orders, newest first by default
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WorkOrder'
+ *       400:
+ *         description: Invalid status filter, machine ID or plan ID, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/work-orders', isAuthenticated, requirePermission('maintenance:read'), paginateWorkOrders, getAllWorkOrders);
+
+/**
+ * @swagger
+ * /maintenance/work-orders/{id}:
+ *   get:
+ *     summary: Get a work order
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkOrderId'
+ *     responses:
+ *       200:
+ *         description: Work order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkOrder'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Work order not found
+ *       500:
+ *         description: Server error
+ *
+ * /maintenance/work-orders/{id}/start:
+ *   post:
+ *     summary: Start a work order
+ *     description: Puts the machine into maintenance (opening a planned_maintenance downtime event). Fails while a production run is running on the machine. Technicians only.
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkOrderId'
+ *     responses:
+ *       200:
+ *         description: Work order in progress, machine in maintenance
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Work order or machine not found
+ *       409:
+ *         description: Work order is not open, or a production run is running on the machine
+ *       500:
+ *         description: Server error
+ *
+ * /maintenance/work-orders/{id}/complete:
+ *   post:
+ *     summary: Complete a work order
+ *     description: >
+ *       Records the technician's notes and the parts used, marks the plan serviced (the next
+ *       interval counts from now) and returns the machine to the status it had before the
+ *       work started. Technicians only.
+ *     tags: [Maintenance]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkOrderId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 2000
+ *               partsUsed:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WorkOrderPart'
+ *           example:
+ *             notes: "Oil topped up, return filter replaced, no leaks found"
+ *             partsUsed:
+ *               - { partNumber: "HF-2210", description: "Return filter element", quantity: 1 }
+ *     responses:
+ *       200:
+ *         description: Work order completed
+ *       400:
+ *         description: Missing notes or invalid parts
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Work order not found
+ *       409:
+ *         description: Work order is not in progress
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   parameters:
+ *     WorkOrderId:
+ *       in: path
+ *       name: id
+ *       schema:
+ *         type: string
+ *       required: true
+ *       description: Work order MongoDB ID or workOrderNumber
+ */
+router.get('/work-orders/:id', isAuthenticated, requirePermission('maintenance:read'), getWorkOrderById);
+router.post('/work-orders/:id/start', isAuthenticated, requirePermission('workOrders:work'), startWorkOrder);
+router.post('/work-orders/:id/complete', isAuthenticated, requirePermission('workOrders:work'), completeWorkOrder);
+
+module.exports = router;
@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  getAllMaterialLots,
+  getMaterialLotById,
+  createMaterialLot,
+  updateMaterialLot,
+  getLotGenealogy
+} = require('../controllers/materialLots');
+
+// Sortable fields and default order for the list endpoints
+const paginateLots = paginate({
+  sortFields: ['lotNumber', 'receivedDate', 'expiryDate', 'status', 'remainingQty'],
+  defaultSort: { receivedDate: -1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MaterialLot:
+ *       type: object
+ *       required:
+ *         - lotNumber
+ *         - materialId
+ *         - quantity
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         lotNumber:
+ *           type: string
+ *           description: Unique internal lot number
+ *         materialId:
+ *           type: string
+ *           description: Reference to material MongoDB ID
+ *         supplierLotNumber:
+ *           type: string
+ *           description: Lot number assigned by the supplier
+ *         supplier:
+ *           type: string
+ *           description: Defaults to the material's supplier
+ *         receivedDate:
+ *           type: string
+ *           format: date-time
+ *         expiryDate:
+ *           type: string
+ *           format: date
+ *         quantity:
+ *           type: number
+ *           description: Received quantity in the material's unit
+ *         remainingQty:
+ *           type: number
+ *           description: Quantity not yet consumed by production runs
+ *         status:
+ *           type: string
+ *           enum: [quarantine, released, on_hold, rejected, consumed]
+ *           default: quarantine
+ *           description: Only released lots can be consumed
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *       example:
+ *         lotNumber: "LOT-2024-0142"
+ *         materialId: "65a1b2c3d4e5f67890123460"
+ *         supplierLotNumber: "TR-884512"
+ *         receivedDate: "2024-01-10T09:00:00Z"
+ *         quantity: 1000
+ *         status: "released"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Material Lots
+ *   description: Resin lot receiving and traceability
+ */
+
+/**
+ * @swagger
+ * /material-lots:
+ *   get:
+ *     summary: Get all material lots
+ *     tags: [Material Lots]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: materialId
+ *         schema:
+ *           type: string
+ *         description: Filter by material MongoDB ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [quarantine, released, on_hold, rejected, consumed]
+ *         description: Filter by status
+ *       - in: query
+ *         name: supplierLotNumber
+ *         schema:
+ *           type: string
+ *         description: Find lots by the supplier's lot number (e.g. from a recall notice)
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of material lots, newest first
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MaterialLot'
+ *       400:
+ *         description: Invalid status filter, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('materialLots:read'), paginateLots, getAllMaterialLots);
+
+/**
+ * @swagger
+ * /material-lots/{id}:
+ *   get:
+ *     summary: Get material lot by ID
+ *     tags: [Material Lots]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Lot MongoDB ID or lotNumber
+ *     responses:
+ *       200:
+ *         description: Material lot data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaterialLot'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Material lot not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', isAuthenticated, requirePermission('materialLots:read'), getMaterialLotById);
+
+/**
+ * @swagger
+ * /material-lots/{id}/genealogy:
+ *   get:
+ *     summary: Forward genealogy of a material lot
+ *     description: >
+ *       Every production run that consumed the lot, the machines they ran on and their quality checks.
+ *       Deleted runs, machines and checks are included so a recall reaches every part made from the
+ *       lot; they have deletedAt set.
+ *     tags: [Material Lots]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Lot MongoDB ID or lotNumber
+ *     responses:
+ *       200:
+ *         description: Lot genealogy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lot:
+ *                   $ref: '#/components/schemas/MaterialLot'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     runs:
+ *                       type: integer
+ *                     machines:
+ *                       type: integer
+ *                     partNumbers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     quantityConsumed:
+ *                       type: number
+ *                     partsProduced:
+ *                       type: integer
+ *                     qualityChecks:
+ *                       type: integer
+ *                     failedChecks:
+ *                       type: integer
+ *                     deletedRuns:
+ *                       type: integer
+ *                     deletedChecks:
+ *                       type: integer
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Set when the run was deleted
+ *                 machines:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Machine'
+ *                 qualityChecks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QualityCheck'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Material lot not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/genealogy', isAuthenticated, requirePermission('materialLots:read'), getLotGenealogy);
+
+/**
+ * @swagger
+ * /material-lots:
+ *   post:
+ *     summary: Receive a new material lot
+ *     tags: [Material Lots]
+ *     security:
+ *       - OAuth2: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaterialLot'
+ *     responses:
+ *       201:
+ *         description: Material lot created successfully
+ *       400:
+ *         description: Bad request - validation error, unknown material or duplicate lot number
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/', isAuthenticated, requirePermission('materialLots:create'), createMaterialLot);
+
+/**
+ * @swagger
+ * /material-lots/{id}:
+ *   put:
+ *     summary: Update a material lot
+ *     description: Used to release a lot from quarantine, or to put a suspect lot on hold.
+ *     tags: [Material Lots]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Lot MongoDB ID or lotNumber
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaterialLot'
+ *     responses:
+ *       200:
+ *         description: Material lot updated successfully
+ *       400:
+ *         description: Bad request - validation error or unknown material
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Material lot not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', isAuthenticated, requirePermission('materialLots:update'), updateMaterialLot);
+
+module.exports = router;
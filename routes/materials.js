@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  getAllMaterials,
+  getMaterialById,
+  createMaterial,
+  updateMaterial
+} = require('../controllers/materials');
+
+// Sortable fields and default order for the list endpoints
+const paginateMaterials = paginate({
+  sortFields: ['materialId', 'name', 'resinType', 'supplier'],
+  defaultSort: { materialId: 1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Material:
+ *       type: object
+ *       required:
+ *         - materialId
+ *         - name
+ *         - resinType
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         materialId:
+ *           type: string
+ *           description: Unique material identifier
+ *         name:
+ *           type: string
+ *           description: Material name
+ *         resinType:
+ *           type: string
+ *           description: Polymer family (ABS, PP, PC, PA66...)
+ *         grade:
+ *           type: string
+ *           description: Supplier grade
+ *         supplier:
+ *           type: string
+ *         color:
+ *           type: string
+ *         unit:
+ *           type: string
+ *           enum: [kg, lb]
+ *           default: kg
+ *         active:
+ *           type: boolean
+ *           default: true
+ *       example:
+ *         materialId: "MAT-ABS-001"
+ *         name: "ABS natural"
+ *         resinType: "ABS"
+ *         grade: "Magnum 3404"
+ *         supplier: "Trinseo"
+ *         color: "Natural"
+ *         unit: "kg"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Materials
+ *   description: Resin and material master data
+ */
+
+/**
+ * @swagger
+ * /materials:
+ *   get:
+ *     summary: Get all materials
+ *     tags: [Materials]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: resinType
+ *         schema:
+ *           type: string
+ *         description: Filter by resin type
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *         description: Filter by supplier
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active flag
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of materials
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Material'
+ *       400:
+ *         description: Invalid pagination or sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('materials:read'), paginateMaterials, getAllMaterials);
+
+/**
+ * @swagger
+ * /materials/{id}:
+ *   get:
+ *     summary: Get material by ID
+ *     tags: [Materials]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Material MongoDB ID
+ *     responses:
+ *       200:
+ *         description: Material data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Material'
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Material not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', isAuthenticated, requirePermission('materials:read'), getMaterialById);
+
+/**
+ * @swagger
+ * /materials:
+ *   post:
+ *     summary: Create a new material
+ *     tags: [Materials]
+ *     security:
+ *       - OAuth2: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Material'
+ *     responses:
+ *       201:
+ *         description: Material created successfully
+ *       400:
+ *         description: Bad request - validation error or duplicate entry
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/', isAuthenticated, requirePermission('materials:create'), createMaterial);
+
+/**
+ * @swagger
+ * /materials/{id}:
+ *   put:
+ *     summary: Update a material
+ *     tags: [Materials]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Material MongoDB ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Material'
+ *     responses:
+ *       200:
+ *         description: Material updated successfully
+ *       400:
+ *         description: Bad request - validation error or duplicate entry
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Material not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', isAuthenticated, requirePermission('materials:update'), updateMaterial);
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  getAllMolds,
+  getMoldById,
+  createMold,
+  updateMold,
+  deleteMold,
+  getCompatibleMachines
+} = require('../controllers/molds');
+
+// Sortable fields and default order for the list endpoints
+const paginateMolds = paginate({
+  sortFields: ['moldId', 'name', 'partNumber', 'status', 'requiredTonnage'],
+  defaultSort: { moldId: 1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Mold:
+ *       type: object
+ *       required:
+ *         - moldId
+ *         - name
+ *         - cavities
+ *         - requiredTonnage
+ *         - shotWeight
+ *         - standardCycleTime
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         moldId:
+ *           type: string
+ *           description: Unique mold (tool) identifier
+ *         name:
+ *           type: string
+ *           description: Mold name
+ *         partNumber:
+ *           type: string
+ *           description: Part number the mold produces
+ *         cavities:
+ *           type: integer
+ *           minimum: 1
+ *           description: Number of cavities (parts per shot)
+ *         requiredTonnage:
+ *           type: number
+ *           description: Minimum clamp force in tons (compared with Machine.tonnage)
+ *         shotWeight:
+ *           type: number
+ *           description: Total shot weight in grams (compared with Machine.shotSize)
+ *         standardCycleTime:
+ *           type: number
+ *           description: Standard cycle time in seconds
+ *         status:
+ *           type: string
+ *           enum: [available, in_use, maintenance, retired]
+ *           default: available
+ *         manufacturer:
+ *           type: string
+ *         location:
+ *           type: string
+ *           description: Storage location
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *       example:
+ *         moldId: "MLD-HOUSING-A-01"
+ *         name: "Housing A 4-cavity"
+ *         partNumber: "HOUSING-A"
+ *         cavities: 4
+ *         requiredTonnage: 250
+ *         shotWeight: 180
+ *         standardCycleTime: 32
+ *         status: "available"
+ *         location: "Tool crib rack 3"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Molds
+ *   description: Mold (tooling) master data
+ */
+
+/**
+ * @swagger
+ * /molds:
+ *   get:
+ *     summary: Get all molds
+ *     tags: [Molds]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, in_use, maintenance, retired]
+ *         description: Filter by status
+ *       - in: query
+ *         name: partNumber
+ *         schema:
+ *           type: string
+ *         description: Filter by part number
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of molds
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Mold'
+ *       400:
+ *         description: Invalid status filter, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('molds:read'), paginateMolds, getAllMolds);
+
+/**
+ * @swagger
+ * /molds/{id}:
+ *   get:
+ *     summary: Get mold by ID
+ *     tags: [Molds]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Mold MongoDB ID or moldId
+ *     responses:
+ *       200:
+ *         description: Mold data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Mold'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Mold not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', isAuthenticated, requirePermission('molds:read'), getMoldById);
+
+/**
+ * @swagger
+ * /molds/{id}/compatible-machines:
+ *   get:
+ *     summary: Get machines that can run the mold
+ *     description: Machines whose clamp tonnage and shot size are large enough for the mold.
+ *     tags: [Molds]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Mold MongoDB ID or moldId
+ *     responses:
+ *       200:
+ *         description: List of compatible machines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Machine'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Mold not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/compatible-machines', isAuthenticated, requirePermission('molds:read'), getCompatibleMachines);
+
+/**
+ * @swagger
+ * /molds:
+ *   post:
+ *     summary: Create a new mold
+ *     tags: [Molds]
+ *     security:
+ *       - OAuth2: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Mold'
+ *     responses:
+ *       201:
+ *         description: Mold created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Mold'
+ *       400:
+ *         description: Bad request - validation error or duplicate entry
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/', isAuthenticated, requirePermission('molds:create'), createMold);
+
+/**
+ * @swagger
+ * /molds/{id}:
+ *   put:
+ *     summary: Update a mold
+ *     tags: [Molds]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Mold MongoDB ID or moldId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Mold'
+ *     responses:
+ *       200:
+ *         description: Mold updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Mold'
+ *       400:
+ *         description: Bad request - validation error or duplicate entry
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Mold not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', isAuthenticated, requirePermission('molds:update'), updateMold);
+
+/**
+ * @swagger
+ * /molds/{id}:
+ *   delete:
+ *     summary: Delete a mold
+ *     description: >
+ *       Permanently removes the mold. Production runs (deleted ones included) and recipes that use the
+ *       mold block the delete; retire the mold instead.
+ *     tags: [Molds]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Mold MongoDB ID or moldId
+ *     responses:
+ *       200:
+ *         description: Mold deleted successfully
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Mold not found
+ *       409:
+ *         description: Production runs or recipes still reference the mold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeleteBlocked'
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', isAuthenticated, requirePermission('molds:delete'), deleteMold);
+
+module.exports = router;
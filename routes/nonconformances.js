@@ -0,0 +1,457 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  getAllNonconformances,
+  getNonconformanceById,
+  createNonconformance,
+  updateNonconformance,
+  transitionNonconformance
+} = require('../controllers/nonconformances');
+
+// Sortable fields and default order for the list endpoint
+const paginateNonconformances = paginate({
+  sortFields: ['ncrNumber', 'status', 'result', 'quantity', 'createdAt'],
+  defaultSort: { createdAt: -1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Nonconformance:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         ncrNumber:
+ *           type: string
+ *           description: NCR- followed by the checkId of the check that opened it
+ *         qualityCheckId:
+ *           type: string
+ *         productionRunId:
+ *           type: string
+ *         machineId:
+ *           type: string
+ *         partNumber:
+ *           type: string
+ *         result:
+ *           type: string
+ *           enum: [Fail, Hold]
+ *           description: Result of the check that opened the NCR
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *         quantity:
+ *           type: integer
+ *           minimum: 0
+ *           description: Suspect parts to disposition; defaults to the check's defectsFound
+ *         status:
+ *           type: string
+ *           enum: [open, pending_approval, approved, closed]
+ *         runPaused:
+ *           type: boolean
+ *           description: Opening the NCR paused the run; it cannot resume until the NCR is approved
+ *         dispositions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/NonconformanceDisposition'
+ *         openedBy:
+ *           type: string
+ *         approvedBy:
+ *           type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         closedBy:
+ *           type: string
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         closureNotes:
+ *           type: string
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [submit, approve, reject, close]
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               user:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     NonconformanceDisposition:
+ *       type: object
+ *       required:
+ *         - disposition
+ *         - quantity
+ *       properties:
+ *         disposition:
+ *           type: string
+ *           enum: [scrap, rework, use_as_is, return_to_supplier]
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *         defectCode:
+ *           type: string
+ *           description: Required for scrap; the defect code of the scrap entry posted to the run on closure
+ *         materialLotId:
+ *           type: string
+ *           description: Required for return_to_supplier; a lot the run consumed
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *           description: Required for use_as_is, as the justification
+ *   parameters:
+ *     NonconformanceId:
+ *       in: path
+ *       name: id
+ *       schema:
+ *         type: string
+ *       required: true
+ *       description: Nonconformance MongoDB ID or ncrNumber
+ *   requestBodies:
+ *     NonconformanceTransition:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Why the disposition was rejected, or how it was carried out and verified on closure (required for reject and close)
+ *   responses:
+ *     NonconformanceTransitioned:
+ *       description: Action applied
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               transition:
+ *                 type: object
+ *               nonconformance:
+ *                 $ref: '#/components/schemas/Nonconformance'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Nonconformances
+ *   description: |
+ *     Nonconformance reports (NCRs) for quality checks that resulted in Fail or Hold.
+ *
+ *       open --submit--> pending_approval --approve--> approved --close--> closed
+ *       pending_approval --reject--> open
+ *
+ *     Dispositions are edited while open and must cover every suspect part to
+ *     submit. Only quality managers (Managers in the Quality department) approve
+ *     or reject. Closing posts the scrap dispositions to the run as scrap.
+ */
+
+/**
+ * @swagger
+ * /nonconformances:
+ *   get:
+ *     summary: Get all nonconformances
+ *     tags: [Nonconformances]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, pending_approval, approved, closed]
+ *       - in: query
+ *         name: result
+ *         schema:
+ *           type: string
+ *           enum: [Fail, Hold]
+ *       - in: query
+ *         name: productionRunId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of nonconformances
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Nonconformance'
+ *       400:
+ *         description: Invalid status, result, run or machine ID, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Open a nonconformance for a Fail or Hold check
+ *     description: Checks resulting in Fail or Hold open one automatically; this opens one for a check that has none.
+ *     tags: [Nonconformances]
+ *     security:
+ *       - OAuth2: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - qualityCheckId
+ *             properties:
+ *               qualityCheckId:
+ *                 type: string
+ *               pauseRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Pause the run if it is running
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       201:
+ *         description: Nonconformance opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Nonconformance'
+ *       400:
+ *         description: Missing or invalid qualityCheckId, or invalid quantity
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Quality check or production run not found
+ *       409:
+ *         description: The check did not result in Fail or Hold, or already has a nonconformance
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('nonconformances:read'), paginateNonconformances, getAllNonconformances);
+router.post('/', isAuthenticated, requirePermission('nonconformances:manage'), createNonconformance);
+
+/**
+ * @swagger
+ * /nonconformances/{id}:
+ *   get:
+ *     summary: Get a nonconformance
+ *     tags: [Nonconformances]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/NonconformanceId'
+ *     responses:
+ *       200:
+ *         description: The nonconformance and the workflow actions it allows next
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nonconformance:
+ *                   $ref: '#/components/schemas/Nonconformance'
+ *                 allowedActions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Nonconformance not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Edit an open nonconformance
+ *     description: Change the description, suspect quantity or dispositions. The dispositions replace the existing ones.
+ *     tags: [Nonconformances]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/NonconformanceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *               dispositions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/NonconformanceDisposition'
+ *           example:
+ *             quantity: 120
+ *             dispositions:
+ *               - disposition: scrap
+ *                 quantity: 80
+ *                 defectCode: short_shot
+ *               - disposition: rework
+ *                 quantity: 40
+ *                 notes: "Trim flash and re-inspect"
+ *     responses:
+ *       200:
+ *         description: Nonconformance updated
+ *       400:
+ *         description: Bad request - other fields, or invalid quantity or dispositions
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Nonconformance not found
+ *       409:
+ *         description: Nonconformance is not open
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', isAuthenticated, requirePermission('nonconformances:read'), getNonconformanceById);
+router.put('/:id', isAuthenticated, requirePermission('nonconformances:manage'), updateNonconformance);
+
+/**
+ * @swagger
+ * /nonconformances/{id}/submit:
+ *   post:
+ *     summary: Submit the disposition for approval
+ *     description: |
+ *       The dispositions must add up to the suspect quantity. Scrap needs a valid
+ *       defect code, use as is a justification in the notes, and return to
+ *       supplier a material lot the run consumed.
+ *     tags: [Nonconformances]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/NonconformanceId'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/NonconformanceTransitioned'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Nonconformance or production run not found
+ *       409:
+ *         description: Illegal transition, the status changed meanwhile, or the disposition is incomplete (see problems)
+ *
+ * /nonconformances/{id}/approve:
+ *   post:
+ *     summary: Approve the disposition (quality managers only)
+ *     description: A run paused by the nonconformance can resume once it is approved.
+ *     tags: [Nonconformances]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/NonconformanceId'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/NonconformanceTransitioned'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Nonconformance not found
+ *       409:
+ *         description: Illegal transition, or the status changed meanwhile
+ *
+ * /nonconformances/{id}/reject:
+ *   post:
+ *     summary: Send the disposition back for rework (quality managers only)
+ *     description: Returns the nonconformance to open. A reason is required.
+ *     tags: [Nonconformances]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/NonconformanceId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/NonconformanceTransition'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/NonconformanceTransitioned'
+ *       400:
+ *         description: Missing reason
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Nonconformance not found
+ *       409:
+ *         description: Illegal transition, or the status changed meanwhile
+ *
+ * /nonconformances/{id}/close:
+ *   post:
+ *     summary: Close an approved nonconformance
+ *     description: |
+ *       Records the scrap dispositions as scrap entries on the run (raising its
+ *       rejectQty) and closes the nonconformance. The reason describes how the
+ *       disposition was carried out and verified, and is required.
+ *     tags: [Nonconformances]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/NonconformanceId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/NonconformanceTransition'
+ *     responses:
+ *       200:
+ *         description: Nonconformance closed, with the run's updated good and reject totals
+ *       400:
+ *         description: Missing reason
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Nonconformance or production run not found
+ *       409:
+ *         description: Illegal transition, the status changed meanwhile, scrap not allowed on the run, or rejects would exceed the run's output
+ */
+router.post('/:id/submit', isAuthenticated, requirePermission('nonconformances:manage'), transitionNonconformance('submit'));
+router.post('/:id/approve', isAuthenticated, requirePermission('nonconformances:approve'), transitionNonconformance('approve'));
+router.post('/:id/reject', isAuthenticated, requirePermission('nonconformances:approve'), transitionNonconformance('reject'));
+router.post('/:id/close', isAuthenticated, requirePermission('nonconformances:manage'), transitionNonconformance('close'));
+
+module.exports = router;
@@ -2,6 +2,41 @@ const express = require('express');
 const router = express.Router();
 const ProductionRun = require('../models/productionRun');
 const Machine = require('../models/machine');
+const Employee = require('../models/employee');
+const Mold = require('../models/mold');
+const Recipe = require('../models/recipe');
+const MaterialLot = require('../models/materialLot');
+const { moldFitProblems } = require('../services/moldFit');
+const { recipeMismatches } = require('../services/recipes');
+const { isAuthenticated, requirePermission, allowIncludeDeleted, userIdentifier } = require('../middleware/auth');
+const { paginate, pageOf, sendPage } = require('../middleware/pagination');
+const { exportable, sendExport } = require('../middleware/export');
+const { importBody, sendImportReport } = require('../middleware/import');
+const { ACTIONS, allowedActions, nextStatus, applyTransition } = require('../services/productionRunLifecycle');
+const { importRows, resolveMachineCodes } = require('../services/import');
+const { publish, machineSummary, runProgress } = require('../services/events');
+const { holdingNonconformance } = require('../services/nonconformance');
+const { scrapByDefect, runYield } = require('../services/scrap');
+const { defects, isValidDefect } = require('../config/defectCodes');
+const { recordAudit } = require('../services/audit');
+const { ACTIVE_STATUSES, planSlot, findConflicts } = require('../services/schedule');
+const { operatorProblems } = require('../services/operators');
+const { softDeleteFieldsProblem, restoreById, purgeById } = require('../services/softDelete');
+const { CASCADE_POLICIES, findReferences, describeReferences, deleteWithReferences } = require('../services/references');
+
+// Sortable fields and default order for the list endpoints
+const paginateRuns = paginate({
+  sortFields: ['runId', 'partNumber', 'status', 'startTime', 'endTime', 'targetQty', 'actualQty', 'createdAt'],
+  defaultSort: { createdAt: -1 }
+});
+
+// Columns of the CSV/Excel export of the run list
+const RUN_COLUMNS = [
+  'runId', 'status', 'machineId.machineId', 'machineId.name', 'moldId.moldId',
+  'partNumber', 'partName', 'material', 'targetQty', 'actualQty', 'rejectQty', 'goodQty',
+  'operator.employeeId', 'operator.firstName', 'operator.lastName',
+  'plannedStart', 'plannedEnd', 'startTime', 'endTime', 'createdAt', 'deletedAt'
+];
 
 /**
  * @swagger
@@ -16,6 +51,7 @@ const Machine = require('../models/machine');
  *         - partName
  *         - material
  *         - targetQty
+ *         - recipeId
  *       properties:
  *         _id:
  *           type: string
@@ -26,6 +62,12 @@ const Machine = require('../models/machine');
  *         machineId:
  *           type: string
  *           description: Reference to machine MongoDB ID
+ *         moldId:
+ *           type: string
+ *           description: Reference to mold MongoDB ID. The machine's tonnage and shot size must accommodate the mold. Defaults to the recipe's mold.
+ *         recipeId:
+ *           type: string
+ *           description: Reference to an approved recipe version (MongoDB ID) for the run's part, mold and machine. Can only be changed while the run is scheduled.
  *         partNumber:
  *           type: string
  *           description: Part number being produced
@@ -40,22 +82,64 @@ const Machine = require('../models/machine');
  *           description: Target production quantity
  *         actualQty:
  *           type: number
- *           description: Actual produced quantity
+ *           description: Actual produced quantity, including rejects. Raised automatically by cycles reported through POST /machines/{id}/cycles while the run is running.
+ *         rejectQty:
+ *           type: number
+ *           readOnly: true
+ *           description: Rejected parts, the sum of the run's scrap entries
+ *         goodQty:
+ *           type: number
+ *           readOnly: true
+ *           description: actualQty - rejectQty
  *         status:
  *           type: string
  *           enum: [scheduled, running, completed, paused, cancelled]
- *           description: Production run status
+ *           description: Production run status. Runs are created as scheduled and change status only through the lifecycle endpoints.
  *         startTime:
  *           type: string
  *           format: date-time
- *           description: Production start time
+ *           description: Production start time (stamped when the run is started)
  *         endTime:
  *           type: string
  *           format: date-time
- *           description: Production end time
+ *           description: Production end time (stamped when the run is completed or cancelled)
+ *         plannedStart:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Start of the run's planned slot on the machine. Taken from startTime when not given; runs with neither are unscheduled.
+ *         plannedEnd:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: End of the planned slot. Derived from targetQty and the mold's standard cycle time when not given. Slots of scheduled, running and paused runs on a machine may not overlap; running and paused runs hold the machine at least until now.
  *         operator:
  *           type: string
- *           description: Machine operator name
+ *           nullable: true
+ *           description: >
+ *             Employee operating the run: MongoDB ID or employeeId (e.g. EMP-001) on input, populated on output.
+ *             Must be an active Production Operator or Supervisor, and assigned to the run's machine when
+ *             REQUIRE_OPERATOR_ASSIGNMENT=true.
+ *         scrap:
+ *           type: array
+ *           readOnly: true
+ *           description: Rejected parts by defect code
+ *           items:
+ *             $ref: '#/components/schemas/ScrapEntry'
+ *         transitions:
+ *           type: array
+ *           readOnly: true
+ *           description: Status changes made through the lifecycle endpoints
+ *           items:
+ *             $ref: '#/components/schemas/ProductionRunTransition'
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Set when the run was deleted; deleted runs are hidden unless includeDeleted=true
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
  *       example:
  *         runId: "RUN-001"
  *         machineId: "507f1f77bcf86cd799439011"
@@ -64,18 +148,243 @@ const Machine = require('../models/machine');
  *         material: "ABS Plastic"
  *         targetQty: 5000
  *         actualQty: 0
+ *         recipeId: "507f1f77bcf86cd799439044"
  *         status: "scheduled"
  *         startTime: "2024-01-15T08:00:00Z"
- *         operator: "John Smith"
+ *         operator: "EMP-001"
+ *     ProductionRunTransition:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [start, pause, resume, complete, cancel]
+ *         from:
+ *           type: string
+ *           description: Status before the transition
+ *         to:
+ *           type: string
+ *           description: Status after the transition
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         user:
+ *           type: string
+ *           description: User who performed the transition
+ *         reason:
+ *           type: string
+ *           maxLength: 500
+ *     ScrapEntry:
+ *       type: object
+ *       properties:
+ *         defectCode:
+ *           type: string
+ *           description: Defect code (short_shot, flash, sink_marks, warpage, burn_marks, splay, contamination, other, or one added through DEFECT_CODES)
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *         recordedAt:
+ *           type: string
+ *           format: date-time
+ *         recordedBy:
+ *           type: string
+ *       example:
+ *         defectCode: "short_shot"
+ *         quantity: 12
+ *         notes: "Cavity 3 not filling after material change"
+ *         recordedAt: "2024-01-15T10:42:00Z"
+ *         recordedBy: "jane.doe@example.com"
  */
 
+// Check that a mold exists and can run on the machine.
+// Returns { status, body } describing the error, or null when the pair is valid.
+const checkMoldFit = async (moldId, machine) => {
+  const mold = await Mold.findById(moldId);
+  if (!mold) {
+    return {
+      status: 404,
+      body: {
+        error: 'Mold not found',
+        message: `No mold found with ID: ${moldId}`
+      }
+    };
+  }
+  
+  const problems = moldFitProblems(mold, machine);
+  if (problems.length > 0) {
+    return {
+      status: 400,
+      body: {
+        error: 'Mold does not fit machine',
+        message: `Mold ${mold.moldId} cannot run on machine ${machine.machineId}`,
+        details: problems
+      }
+    };
+  }
+  
+  return null;
+};
+
+// Check that a recipe version exists, is approved (unless `requireApproved`
+// is false) and matches the run's part, machine and mold.
+// Returns { recipe } or { error: { status, body } }.
+const checkRecipe = async (recipeId, run, { requireApproved = true } = {}) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(String(recipeId))) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid recipe ID',
+          message: 'recipeId must be a recipe version MongoDB ID (24 character hex string)'
+        }
+      }
+    };
+  }
+  
+  const recipe = await Recipe.findById(recipeId);
+  if (!recipe) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          error: 'Recipe not found',
+          message: `No recipe version found with ID: ${recipeId}`
+        }
+      }
+    };
+  }
+  
+  if (requireApproved && recipe.status !== 'approved') {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: 'Recipe not approved',
+          message: `Recipe ${recipe.recipeId} version ${recipe.version} is ${recipe.status}; runs must use an approved version`
+        }
+      }
+    };
+  }
+  
+  const problems = recipeMismatches(recipe, run);
+  if (problems.length > 0) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Recipe does not match run',
+          message: `Recipe ${recipe.recipeId} version ${recipe.version} is for a different setup`,
+          details: problems
+        }
+      }
+    };
+  }
+  
+  return { recipe };
+};
+
+// Employee fields shown for a run's operator
+const OPERATOR_FIELDS = 'employeeId firstName lastName department role';
+
+// Check that an operator (employee MongoDB ID or employeeId) is an employee
+// qualified to run the machine. Returns { employee } or { error: { status, body } }.
+const checkOperator = async (operator, machine) => {
+  const filter = /^[0-9a-fA-F]{24}$/.test(String(operator)) ? { _id: operator } : { employeeId: String(operator) };
+  const employee = await Employee.findOne(filter);
+  if (!employee) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          error: 'Operator not found',
+          message: `No employee found with ID: ${operator}; operator must be an employee MongoDB ID or employeeId`
+        }
+      }
+    };
+  }
+  
+  const problems = operatorProblems(employee, machine._id);
+  if (problems.length > 0) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Operator not qualified',
+          message: `Employee ${employee.employeeId} cannot operate machine ${machine.machineId}`,
+          details: problems
+        }
+      }
+    };
+  }
+  
+  return { employee };
+};
+
+// Request fields that move a run's planned slot
+const SCHEDULE_FIELDS = ['plannedStart', 'plannedEnd', 'startTime', 'endTime', 'targetQty', 'moldId', 'machineId'];
+
+// Work out the run's planned slot and check it against the other active runs
+// on the machine. Returns { plan } with plannedStart and plannedEnd, or
+// { error: { status, body } }.
+const checkSchedule = async (fields, { machineId, moldId, current = null }) => {
+  const start = fields.plannedStart || current?.plannedStart || fields.startTime || current?.startTime;
+  const needsMold = moldId && !fields.plannedEnd && start;
+  const mold = needsMold ? await Mold.findById(moldId) : null;
+  
+  const plan = planSlot(fields, { current, mold });
+  if (plan.error) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid schedule',
+          message: plan.error
+        }
+      }
+    };
+  }
+  
+  if (!plan.plannedStart || (current && !ACTIVE_STATUSES.includes(current.status))) {
+    return { plan };
+  }
+  
+  const conflicts = await findConflicts(machineId, plan, { excludeId: current?._id });
+  if (conflicts.length > 0) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: 'Schedule conflict',
+          message: `The machine is already booked by ${conflicts.map(run => run.runId).join(', ')} in that slot`,
+          plannedStart: plan.plannedStart,
+          plannedEnd: plan.plannedEnd,
+          conflicts: conflicts.map(run => ({
+            id: run._id,
+            runId: run.runId,
+            status: run.status,
+            plannedStart: run.plannedStart,
+            plannedEnd: run.plannedEnd
+          }))
+        }
+      }
+    };
+  }
+  
+  return { plan };
+};
+
 /**
  * @swagger
  * /production-runs:
  *   get:
  *     summary: Get all production runs
  *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Format'
  *       - in: query
  *         name: status
  *         schema:
@@ -87,19 +396,45 @@ const Machine = require('../models/machine');
  *         schema:
  *           type: string
  *         description: Filter by machine ID
+ *       - in: query
+ *         name: operator
+ *         schema:
+ *           type: string
+ *         description: Filter by operator (employee MongoDB ID)
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
  *     responses:
  *       200:
  *         description: List of all production runs
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/ProductionRun'
+ *           text/csv:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *       400:
+ *         description: Invalid pagination or sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', isAuthenticated, requirePermission('productionRuns:read'), allowIncludeDeleted, paginateRuns, exportable, async (req, res) => {
   try {
     const filter = {};
     
@@ -111,8 +446,29 @@ router.get('/', async (req, res) => {
       filter.machineId = req.query.machineId;
     }
     
-    const runs = await ProductionRun.find(filter).populate('machineId');
-    res.json(runs);
+    if (req.query.operator) {
+      filter.operator = req.query.operator;
+    }
+    
+    const options = { includeDeleted: req.includeDeleted };
+    if (req.exportFormat) {
+      const cursor = ProductionRun.find(filter, null, options)
+        .sort(req.pagination.sort)
+        .populate('machineId', 'machineId name')
+        .populate('moldId', 'moldId')
+        .populate('operator', OPERATOR_FIELDS)
+        .cursor();
+      return sendExport(req, res, cursor, RUN_COLUMNS, 'production-runs');
+    }
+    
+    const [runs, total] = await Promise.all([
+      pageOf(ProductionRun.find(filter, null, options), req.pagination)
+        .populate('machineId')
+        .populate('moldId', 'moldId name cavities standardCycleTime')
+        .populate('operator', OPERATOR_FIELDS),
+      ProductionRun.countDocuments(filter, options)
+    ]);
+    sendPage(req, res, runs, total);
   } catch (error) {
     console.error('Error fetching production runs:', error);
     res.status(500).json({ 
@@ -128,6 +484,8 @@ router.get('/', async (req, res) => {
  *   get:
  *     summary: Get production run by ID
  *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -135,6 +493,7 @@ router.get('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: Production run MongoDB ID
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Production run data
@@ -144,12 +503,16 @@ router.get('/', async (req, res) => {
  *               $ref: '#/components/schemas/ProductionRun'
  *       400:
  *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Production run not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', isAuthenticated, requirePermission('productionRuns:read'), allowIncludeDeleted, async (req, res) => {
   try {
     // Validate MongoDB ID format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -159,7 +522,11 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    const run = await ProductionRun.findById(req.params.id).populate('machineId');
+    const run = await ProductionRun.findById(req.params.id, null, { includeDeleted: req.includeDeleted })
+      .populate('machineId')
+      .populate('moldId', 'moldId name cavities standardCycleTime')
+      .populate('recipeId', 'recipeId version status parameters')
+      .populate('operator', OPERATOR_FIELDS);
     if (!run) {
       return res.status(404).json({ 
         error: 'Production run not found',
@@ -177,12 +544,186 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// All checks for a new run, shared by POST /production-runs and the import.
+// Returns { fields } to create the run from, or { error: { status, body } }.
+const checkNewRun = async (body) => {
+  const softDeleteProblem = softDeleteFieldsProblem(body);
+  if (softDeleteProblem) {
+    return { error: softDeleteProblem };
+  }
+  
+  // Validate required fields
+  const { runId, machineId, partNumber, partName, material, targetQty, recipeId } = body;
+  
+  const requiredFields = ['runId', 'machineId', 'partNumber', 'partName', 'material', 'targetQty', 'recipeId'];
+  const missingFields = requiredFields.filter(field => !body[field]);
+  
+  if (missingFields.length > 0) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Missing required fields',
+          missing: missingFields,
+          required: requiredFields
+        }
+      }
+    };
+  }
+  
+  // Validate runId format
+  const runIdRegex = /^[A-Z0-9-]+$/;
+  if (!runIdRegex.test(runId)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid run ID format',
+          message: 'Run ID must contain only uppercase letters, numbers, and hyphens'
+        }
+      }
+    };
+  }
+  
+  // Validate machineId exists
+  const machineExists = await Machine.findById(machineId);
+  if (!machineExists) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          error: 'Machine not found',
+          message: `No machine found with ID: ${machineId}`
+        }
+      }
+    };
+  }
+  
+  // Validate the recipe version is approved and made for this part, machine and mold
+  const { recipe, error: recipeError } = await checkRecipe(recipeId, {
+    partNumber,
+    machineId,
+    moldId: body.moldId
+  });
+  if (recipeError) {
+    return { error: recipeError };
+  }
+  const moldId = body.moldId || recipe.moldId;
+  
+  // Validate the mold fits the machine
+  if (moldId) {
+    const moldError = await checkMoldFit(moldId, machineExists);
+    if (moldError) {
+      return { error: moldError };
+    }
+  }
+  
+  // Validate partNumber and partName length
+  if (partNumber.length < 2) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid part number',
+          message: 'Part number must be at least 2 characters long'
+        }
+      }
+    };
+  }
+  
+  if (partName.length < 2) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid part name',
+          message: 'Part name must be at least 2 characters long'
+        }
+      }
+    };
+  }
+  
+  // Validate material
+  if (material.length < 2) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid material',
+          message: 'Material must be at least 2 characters long'
+        }
+      }
+    };
+  }
+  
+  // Validate targetQty
+  if (isNaN(targetQty) || targetQty <= 0) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid target quantity',
+          message: 'Target quantity must be a positive number'
+        }
+      }
+    };
+  }
+  
+  // Validate actualQty if provided
+  if (body.actualQty && (isNaN(body.actualQty) || body.actualQty < 0)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid actual quantity',
+          message: 'Actual quantity must be a non-negative number'
+        }
+      }
+    };
+  }
+  
+  // New runs always start out scheduled; use the lifecycle endpoints to move them on
+  if (body.status && body.status !== 'scheduled') {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid status',
+          message: 'Production runs must be created with status: scheduled'
+        }
+      }
+    };
+  }
+  
+  // Validate the operator may run the machine
+  let operator = null;
+  if (body.operator) {
+    const { employee, error: operatorError } = await checkOperator(body.operator, machineExists);
+    if (operatorError) {
+      return { error: operatorError };
+    }
+    operator = employee._id;
+  }
+  
+  // Validate the planned slot is free on the machine
+  const { plan, error: scheduleError } = await checkSchedule(body, { machineId, moldId });
+  if (scheduleError) {
+    return { error: scheduleError };
+  }
+  
+  
+  const { transitions, materialLots, scrap, rejectQty, ...fields } = body;
+  return { fields: { ...fields, moldId, operator, ...plan } };
+};
+
 /**
  * @swagger
  * /production-runs:
  *   post:
  *     summary: Create a new production run
  *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
  *     requestBody:
  *       required: true
  *       content:
@@ -197,96 +738,29 @@ router.get('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ProductionRun'
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error, the mold does not fit the machine, the recipe is for a different setup, the operator is not qualified, or the planned slot is invalid
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
- *         description: Referenced machine not found
+ *         description: Referenced machine, mold, recipe or operator not found
+ *       409:
+ *         description: The recipe version is not approved, or the planned slot overlaps another run on the machine
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', isAuthenticated, requirePermission('productionRuns:create'), async (req, res) => {
   try {
-    // Validate required fields
-    const { runId, machineId, partNumber, partName, material, targetQty } = req.body;
-    
-    const requiredFields = ['runId', 'machineId', 'partNumber', 'partName', 'material', 'targetQty'];
-    const missingFields = requiredFields.filter(field => !req.body[field]);
-    
-    if (missingFields.length > 0) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        missing: missingFields,
-        required: requiredFields
-      });
-    }
-    
-    // Validate runId format
-    const runIdRegex = /^[A-Z0-9-]+$/;
-    if (!runIdRegex.test(runId)) {
-      return res.status(400).json({ 
-        error: 'Invalid run ID format',
-        message: 'Run ID must contain only uppercase letters, numbers, and hyphens'
-      });
-    }
-    
-    // Validate machineId exists
-    const machineExists = await Machine.findById(machineId);
-    if (!machineExists) {
-      return res.status(404).json({ 
-        error: 'Machine not found',
-        message: `No machine found with ID: ${machineId}`
-      });
-    }
-    
-    // Validate partNumber and partName length
-    if (partNumber.length < 2) {
-      return res.status(400).json({ 
-        error: 'Invalid part number',
-        message: 'Part number must be at least 2 characters long'
-      });
-    }
-    
-    if (partName.length < 2) {
-      return res.status(400).json({ 
-        error: 'Invalid part name',
-        message: 'Part name must be at least 2 characters long'
-      });
-    }
-    
-    // Validate material
-    if (material.length < 2) {
-      return res.status(400).json({ 
-        error: 'Invalid material',
-        message: 'Material must be at least 2 characters long'
-      });
-    }
-    
-    // Validate targetQty
-    if (isNaN(targetQty) || targetQty <= 0) {
-      return res.status(400).json({ 
-        error: 'Invalid target quantity',
-        message: 'Target quantity must be a positive number'
-      });
-    }
-    
-    // Validate actualQty if provided
-    if (req.body.actualQty && (isNaN(req.body.actualQty) || req.body.actualQty < 0)) {
-      return res.status(400).json({ 
-        error: 'Invalid actual quantity',
-        message: 'Actual quantity must be a non-negative number'
-      });
-    }
-    
-    // Validate status if provided
-    if (req.body.status && !['scheduled', 'running', 'completed', 'paused', 'cancelled'].includes(req.body.status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status',
-        message: 'Status must be one of: scheduled, running, completed, paused, cancelled'
-      });
+    const { fields, error: runError } = await checkNewRun(req.body);
+    if (runError) {
+      return res.status(runError.status).json(runError.body);
     }
     
-    const run = new ProductionRun(req.body);
+    const run = new ProductionRun(fields);
     await run.save();
-    await run.populate('machineId');
+    await recordAudit('ProductionRun', 'create', { after: run, user: req.user });
+    await run.populate([{ path: 'machineId' }, { path: 'operator', select: OPERATOR_FIELDS }]);
     
     res.status(201).json(run);
   } catch (error) {
@@ -317,12 +791,107 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /production-runs/import:
+ *   post:
+ *     summary: Import scheduled production runs from a CSV file or JSON array
+ *     description: >
+ *       Each row goes through the same checks as POST /production-runs: machine, approved recipe,
+ *       mold fit, operator qualification and a free planned slot, which must not overlap other runs
+ *       in the file either. machineId may be a MongoDB ID or a machine code such as IM-001, and
+ *       operator an employeeId. runId must not already exist, in the file or in the database.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/Partial'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             runId,machineId,partNumber,partName,material,targetQty,recipeId,operator,plannedStart
+ *             RUN-2001,IM-001,HOUSING-A,Main Housing,ABS,5000,507f1f77bcf86cd799439044,EMP-001,2024-06-03T06:00:00Z
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/ProductionRun'
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       201:
+ *         description: Production runs created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Unreadable file, or rows are invalid and nothing was imported (the report lists the errors)
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/import', isAuthenticated, requirePermission('productionRuns:create'), importBody, async (req, res) => {
+  try {
+    const rows = await resolveMachineCodes(req.importRows, 'machineId');
+    
+    // Planned slots of the valid rows so far, which are not in the database yet
+    const booked = [];
+    const report = await importRows('ProductionRun', ProductionRun, rows, {
+      ...req.importOptions,
+      key: 'runId',
+      validate: async (row) => {
+        const checked = await checkNewRun(row);
+        const { fields } = checked;
+        if (checked.error || !fields.plannedStart) return checked;
+        
+        const clash = booked.find(other => String(other.machineId) === String(fields.machineId)
+          && other.plannedStart < fields.plannedEnd && fields.plannedStart < other.plannedEnd);
+        if (clash) {
+          return {
+            error: {
+              status: 409,
+              body: {
+                error: 'Schedule conflict',
+                message: `The planned slot overlaps run ${clash.runId} earlier in the file`
+              }
+            }
+          };
+        }
+        booked.push(fields);
+        return checked;
+      }
+    });
+    sendImportReport(res, report);
+  } catch (error) {
+    console.error('Error importing production runs:', error);
+    res.status(500).json({ 
+      error: 'Failed to import production runs',
+      message: error.message 
+    });
+  }
+});
+
 /**
  * @swagger
  * /production-runs/{id}:
  *   put:
  *     summary: Update a production run
  *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -344,13 +913,19 @@ router.post('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ProductionRun'
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error, the recipe is for a different setup, the operator is not qualified for the run's machine, or the planned slot is invalid
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
- *         description: Production run not found
+ *         description: Production run, machine, recipe or operator not found
+ *       409:
+ *         description: The recipe version is not approved, the run is no longer scheduled and its recipe cannot change, or the planned slot overlaps another run on the machine
  *       500:
  *         description: Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', isAuthenticated, requirePermission('productionRuns:update'), async (req, res) => {
   try {
     // Validate MongoDB ID format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -368,6 +943,12 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Runs are only deleted through DELETE /production-runs/{id}
+    const softDeleteProblem = softDeleteFieldsProblem(req.body);
+    if (softDeleteProblem) {
+      return res.status(softDeleteProblem.status).json(softDeleteProblem.body);
+    }
+    
     // Validate runId format if being updated
     if (req.body.runId) {
       const runIdRegex = /^[A-Z0-9-]+$/;
@@ -379,17 +960,6 @@ router.put('/:id', async (req, res) => {
       }
     }
     
-    // Validate machineId exists if being updated
-    if (req.body.machineId) {
-      const machineExists = await Machine.findById(req.body.machineId);
-      if (!machineExists) {
-        return res.status(404).json({ 
-          error: 'Machine not found',
-          message: `No machine found with ID: ${req.body.machineId}`
-        });
-      }
-    }
-    
     // Validate partNumber if being updated
     if (req.body.partNumber && req.body.partNumber.length < 2) {
       return res.status(400).json({ 
@@ -430,23 +1000,149 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // Validate status if provided
-    if (req.body.status && !['scheduled', 'running', 'completed', 'paused', 'cancelled'].includes(req.body.status)) {
+    // The transition log is only written by the lifecycle endpoints
+    if (req.body.transitions !== undefined) {
+      return res.status(400).json({ 
+        error: 'Invalid update',
+        message: 'Transitions cannot be updated directly'
+      });
+    }
+    
+    // Lot consumption is recorded through POST /production-runs/{id}/material-lots
+    if (req.body.materialLots !== undefined) {
+      return res.status(400).json({ 
+        error: 'Invalid update',
+        message: 'Material lots cannot be updated directly'
+      });
+    }
+    
+    // Rejects are recorded through POST /production-runs/{id}/scrap
+    if (req.body.scrap !== undefined || req.body.rejectQty !== undefined) {
+      return res.status(400).json({ 
+        error: 'Invalid update',
+        message: 'Scrap and reject quantity cannot be updated directly'
+      });
+    }
+    
+    const current = await ProductionRun.findById(req.params.id);
+    if (!current) {
+      return res.status(404).json({ 
+        error: 'Production run not found',
+        message: `No production run found with ID: ${req.params.id}` 
+      });
+    }
+    
+    // Validate machineId exists if being updated
+    let machine = null;
+    if (req.body.machineId) {
+      machine = await Machine.findById(req.body.machineId);
+      if (!machine) {
+        return res.status(404).json({ 
+          error: 'Machine not found',
+          message: `No machine found with ID: ${req.body.machineId}`
+        });
+      }
+    }
+    
+    // Re-check the mold/machine pair when either side changes
+    if (req.body.moldId || machine) {
+      const moldId = req.body.moldId || current.moldId;
+      if (moldId) {
+        machine = machine || await Machine.findById(current.machineId);
+        const moldError = machine ? await checkMoldFit(moldId, machine) : null;
+        if (moldError) {
+          return res.status(moldError.status).json(moldError.body);
+        }
+      }
+    }
+    
+    // Re-check the operator when it or the machine changes
+    if (req.body.operator || machine) {
+      const operator = req.body.operator || current.operator;
+      if (operator) {
+        const runMachine = machine || await Machine.findById(current.machineId);
+        if (!runMachine) {
+          return res.status(404).json({ 
+            error: 'Machine not found',
+            message: `No machine found with ID: ${current.machineId}`
+          });
+        }
+        const { employee, error: operatorError } = await checkOperator(operator, runMachine);
+        if (operatorError) {
+          return res.status(operatorError.status).json(operatorError.body);
+        }
+        if (req.body.operator) {
+          req.body.operator = employee._id;
+        }
+      }
+    }
+    
+    // Re-check the recipe when it or the setup it was made for changes
+    if (['recipeId', 'partNumber', 'machineId', 'moldId'].some(field => req.body[field] !== undefined)) {
+      const recipeChanged = req.body.recipeId !== undefined && String(req.body.recipeId) !== String(current.recipeId);
+      if (recipeChanged && current.status !== 'scheduled') {
+        return res.status(409).json({ 
+          error: 'Recipe locked',
+          message: `The recipe of a ${current.status} production run cannot be changed`
+        });
+      }
+      
+      const recipeId = req.body.recipeId !== undefined ? req.body.recipeId : current.recipeId;
+      if (recipeId) {
+        const { error: recipeError } = await checkRecipe(recipeId, {
+          partNumber: req.body.partNumber || current.partNumber,
+          machineId: req.body.machineId || current.machineId,
+          moldId: req.body.moldId || current.moldId
+        }, { requireApproved: recipeChanged });
+        if (recipeError) {
+          return res.status(recipeError.status).json(recipeError.body);
+        }
+      }
+    }
+    
+    // Output cannot drop below the parts already scrapped
+    if (req.body.actualQty !== undefined && Number(req.body.actualQty) < (current.rejectQty || 0)) {
       return res.status(400).json({ 
-        error: 'Invalid status',
-        message: 'Status must be one of: scheduled, running, completed, paused, cancelled'
+        error: 'Invalid actual quantity',
+        message: `Actual quantity cannot be less than the ${current.rejectQty} parts already rejected`
+      });
+    }
+    
+    // Status changes must go through the lifecycle endpoints
+    const { status, ...updates } = req.body;
+    if (status !== undefined && status !== current.status) {
+      return res.status(409).json({ 
+        error: 'Status change not allowed',
+        message: 'Use POST /production-runs/{id}/{action} to change the status of a run',
+        currentStatus: current.status,
+        allowedActions: allowedActions(current.status)
+      });
+    }
+    
+    // Keep the planned slot in step with the run and free on the machine
+    if (SCHEDULE_FIELDS.some(field => req.body[field] !== undefined)) {
+      const { plan, error: scheduleError } = await checkSchedule(req.body, {
+        machineId: req.body.machineId || current.machineId,
+        moldId: req.body.moldId || current.moldId,
+        current
       });
+      if (scheduleError) {
+        return res.status(scheduleError.status).json(scheduleError.body);
+      }
+      if (plan.plannedStart || current.plannedStart) {
+        Object.assign(updates, plan);
+      }
     }
     
     const run = await ProductionRun.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { 
         new: true, 
         runValidators: true,
         context: 'query'
       }
-    ).populate('machineId');
+    ).populate('machineId').populate('operator', OPERATOR_FIELDS);
     
     if (!run) {
       return res.status(404).json({ 
@@ -455,6 +1151,10 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    await recordAudit('ProductionRun', 'update', { before: current, after: run, user: req.user });
+    if (current.actualQty !== run.actualQty || current.rejectQty !== run.rejectQty) {
+      publish('run.progress', { machineId: run.machineId, ...runProgress(run) });
+    }
     res.json(run);
   } catch (error) {
     console.error('Error updating production run:', error);
@@ -486,28 +1186,646 @@ router.put('/:id', async (req, res) => {
 
 /**
  * @swagger
- * /production-runs/{id}:
- *   delete:
- *     summary: Delete a production run
+ * /production-runs/{id}/start:
+ *   post:
+ *     summary: Start a scheduled production run
+ *     description: Moves the run from scheduled to running and stamps startTime. Fails if another run is already running on the same machine, or if the run does not reference an approved recipe version.
  *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
  *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: Production run MongoDB ID
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ProductionRunTransition'
  *     responses:
  *       200:
- *         description: Production run deleted successfully
+ *         $ref: '#/components/responses/ProductionRunTransitioned'
  *       400:
  *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Production run not found
- *       500:
+ *       409:
+ *         description: Illegal transition, the machine already has a running production run, or the run has no approved recipe version
+ *
+ * /production-runs/{id}/pause:
+ *   post:
+ *     summary: Pause a running production run
+ *     description: Moves the run from running to paused. A reason is required.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ProductionRunTransition'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ProductionRunTransitioned'
+ *       400:
+ *         description: Invalid ID format or missing reason
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       409:
+ *         description: Illegal transition
+ *
+ * /production-runs/{id}/resume:
+ *   post:
+ *     summary: Resume a paused production run
+ *     description: Moves the run from paused back to running. Fails if another run is already running on the same machine, or while a nonconformance that paused the run awaits approval.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ProductionRunTransition'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ProductionRunTransitioned'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       409:
+ *         description: Illegal transition, quality hold, or the machine already has a running production run
+ *
+ * /production-runs/{id}/complete:
+ *   post:
+ *     summary: Complete a running or paused production run
+ *     description: Moves the run to completed and stamps endTime.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ProductionRunTransition'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ProductionRunTransitioned'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       409:
+ *         description: Illegal transition
+ *
+ * /production-runs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a production run
+ *     description: Moves a scheduled, running or paused run to cancelled and stamps endTime. A reason is required.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ProductionRunTransition'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ProductionRunTransitioned'
+ *       400:
+ *         description: Invalid ID format or missing reason
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       409:
+ *         description: Illegal transition
+ *
+ * components:
+ *   parameters:
+ *     ProductionRunId:
+ *       in: path
+ *       name: id
+ *       schema:
+ *         type: string
+ *       required: true
+ *       description: Production run MongoDB ID
+ *   requestBodies:
+ *     ProductionRunTransition:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why the transition was made (required for pause and cancel)
+ *   responses:
+ *     ProductionRunTransitioned:
+ *       description: Transition applied
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               transition:
+ *                 $ref: '#/components/schemas/ProductionRunTransition'
+ *               run:
+ *                 $ref: '#/components/schemas/ProductionRun'
+ */
+const transitionRun = (action) => async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const reason = req.body?.reason;
+    if (ACTIONS[action].requiresReason && (!reason || !String(reason).trim())) {
+      return res.status(400).json({ 
+        error: 'Missing reason',
+        message: `A reason is required to ${action} a production run`
+      });
+    }
+    
+    const run = await ProductionRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Production run not found',
+        message: `No production run found with ID: ${req.params.id}` 
+      });
+    }
+    
+    const to = nextStatus(run.status, action);
+    if (!to) {
+      return res.status(409).json({ 
+        error: 'Illegal transition',
+        message: `Cannot ${action} a production run that is ${run.status}`,
+        currentStatus: run.status,
+        allowedActions: allowedActions(run.status)
+      });
+    }
+    
+    // Runs paused for a nonconformance stay on hold until it is approved
+    if (action === 'resume') {
+      const ncr = await holdingNonconformance(run._id);
+      if (ncr) {
+        return res.status(409).json({ 
+          error: 'Quality hold',
+          message: `Production run ${run.runId} is on hold for ${ncr.ncrNumber}; it can resume once the NCR is approved`,
+          nonconformance: { id: ncr._id, ncrNumber: ncr.ncrNumber, status: ncr.status }
+        });
+      }
+    }
+    
+    // Runs start only on an approved recipe version
+    if (action === 'start') {
+      const recipe = run.recipeId ? await Recipe.findById(run.recipeId) : null;
+      if (!recipe || recipe.status !== 'approved') {
+        return res.status(409).json({ 
+          error: 'Recipe not approved',
+          message: recipe
+            ? `Recipe ${recipe.recipeId} version ${recipe.version} is ${recipe.status}; assign an approved version before starting`
+            : 'Assign an approved recipe version before starting the run'
+        });
+      }
+    }
+    
+    // Only one run may be running on a machine at a time
+    if (to === 'running') {
+      const runningRun = await ProductionRun.findOne({
+        machineId: run.machineId,
+        status: 'running',
+        _id: { $ne: run._id }
+      });
+      
+      if (runningRun) {
+        return res.status(409).json({ 
+          error: 'Machine busy',
+          message: `Production run ${runningRun.runId} is already running on this machine`,
+          runningRun: {
+            id: runningRun._id,
+            runId: runningRun.runId
+          }
+        });
+      }
+    }
+    
+    const before = run.toObject();
+    const transition = applyTransition(run, action, { user: req.user, reason });
+    await run.save();
+    await recordAudit('ProductionRun', 'update', { before, after: run, user: req.user });
+    await run.populate('machineId');
+    publish('run.status', {
+      machineId: run.machineId,
+      machine: machineSummary(run.machineId),
+      ...runProgress(run),
+      action,
+      previousStatus: transition.from
+    });
+    
+    res.json({ 
+      message: `Production run ${run.runId} is now ${run.status}`,
+      transition,
+      run
+    });
+  } catch (error) {
+    console.error(`Error applying ${action} to production run:`, error);
+    
+    // Partial unique index on { machineId, status: 'running' } caught a concurrent start
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        error: 'Machine busy',
+        message: 'Another production run is already running on this machine'
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    
+    res.status(500).json({ 
+      error: `Failed to ${action} production run`,
+      message: error.message 
+    });
+  }
+};
+
+Object.keys(ACTIONS).forEach(action => {
+  router.post(`/:id/${action}`, isAuthenticated, requirePermission('productionRuns:operate'), transitionRun(action));
+});
+
+/**
+ * @swagger
+ * /production-runs/{id}/material-lots:
+ *   get:
+ *     summary: Backward genealogy of a production run
+ *     description: The material lots consumed by the run, with quantities.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     responses:
+ *       200:
+ *         description: Lots consumed by the run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 run:
+ *                   type: object
+ *                 totalConsumed:
+ *                   type: number
+ *                 lots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       lot:
+ *                         $ref: '#/components/schemas/MaterialLot'
+ *                       quantity:
+ *                         type: number
+ *                       recordedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       recordedBy:
+ *                         type: string
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Record material lot consumption for a production run
+ *     description: Deducts the quantity from the lot. Only released lots with enough remaining quantity can be consumed.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lotId
+ *               - quantity
+ *             properties:
+ *               lotId:
+ *                 type: string
+ *                 description: Lot MongoDB ID or lotNumber
+ *               quantity:
+ *                 type: number
+ *                 description: Quantity consumed, in the material's unit
+ *     responses:
+ *       201:
+ *         description: Consumption recorded
+ *       400:
+ *         description: Invalid ID format, lot or quantity
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run or material lot not found
+ *       409:
+ *         description: Run is cancelled, lot is not released, or not enough quantity remains
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/material-lots', isAuthenticated, requirePermission('productionRuns:read'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const run = await ProductionRun.findById(req.params.id)
+      .populate({
+        path: 'materialLots.lotId',
+        populate: { path: 'materialId', select: 'materialId name resinType grade' }
+      });
+    
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Production run not found',
+        message: `No production run found with ID: ${req.params.id}` 
+      });
+    }
+    
+    res.json({ 
+      run: {
+        id: run._id,
+        runId: run.runId,
+        partNumber: run.partNumber,
+        partName: run.partName,
+        material: run.material
+      },
+      totalConsumed: run.materialLots.reduce((sum, entry) => sum + entry.quantity, 0),
+      lots: run.materialLots.map(({ lotId, quantity, recordedAt, recordedBy }) => ({
+        lot: lotId,
+        quantity,
+        recordedAt,
+        recordedBy
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching production run material lots:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch material lots',
+      message: error.message 
+    });
+  }
+});
+
+router.post('/:id/material-lots', isAuthenticated, requirePermission('productionRuns:consume'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const { lotId } = req.body;
+    const quantity = Number(req.body.quantity);
+    
+    if (!lotId) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        missing: ['lotId'],
+        required: ['lotId', 'quantity']
+      });
+    }
+    
+    if (isNaN(quantity) || quantity <= 0) {
+      return res.status(400).json({ 
+        error: 'Invalid quantity',
+        message: 'Quantity must be a positive number'
+      });
+    }
+    
+    const run = await ProductionRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Production run not found',
+        message: `No production run found with ID: ${req.params.id}` 
+      });
+    }
+    
+    if (run.status === 'cancelled') {
+      return res.status(409).json({ 
+        error: 'Run cancelled',
+        message: 'Material cannot be consumed by a cancelled production run'
+      });
+    }
+    
+    const lotFilter = /^[0-9a-fA-F]{24}$/.test(lotId) ? { _id: lotId } : { lotNumber: lotId };
+    const lot = await MaterialLot.findOne(lotFilter);
+    if (!lot) {
+      return res.status(404).json({ 
+        error: 'Material lot not found',
+        message: `No material lot found with ID: ${lotId}`
+      });
+    }
+    
+    if (lot.status !== 'released') {
+      return res.status(409).json({ 
+        error: 'Lot not released',
+        message: `Lot ${lot.lotNumber} is ${lot.status} and cannot be consumed`
+      });
+    }
+    
+    // Deduct atomically so two runs cannot draw the same remaining quantity
+    const updatedLot = await MaterialLot.findOneAndUpdate(
+      { _id: lot._id, status: 'released', remainingQty: { $gte: quantity } },
+      { $inc: { remainingQty: -quantity } },
+      { new: true }
+    );
+    
+    if (!updatedLot) {
+      return res.status(409).json({ 
+        error: 'Insufficient quantity',
+        message: `Lot ${lot.lotNumber} has only ${lot.remainingQty} remaining`,
+        remainingQty: lot.remainingQty
+      });
+    }
+    
+    if (updatedLot.remainingQty === 0) {
+      updatedLot.status = 'consumed';
+      await updatedLot.save();
+    }
+    await recordAudit('MaterialLot', 'update', { before: lot, after: updatedLot, user: req.user });
+    
+    const consumption = {
+      lotId: updatedLot._id,
+      quantity,
+      recordedAt: new Date(),
+      recordedBy: userIdentifier(req.user)
+    };
+    const before = run.toObject();
+    run.materialLots.push(consumption);
+    await run.save();
+    await recordAudit('ProductionRun', 'update', { before, after: run, user: req.user });
+    
+    res.status(201).json({ 
+      message: `Recorded ${quantity} from lot ${updatedLot.lotNumber} on run ${run.runId}`,
+      consumption,
+      lot: {
+        id: updatedLot._id,
+        lotNumber: updatedLot.lotNumber,
+        remainingQty: updatedLot.remainingQty,
+        status: updatedLot.status
+      }
+    });
+  } catch (error) {
+    console.error('Error recording material lot consumption:', error);
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Failed to record material consumption',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /production-runs/{id}/scrap:
+ *   get:
+ *     summary: Scrap recorded against a production run
+ *     description: Good and reject totals of the run, rejects by defect code (largest first) and the individual scrap entries.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     responses:
+ *       200:
+ *         description: Scrap summary of the run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 run:
+ *                   type: object
+ *                 actualQty:
+ *                   type: integer
+ *                 rejectQty:
+ *                   type: integer
+ *                 goodQty:
+ *                   type: integer
+ *                 scrapRate:
+ *                   type: number
+ *                   nullable: true
+ *                   description: rejectQty / actualQty (0-1), null before any output
+ *                 byDefect:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScrapByDefect'
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScrapEntry'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Record scrap against a production run
+ *     description: Adds a scrap entry and raises the run's rejectQty. Rejects cannot exceed the run's actual quantity.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductionRunId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - defectCode
+ *               - quantity
+ *             properties:
+ *               defectCode:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Scrap recorded
+ *       400:
+ *         description: Invalid ID format, defect code or quantity
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       409:
+ *         description: Run has not started or is cancelled, or rejects would exceed the actual quantity
+ *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/scrap', isAuthenticated, requirePermission('productionRuns:read'), async (req, res) => {
   try {
     // Validate MongoDB ID format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -517,7 +1835,7 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    const run = await ProductionRun.findByIdAndDelete(req.params.id);
+    const run = await ProductionRun.findById(req.params.id);
     if (!run) {
       return res.status(404).json({ 
         error: 'Production run not found',
@@ -525,14 +1843,246 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    res.json({ 
+      run: {
+        id: run._id,
+        runId: run.runId,
+        partNumber: run.partNumber,
+        partName: run.partName,
+        status: run.status
+      },
+      ...runYield(run),
+      byDefect: scrapByDefect(run.scrap),
+      entries: run.scrap
+    });
+  } catch (error) {
+    console.error('Error fetching production run scrap:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch scrap',
+      message: error.message 
+    });
+  }
+});
+
+router.post('/:id/scrap', isAuthenticated, requirePermission('productionRuns:scrap'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const { defectCode, notes } = req.body;
+    const quantity = Number(req.body.quantity);
+    
+    const missingFields = ['defectCode', 'quantity'].filter(field => req.body[field] === undefined || req.body[field] === '');
+    if (missingFields.length > 0) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        missing: missingFields,
+        required: ['defectCode', 'quantity']
+      });
+    }
+    
+    if (!isValidDefect(defectCode)) {
+      return res.status(400).json({ 
+        error: 'Invalid defect code',
+        message: `Unknown defect code "${defectCode}"`,
+        validCodes: Object.keys(defects)
+      });
+    }
+    
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ 
+        error: 'Invalid quantity',
+        message: 'Quantity must be a positive whole number of parts'
+      });
+    }
+    
+    if (notes !== undefined && String(notes).length > 500) {
+      return res.status(400).json({ 
+        error: 'Invalid notes',
+        message: 'Notes cannot exceed 500 characters'
+      });
+    }
+    
+    const run = await ProductionRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Production run not found',
+        message: `No production run found with ID: ${req.params.id}` 
+      });
+    }
+    
+    if (run.status === 'scheduled' || run.status === 'cancelled') {
+      return res.status(409).json({ 
+        error: 'Scrap not allowed',
+        message: `Scrap cannot be recorded on a production run that is ${run.status}`,
+        currentStatus: run.status
+      });
+    }
+    
+    const entry = {
+      defectCode,
+      quantity,
+      notes,
+      recordedAt: new Date(),
+      recordedBy: userIdentifier(req.user)
+    };
+    
+    // Add atomically so concurrent entries cannot push rejects past the output
+    const updatedRun = await ProductionRun.findOneAndUpdate(
+      {
+        _id: run._id,
+        status: { $in: ['running', 'paused', 'completed'] },
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$rejectQty', 0] }, quantity] }, '$actualQty'] }
+      },
+      { $inc: { rejectQty: quantity }, $push: { scrap: entry } },
+      { new: true }
+    );
+    
+    if (!updatedRun) {
+      return res.status(409).json({ 
+        error: 'Rejects exceed output',
+        message: `Run ${run.runId} has produced ${run.actualQty || 0} parts, ${run.rejectQty || 0} already rejected`,
+        ...runYield(run)
+      });
+    }
+    
+    await recordAudit('ProductionRun', 'update', { before: run, after: updatedRun, user: req.user });
+    publish('run.progress', { machineId: updatedRun.machineId, ...runProgress(updatedRun) });
+    res.status(201).json({ 
+      message: `Recorded ${quantity} ${defects[defectCode].toLowerCase()} rejects on run ${updatedRun.runId}`,
+      entry: updatedRun.scrap[updatedRun.scrap.length - 1],
+      ...runYield(updatedRun)
+    });
+  } catch (error) {
+    console.error('Error recording scrap:', error);
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Failed to record scrap',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /production-runs/{id}:
+ *   delete:
+ *     summary: Delete a production run
+ *     description: |
+ *       Soft delete. The run is hidden from normal queries and can be restored with POST /production-runs/{id}/restore.
+ *       A running run cannot be deleted. Quality checks on the run block the delete unless cascade=delete is given,
+ *       which deletes them with the run in a single transaction. Nonconformances (NCRs) on the run always block
+ *       the delete.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Production run MongoDB ID
+ *       - $ref: '#/components/parameters/Cascade'
+ *     responses:
+ *       200:
+ *         description: Production run deleted successfully; `cascaded` counts the quality checks deleted with it
+ *       400:
+ *         description: Invalid ID format or cascade policy
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       409:
+ *         description: The run is running, or quality checks or nonconformances still reference it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeleteBlocked'
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', isAuthenticated, requirePermission('productionRuns:delete'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const policy = req.query.cascade;
+    if (policy !== undefined && !CASCADE_POLICIES.includes(policy)) {
+      return res.status(400).json({ 
+        error: 'Invalid cascade policy',
+        message: `cascade must be one of: ${CASCADE_POLICIES.join(', ')}`
+      });
+    }
+    
+    // A deleted run would still hold the machine's running slot
+    const current = await ProductionRun.findById(req.params.id);
+    if (current && current.status === 'running') {
+      return res.status(409).json({ 
+        error: 'Run is running',
+        message: `Pause, complete or cancel production run ${current.runId} before deleting it`,
+        allowedActions: allowedActions(current.status)
+      });
+    }
+    
+    const { blocking, before, after: run, changes } = await deleteWithReferences('ProductionRun', ProductionRun, req.params.id, {
+      policy,
+      user: req.user
+    });
+    
+    if (blocking) {
+      return res.status(409).json({ 
+        error: 'Delete blocked',
+        message: `Production run is still referenced by ${describeReferences(blocking)}`,
+        references: blocking,
+        cascadePolicies: CASCADE_POLICIES
+      });
+    }
+    
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Production run not found',
+        message: `No production run found with ID: ${req.params.id}` 
+      });
+    }
+    
+    await recordAudit('ProductionRun', 'delete', { before, after: run, user: req.user });
+    for (const change of changes) {
+      await recordAudit(change.entity, change.action, { before: change.before, after: change.after, user: req.user });
+    }
     res.json({ 
       message: 'Production run deleted successfully',
       deletedRun: {
         id: run._id,
         runId: run.runId,
         partName: run.partName,
-        partNumber: run.partNumber
-      }
+        partNumber: run.partNumber,
+        deletedAt: run.deletedAt,
+        deletedBy: run.deletedBy
+      },
+      cascaded: changes.length
     });
   } catch (error) {
     console.error('Error deleting production run:', error);
@@ -543,4 +2093,160 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /production-runs/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted production run
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Production run MongoDB ID
+ *     responses:
+ *       200:
+ *         description: Production run restored
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       409:
+ *         description: Production run is not deleted
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', isAuthenticated, requirePermission('deleted:restore'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    const { before, after: run } = await restoreById(ProductionRun, req.params.id);
+    if (!before) {
+      return res.status(404).json({ 
+        error: 'Production run not found',
+        message: `No production run found with ID: ${req.params.id}` 
+      });
+    }
+    
+    if (!run) {
+      return res.status(409).json({ 
+        error: 'Not deleted',
+        message: `Production run ${before.runId} is not deleted`
+      });
+    }
+    
+    await recordAudit('ProductionRun', 'restore', { before, after: run, user: req.user });
+    res.json({ 
+      message: 'Production run restored successfully',
+      run
+    });
+  } catch (error) {
+    console.error('Error restoring production run:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore production run',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /production-runs/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a production run
+ *     description: Removes a deleted production run for good. Administrators only; the run must be deleted first.
+ *     tags: [Production Runs]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Production run MongoDB ID
+ *     responses:
+ *       200:
+ *         description: Production run permanently deleted
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Production run not found
+ *       409:
+ *         description: Production run is not deleted, or quality checks (deleted or not) still reference it
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/purge', isAuthenticated, requirePermission('deleted:purge'), async (req, res) => {
+  try {
+    // Validate MongoDB ID format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        error: 'Invalid ID format',
+        message: 'Please provide a valid MongoDB ID (24 character hex string)' 
+      });
+    }
+    
+    // Purging cannot be undone, so even deleted dependents block it
+    const references = await findReferences('ProductionRun', req.params.id, { includeDeleted: true });
+    if (references.length > 0) {
+      return res.status(409).json({ 
+        error: 'Purge blocked',
+        message: `Production run is still referenced by ${describeReferences(references)}`,
+        references
+      });
+    }
+    
+    const { before, purged: run } = await purgeById(ProductionRun, req.params.id);
+    if (!before) {
+      return res.status(404).json({ 
+        error: 'Production run not found',
+        message: `No production run found with ID: ${req.params.id}` 
+      });
+    }
+    
+    if (!run) {
+      return res.status(409).json({ 
+        error: 'Not deleted',
+        message: `Delete production run ${before.runId} before purging it`
+      });
+    }
+    
+    await recordAudit('ProductionRun', 'purge', { before: run, user: req.user });
+    res.json({ 
+      message: 'Production run permanently deleted',
+      purgedRun: {
+        id: run._id,
+        runId: run.runId,
+        partName: run.partName,
+        partNumber: run.partNumber
+      }
+    });
+  } catch (error) {
+    console.error('Error purging production run:', error);
+    res.status(500).json({ 
+      error: 'Failed to purge production run',
+      message: error.message 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,20 +1,55 @@
 const express = require('express');
 const router = express.Router();
-const { isAuthenticated } = require('../middleware/auth');
+const { isAuthenticated, requirePermission, allowIncludeDeleted } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const { exportable } = require('../middleware/export');
 const {
   getAllQualityChecks,
   getQualityCheckById,
   createQualityCheck,
   updateQualityCheck,
   deleteQualityCheck,
+  restoreQualityCheck,
+  purgeQualityCheck,
   getQualityChecksByResult,
-  getRecentQualityChecks
+  getRecentQualityChecks,
+  getSpcAnalysis
 } = require('../controllers/qualityChecks');
 
+// Sortable fields and default order for the list endpoints
+const paginateChecks = paginate({
+  sortFields: ['checkDate', 'checkId', 'checkType', 'result', 'defectsFound'],
+  defaultSort: { checkDate: -1 }
+});
+
 /**
  * @swagger
  * components:
  *   schemas:
+ *     MeasurementTolerance:
+ *       type: object
+ *       description: |
+ *         Either a nominal with plus/minus limits or explicit min/max bounds (one bound
+ *         may be omitted for a one-sided spec). Legacy strings such as "±0.05",
+ *         "2.0 ± 0.05 mm", "+0.1/-0.05" or "1.95-2.05" are accepted and converted; a legacy
+ *         plus/minus string whose nominal is unknown is stored as is and not evaluated.
+ *       properties:
+ *         nominal:
+ *           type: number
+ *           description: Defaults to the measurement value when actualValue is also given
+ *         plus:
+ *           type: number
+ *           minimum: 0
+ *         minus:
+ *           type: number
+ *           minimum: 0
+ *         min:
+ *           type: number
+ *         max:
+ *           type: number
+ *         unit:
+ *           type: string
+ *           description: Must match the measurement unit; defaults to it
  *     QualityCheck:
  *       type: object
  *       required:
@@ -51,7 +86,10 @@ const {
  *         result:
  *           type: string
  *           enum: ['Pass', 'Fail', 'Rework', 'Hold']
- *           description: Result of quality check
+ *           description: |
+ *             Result of quality check. Derived from the measurements when omitted
+ *             (Fail if any is out of spec, otherwise Pass); Pass is rejected when
+ *             any measurement is out of spec.
  *         measurements:
  *           type: array
  *           items:
@@ -61,15 +99,19 @@ const {
  *                 type: string
  *               value:
  *                 type: number
+ *                 description: Nominal value, or the measured value when actualValue is not given
  *               unit:
  *                 type: string
  *               tolerance:
- *                 type: string
+ *                 $ref: '#/components/schemas/MeasurementTolerance'
  *               actualValue:
  *                 type: number
+ *                 description: Measured value
  *               status:
  *                 type: string
  *                 enum: ['Within', 'Out of Spec']
+ *                 readOnly: true
+ *                 description: Evaluated by the server against the tolerance (client values are ignored)
  *         notes:
  *           type: string
  *           maxLength: 500
@@ -82,6 +124,31 @@ const {
  *         nextCheckDate:
  *           type: string
  *           format: date
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Set when the check was deleted; deleted checks are hidden unless includeDeleted=true
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
+ *         pauseRun:
+ *           type: boolean
+ *           writeOnly: true
+ *           description: With a Fail or Hold result, pause the run while the nonconformance it opens is dispositioned
+ *         nonconformance:
+ *           type: object
+ *           readOnly: true
+ *           description: The nonconformance (NCR) opened by this request, when the result is Fail or Hold
+ *           properties:
+ *             id:
+ *               type: string
+ *             ncrNumber:
+ *               type: string
+ *             status:
+ *               type: string
+ *             runPaused:
+ *               type: boolean
  *       example:
  *         checkId: "QC-2023-001"
  *         productionRunId: "65a1b2c3d4e5f67890123456"
@@ -90,7 +157,11 @@ const {
  *         checkDate: "2023-10-15T14:30:00Z"
  *         checkType: "Visual"
  *         result: "Pass"
- *         measurements: []
+ *         measurements:
+ *           - parameter: "Wall thickness"
+ *             unit: "mm"
+ *             actualValue: 2.02
+ *             tolerance: { nominal: 2.0, plus: 0.05, minus: 0.05 }
  *         notes: "All parameters within specification"
  *         defectsFound: 0
  *         correctiveAction: "None required"
@@ -113,6 +184,7 @@ const {
  *     security:
  *       - OAuth2: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Format'
  *       - in: query
  *         name: startDate
  *         schema:
@@ -137,21 +209,40 @@ const {
  *           type: string
  *           enum: [Visual, Measurement, Weight, Dimensional, Packaging, Material]
  *         description: Filter by check type
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
  *     responses:
  *       200:
  *         description: List of quality checks
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/QualityCheck'
+ *           text/csv:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *       400:
+ *         description: Invalid pagination or sort parameters
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.get('/', isAuthenticated, getAllQualityChecks);
+router.get('/', isAuthenticated, requirePermission('qualityChecks:read'), allowIncludeDeleted, paginateChecks, exportable, getAllQualityChecks);
 
 /**
  * @swagger
@@ -179,10 +270,108 @@ router.get('/', isAuthenticated, getAllQualityChecks);
  *                 $ref: '#/components/schemas/QualityCheck'
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/recent', isAuthenticated, requirePermission('qualityChecks:read'), getRecentQualityChecks);
+
+/**
+ * @swagger
+ * /quality-checks/spc:
+ *   get:
+ *     summary: Statistical process control for a measured parameter
+ *     description: |
+ *       Builds X-bar/R and individuals (I-MR) control charts from the measurements of one
+ *       parameter across all quality checks of a part number, flags Nelson / Western Electric
+ *       rule violations and computes Cp/Cpk and Pp/Ppk against the spec limits.
+ *       Violations list the indices of the offending points on each chart.
+ *     tags: [Quality Checks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: partNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Part number of the production runs
+ *       - in: query
+ *         name: parameter
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Measurement parameter (e.g. "Wall thickness")
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only include checks on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only include checks on or before this date
+ *       - in: query
+ *         name: subgroupSize
+ *         schema:
+ *           type: integer
+ *           minimum: 2
+ *           maximum: 10
+ *           default: 5
+ *         description: Consecutive measurements per X-bar/R subgroup
+ *       - in: query
+ *         name: lsl
+ *         schema:
+ *           type: number
+ *         description: Lower specification limit (defaults to the tolerance of the latest measurement)
+ *       - in: query
+ *         name: usl
+ *         schema:
+ *           type: number
+ *         description: Upper specification limit (defaults to the tolerance of the latest measurement)
+ *     responses:
+ *       200:
+ *         description: Control charts, rule violations and capability indices
+ *         content:
+ *           application/json:
+ *             example:
+ *               partNumber: "HOUSING-A"
+ *               parameter: "Wall thickness"
+ *               unit: "mm"
+ *               observations: 25
+ *               xbarR:
+ *                 subgroupSize: 5
+ *                 subgroups: 5
+ *                 xbar: { centerLine: 2.01, ucl: 2.05, lcl: 1.97, points: [2.0, 2.02, 2.01, 1.99, 2.03] }
+ *                 range: { centerLine: 0.07, ucl: 0.148, lcl: 0, points: [0.06, 0.08, 0.07, 0.05, 0.09] }
+ *                 sigmaWithin: 0.0301
+ *                 violations:
+ *                   xbar: []
+ *                   rangeOutOfControl: []
+ *               capability:
+ *                 lsl: 1.9
+ *                 usl: 2.1
+ *                 mean: 2.01
+ *                 cp: 1.107
+ *                 cpk: 0.996
+ *                 pp: 1.05
+ *                 ppk: 0.945
+ *                 outOfSpec: 0
+ *               specSource: "tolerance"
+ *       400:
+ *         description: Missing partNumber/parameter, invalid subgroup size, spec limits or dates
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.get('/recent', isAuthenticated, getRecentQualityChecks);
+router.get('/spc', isAuthenticated, requirePermission('qualityChecks:read'), getSpcAnalysis);
 
 /**
  * @swagger
@@ -200,9 +389,17 @@ router.get('/recent', isAuthenticated, getRecentQualityChecks);
  *           type: string
  *           enum: [Pass, Fail, Rework, Hold]
  *         description: Result to filter by
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
  *     responses:
  *       200:
  *         description: List of quality checks with specified result
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
@@ -212,11 +409,13 @@ router.get('/recent', isAuthenticated, getRecentQualityChecks);
  *       401:
  *         description: Unauthorized - Authentication required
  *       400:
- *         description: Invalid result parameter
+ *         description: Invalid result parameter, or invalid pagination/sort parameters
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.get('/result/:result', isAuthenticated, getQualityChecksByResult);
+router.get('/result/:result', isAuthenticated, requirePermission('qualityChecks:read'), paginateChecks, getQualityChecksByResult);
 
 /**
  * @swagger
@@ -233,6 +432,7 @@ router.get('/result/:result', isAuthenticated, getQualityChecksByResult);
  *         schema:
  *           type: string
  *         description: Quality check ID
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Quality check data
@@ -242,18 +442,21 @@ router.get('/result/:result', isAuthenticated, getQualityChecksByResult);
  *               $ref: '#/components/schemas/QualityCheck'
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Quality check not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', isAuthenticated, getQualityCheckById);
+router.get('/:id', isAuthenticated, requirePermission('qualityChecks:read'), allowIncludeDeleted, getQualityCheckById);
 
 /**
  * @swagger
  * /quality-checks:
  *   post:
  *     summary: Create new quality check
+ *     description: A Fail or Hold result opens a nonconformance (NCR) for the check, pausing its run when pauseRun is true.
  *     tags: [Quality Checks]
  *     security:
  *       - OAuth2: []
@@ -271,19 +474,22 @@ router.get('/:id', isAuthenticated, getQualityCheckById);
  *             schema:
  *               $ref: '#/components/schemas/QualityCheck'
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error, invalid tolerance, or Pass with measurements out of spec
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       500:
  *         description: Server error
  */
-router.post('/', isAuthenticated, createQualityCheck);
+router.post('/', isAuthenticated, requirePermission('qualityChecks:create'), createQualityCheck);
 
 /**
  * @swagger
  * /quality-checks/{id}:
  *   put:
  *     summary: Update quality check
+ *     description: Changing the result to Fail or Hold opens a nonconformance (NCR) unless the check already has one.
  *     tags: [Quality Checks]
  *     security:
  *       - OAuth2: []
@@ -308,21 +514,24 @@ router.post('/', isAuthenticated, createQualityCheck);
  *             schema:
  *               $ref: '#/components/schemas/QualityCheck'
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error, invalid tolerance, or Pass with measurements out of spec
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Quality check not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', isAuthenticated, updateQualityCheck);
+router.put('/:id', isAuthenticated, requirePermission('qualityChecks:update'), updateQualityCheck);
 
 /**
  * @swagger
  * /quality-checks/{id}:
  *   delete:
  *     summary: Delete quality check
+ *     description: Soft delete. The check is hidden from normal queries and can be restored with POST /quality-checks/{id}/restore.
  *     tags: [Quality Checks]
  *     security:
  *       - OAuth2: []
@@ -338,11 +547,80 @@ router.put('/:id', isAuthenticated, updateQualityCheck);
  *         description: Quality check deleted successfully
  *       401:
  *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Quality check not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', isAuthenticated, requirePermission('qualityChecks:delete'), deleteQualityCheck);
+
+/**
+ * @swagger
+ * /quality-checks/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted quality check
+ *     tags: [Quality Checks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quality check ID
+ *     responses:
+ *       200:
+ *         description: Quality check restored
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Quality check not found
+ *       409:
+ *         description: Quality check is not deleted
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', isAuthenticated, requirePermission('deleted:restore'), restoreQualityCheck);
+
+/**
+ * @swagger
+ * /quality-checks/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a quality check
+ *     description: Removes a deleted quality check for good. Administrators only; the check must be deleted first.
+ *     tags: [Quality Checks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quality check ID
+ *     responses:
+ *       200:
+ *         description: Quality check permanently deleted
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: Quality check not found
+ *       409:
+ *         description: Quality check is not deleted
  *       500:
  *         description: Server error
  */
-router.delete('/:id', isAuthenticated, deleteQualityCheck);
+router.delete('/:id/purge', isAuthenticated, requirePermission('deleted:purge'), purgeQualityCheck);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,472 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  getAllRecipes,
+  getRecipeById,
+  createRecipe,
+  createRecipeVersion,
+  updateRecipe,
+  approveRecipe,
+  diffRecipe,
+  deleteRecipe
+} = require('../controllers/recipes');
+
+// Sortable fields and default order for the list endpoints
+const paginateRecipes = paginate({
+  sortFields: ['recipeId', 'version', 'partNumber', 'status', 'approvedAt', 'createdAt'],
+  defaultSort: { recipeId: 1, version: -1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecipeParameters:
+ *       type: object
+ *       required:
+ *         - barrelZones
+ *         - injectionPressure
+ *         - injectionSpeed
+ *         - holdPressure
+ *         - holdTime
+ *         - coolingTime
+ *         - moldTemperature
+ *       properties:
+ *         barrelZones:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: number
+ *           description: Barrel zone temperatures in °C, from the feed throat to the nozzle
+ *         injectionPressure:
+ *           type: number
+ *           description: bar
+ *         injectionSpeed:
+ *           type: number
+ *           description: mm/s
+ *         holdPressure:
+ *           type: number
+ *           description: bar
+ *         holdTime:
+ *           type: number
+ *           description: seconds
+ *         coolingTime:
+ *           type: number
+ *           description: seconds
+ *         moldTemperature:
+ *           type: number
+ *           description: °C
+ *     Recipe:
+ *       type: object
+ *       required:
+ *         - recipeId
+ *         - partNumber
+ *         - moldId
+ *         - machineId
+ *         - parameters
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID of this version
+ *         recipeId:
+ *           type: string
+ *           description: Recipe identifier shared by all its versions
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *         partNumber:
+ *           type: string
+ *         moldId:
+ *           type: string
+ *           description: Reference to mold MongoDB ID
+ *         machineId:
+ *           type: string
+ *           description: Reference to machine MongoDB ID
+ *         parameters:
+ *           $ref: '#/components/schemas/RecipeParameters'
+ *         status:
+ *           type: string
+ *           enum: [draft, approved, superseded]
+ *           readOnly: true
+ *           description: Only drafts can be edited. Approving a version supersedes the previously approved one.
+ *         changeNote:
+ *           type: string
+ *           maxLength: 500
+ *           description: What changed compared to the version it was based on
+ *         basedOnVersion:
+ *           type: integer
+ *           readOnly: true
+ *         createdBy:
+ *           type: string
+ *           readOnly: true
+ *         approvedBy:
+ *           type: string
+ *           readOnly: true
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *       example:
+ *         recipeId: "RCP-HOUSING-A"
+ *         version: 3
+ *         partNumber: "HOUSING-A"
+ *         moldId: "507f1f77bcf86cd799439022"
+ *         machineId: "507f1f77bcf86cd799439011"
+ *         parameters:
+ *           barrelZones: [210, 220, 230, 235]
+ *           injectionPressure: 1200
+ *           injectionSpeed: 85
+ *           holdPressure: 650
+ *           holdTime: 6
+ *           coolingTime: 18
+ *           moldTemperature: 55
+ *         status: "approved"
+ *         changeNote: "Cooling time +2 s against warpage"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recipes
+ *   description: Versioned process parameter recipes per part, mold and machine
+ */
+
+/**
+ * @swagger
+ * /recipes:
+ *   get:
+ *     summary: Get all recipe versions
+ *     tags: [Recipes]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: recipeId
+ *         schema:
+ *           type: string
+ *         description: Only versions of this recipe
+ *       - in: query
+ *         name: partNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: moldId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, approved, superseded]
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of recipe versions
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Recipe'
+ *       400:
+ *         description: Invalid status filter, or invalid pagination/sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a recipe
+ *     description: Creates version 1 of a new recipe as a draft.
+ *     tags: [Recipes]
+ *     security:
+ *       - OAuth2: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Recipe'
+ *     responses:
+ *       201:
+ *         description: Draft version 1 created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Recipe'
+ *       400:
+ *         description: Bad request - validation error
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Referenced mold or machine not found
+ *       409:
+ *         description: A recipe with this recipeId already exists
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('recipes:read'), paginateRecipes, getAllRecipes);
+router.post('/', isAuthenticated, requirePermission('recipes:create'), createRecipe);
+
+/**
+ * @swagger
+ * /recipes/{id}:
+ *   get:
+ *     summary: Get a recipe version by ID
+ *     tags: [Recipes]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RecipeVersionId'
+ *     responses:
+ *       200:
+ *         description: Recipe version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Recipe'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Recipe version not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Edit a draft recipe version
+ *     description: Only parameters and changeNote can be changed, and only while the version is a draft. Parameters are merged into the current ones.
+ *     tags: [Recipes]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RecipeVersionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parameters:
+ *                 $ref: '#/components/schemas/RecipeParameters'
+ *               changeNote:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       400:
+ *         description: Invalid ID format, validation error or fields that cannot be edited
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Recipe version not found
+ *       409:
+ *         description: Version is approved or superseded
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a draft recipe version
+ *     tags: [Recipes]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RecipeVersionId'
+ *     responses:
+ *       200:
+ *         description: Draft deleted
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Recipe version not found
+ *       409:
+ *         description: Version is approved or superseded
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   parameters:
+ *     RecipeVersionId:
+ *       in: path
+ *       name: id
+ *       schema:
+ *         type: string
+ *       required: true
+ *       description: Recipe version MongoDB ID
+ */
+router.get('/:id', isAuthenticated, requirePermission('recipes:read'), getRecipeById);
+router.put('/:id', isAuthenticated, requirePermission('recipes:update'), updateRecipe);
+router.delete('/:id', isAuthenticated, requirePermission('recipes:delete'), deleteRecipe);
+
+/**
+ * @swagger
+ * /recipes/{id}/versions:
+ *   post:
+ *     summary: Create a new version of a recipe
+ *     description: Copies the setpoints of this version into a new draft with the next version number. Parameters in the body override the copied ones.
+ *     tags: [Recipes]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RecipeVersionId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parameters:
+ *                 $ref: '#/components/schemas/RecipeParameters'
+ *               changeNote:
+ *                 type: string
+ *                 maxLength: 500
+ *           example:
+ *             parameters: { coolingTime: 20 }
+ *             changeNote: "Cooling time +2 s against warpage"
+ *     responses:
+ *       201:
+ *         description: New draft version created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Recipe'
+ *       400:
+ *         description: Invalid ID format or validation error
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Recipe version not found
+ *       409:
+ *         description: Another version was created at the same time
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/versions', isAuthenticated, requirePermission('recipes:create'), createRecipeVersion);
+
+/**
+ * @swagger
+ * /recipes/{id}/approve:
+ *   post:
+ *     summary: Approve a draft recipe version
+ *     description: >
+ *       Makes the version the approved one for its recipe; the previously approved version
+ *       becomes superseded. A version cannot be approved by the person who created it.
+ *     tags: [Recipes]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RecipeVersionId'
+ *     responses:
+ *       200:
+ *         description: Version approved
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission, or the approver created the version
+ *       404:
+ *         description: Recipe version not found
+ *       409:
+ *         description: Version is not a draft, or a newer version is already approved
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/approve', isAuthenticated, requirePermission('recipes:approve'), approveRecipe);
+
+/**
+ * @swagger
+ * /recipes/{id}/diff:
+ *   get:
+ *     summary: Compare two versions of a recipe
+ *     description: Lists the setpoints that changed from another version to this one. Barrel zones are compared zone by zone.
+ *     tags: [Recipes]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RecipeVersionId'
+ *       - in: query
+ *         name: against
+ *         schema:
+ *           type: string
+ *         description: Version number or version MongoDB ID to compare with (defaults to the version this one was based on)
+ *     responses:
+ *       200:
+ *         description: Changed setpoints
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recipeId:
+ *                   type: string
+ *                 from:
+ *                   type: object
+ *                   description: The version compared with
+ *                 to:
+ *                   type: object
+ *                   description: This version
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       parameter:
+ *                         type: string
+ *                         example: "barrelZones[2]"
+ *                       label:
+ *                         type: string
+ *                       unit:
+ *                         type: string
+ *                       from:
+ *                         type: number
+ *                         nullable: true
+ *                       to:
+ *                         type: number
+ *                         nullable: true
+ *                       delta:
+ *                         type: number
+ *                         nullable: true
+ *                 unchanged:
+ *                   type: integer
+ *                   description: Number of setpoints that did not change
+ *       400:
+ *         description: Invalid ID format, or the other version belongs to a different recipe
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Recipe version or the version to compare with not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/diff', isAuthenticated, requirePermission('recipes:read'), diffRecipe);
+
+module.exports = router;
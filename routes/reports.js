@@ -0,0 +1,841 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const {
+  GROUP_BY,
+  calculateOee,
+  calculateGroupedOee,
+  loadRunsAndChecks,
+  parseWindow
+} = require('../services/oee');
+const { loadDowntime, downtimeReport } = require('../services/downtime');
+const { loadShiftData, shiftReport } = require('../services/shiftReport');
+const { loadScrap, scrapReport } = require('../services/scrap');
+const { loadOperatorRuns, operatorReport } = require('../services/operators');
+const { exportable, sendExport } = require('../middleware/export');
+
+// Columns of each report's CSV/Excel export. Breakdowns nested per machine
+// are flattened to one row per machine and entry.
+const EXPORT_COLUMNS = {
+  oee: ['availability', 'performance', 'quality', 'oee', 'performanceBasis', 'plannedMinutes', 'runMinutes', 'totalCount', 'goodCount', 'defects', 'runs'],
+  downtime: ['machine.machineId', 'machine.name', 'reasonCode', 'description', 'events', 'minutes', 'percent', 'cumulativePercent'],
+  shifts: ['machine.machineId', 'machine.name', 'shift', 'partsProduced', 'rejects', 'goodParts', 'downtimeMinutes', 'qualityChecks', 'runs'],
+  scrap: ['machine.machineId', 'machine.name', 'defectCode', 'description', 'quantity', 'entries', 'percent', 'cumulativePercent'],
+  operators: ['operator.employeeId', 'operator.name', 'runs', 'partsProduced', 'rejects', 'goodParts', 'scrapRate']
+};
+
+// Columns naming an OEE group
+const OEE_GROUP_COLUMNS = {
+  machine: ['machine.machineId', 'machine.name'],
+  shift: ['shift'],
+  partNumber: ['partNumber']
+};
+
+const perMachine = (machines, key) => machines.flatMap(({ machine, [key]: entries }) => (
+  entries.map(entry => ({ machine, ...entry }))
+));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OeeResult:
+ *       type: object
+ *       properties:
+ *         availability:
+ *           type: number
+ *           description: Run time / planned production time (0-1)
+ *         performance:
+ *           type: number
+ *           description: Ideal time for the output / run time, or actual / target quantity (0-1)
+ *         quality:
+ *           type: number
+ *           description: Good count / total count (0-1)
+ *         oee:
+ *           type: number
+ *           description: Availability x Performance x Quality (0-1)
+ *         performanceBasis:
+ *           type: string
+ *           enum: [idealCycleTime, targetQty]
+ *         plannedMinutes:
+ *           type: number
+ *         runMinutes:
+ *           type: number
+ *         totalCount:
+ *           type: integer
+ *         goodCount:
+ *           type: integer
+ *         defects:
+ *           type: integer
+ *           description: Rejected parts - scrap recorded on the runs inside the window
+ *         runs:
+ *           type: integer
+ *           description: Number of production runs included
+ *         checks:
+ *           type: object
+ *           description: Quality check count, total and per result
+ *       example:
+ *         availability: 0.9125
+ *         performance: 0.8571
+ *         quality: 0.988
+ *         oee: 0.7728
+ *         performanceBasis: "targetQty"
+ *         plannedMinutes: 960
+ *         runMinutes: 876
+ *         totalCount: 4286
+ *         goodCount: 4234
+ *         defects: 52
+ *         runs: 3
+ *         checks: { total: 6, Pass: 5, Hold: 1 }
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Plant-wide production reports
+ */
+
+/**
+ * @swagger
+ * /reports/oee:
+ *   get:
+ *     summary: Plant-wide OEE report
+ *     description: Overall Equipment Effectiveness for all production runs in a date range, grouped by machine, shift or part number.
+ *     tags: [Reports]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Format'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (defaults to 7 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (defaults to now)
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [machine, shift, partNumber]
+ *           default: machine
+ *         description: >
+ *           How to group the report. By shift, each run's time, output and scrap are split
+ *           across the shifts of the calendar (SHIFTS) they fell in.
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *         description: Only include runs on this machine (MongoDB ID)
+ *       - in: query
+ *         name: partNumber
+ *         schema:
+ *           type: string
+ *         description: Only include runs for this part number
+ *       - in: query
+ *         name: idealCycleTime
+ *         schema:
+ *           type: number
+ *         description: Ideal seconds per part. Defaults to the mold's standard cycle time / cavities; without either, performance is measured against target quantity.
+ *     responses:
+ *       200:
+ *         description: Plant totals and one OEE entry per group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 groupBy:
+ *                   type: string
+ *                 plant:
+ *                   $ref: '#/components/schemas/OeeResult'
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OeeResult'
+ *           text/csv:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/oee', isAuthenticated, requirePermission('reports:read'), exportable, async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'machine';
+    if (!GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        error: 'Invalid groupBy',
+        message: `groupBy must be one of: ${GROUP_BY.join(', ')}`
+      });
+    }
+
+    const { window, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: error
+      });
+    }
+
+    const idealCycleTime = req.query.idealCycleTime ? Number(req.query.idealCycleTime) : undefined;
+    if (idealCycleTime !== undefined && !(idealCycleTime > 0)) {
+      return res.status(400).json({
+        error: 'Invalid ideal cycle time',
+        message: 'Ideal cycle time must be a positive number of seconds'
+      });
+    }
+
+    const filter = {};
+    if (req.query.machineId) {
+      if (!req.query.machineId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          error: 'Invalid ID format',
+          message: 'Please provide a valid MongoDB ID (24 character hex string)'
+        });
+      }
+      filter.machineId = req.query.machineId;
+    }
+    if (req.query.partNumber) {
+      filter.partNumber = req.query.partNumber;
+    }
+
+    const { runs, checks, downtime } = await loadRunsAndChecks(filter, window);
+    const options = { idealCycleTime, downtime };
+    const groups = calculateGroupedOee(runs, checks, window, groupBy, options);
+    if (req.exportFormat) {
+      return sendExport(req, res, groups, [...OEE_GROUP_COLUMNS[groupBy], ...EXPORT_COLUMNS.oee], `oee-by-${groupBy}`);
+    }
+
+    res.status(200).json({
+      from: window.from,
+      to: window.to,
+      groupBy,
+      plant: calculateOee(runs, checks, window, options),
+      groups
+    });
+  } catch (error) {
+    console.error('Error generating OEE report:', error);
+    res.status(500).json({
+      error: 'Failed to generate OEE report',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reports/downtime:
+ *   get:
+ *     summary: Downtime report with Pareto ranking
+ *     description: >
+ *       Totals downtime minutes in a date range and ranks reasons by duration (Pareto),
+ *       plant-wide and per machine. Open events count up to now.
+ *     tags: [Reports]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Format'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (defaults to 7 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (defaults to now)
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *         description: Only include this machine (MongoDB ID)
+ *     responses:
+ *       200:
+ *         description: Downtime totals and Pareto rankings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 totalMinutes:
+ *                   type: number
+ *                 events:
+ *                   type: integer
+ *                 openEvents:
+ *                   type: integer
+ *                 pareto:
+ *                   type: array
+ *                   description: Reasons ranked by total minutes
+ *                   items:
+ *                     $ref: '#/components/schemas/DowntimeParetoEntry'
+ *                 machines:
+ *                   type: array
+ *                   description: Machines ranked by total minutes, each with its own reason ranking
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       machine:
+ *                         type: object
+ *                       minutes:
+ *                         type: number
+ *                       events:
+ *                         type: integer
+ *                       percent:
+ *                         type: number
+ *                       cumulativePercent:
+ *                         type: number
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/DowntimeParetoEntry'
+ *           text/csv:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   schemas:
+ *     DowntimeParetoEntry:
+ *       type: object
+ *       properties:
+ *         reasonCode:
+ *           type: string
+ *         description:
+ *           type: string
+ *         minutes:
+ *           type: number
+ *         events:
+ *           type: integer
+ *         percent:
+ *           type: number
+ *           description: Share of total downtime
+ *         cumulativePercent:
+ *           type: number
+ *           description: Running share of total downtime, in ranking order
+ */
+router.get('/downtime', isAuthenticated, requirePermission('reports:read'), exportable, async (req, res) => {
+  try {
+    const { window, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: error
+      });
+    }
+
+    const filter = {};
+    if (req.query.machineId) {
+      if (!req.query.machineId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          error: 'Invalid ID format',
+          message: 'Please provide a valid MongoDB ID (24 character hex string)'
+        });
+      }
+      filter.machineId = req.query.machineId;
+    }
+
+    const events = await loadDowntime(filter, window);
+    const report = downtimeReport(events, window);
+    if (req.exportFormat) {
+      return sendExport(req, res, perMachine(report.machines, 'reasons'), EXPORT_COLUMNS.downtime, 'downtime');
+    }
+
+    res.status(200).json({
+      from: window.from,
+      to: window.to,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error generating downtime report:', error);
+    res.status(500).json({
+      error: 'Failed to generate downtime report',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reports/shifts:
+ *   get:
+ *     summary: Shift production report
+ *     description: |
+ *       Per machine and shift figures for one production day, using the configured shift
+ *       calendar (SHIFTS). A shift that crosses midnight belongs to the day it starts on.
+ *       Parts produced are prorated by the time each run was running inside the shift;
+ *       rejects are the scrap recorded on the runs during the shift.
+ *     tags: [Reports]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Format'
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Production day (YYYY-MM-DD, defaults to today)
+ *     responses:
+ *       200:
+ *         description: Shift report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 shifts:
+ *                   type: array
+ *                   description: Plant totals per shift, with the shift's start and end
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ShiftFigures'
+ *                       - type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                             format: date-time
+ *                           to:
+ *                             type: string
+ *                             format: date-time
+ *                 machines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       machine:
+ *                         type: object
+ *                       shifts:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ShiftFigures'
+ *                       totals:
+ *                         $ref: '#/components/schemas/ShiftFigures'
+ *           text/csv:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *       400:
+ *         description: Invalid date
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   schemas:
+ *     ShiftFigures:
+ *       type: object
+ *       properties:
+ *         shift:
+ *           type: string
+ *         partsProduced:
+ *           type: integer
+ *         rejects:
+ *           type: integer
+ *         goodParts:
+ *           type: integer
+ *         downtimeMinutes:
+ *           type: number
+ *         qualityChecks:
+ *           type: integer
+ *         runs:
+ *           type: integer
+ *           description: Production runs that were running during the shift
+ */
+router.get('/shifts', isAuthenticated, requirePermission('reports:read'), exportable, async (req, res) => {
+  try {
+    const today = new Date();
+    const date = req.query.date || [
+      today.getFullYear(),
+      String(today.getMonth() + 1).padStart(2, '0'),
+      String(today.getDate()).padStart(2, '0')
+    ].join('-');
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'date must be a valid YYYY-MM-DD date'
+      });
+    }
+
+    const data = await loadShiftData(date);
+    const report = shiftReport(data);
+    if (req.exportFormat) {
+      return sendExport(req, res, perMachine(report.machines, 'shifts'), EXPORT_COLUMNS.shifts, `shifts-${date}`);
+    }
+
+    res.status(200).json({
+      date,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error generating shift report:', error);
+    res.status(500).json({
+      error: 'Failed to generate shift report',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reports/scrap:
+ *   get:
+ *     summary: Scrap by defect report
+ *     description: >
+ *       Totals the scrap recorded on production runs in a date range and ranks defect codes
+ *       by rejected quantity (Pareto), plant-wide, per machine and per part number.
+ *     tags: [Reports]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Format'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (defaults to 7 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (defaults to now)
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *         description: Only include runs on this machine (MongoDB ID)
+ *       - in: query
+ *         name: partNumber
+ *         schema:
+ *           type: string
+ *         description: Only include runs for this part number
+ *     responses:
+ *       200:
+ *         description: Scrap totals and Pareto rankings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 totalRejects:
+ *                   type: integer
+ *                 entries:
+ *                   type: integer
+ *                   description: Scrap entries in the window
+ *                 runs:
+ *                   type: integer
+ *                   description: Production runs with scrap in the window
+ *                 byDefect:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScrapByDefect'
+ *                 machines:
+ *                   type: array
+ *                   description: Machines ranked by rejected quantity, each with its own defect ranking
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       machine:
+ *                         type: object
+ *                       quantity:
+ *                         type: integer
+ *                       entries:
+ *                         type: integer
+ *                       percent:
+ *                         type: number
+ *                       cumulativePercent:
+ *                         type: number
+ *                       defects:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ScrapByDefect'
+ *                 partNumbers:
+ *                   type: array
+ *                   description: Part numbers ranked by rejected quantity
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       partNumber:
+ *                         type: string
+ *                       quantity:
+ *                         type: integer
+ *                       entries:
+ *                         type: integer
+ *                       percent:
+ *                         type: number
+ *                       cumulativePercent:
+ *                         type: number
+ *           text/csv:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   schemas:
+ *     ScrapByDefect:
+ *       type: object
+ *       properties:
+ *         defectCode:
+ *           type: string
+ *         description:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         entries:
+ *           type: integer
+ *         percent:
+ *           type: number
+ *           description: Share of total rejects
+ *         cumulativePercent:
+ *           type: number
+ *           description: Running share of total rejects, in ranking order
+ */
+router.get('/scrap', isAuthenticated, requirePermission('reports:read'), exportable, async (req, res) => {
+  try {
+    const { window, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: error
+      });
+    }
+
+    const filter = {};
+    if (req.query.machineId) {
+      if (!req.query.machineId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          error: 'Invalid ID format',
+          message: 'Please provide a valid MongoDB ID (24 character hex string)'
+        });
+      }
+      filter.machineId = req.query.machineId;
+    }
+    if (req.query.partNumber) {
+      filter.partNumber = req.query.partNumber;
+    }
+
+    const runs = await loadScrap(filter, window);
+    const report = scrapReport(runs, window);
+    if (req.exportFormat) {
+      return sendExport(req, res, perMachine(report.machines, 'defects'), EXPORT_COLUMNS.scrap, 'scrap');
+    }
+
+    res.status(200).json({
+      from: window.from,
+      to: window.to,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error generating scrap report:', error);
+    res.status(500).json({
+      error: 'Failed to generate scrap report',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reports/operators:
+ *   get:
+ *     summary: Output and scrap per operator
+ *     description: >
+ *       Parts produced by each run operator (prorated by running time inside the window) and the scrap
+ *       recorded on their runs inside the window, ranked by output. Runs without an operator are grouped
+ *       under operator null.
+ *     tags: [Reports]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Format'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (defaults to 7 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (defaults to now)
+ *       - in: query
+ *         name: machineId
+ *         schema:
+ *           type: string
+ *         description: Only include runs on this machine (MongoDB ID)
+ *       - in: query
+ *         name: operator
+ *         schema:
+ *           type: string
+ *         description: Only include runs of this operator (employee MongoDB ID)
+ *     responses:
+ *       200:
+ *         description: Operator figures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 operators:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       operator:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           employeeId:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                       runs:
+ *                         type: integer
+ *                       partsProduced:
+ *                         type: integer
+ *                       rejects:
+ *                         type: integer
+ *                       goodParts:
+ *                         type: integer
+ *                       scrapRate:
+ *                         type: number
+ *                         nullable: true
+ *                         description: rejects / partsProduced
+ *                       defects:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ScrapByDefect'
+ *           text/csv:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               $ref: '#/components/schemas/ExportFile'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/operators', isAuthenticated, requirePermission('reports:read'), exportable, async (req, res) => {
+  try {
+    const { window, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: error
+      });
+    }
+
+    const filter = {};
+    for (const field of ['machineId', 'operator']) {
+      if (!req.query[field]) continue;
+      if (!req.query[field].match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          error: 'Invalid ID format',
+          message: `${field} must be a valid MongoDB ID (24 character hex string)`
+        });
+      }
+      filter[field] = req.query[field];
+    }
+
+    const runs = await loadOperatorRuns(filter, window);
+    const operators = operatorReport(runs, window);
+    if (req.exportFormat) {
+      return sendExport(req, res, operators, EXPORT_COLUMNS.operators, 'operators');
+    }
+
+    res.status(200).json({
+      from: window.from,
+      to: window.to,
+      operators
+    });
+  } catch (error) {
+    console.error('Error generating operator report:', error);
+    res.status(500).json({
+      error: 'Failed to generate operator report',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,434 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  getAllWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  getDeliveries,
+  redeliver
+} = require('../controllers/webhooks');
+
+// Sortable fields and default order for the list endpoints
+const paginateWebhooks = paginate({
+  sortFields: ['name', 'url', 'active', 'createdAt'],
+  defaultSort: { createdAt: -1 }
+});
+
+const paginateDeliveries = paginate({
+  sortFields: ['createdAt', 'status', 'event', 'attemptCount', 'nextAttemptAt'],
+  defaultSort: { createdAt: -1 }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - name
+ *         - url
+ *         - events
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         url:
+ *           type: string
+ *           description: http(s) URL the events are POSTed to
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [qualityCheck.flagged, machine.down, run.completed]
+ *           description: qualityCheck.flagged - a check resulted in Fail or Hold; machine.down - a machine went down; run.completed - a production run was completed
+ *         machineIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only send events for these machines; empty for all machines
+ *         active:
+ *           type: boolean
+ *           default: true
+ *         secret:
+ *           type: string
+ *           readOnly: true
+ *           description: Signing secret; only returned when the webhook is created or its secret rotated
+ *         secretRotatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         createdBy:
+ *           type: string
+ *           readOnly: true
+ *       example:
+ *         name: "ERP quality alerts"
+ *         url: "https://erp.example.com/hooks/plant"
+ *         events: ["qualityCheck.flagged", "run.completed"]
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Sent as X-Webhook-Delivery; the same on every retry
+ *         webhookId:
+ *           type: string
+ *         event:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: The JSON body sent - { id, event, createdAt, machineId, data }
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attemptCount:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a pending delivery is retried
+ *         lastResponseCode:
+ *           type: integer
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               responseCode:
+ *                 type: integer
+ *                 nullable: true
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: integer
+ *               manual:
+ *                 type: boolean
+ *               requestedBy:
+ *                 type: string
+ *   parameters:
+ *     WebhookId:
+ *       in: path
+ *       name: id
+ *       schema:
+ *         type: string
+ *       required: true
+ *       description: Webhook MongoDB ID
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: |
+ *     Outbound notifications of shop-floor events. Each delivery is POSTed as
+ *     JSON with the headers X-Webhook-Event, X-Webhook-Delivery and
+ *     X-Webhook-Signature (t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *     keyed with the webhook secret). Any 2xx response within
+ *     WEBHOOK_TIMEOUT_SECONDS counts as delivered; otherwise the delivery is
+ *     retried after 30 s, 1 min, 2 min, ... (at most 6 h apart) until
+ *     WEBHOOK_MAX_ATTEMPTS attempts have failed.
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: Get all webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Only webhooks subscribed to this event
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: List of webhooks, without their secrets
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid pagination or sort parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a webhook
+ *     description: The response holds the generated signing secret; it is not shown again.
+ *     tags: [Webhooks]
+ *     security:
+ *       - OAuth2: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: Webhook created, with its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Bad request - missing fields, invalid URL, unknown event types or machine IDs
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/', isAuthenticated, requirePermission('webhooks:manage'), paginateWebhooks, getAllWebhooks);
+router.post('/', isAuthenticated, requirePermission('webhooks:manage'), createWebhook);
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WebhookId'
+ *     responses:
+ *       200:
+ *         description: Webhook details, without the secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid webhook ID
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update a webhook
+ *     description: Change the name, URL, events, machines or active flag. Inactive webhooks receive no deliveries and their pending retries are given up.
+ *     tags: [Webhooks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WebhookId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       400:
+ *         description: Bad request - invalid fields, or an attempt to set the secret
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WebhookId'
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       400:
+ *         description: Invalid webhook ID
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', isAuthenticated, requirePermission('webhooks:manage'), getWebhookById);
+router.put('/:id', isAuthenticated, requirePermission('webhooks:manage'), updateWebhook);
+router.delete('/:id', isAuthenticated, requirePermission('webhooks:manage'), deleteWebhook);
+
+/**
+ * @swagger
+ * /webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace a webhook's signing secret
+ *     description: Deliveries are signed with the new secret from now on, including retries of earlier events.
+ *     tags: [Webhooks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WebhookId'
+ *     responses:
+ *       200:
+ *         description: The new secret; it is not shown again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 secret:
+ *                   type: string
+ *       400:
+ *         description: Invalid webhook ID
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/rotate-secret', isAuthenticated, requirePermission('webhooks:manage'), rotateSecret);
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get a webhook's delivery log
+ *     description: Every delivery with each attempt made, its response code and error. Newest first by default.
+ *     tags: [Webhooks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WebhookId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/TotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid webhook ID, status, or pagination parameters
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/deliveries', isAuthenticated, requirePermission('webhooks:manage'), paginateDeliveries, getDeliveries);
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again now
+ *     description: |
+ *       Makes one attempt straight away, signed with the current secret, and
+ *       records it in the delivery log. A pending delivery that fails stays
+ *       scheduled for retries; a succeeded or failed one keeps its status
+ *       unless the redelivery succeeds.
+ *     tags: [Webhooks]
+ *     security:
+ *       - OAuth2: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WebhookId'
+ *       - in: path
+ *         name: deliveryId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Attempt made; the message says whether it was delivered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 delivery:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Webhook or delivery not found
+ *       409:
+ *         description: Webhook is inactive
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', isAuthenticated, requirePermission('webhooks:manage'), redeliver);
+
+module.exports = router;
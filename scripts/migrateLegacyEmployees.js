@@ -0,0 +1,70 @@
+// One-time migration: rewrite employee documents stored in the legacy
+// { name, position, status } shape onto the Employee schema. Documents with
+// a status other than active, on_leave or terminated, or that fail schema
+// validation, are left as they are and reported as failures.
+//
+// Usage: npm run migrate:employees            (apply changes)
+//        npm run migrate:employees -- --dry-run (only report what would change)
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Employee = require('../models/employee');
+const { mapLegacyEmployee, legacyStatusProblem } = require('../middleware/legacyEmployee');
+
+const LEGACY_FIELDS = ['name', 'position', 'status'];
+
+const migrate = async ({ dryRun }) => {
+  // Go through the raw collection: legacy fields are not part of the schema
+  const legacyDocs = await Employee.collection.find({
+    $or: LEGACY_FIELDS.map(field => ({ [field]: { $exists: true } }))
+  }).toArray();
+
+  console.log(`Found ${legacyDocs.length} employee(s) in the legacy shape`);
+
+  let migrated = 0;
+  const failed = [];
+  for (const doc of legacyDocs) {
+    const { _id, ...fields } = doc;
+    const statusProblem = legacyStatusProblem(doc.status);
+    if (statusProblem) {
+      console.warn(`⚠️ Skipping ${doc.employeeId || _id}: unknown status "${doc.status}"`);
+      failed.push(doc.employeeId || _id);
+      continue;
+    }
+
+    const mapped = mapLegacyEmployee(fields);
+    const unset = LEGACY_FIELDS.reduce((acc, field) => {
+      if (field in doc) acc[field] = '';
+      return acc;
+    }, {});
+
+    // Validate against the schema before touching the document
+    const validationError = new Employee({ ...mapped, _id }).validateSync();
+    if (validationError) {
+      console.warn(`⚠️ Skipping ${doc.employeeId || _id}: ${validationError.message}`);
+      failed.push(doc.employeeId || _id);
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`Would migrate ${doc.employeeId || _id}:`, mapped);
+    } else {
+      await Employee.collection.updateOne({ _id }, { $set: mapped, $unset: unset });
+      console.log(`✅ Migrated ${doc.employeeId || _id}`);
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} of ${legacyDocs.length} employee(s)`);
+  if (failed.length > 0) {
+    console.warn(`⚠️ ${failed.length} employee(s) need fixing by hand: ${failed.join(', ')}`);
+    process.exitCode = 1;
+  }
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/plastic-manufacturing')
+  .then(() => migrate({ dryRun: process.argv.includes('--dry-run') }))
+  .catch(err => {
+    console.error('❌ Employee migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
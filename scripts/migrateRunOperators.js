@@ -0,0 +1,56 @@
+// One-time migration: link free-text production run operators ("John Smith")
+// to Employee records. A name matches an employee's full name, employeeId or
+// email, ignoring case. Names that match no employee, or several, are left
+// as they are and reported so they can be fixed by hand.
+//
+// Usage: npm run migrate:operators            (apply changes)
+//        npm run migrate:operators -- --dry-run (only report what would change)
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Employee = require('../models/employee');
+const ProductionRun = require('../models/productionRun');
+
+const normalize = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const migrate = async ({ dryRun }) => {
+  // Go through the raw collection: string operators no longer cast to the schema
+  const legacyDocs = await ProductionRun.collection.find({ operator: { $type: 'string' } }).toArray();
+  console.log(`Found ${legacyDocs.length} production run(s) with free-text operators`);
+
+  const employees = await Employee.find({}, 'employeeId firstName lastName email');
+  const byKey = new Map();
+  employees.forEach(employee => {
+    [`${employee.firstName} ${employee.lastName}`, employee.employeeId, employee.email].forEach(key => {
+      const matches = byKey.get(normalize(key)) || [];
+      byKey.set(normalize(key), [...matches, employee]);
+    });
+  });
+
+  let migrated = 0;
+  for (const doc of legacyDocs) {
+    const matches = byKey.get(normalize(doc.operator)) || [];
+    if (matches.length !== 1) {
+      console.warn(`⚠️ Skipping ${doc.runId || doc._id}: operator "${doc.operator}" matches ${matches.length} employees`);
+      continue;
+    }
+
+    const [employee] = matches;
+    if (dryRun) {
+      console.log(`Would link ${doc.runId || doc._id}: "${doc.operator}" -> ${employee.employeeId}`);
+    } else {
+      await ProductionRun.collection.updateOne({ _id: doc._id }, { $set: { operator: employee._id } });
+      console.log(`✅ Linked ${doc.runId || doc._id} to ${employee.employeeId}`);
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? 'Would link' : 'Linked'} ${migrated} of ${legacyDocs.length} production run(s)`);
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/plastic-manufacturing')
+  .then(() => migrate({ dryRun: process.argv.includes('--dry-run') }))
+  .catch(err => {
+    console.error('❌ Operator migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,75 @@
+// One-time migration: convert free-text measurement tolerances ("±0.05",
+// "1.95-2.05 mm", ...) to structured tolerances and re-evaluate each
+// measurement's status server-side. Tolerances that cannot be parsed are
+// reported, moved to the check's notes and cleared, so every check fits the
+// schema (and can be edited) afterwards.
+//
+// Usage: npm run migrate:tolerances            (apply changes)
+//        npm run migrate:tolerances -- --dry-run (only report what would change)
+const mongoose = require('mongoose');
+require('dotenv').config();
+const QualityCheck = require('../models/qualityCheck');
+const { normalizeTolerance, evaluateMeasurements } = require('../services/tolerance');
+
+const NOTES_MAX = 500;
+
+// Clear the tolerances that cannot be parsed. Returns the remaining
+// measurements and a note line for each cleared tolerance.
+const setAsideUnparsed = (measurements) => {
+  const unparsed = [];
+  const kept = measurements.map(measurement => {
+    if (!normalizeTolerance(measurement.tolerance, measurement).error) return measurement;
+    const { tolerance, status, ...rest } = measurement;
+    unparsed.push(`Tolerance of ${measurement.parameter || 'measurement'}: ${typeof tolerance === 'string' ? tolerance : JSON.stringify(tolerance)}`);
+    return rest;
+  });
+  return { measurements: kept, unparsed };
+};
+
+const migrate = async ({ dryRun }) => {
+  // Go through the raw collection: string tolerances no longer cast to the schema
+  const legacyDocs = await QualityCheck.collection.find({
+    measurements: { $elemMatch: { tolerance: { $type: 'string' } } }
+  }).toArray();
+
+  console.log(`Found ${legacyDocs.length} quality check(s) with free-text tolerances`);
+
+  let migrated = 0;
+  let cleared = 0;
+  for (const doc of legacyDocs) {
+    const { measurements: parsed, unparsed } = setAsideUnparsed(doc.measurements);
+    const { measurements, outOfSpec } = evaluateMeasurements(parsed);
+
+    const update = { measurements };
+    if (unparsed.length > 0) {
+      unparsed.forEach(line => console.warn(`⚠️ ${doc.checkId || doc._id}: unrecognised ${line}; moved to notes`));
+      update.notes = [doc.notes, ...unparsed].filter(Boolean).join('\n').slice(0, NOTES_MAX);
+      cleared += unparsed.length;
+    }
+
+    if (outOfSpec.length > 0 && doc.result === 'Pass') {
+      console.warn(`⚠️ ${doc.checkId || doc._id} passed with ${outOfSpec.length} measurement(s) out of spec`);
+    }
+
+    if (dryRun) {
+      console.log(`Would migrate ${doc.checkId || doc._id}:`, update);
+    } else {
+      await QualityCheck.collection.updateOne({ _id: doc._id }, { $set: update });
+      console.log(`✅ Migrated ${doc.checkId || doc._id}`);
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} of ${legacyDocs.length} quality check(s)`);
+  if (cleared > 0) {
+    console.warn(`⚠️ ${cleared} unrecognised tolerance(s) ${dryRun ? 'would be' : 'were'} moved to notes and cleared`);
+  }
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/plastic-manufacturing')
+  .then(() => migrate({ dryRun: process.argv.includes('--dry-run') }))
+  .catch(err => {
+    console.error('❌ Tolerance migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
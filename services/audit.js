@@ -0,0 +1,91 @@
+// Audit trail: one entry per create, update, delete, restore or purge made
+// through the API, with who made it and a field-level before/after diff.
+// Workflow actions (run transitions, scrap, approvals, work orders) are
+// recorded as updates of the documents they change.
+const AuditEntry = require('../models/auditEntry');
+const { userIdentifier } = require('../middleware/auth');
+
+// Entities that are audited, by model name
+const ENTITIES = [
+  'Machine',
+  'ProductionRun',
+  'QualityCheck',
+  'Employee',
+  'Mold',
+  'Material',
+  'MaterialLot',
+  'Recipe',
+  'MaintenancePlan',
+  'WorkOrder',
+  'Webhook',
+  'Nonconformance'
+];
+
+// Bookkeeping fields that are not part of the diff
+const IGNORED = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+// Documents as plain JSON values: populated references become their IDs,
+// ObjectIds strings and dates ISO strings
+const plain = (document) => {
+  if (!document) return {};
+  const value = typeof document.toObject === 'function'
+    ? document.toObject({ virtuals: false, depopulate: true })
+    : document;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Nested objects become dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', fields = {}) => {
+  Object.entries(value).forEach(([key, field]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (field && typeof field === 'object' && !Array.isArray(field)) {
+      flatten(field, path, fields);
+    } else {
+      fields[path] = field;
+    }
+  });
+  return fields;
+};
+
+// Fields that differ between two versions of a document, as
+// [{ field, before, after }] sorted by field. Missing fields count as null.
+const diffFields = (before, after) => {
+  const from = flatten(plain(before));
+  const to = flatten(plain(after));
+
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => !IGNORED.includes(field))
+    .map(field => ({ field, before: from[field] ?? null, after: to[field] ?? null }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after))
+    .sort((a, b) => a.field.localeCompare(b.field));
+};
+
+// Record a change. Updates that changed nothing are not recorded. The write
+// has already happened, so a failure to audit is logged rather than thrown.
+const recordAudit = async (entity, action, { before = null, after = null, user } = {}) => {
+  const document = after || before;
+  if (!document) return null;
+
+  const changes = diffFields(before, after);
+  if (action === 'update' && changes.length === 0) return null;
+
+  try {
+    return await AuditEntry.create({
+      entity,
+      entityId: document._id,
+      action,
+      changes,
+      user: userIdentifier(user),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry for ${entity} ${document._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  ENTITIES,
+  diffFields,
+  recordAudit
+};
@@ -0,0 +1,188 @@
+// Ingestion of machine cycle (shot) reports. Every new cycle is stored, adds
+// to the machine's shot count and adds the mold's cavities to actualQty of
+// the run that was running on the machine when the cycle happened (per its
+// transition log); cycles whose sequence number was already received are
+// skipped.
+const Machine = require('../models/machine');
+const MachineCycle = require('../models/machineCycle');
+const ProductionRun = require('../models/productionRun');
+const { generateDueWorkOrders } = require('./maintenance');
+const { publish, runProgress } = require('./events');
+const { runningIntervals } = require('./oee');
+
+const MAX_BATCH = 1000;
+
+// Validate a batch of cycle reports.
+// Returns { cycles } sorted by sequence, or { errors } describing each bad entry.
+const parseCycles = (input, now = new Date()) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { errors: [{ message: 'cycles must be a non-empty array' }] };
+  }
+  if (input.length > MAX_BATCH) {
+    return { errors: [{ message: `A batch may contain at most ${MAX_BATCH} cycles` }] };
+  }
+
+  const errors = [];
+  const bySequence = new Map();
+
+  input.forEach((cycle, index) => {
+    const sequence = Number(cycle?.sequence);
+    if (cycle?.sequence === undefined || !Number.isInteger(sequence) || sequence < 0) {
+      errors.push({ index, field: 'sequence', message: 'sequence must be a non-negative integer' });
+      return;
+    }
+
+    const parsed = { sequence, timestamp: now };
+
+    if (cycle.timestamp !== undefined) {
+      const timestamp = new Date(cycle.timestamp);
+      if (isNaN(timestamp)) {
+        errors.push({ index, field: 'timestamp', message: 'timestamp must be a valid date' });
+        return;
+      }
+      parsed.timestamp = timestamp;
+    }
+
+    if (cycle.cycleTime !== undefined) {
+      const cycleTime = Number(cycle.cycleTime);
+      if (isNaN(cycleTime) || cycleTime <= 0) {
+        errors.push({ index, field: 'cycleTime', message: 'cycleTime must be a positive number of seconds' });
+        return;
+      }
+      parsed.cycleTime = cycleTime;
+    }
+
+    if (cycle.shotCounter !== undefined) {
+      const shotCounter = Number(cycle.shotCounter);
+      if (!Number.isInteger(shotCounter) || shotCounter < 0) {
+        errors.push({ index, field: 'shotCounter', message: 'shotCounter must be a non-negative integer' });
+        return;
+      }
+      parsed.shotCounter = shotCounter;
+    }
+
+    // A sequence repeated inside the batch counts once
+    if (!bySequence.has(sequence)) {
+      bySequence.set(sequence, parsed);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return { cycles: Array.from(bySequence.values()).sort((a, b) => a.sequence - b.sequence) };
+};
+
+// Insert the cycles, tolerating sequence numbers stored by a concurrent delivery.
+// Returns the cycles that were actually inserted.
+const insertNew = async (documents) => {
+  if (documents.length === 0) return [];
+  try {
+    return await MachineCycle.insertMany(documents, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (error.code !== 11000 && !(writeErrors.length > 0 && writeErrors.every(({ code }) => code === 11000))) {
+      throw error;
+    }
+    return error.insertedDocs || [];
+  }
+};
+
+// Runs on the machine that were open at some point between the first and
+// last cycle of a batch
+const loadRuns = (machine, cycles) => {
+  const times = cycles.map(cycle => cycle.timestamp.getTime());
+  return ProductionRun.find({
+    machineId: machine._id,
+    status: { $ne: 'scheduled' },
+    startTime: { $lte: new Date(Math.max(...times)) },
+    $or: [{ endTime: null }, { endTime: { $gte: new Date(Math.min(...times)) } }]
+  }).populate('moldId', 'moldId cavities');
+};
+
+// The run a cycle belongs to: the one that was running when it happened.
+// Cycles while no run was running (including paused ones) are stored without one.
+const runAt = (runs, timestamp) => runs.find(run => runningIntervals(run, timestamp)
+  .some(({ start, end }) => start <= timestamp && timestamp <= end)) || null;
+
+const partsPerShotOf = run => run?.moldId?.cavities || 1;
+
+const runSummary = (run, partsPerShot, partsAdded) => ({
+  id: run._id,
+  runId: run.runId,
+  actualQty: run.actualQty,
+  targetQty: run.targetQty,
+  partsPerShot,
+  partsAdded
+});
+
+// Store new cycles for a machine and count each on the run running at its timestamp
+const ingestCycles = async (machine, cycles) => {
+  const existing = await MachineCycle.find({
+    machineId: machine._id,
+    sequence: { $in: cycles.map(cycle => cycle.sequence) }
+  }).select('sequence');
+  const seen = new Set(existing.map(cycle => cycle.sequence));
+  const fresh = cycles.filter(cycle => !seen.has(cycle.sequence));
+
+  const runs = fresh.length > 0 ? await loadRuns(machine, fresh) : [];
+  const inserted = await insertNew(fresh.map(cycle => {
+    const run = runAt(runs, cycle.timestamp);
+    return {
+      ...cycle,
+      machineId: machine._id,
+      runId: run ? run._id : null,
+      partsProduced: run ? partsPerShotOf(run) : 0
+    };
+  }));
+
+  // Cycles arrive in sequence order, so the last run is the latest one
+  const partsByRun = new Map();
+  inserted.filter(cycle => cycle.runId).forEach(cycle => {
+    const key = String(cycle.runId);
+    partsByRun.set(key, (partsByRun.get(key) || 0) + cycle.partsProduced);
+  });
+
+  const credited = [];
+  for (const [key, parts] of partsByRun) {
+    const run = runs.find(candidate => String(candidate._id) === key);
+    const updatedRun = await ProductionRun.findOneAndUpdate(
+      { _id: run._id },
+      { $inc: { actualQty: parts } },
+      { new: true }
+    ) || run;
+    publish('run.progress', { machineId: machine._id, ...runProgress(updatedRun) });
+    credited.push(runSummary(updatedRun, partsPerShotOf(run), parts));
+  }
+
+  const insertedSequences = new Set(inserted.map(cycle => cycle.sequence));
+  const partsAdded = credited.reduce((sum, run) => sum + run.partsAdded, 0);
+
+  // Shot-based maintenance plans may have fallen due
+  let workOrders = [];
+  if (inserted.length > 0) {
+    await Machine.findByIdAndUpdate(machine._id, { $inc: { shotCount: inserted.length } });
+    try {
+      workOrders = await generateDueWorkOrders({ machineId: machine._id, triggerType: 'shots' });
+    } catch (error) {
+      console.error('Error generating maintenance work orders:', error);
+    }
+  }
+
+  return {
+    received: cycles.length,
+    accepted: inserted.length,
+    duplicates: cycles.map(cycle => cycle.sequence).filter(sequence => !insertedSequences.has(sequence)),
+    partsAdded,
+    run: credited.length > 0 ? credited[credited.length - 1] : null,
+    runs: credited,
+    workOrders: workOrders.map(order => order.workOrderNumber)
+  };
+};
+
+module.exports = {
+  MAX_BATCH,
+  parseCycles,
+  ingestCycles
+};
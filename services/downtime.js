@@ -0,0 +1,133 @@
+// Downtime events: opened when a machine goes down or into maintenance,
+// closed when it returns to service (operational or idle).
+const DowntimeEvent = require('../models/downtimeEvent');
+const { reasons } = require('../config/downtimeReasons');
+const { userIdentifier } = require('../middleware/auth');
+const { publish, machineSummary } = require('./events');
+
+const DOWNTIME_STATUSES = ['down', 'maintenance'];
+
+const isDowntimeStatus = (status) => DOWNTIME_STATUSES.includes(status);
+
+// A reason code is needed whenever a machine enters a (different) downtime status
+const requiresReason = (previousStatus, nextStatus) =>
+  isDowntimeStatus(nextStatus) && nextStatus !== previousStatus;
+
+// Close the open event and/or open a new one after a machine status change,
+// and announce the change on the live event stream. Returns the events that
+// were touched.
+const recordStatusChange = async (machine, previousStatus, { reasonCode, notes, user, at = new Date() } = {}) => {
+  const result = { opened: null, closed: null };
+  if (machine.status === previousStatus) {
+    return result;
+  }
+
+  result.closed = await DowntimeEvent.findOneAndUpdate(
+    { machineId: machine._id, endTime: null },
+    { endTime: at, closedBy: userIdentifier(user) },
+    { new: true }
+  );
+
+  if (isDowntimeStatus(machine.status)) {
+    result.opened = await DowntimeEvent.create({
+      machineId: machine._id,
+      status: machine.status,
+      reasonCode,
+      notes,
+      startTime: at,
+      openedBy: userIdentifier(user)
+    });
+  }
+
+  publish('machine.status', {
+    machineId: machine._id,
+    machine: machineSummary(machine),
+    status: machine.status,
+    previousStatus,
+    reasonCode: result.opened ? reasonCode : null
+  });
+  return result;
+};
+
+// Events that overlap the window
+const loadDowntime = (filter, window) => DowntimeEvent.find({
+  ...filter,
+  startTime: { $lte: window.to },
+  $or: [{ endTime: null }, { endTime: { $gte: window.from } }]
+}).populate('machineId', 'name machineId status');
+
+// Milliseconds of an event inside the window; open events run until now
+const eventDuration = (event, window, now = new Date()) => {
+  const start = Math.max(new Date(event.startTime).getTime(), window.from.getTime());
+  const end = Math.min(new Date(event.endTime || now).getTime(), window.to.getTime(), now.getTime());
+  return Math.max(0, end - start);
+};
+
+const toMinutes = (ms) => Math.round(ms / 600) / 100;
+
+// Sort by duration and add each entry's share and running share of the total
+const pareto = (entries, total) => {
+  let cumulative = 0;
+  return entries
+    .sort((a, b) => b.duration - a.duration)
+    .map(({ duration, ...entry }) => {
+      cumulative += duration;
+      return {
+        ...entry,
+        minutes: toMinutes(duration),
+        percent: total > 0 ? Math.round((duration / total) * 1000) / 10 : 0,
+        cumulativePercent: total > 0 ? Math.round((cumulative / total) * 1000) / 10 : 0
+      };
+    });
+};
+
+const tally = (map, key, seed, duration) => {
+  if (!map.has(key)) {
+    map.set(key, { ...seed, events: 0, duration: 0 });
+  }
+  const entry = map.get(key);
+  entry.events += 1;
+  entry.duration += duration;
+  return entry;
+};
+
+// Duration totals with Pareto rankings, plant-wide and per machine
+const downtimeReport = (events, window, now = new Date()) => {
+  const byReason = new Map();
+  const byMachine = new Map();
+  let total = 0;
+
+  events.forEach(event => {
+    const duration = eventDuration(event, window, now);
+    const reason = { reasonCode: event.reasonCode, description: reasons[event.reasonCode] || event.reasonCode };
+    const machine = event.machineId?._id
+      ? { id: event.machineId._id, machineId: event.machineId.machineId, name: event.machineId.name }
+      : { id: event.machineId };
+
+    total += duration;
+    tally(byReason, event.reasonCode, reason, duration);
+    const machineEntry = tally(byMachine, String(machine.id), { machine, reasons: new Map() }, duration);
+    tally(machineEntry.reasons, event.reasonCode, reason, duration);
+  });
+
+  return {
+    totalMinutes: toMinutes(total),
+    events: events.length,
+    openEvents: events.filter(event => !event.endTime).length,
+    pareto: pareto(Array.from(byReason.values()), total),
+    machines: pareto(Array.from(byMachine.values()).map(({ reasons: machineReasons, ...entry }) => ({
+      ...entry,
+      reasons: pareto(Array.from(machineReasons.values()), entry.duration)
+    })), total)
+  };
+};
+
+module.exports = {
+  DOWNTIME_STATUSES,
+  isDowntimeStatus,
+  requiresReason,
+  recordStatusChange,
+  loadDowntime,
+  eventDuration,
+  downtimeReport
+};
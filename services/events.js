@@ -0,0 +1,114 @@
+// Live shop-floor events, streamed to dashboards by GET /events:
+//
+//   machine.status       a machine changed status
+//   run.status           a production run moved through its lifecycle
+//   run.progress         a run's output or rejects changed
+//   qualityCheck.flagged a quality check failed or was put on hold
+//
+// Events live in memory. The most recent ones (config/events.js) are kept so
+// a client reconnecting with Last-Event-ID gets what it missed. With several
+// API instances, each streams the events of its own requests.
+const { EventEmitter } = require('events');
+const { bufferSize } = require('../config/events');
+
+// Event types and the permission needed to receive them
+const EVENT_TYPES = {
+  'machine.status': 'machines:read',
+  'run.status': 'productionRuns:read',
+  'run.progress': 'productionRuns:read',
+  'qualityCheck.flagged': 'qualityChecks:read'
+};
+
+// Quality check results that raise qualityCheck.flagged
+const FLAGGED_RESULTS = ['Fail', 'Hold'];
+
+// Event IDs are "<boot>-<sequence>", so IDs from before a restart are recognised
+const BOOT = Date.now().toString(36);
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const recent = [];
+let sequence = 0;
+
+const idOf = value => (value ? String(value._id || value) : null);
+
+// Send an event to every subscriber. `machineId` (an ID or populated
+// machine) is what streams filter on; the rest is the event's data.
+const publish = (type, { machineId = null, ...data } = {}) => {
+  sequence += 1;
+  const event = {
+    id: `${BOOT}-${sequence}`,
+    type,
+    machineId: idOf(machineId),
+    at: new Date(),
+    data
+  };
+
+  recent.push(event);
+  if (recent.length > bufferSize) recent.shift();
+  bus.emit('event', event);
+  return event;
+};
+
+// Call `listener(event)` for every new event; returns the unsubscribe function
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+// Events published after `lastEventId`. Returns { events }, or { gap: true }
+// when some of them are no longer kept (or the ID is from before a restart).
+const eventsAfter = (lastEventId) => {
+  const [boot, last] = String(lastEventId).split('-');
+  const after = Number(last);
+  if (boot !== BOOT || !Number.isInteger(after) || after > sequence) return { gap: true };
+
+  const oldest = sequence - recent.length + 1;
+  if (after < oldest - 1) return { gap: true };
+  return { events: recent.slice(after - oldest + 1) };
+};
+
+// ID of the latest event, for clients starting over after a gap
+const lastEventId = () => `${BOOT}-${sequence}`;
+
+// Brief machine, run and check descriptions for event data
+const machineSummary = machine => (machine?._id
+  ? { id: machine._id, machineId: machine.machineId, name: machine.name }
+  : { id: idOf(machine) });
+
+const runProgress = run => ({
+  run: { id: run._id, runId: run.runId, partNumber: run.partNumber },
+  status: run.status,
+  targetQty: run.targetQty,
+  actualQty: run.actualQty || 0,
+  rejectQty: run.rejectQty || 0
+});
+
+// Publish qualityCheck.flagged when `check` is newly Fail or Hold
+const publishFlaggedCheck = (check, previousResult = null) => {
+  if (!check || !FLAGGED_RESULTS.includes(check.result) || check.result === previousResult) return null;
+
+  return publish('qualityCheck.flagged', {
+    machineId: check.machineId,
+    check: { id: check._id, checkId: check.checkId, checkType: check.checkType },
+    result: check.result,
+    previousResult,
+    run: check.productionRunId?._id
+      ? { id: check.productionRunId._id, runId: check.productionRunId.runId }
+      : { id: idOf(check.productionRunId) },
+    defectsFound: check.defectsFound || 0
+  });
+};
+
+module.exports = {
+  EVENT_TYPES,
+  FLAGGED_RESULTS,
+  publish,
+  subscribe,
+  eventsAfter,
+  lastEventId,
+  machineSummary,
+  runProgress,
+  publishFlaggedCheck
+};
@@ -0,0 +1,223 @@
+// Bulk import of new records. Rows are validated with the same checks as
+// the entity's create endpoint and the schema, then created all at once in a
+// transaction, or one by one when partial success is allowed.
+const Machine = require('../models/machine');
+const { recordAudit } = require('./audit');
+const { inTransaction } = require('./transaction');
+
+// Split CSV text into records of fields (RFC 4180 quoting, CRLF or LF)
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+  return target;
+};
+
+// CSV text to one object per record, keyed by the header row
+const parseCsv = (text) => {
+  const [header, ...records] = parseCsvRecords(text.replace(/^\ufeff/, ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return records.map(values => columns.reduce((row, column, index) => {
+    const value = (values[index] ?? '').trim();
+    return column && value !== '' ? setPath(row, column, value) : row;
+  }, {}));
+};
+
+// Replace machine codes such as IM-001 in `field` with the machine's ID, so
+// files can name machines the way people do. Unknown codes are left as they
+// are and fail validation.
+const resolveMachineCodes = async (rows, field) => {
+  const codes = [...new Set(rows
+    .map(row => row[field])
+    .filter(value => typeof value === 'string' && !/^[0-9a-fA-F]{24}$/.test(value)))];
+  if (codes.length === 0) return rows;
+
+  const machines = await Machine.find({ machineId: { $in: codes } }, 'machineId');
+  const ids = new Map(machines.map(machine => [machine.machineId, machine._id]));
+  return rows.map(row => (ids.has(row[field]) ? { ...row, [field]: ids.get(row[field]) } : row));
+};
+
+// Row errors from a route helper's { error, message, details, missing } body
+const errorsFromBody = (body) => {
+  if (Array.isArray(body.details)) {
+    return body.details.map(({ field, message }) => ({ field, message }));
+  }
+  if (Array.isArray(body.missing)) {
+    return body.missing.map(field => ({ field, message: `${field} is required` }));
+  }
+  return [{ message: body.message ? `${body.error}: ${body.message}` : body.error }];
+};
+
+// Row errors from a mongoose ValidationError or CastError; null for anything else
+const errorsFromMongoose = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => ({ field: err.path, message: err.message }));
+  }
+  if (error.name === 'CastError') {
+    return [{ field: error.path, message: `Invalid value for ${error.path}` }];
+  }
+  if (error.code === 11000) {
+    return [{ field: Object.keys(error.keyValue || {})[0], message: 'Already exists' }];
+  }
+  return null;
+};
+
+const normalizeKey = value => String(value).trim().toLowerCase();
+
+// Rows whose `unique` fields repeat an earlier row or an existing record.
+// Returns Map(index => errors).
+const findDuplicates = async (Model, rows, unique) => {
+  const duplicates = new Map();
+  const addError = (index, error) => duplicates.set(index, [...(duplicates.get(index) || []), error]);
+
+  for (const field of unique) {
+    const values = rows.map(row => row[field]).filter(value => value !== undefined && value !== null);
+    if (values.length === 0) continue;
+
+    // Soft-deleted records still hold their unique keys
+    const existing = await Model.find({ [field]: { $in: values } }, field, { includeDeleted: true });
+    const taken = new Set(existing.map(document => normalizeKey(document[field])));
+    const firstRow = new Map();
+
+    rows.forEach((row, index) => {
+      if (row[field] === undefined || row[field] === null) return;
+      const key = normalizeKey(row[field]);
+      if (taken.has(key)) {
+        addError(index, { field, message: `${field} ${row[field]} already exists` });
+      } else if (firstRow.has(key)) {
+        addError(index, { field, message: `${field} ${row[field]} repeats row ${firstRow.get(key) + 1}` });
+      } else {
+        firstRow.set(key, index);
+      }
+    });
+  }
+  return duplicates;
+};
+
+// Validate `rows` and create them as `entity` documents.
+//
+// `validate(row)` runs the same checks as the entity's create endpoint and
+// resolves to { fields } to create, or { error: { status, body } }. Rows are
+// validated in order, so `validate` may compare a row with earlier valid ones.
+// The resulting fields are then checked against the schema.
+//
+// Returns a report { dryRun, partial, total, valid, invalid, imported,
+// created: [{ row, id, key }], errors: [{ row, key, errors }] }.
+const importRows = async (entity, Model, rows, { key, unique = [key], validate, dryRun = false, partial = false, user }) => {
+  const duplicates = await findDuplicates(Model, rows, unique);
+  const valid = [];
+  const errors = [];
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 1;
+    if (duplicates.has(index)) {
+      errors.push({ row: rowNumber, key: row[key], errors: duplicates.get(index) });
+      continue;
+    }
+
+    try {
+      const { fields, error } = await validate(row);
+      if (error) {
+        errors.push({ row: rowNumber, key: row[key], errors: errorsFromBody(error.body) });
+        continue;
+      }
+      await Model.validate(fields);
+      valid.push({ row: rowNumber, fields });
+    } catch (error) {
+      const rowErrors = errorsFromMongoose(error);
+      if (!rowErrors) throw error;
+      errors.push({ row: rowNumber, key: row[key], errors: rowErrors });
+    }
+  }
+
+  const report = {
+    dryRun,
+    partial,
+    total: rows.length,
+    valid: valid.length,
+    invalid: errors.length,
+    imported: 0,
+    created: [],
+    errors
+  };
+  if (dryRun || valid.length === 0 || (errors.length > 0 && !partial)) return report;
+
+  let documents = [];
+  if (partial) {
+    // Rows are created one by one so a late duplicate only fails its own row
+    for (const { row, fields } of valid) {
+      try {
+        documents.push({ row, document: await Model.create(fields) });
+      } catch (error) {
+        const rowErrors = errorsFromMongoose(error);
+        if (!rowErrors) throw error;
+        errors.push({ row, key: fields[key], errors: rowErrors });
+      }
+    }
+    errors.sort((a, b) => a.row - b.row);
+    report.invalid = errors.length;
+  } else {
+    const created = await inTransaction(session => Model.insertMany(valid.map(({ fields }) => fields), { session }));
+    documents = created.map((document, index) => ({ row: valid[index].row, document }));
+  }
+
+  for (const { document } of documents) {
+    await recordAudit(entity, 'create', { after: document, user });
+  }
+  report.imported = documents.length;
+  report.created = documents.map(({ row, document }) => ({ row, id: document._id, key: document[key] }));
+  return report;
+};
+
+module.exports = {
+  parseCsv,
+  resolveMachineCodes,
+  importRows
+};
@@ -0,0 +1,186 @@
+// Preventive maintenance: when plans fall due, generating their work orders
+// and moving machines in and out of maintenance while the work is done.
+const MaintenancePlan = require('../models/maintenancePlan');
+const WorkOrder = require('../models/workOrder');
+const Machine = require('../models/machine');
+const { recordStatusChange } = require('./downtime');
+const { recordAudit } = require('./audit');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// How far a plan is from falling due. Calendar plans count days since the
+// last service (or since the plan was created), shot plans count machine cycles.
+const planStatus = (plan, machine, now = new Date()) => {
+  if (plan.triggerType === 'calendar') {
+    const since = new Date(plan.lastServicedAt || plan.createdAt || now);
+    const dueAt = new Date(since.getTime() + plan.intervalDays * DAY);
+    const due = now >= dueAt;
+    return {
+      due,
+      dueAt,
+      overdueDays: due ? round((now - dueAt) / DAY) : 0,
+      remainingDays: due ? 0 : round((dueAt - now) / DAY),
+      overdueRatio: (now - dueAt) / (plan.intervalDays * DAY)
+    };
+  }
+
+  const shotCount = machine?.shotCount || 0;
+  const dueShots = (plan.lastServicedShots || 0) + plan.intervalShots;
+  return {
+    due: shotCount >= dueShots,
+    dueShots,
+    shotCount,
+    overdueShots: Math.max(0, shotCount - dueShots),
+    remainingShots: Math.max(0, dueShots - shotCount),
+    overdueRatio: (shotCount - dueShots) / plan.intervalShots
+  };
+};
+
+// Active plans with their machine; plans of deleted machines are skipped
+const loadPlans = async (filter) => {
+  const plans = await MaintenancePlan.find({ ...filter, active: true })
+    .populate('machineId', 'machineId name status shotCount');
+  return plans.filter(plan => plan.machineId);
+};
+
+// Create a work order for every active plan that is due and has none open.
+// Safe to run concurrently: a plan can only have one active work order.
+// `user` is who asked for the check; scheduled checks have none.
+const generateDueWorkOrders = async (filter = {}, now = new Date(), user) => {
+  const plans = await loadPlans(filter);
+  const generated = [];
+
+  for (const plan of plans) {
+    const status = planStatus(plan, plan.machineId, now);
+    if (!status.due) continue;
+
+    const existing = await WorkOrder.findOne({ planId: plan._id, active: true });
+    if (existing) continue;
+
+    const counted = await MaintenancePlan.findOneAndUpdate(
+      { _id: plan._id },
+      { $inc: { workOrderCount: 1 } },
+      { new: true }
+    );
+    const number = counted?.workOrderCount || (plan.workOrderCount || 0) + 1;
+
+    try {
+      const workOrder = await WorkOrder.create({
+        workOrderNumber: `${plan.planId}-WO${String(number).padStart(3, '0')}`,
+        planId: plan._id,
+        machineId: plan.machineId?._id || plan.machineId,
+        tasks: plan.tasks,
+        dueAt: status.dueAt,
+        dueShots: status.dueShots,
+        generatedAt: now
+      });
+      await recordAudit('WorkOrder', 'create', { after: workOrder, user });
+      generated.push(workOrder);
+    } catch (error) {
+      // Generated by a concurrent check
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return generated;
+};
+
+// Due plans that have not been serviced yet, most overdue (relative to the
+// plan's interval) first, with their open work order if one was generated
+const overdueMaintenance = async (filter = {}, now = new Date()) => {
+  const plans = await loadPlans(filter);
+  const due = plans
+    .map(plan => ({ plan, status: planStatus(plan, plan.machineId, now) }))
+    .filter(({ status }) => status.due);
+
+  const workOrders = due.length === 0 ? [] : await WorkOrder.find({
+    planId: { $in: due.map(({ plan }) => plan._id) },
+    active: true
+  });
+  const byPlan = new Map(workOrders.map(order => [String(order.planId), order]));
+
+  return due
+    .sort((a, b) => b.status.overdueRatio - a.status.overdueRatio)
+    .map(({ plan, status: { overdueRatio, due: _due, ...status } }) => {
+      const workOrder = byPlan.get(String(plan._id));
+      return {
+        plan: {
+          id: plan._id,
+          planId: plan.planId,
+          name: plan.name,
+          triggerType: plan.triggerType,
+          intervalDays: plan.intervalDays,
+          intervalShots: plan.intervalShots,
+          lastServicedAt: plan.lastServicedAt
+        },
+        machine: plan.machineId,
+        ...status,
+        workOrder: workOrder
+          ? { id: workOrder._id, workOrderNumber: workOrder.workOrderNumber, status: workOrder.status }
+          : null
+      };
+    });
+};
+
+// Put the machine into maintenance for a work order that is starting
+const enterMaintenance = async (machine, workOrder, user) => {
+  if (machine.status === 'maintenance') return machine;
+
+  const previousStatus = machine.status;
+  const updated = await Machine.findByIdAndUpdate(machine._id, { status: 'maintenance' }, { new: true });
+  await recordAudit('Machine', 'update', { before: machine, after: updated, user });
+  await recordStatusChange(updated, previousStatus, {
+    reasonCode: 'planned_maintenance',
+    notes: `Work order ${workOrder.workOrderNumber}`,
+    user
+  });
+  return updated;
+};
+
+// Return the machine to the status it had before the work order started,
+// unless another work order on it is still in progress
+const leaveMaintenance = async (machine, workOrder, user) => {
+  if (machine.status !== 'maintenance') return machine;
+
+  const stillActive = await WorkOrder.findOne({
+    machineId: machine._id,
+    status: 'in_progress',
+    _id: { $ne: workOrder._id }
+  });
+  if (stillActive) return machine;
+
+  const status = ['operational', 'idle'].includes(workOrder.machineStatusBefore)
+    ? workOrder.machineStatusBefore
+    : 'operational';
+  const updated = await Machine.findByIdAndUpdate(machine._id, { status }, { new: true });
+  await recordAudit('Machine', 'update', { before: machine, after: updated, user });
+  await recordStatusChange(updated, machine.status, { user });
+  return updated;
+};
+
+// Check plans periodically (MAINTENANCE_CHECK_MINUTES, default 15)
+const startMaintenanceScheduler = (intervalMinutes = Number(process.env.MAINTENANCE_CHECK_MINUTES) || 15) => {
+  const check = () => generateDueWorkOrders()
+    .then(orders => {
+      if (orders.length > 0) {
+        console.log(`🛠️ Generated ${orders.length} maintenance work order(s)`);
+      }
+    })
+    .catch(error => console.error('Error generating maintenance work orders:', error));
+
+  check();
+  const timer = setInterval(check, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  planStatus,
+  generateDueWorkOrders,
+  overdueMaintenance,
+  enterMaintenance,
+  leaveMaintenance,
+  startMaintenanceScheduler
+};
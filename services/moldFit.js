@@ -0,0 +1,55 @@
+// Checks whether a mold can be run on a machine. Machine.tonnage is the
+// clamp force in tons and Machine.shotSize the shot capacity in grams.
+// Specs missing on the machine are not held against it.
+
+const MOLD_STATUSES_IN_SERVICE = ['available', 'in_use'];
+
+// Capacity problems only: clamp tonnage and shot size
+const capacityProblems = (mold, machine) => {
+  const problems = [];
+
+  if (machine.tonnage != null && machine.tonnage < mold.requiredTonnage) {
+    problems.push({
+      field: 'tonnage',
+      message: `Mold needs ${mold.requiredTonnage} t clamp force, machine has ${machine.tonnage} t`,
+      required: mold.requiredTonnage,
+      available: machine.tonnage
+    });
+  }
+
+  if (machine.shotSize != null && machine.shotSize < mold.shotWeight) {
+    problems.push({
+      field: 'shotSize',
+      message: `Mold needs a ${mold.shotWeight} g shot, machine can deliver ${machine.shotSize} g`,
+      required: mold.shotWeight,
+      available: machine.shotSize
+    });
+  }
+
+  return problems;
+};
+
+// List the reasons a mold cannot run on a machine (empty when it fits)
+const moldFitProblems = (mold, machine) => {
+  const problems = [];
+
+  if (!MOLD_STATUSES_IN_SERVICE.includes(mold.status)) {
+    problems.push({
+      field: 'status',
+      message: `Mold ${mold.moldId} is ${mold.status}`
+    });
+  }
+
+  return problems.concat(capacityProblems(mold, machine));
+};
+
+// Ideal seconds per part for a mold, or null when unknown
+const idealCycleTimePerPart = (mold) => (
+  mold && mold.standardCycleTime > 0 ? mold.standardCycleTime / (mold.cavities || 1) : null
+);
+
+module.exports = {
+  capacityProblems,
+  moldFitProblems,
+  idealCycleTimePerPart
+};
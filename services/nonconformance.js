@@ -0,0 +1,197 @@
+// Nonconformance (NCR) workflow.
+//
+//   open --submit--> pending_approval --approve--> approved --close--> closed
+//   pending_approval --reject--> open
+//
+// A quality check resulting in Fail or Hold opens an NCR, optionally pausing
+// its run. Dispositions are edited while the NCR is open; submitting needs one
+// for every suspect part, approving needs a quality manager
+// (nonconformances:approve), and closing posts the scrapped parts to the run.
+// A run paused by an NCR cannot resume until the NCR is approved.
+
+const Nonconformance = require('../models/nonconformance');
+const ProductionRun = require('../models/productionRun');
+const { userIdentifier } = require('../middleware/auth');
+const { recordAudit } = require('./audit');
+const { inTransaction } = require('./transaction');
+const { FLAGGED_RESULTS, publish, machineSummary, runProgress } = require('./events');
+const { nextStatus: nextRunStatus, applyTransition: applyRunTransition } = require('./productionRunLifecycle');
+const { isValidDefect } = require('../config/defectCodes');
+const { dispositions } = require('../config/nonconformances');
+
+const ACTIONS = {
+  submit: { from: ['open'], to: 'pending_approval', requiresReason: false },
+  approve: { from: ['pending_approval'], to: 'approved', requiresReason: false },
+  reject: { from: ['pending_approval'], to: 'open', requiresReason: true },
+  close: { from: ['approved'], to: 'closed', requiresReason: true }
+};
+
+// NCRs that keep a run they paused on hold
+const HOLDING_STATUSES = ['open', 'pending_approval'];
+
+const idOf = value => (value ? String(value._id || value) : null);
+
+// Actions that can be taken from a given status
+const allowedActions = (status) =>
+  Object.keys(ACTIONS).filter(action => ACTIONS[action].from.includes(status));
+
+// Target status for an action, or null when the transition is illegal
+const nextStatus = (status, action) => {
+  const definition = ACTIONS[action];
+  if (!definition || !definition.from.includes(status)) {
+    return null;
+  }
+  return definition.to;
+};
+
+// Apply an action to an NCR document (not saved). Returns the history entry.
+// Callers must check nextStatus() first.
+const applyTransition = (ncr, action, { user, reason, at = new Date() } = {}) => {
+  const from = ncr.status;
+  const to = nextStatus(from, action);
+
+  if (action === 'approve') {
+    ncr.approvedBy = userIdentifier(user);
+    ncr.approvedAt = at;
+  }
+
+  if (action === 'close') {
+    ncr.closedBy = userIdentifier(user);
+    ncr.closedAt = at;
+    ncr.closureNotes = reason;
+  }
+
+  const entry = {
+    action,
+    from,
+    to,
+    at,
+    user: userIdentifier(user),
+    reason
+  };
+
+  ncr.status = to;
+  ncr.history.push(entry);
+  return entry;
+};
+
+// Why the dispositions of an NCR cannot be submitted yet; empty when they can.
+// Returned lots must have been consumed by the NCR's run.
+const dispositionProblems = (ncr, run) => {
+  const problems = [];
+  const lines = ncr.dispositions || [];
+
+  if (!(ncr.quantity > 0)) {
+    problems.push('Set the quantity of suspect parts');
+  }
+  if (lines.length === 0) {
+    problems.push('Add at least one disposition');
+  }
+
+  const disposed = lines.reduce((sum, line) => sum + (line.quantity || 0), 0);
+  if (lines.length > 0 && disposed !== ncr.quantity) {
+    problems.push(`Dispositions cover ${disposed} of ${ncr.quantity || 0} suspect parts`);
+  }
+
+  const consumedLots = new Set((run?.materialLots || []).map(entry => idOf(entry.lotId)));
+  lines.forEach((line, index) => {
+    if (!dispositions[line.disposition]) {
+      problems.push(`Disposition ${index + 1}: unknown disposition "${line.disposition}"`);
+    }
+    if (line.disposition === 'scrap' && !isValidDefect(line.defectCode)) {
+      problems.push(`Disposition ${index + 1}: scrap needs a valid defectCode`);
+    }
+    if (line.disposition === 'use_as_is' && !String(line.notes || '').trim()) {
+      problems.push(`Disposition ${index + 1}: use as is needs a justification in notes`);
+    }
+    if (line.disposition === 'return_to_supplier' && !consumedLots.has(idOf(line.materialLotId))) {
+      problems.push(`Disposition ${index + 1}: return to supplier needs a materialLotId the run consumed`);
+    }
+  });
+
+  return problems;
+};
+
+// Scrap entries for the run from the scrap dispositions of an NCR
+const scrapEntries = (ncr, user, at = new Date()) => (ncr.dispositions || [])
+  .filter(line => line.disposition === 'scrap')
+  .map(line => ({
+    defectCode: line.defectCode,
+    quantity: line.quantity,
+    notes: `${ncr.ncrNumber}${line.notes ? `: ${line.notes}` : ''}`.slice(0, 500),
+    recordedAt: at,
+    recordedBy: userIdentifier(user)
+  }));
+
+// The open NCR holding a paused run, if any
+const holdingNonconformance = (runId) => Nonconformance.findOne({
+  productionRunId: runId,
+  runPaused: true,
+  status: { $in: HOLDING_STATUSES }
+});
+
+// Open an NCR for a Fail or Hold check, pausing its run when asked and the
+// run is running. Checks with an NCR already keep it. Returns
+// { ncr, created } or null when the check needs no NCR.
+const openForCheck = async (check, { pauseRun = false, user, description, quantity } = {}) => {
+  if (!check || !FLAGGED_RESULTS.includes(check.result)) return null;
+
+  const existing = await Nonconformance.findOne({ qualityCheckId: idOf(check) });
+  if (existing) return { ncr: existing, created: false };
+
+  const run = await ProductionRun.findById(idOf(check.productionRunId));
+  if (!run) return null;
+
+  const ncrNumber = `NCR-${check.checkId}`;
+  const before = run.toObject();
+  const transition = pauseRun && nextRunStatus(run.status, 'pause')
+    ? applyRunTransition(run, 'pause', {
+      user,
+      reason: `Quality ${check.result === 'Hold' ? 'hold' : 'failure'}: ${ncrNumber}`
+    })
+    : null;
+
+  // Pausing the run and opening the NCR that holds it commit together, so a
+  // failed create never leaves a run paused with no NCR on record
+  const ncr = await inTransaction(async (session) => {
+    if (transition) await run.save({ session });
+    const [created] = await Nonconformance.create([{
+      ncrNumber,
+      qualityCheckId: idOf(check),
+      productionRunId: run._id,
+      machineId: idOf(check.machineId) || idOf(run.machineId),
+      partNumber: run.partNumber,
+      result: check.result,
+      description: description ?? (check.notes || check.correctiveAction),
+      quantity: quantity ?? (check.defectsFound || 0),
+      runPaused: Boolean(transition),
+      openedBy: userIdentifier(user)
+    }], { session });
+    return created;
+  });
+
+  if (transition) {
+    await recordAudit('ProductionRun', 'update', { before, after: run, user });
+    publish('run.status', {
+      machineId: run.machineId,
+      machine: machineSummary(run.machineId),
+      ...runProgress(run),
+      action: 'pause',
+      previousStatus: transition.from
+    });
+  }
+  await recordAudit('Nonconformance', 'create', { after: ncr, user });
+
+  return { ncr, created: true };
+};
+
+module.exports = {
+  ACTIONS,
+  allowedActions,
+  nextStatus,
+  applyTransition,
+  dispositionProblems,
+  scrapEntries,
+  holdingNonconformance,
+  openForCheck
+};
@@ -0,0 +1,315 @@
+// Overall Equipment Effectiveness (OEE) engine.
+//
+//   Availability = run time / planned production time
+//   Performance  = (ideal cycle time x total count) / run time
+//   Quality      = good count / total count
+//   OEE          = Availability x Performance x Quality
+//
+// Planned production time is the time a run was open (started and not yet
+// completed or cancelled). Run time excludes the periods it was paused and
+// any machine downtime events that overlap its running periods.
+// The ideal cycle time comes from the request, or else from the run's mold
+// (standard cycle time / cavities). When neither is known, performance falls
+// back to target attainment (actualQty / targetQty). Rejects are the scrap
+// recorded on the run inside the window. Grouped by shift, each run's time,
+// output and scrap are split across the shifts they fell in.
+const ProductionRun = require('../models/productionRun');
+const QualityCheck = require('../models/qualityCheck');
+const DowntimeEvent = require('../models/downtimeEvent');
+const { shiftOf, shiftWindows } = require('../config/shifts');
+const { idealCycleTimePerPart } = require('./moldFit');
+const { rejectsInWindow } = require('./scrap');
+
+const GROUP_BY = ['machine', 'shift', 'partNumber'];
+
+const overlap = (start, end, window) => {
+  const from = Math.max(start.getTime(), window.from.getTime());
+  const to = Math.min(end.getTime(), window.to.getTime());
+  return Math.max(0, to - from);
+};
+
+// Periods a run was actually running, rebuilt from its transition log
+const runningIntervals = (run, now = new Date()) => {
+  const transitions = run.transitions || [];
+
+  // Runs created before the lifecycle endpoints only have start/end times
+  if (transitions.length === 0) {
+    if (!run.startTime || run.status === 'scheduled') return [];
+    return [{ start: new Date(run.startTime), end: new Date(run.endTime || now) }];
+  }
+
+  const intervals = [];
+  let openedAt = null;
+  transitions.forEach(({ to, at }) => {
+    const time = new Date(at);
+    if (to === 'running' && !openedAt) {
+      openedAt = time;
+    } else if (to !== 'running' && openedAt) {
+      intervals.push({ start: openedAt, end: time });
+      openedAt = null;
+    }
+  });
+  if (openedAt) {
+    intervals.push({ start: openedAt, end: new Date(run.endTime || now) });
+  }
+  return intervals;
+};
+
+// Downtime of the run's machine that falls inside a running interval
+const downtimeWithin = (interval, events, window, now) => events.reduce((sum, event) => {
+  const start = new Date(Math.max(new Date(event.startTime), interval.start));
+  const end = new Date(Math.min(new Date(event.endTime || now), interval.end));
+  return end > start ? sum + overlap(start, end, window) : sum;
+}, 0);
+
+const machineKey = (machineId) => String(machineId?._id || machineId);
+
+// Time figures and prorated quantities for a single run inside the window
+const runMetrics = (run, window, { idealCycleTime, downtime = [], now = new Date() } = {}) => {
+  const intervals = runningIntervals(run, now);
+  if (intervals.length === 0) return null;
+
+  const machineDowntime = downtime.filter(event => machineKey(event.machineId) === machineKey(run.machineId));
+  const openedAt = intervals[0].start;
+  const closedAt = new Date(run.endTime || now);
+  const plannedTime = overlap(openedAt, closedAt, window);
+  const runTime = intervals.reduce((sum, interval) => sum
+    + overlap(interval.start, interval.end, window)
+    - downtimeWithin(interval, machineDowntime, window, now), 0);
+  const totalRunTime = intervals.reduce((sum, { start, end }) => sum + (end - start), 0);
+
+  if (plannedTime === 0) return null;
+
+  // Only count the share of the output produced inside the window
+  const runningInWindow = intervals.reduce((sum, { start, end }) => sum + overlap(start, end, window), 0);
+  const share = totalRunTime > 0 ? runningInWindow / totalRunTime : 0;
+  const totalCount = (run.actualQty || 0) * share;
+  const cycleTime = idealCycleTime ?? idealCycleTimePerPart(run.moldId);
+
+  return {
+    plannedTime,
+    runTime,
+    totalCount,
+    rejectCount: rejectsInWindow(run, window, share),
+    targetCount: (run.targetQty || 0) * share,
+    idealTime: cycleTime ? cycleTime * 1000 * totalCount : null
+  };
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+const round = (value, digits = 4) => (
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits
+);
+
+// Aggregate per-run metrics into OEE figures, with the quality check results
+const summarize = (metrics, checks) => {
+  const totals = metrics.reduce((acc, m) => ({
+    plannedTime: acc.plannedTime + m.plannedTime,
+    runTime: acc.runTime + m.runTime,
+    totalCount: acc.totalCount + m.totalCount,
+    rejectCount: acc.rejectCount + m.rejectCount,
+    targetCount: acc.targetCount + m.targetCount,
+    idealTime: m.idealTime === null || acc.idealTime === null ? null : acc.idealTime + m.idealTime
+  }), { plannedTime: 0, runTime: 0, totalCount: 0, rejectCount: 0, targetCount: 0, idealTime: metrics.length ? 0 : null });
+
+  const defects = Math.round(totals.rejectCount);
+  const goodCount = Math.max(0, totals.totalCount - totals.rejectCount);
+
+  const checkResults = checks.reduce((acc, { result }) => {
+    acc[result] = (acc[result] || 0) + 1;
+    return acc;
+  }, {});
+
+  const performanceBasis = totals.idealTime !== null ? 'idealCycleTime' : 'targetQty';
+  const availability = ratio(totals.runTime, totals.plannedTime);
+  const performance = performanceBasis === 'idealCycleTime'
+    ? ratio(totals.idealTime, totals.runTime)
+    : ratio(totals.totalCount, totals.targetCount);
+  const quality = ratio(goodCount, totals.totalCount);
+
+  const components = [availability, performance, quality];
+  const oee = components.some(value => value === null)
+    ? null
+    : components.reduce((product, value) => product * Math.min(value, 1), 1);
+
+  return {
+    availability: round(availability),
+    performance: round(performance === null ? null : Math.min(performance, 1)),
+    quality: round(quality),
+    oee: round(oee),
+    performanceBasis,
+    plannedMinutes: round(totals.plannedTime / 60000, 1),
+    runMinutes: round(totals.runTime / 60000, 1),
+    totalCount: Math.round(totals.totalCount),
+    goodCount: Math.round(goodCount),
+    defects,
+    runs: metrics.length,
+    checks: { total: checks.length, ...checkResults }
+  };
+};
+
+// Load runs that were open at any point of the window, with their checks
+// and the downtime events of their machines
+const loadRunsAndChecks = async (filter, window) => {
+  const runs = await ProductionRun.find({
+    ...filter,
+    status: { $ne: 'scheduled' },
+    startTime: { $lte: window.to },
+    $or: [{ endTime: null }, { endTime: { $gte: window.from } }]
+  })
+    .populate('machineId', 'name machineId status')
+    .populate('moldId', 'moldId cavities standardCycleTime');
+
+  if (runs.length === 0) {
+    return { runs, checks: [], downtime: [] };
+  }
+
+  const [checks, downtime] = await Promise.all([
+    QualityCheck.find({
+      productionRunId: { $in: runs.map(run => run._id) },
+      checkDate: { $gte: window.from, $lte: window.to }
+    }),
+    DowntimeEvent.find({
+      machineId: { $in: [...new Set(runs.map(run => machineKey(run.machineId)))] },
+      startTime: { $lte: window.to },
+      $or: [{ endTime: null }, { endTime: { $gte: window.from } }]
+    })
+  ]);
+
+  return { runs, checks, downtime };
+};
+
+const checksForRuns = (checks, runs) => {
+  const ids = new Set(runs.map(run => String(run._id)));
+  return checks.filter(check => ids.has(String(check.productionRunId)));
+};
+
+// Compute OEE for a set of runs and their checks
+const calculateOee = (runs, checks, window, options = {}) => {
+  const measured = runs
+    .map(run => ({ run, metrics: runMetrics(run, window, options) }))
+    .filter(({ metrics }) => metrics !== null);
+
+  return summarize(
+    measured.map(({ metrics }) => metrics),
+    checksForRuns(checks, measured.map(({ run }) => run))
+  );
+};
+
+const groupKey = (run, groupBy) => (groupBy === 'machine' ? machineKey(run.machineId) : run.partNumber);
+
+const groupLabel = (run, groupBy) => {
+  if (groupBy === 'machine' && run.machineId?._id) {
+    const { _id, machineId, name, status } = run.machineId;
+    return { machine: { id: _id, machineId, name, status } };
+  }
+  return { [groupBy]: groupKey(run, groupBy) };
+};
+
+const dayOf = date => [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+  .map(part => String(part).padStart(2, '0'))
+  .join('-');
+
+// Every shift that overlaps the window, clipped to it. Starts a day early
+// for a night shift running into the window.
+const shiftOccurrences = (window) => {
+  const occurrences = [];
+  const day = new Date(window.from.getFullYear(), window.from.getMonth(), window.from.getDate() - 1);
+  for (; day <= window.to; day.setDate(day.getDate() + 1)) {
+    shiftWindows(dayOf(day))
+      .filter(shift => shift.from < window.to && shift.to > window.from)
+      .forEach(shift => occurrences.push({
+        name: shift.name,
+        from: new Date(Math.max(shift.from, window.from)),
+        to: new Date(Math.min(shift.to, window.to))
+      }));
+  }
+  return occurrences;
+};
+
+const addMetrics = (a, b) => ({
+  plannedTime: a.plannedTime + b.plannedTime,
+  runTime: a.runTime + b.runTime,
+  totalCount: a.totalCount + b.totalCount,
+  rejectCount: a.rejectCount + b.rejectCount,
+  targetCount: a.targetCount + b.targetCount,
+  idealTime: a.idealTime === null || b.idealTime === null ? null : a.idealTime + b.idealTime
+});
+
+// OEE per shift name. Runs are measured inside every occurrence of the
+// shift; checks count for the shift they were performed in.
+const calculateShiftOee = (runs, checks, window, options = {}) => {
+  const shifts = new Map();
+  shiftOccurrences(window).forEach(occurrence => {
+    if (!shifts.has(occurrence.name)) {
+      shifts.set(occurrence.name, new Map());
+    }
+    const byRun = shifts.get(occurrence.name);
+    runs.forEach(run => {
+      const metrics = runMetrics(run, occurrence, options);
+      if (metrics === null) return;
+      byRun.set(run, byRun.has(run) ? addMetrics(byRun.get(run), metrics) : metrics);
+    });
+  });
+
+  return Array.from(shifts.entries())
+    .filter(([, byRun]) => byRun.size > 0)
+    .map(([shift, byRun]) => ({
+      shift,
+      ...summarize(
+        Array.from(byRun.values()),
+        checksForRuns(checks, Array.from(byRun.keys()))
+          .filter(check => check.checkDate && shiftOf(new Date(check.checkDate)) === shift)
+      )
+    }));
+};
+
+// Compute OEE grouped by machine, shift or part number
+const calculateGroupedOee = (runs, checks, window, groupBy, options = {}) => {
+  if (groupBy === 'shift') {
+    return calculateShiftOee(runs, checks, window, options)
+      .sort((a, b) => (b.oee ?? -1) - (a.oee ?? -1));
+  }
+
+  const groups = new Map();
+  runs.forEach(run => {
+    const key = groupKey(run, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, { label: groupLabel(run, groupBy), runs: [] });
+    }
+    groups.get(key).runs.push(run);
+  });
+
+  return Array.from(groups.values())
+    .map(({ label, runs: groupRuns }) => ({
+      ...label,
+      ...calculateOee(groupRuns, checks, window, options)
+    }))
+    .sort((a, b) => (b.oee ?? -1) - (a.oee ?? -1));
+};
+
+// Parse ?from=&to= into a window, defaulting to the last 7 days
+const parseWindow = ({ from, to }, now = new Date()) => {
+  const window = {
+    from: from ? new Date(from) : new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000),
+    to: to ? new Date(to) : now
+  };
+
+  if (isNaN(window.from) || isNaN(window.to)) {
+    return { error: 'Dates must be valid ISO 8601 dates' };
+  }
+  if (window.from >= window.to) {
+    return { error: '"from" must be before "to"' };
+  }
+  return { window };
+};
+
+module.exports = {
+  GROUP_BY,
+  runningIntervals,
+  calculateOee,
+  calculateGroupedOee,
+  loadRunsAndChecks,
+  parseWindow
+};
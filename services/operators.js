@@ -0,0 +1,125 @@
+// Run operators: qualification checks and the per-operator output and scrap
+// report.
+//
+//   partsProduced  run output, prorated by running time inside the window
+//   rejects        scrap entries recorded inside the window
+//   scrapRate      rejects / partsProduced
+// Runs without an operator are reported under operator: null.
+const ProductionRun = require('../models/productionRun');
+const { departments, roles, requireAssignment } = require('../config/operators');
+const { runningIntervals } = require('./oee');
+const { scrapByDefect } = require('./scrap');
+
+// List the reasons an employee cannot operate a run on `machineId` (empty when qualified)
+const operatorProblems = (employee, machineId, { assignment = requireAssignment } = {}) => {
+  const problems = [];
+
+  if (employee.active === false) {
+    problems.push({
+      field: 'active',
+      message: `Employee ${employee.employeeId} is inactive`
+    });
+  }
+
+  if (!departments.includes(employee.department)) {
+    problems.push({
+      field: 'department',
+      message: `Operators must be in ${departments.join(' or ')}, not ${employee.department}`
+    });
+  }
+
+  if (!roles.includes(employee.role)) {
+    problems.push({
+      field: 'role',
+      message: `Operators must have role ${roles.join(' or ')}, not ${employee.role}`
+    });
+  }
+
+  const assignedMachine = employee.assignedMachine?._id || employee.assignedMachine;
+  if (assignment && String(assignedMachine) !== String(machineId?._id || machineId)) {
+    problems.push({
+      field: 'assignedMachine',
+      message: assignedMachine
+        ? `Employee ${employee.employeeId} is assigned to another machine`
+        : `Employee ${employee.employeeId} is not assigned to a machine`
+    });
+  }
+
+  return problems;
+};
+
+const overlap = (start, end, window) => Math.max(
+  0,
+  Math.min(end.getTime(), window.to.getTime()) - Math.max(start.getTime(), window.from.getTime())
+);
+
+const inWindow = (date, window) => {
+  const time = new Date(date).getTime();
+  return time >= window.from.getTime() && time <= window.to.getTime();
+};
+
+// Share of the run's output produced while it was running inside the window
+const producedInWindow = (run, window, now) => {
+  const intervals = runningIntervals(run, now);
+  const total = intervals.reduce((sum, { start, end }) => sum + (end - start), 0);
+  if (total === 0) return 0;
+
+  const inside = intervals.reduce((sum, { start, end }) => sum + overlap(start, end, window), 0);
+  return (run.actualQty || 0) * (inside / total);
+};
+
+// Runs that were open at some point inside the window
+const loadOperatorRuns = (filter, window) => ProductionRun.find({
+  ...filter,
+  status: { $ne: 'scheduled' },
+  startTime: { $lte: window.to },
+  $or: [{ endTime: null }, { endTime: { $gte: window.from } }]
+}).populate('operator', 'employeeId firstName lastName');
+
+const describeOperator = (operator) => {
+  if (!operator) return null;
+  if (!operator._id) return { id: operator };
+  return {
+    id: operator._id,
+    employeeId: operator.employeeId,
+    name: [operator.firstName, operator.lastName].filter(Boolean).join(' ')
+  };
+};
+
+// Output and scrap per operator, most parts produced first
+const operatorReport = (runs, window, now = new Date()) => {
+  const byOperator = new Map();
+
+  runs.forEach(run => {
+    const key = String(run.operator?._id || run.operator || '');
+    if (!byOperator.has(key)) {
+      byOperator.set(key, { operator: describeOperator(run.operator), runs: 0, partsProduced: 0, scrap: [] });
+    }
+    const entry = byOperator.get(key);
+    entry.runs += 1;
+    entry.partsProduced += producedInWindow(run, window, now);
+    entry.scrap.push(...(run.scrap || []).filter(scrap => inWindow(scrap.recordedAt, window)));
+  });
+
+  return Array.from(byOperator.values())
+    .map(({ operator, runs: runCount, partsProduced, scrap }) => {
+      const produced = Math.round(partsProduced);
+      const rejects = scrap.reduce((sum, entry) => sum + entry.quantity, 0);
+      return {
+        operator,
+        runs: runCount,
+        partsProduced: produced,
+        rejects,
+        goodParts: Math.max(0, produced - rejects),
+        scrapRate: produced > 0 ? Math.round((rejects / produced) * 10000) / 10000 : null,
+        defects: scrapByDefect(scrap)
+      };
+    })
+    .sort((a, b) => b.partsProduced - a.partsProduced);
+};
+
+module.exports = {
+  operatorProblems,
+  loadOperatorRuns,
+  operatorReport
+};
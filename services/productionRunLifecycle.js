@@ -0,0 +1,65 @@
+// Production run state machine.
+//
+//   scheduled --start--> running --pause--> paused --resume--> running
+//   running|paused --complete--> completed
+//   scheduled|running|paused --cancel--> cancelled
+//
+// completed and cancelled are terminal.
+
+const { userIdentifier } = require('../middleware/auth');
+
+const ACTIONS = {
+  start: { from: ['scheduled'], to: 'running', requiresReason: false },
+  pause: { from: ['running'], to: 'paused', requiresReason: true },
+  resume: { from: ['paused'], to: 'running', requiresReason: false },
+  complete: { from: ['running', 'paused'], to: 'completed', requiresReason: false },
+  cancel: { from: ['scheduled', 'running', 'paused'], to: 'cancelled', requiresReason: true }
+};
+
+// Actions that can be taken from a given status
+const allowedActions = (status) =>
+  Object.keys(ACTIONS).filter(action => ACTIONS[action].from.includes(status));
+
+// Target status for an action, or null when the transition is illegal
+const nextStatus = (status, action) => {
+  const definition = ACTIONS[action];
+  if (!definition || !definition.from.includes(status)) {
+    return null;
+  }
+  return definition.to;
+};
+
+// Apply an action to a run document (not saved). Returns the transition entry.
+// Callers must check nextStatus() first.
+const applyTransition = (run, action, { user, reason, at = new Date() } = {}) => {
+  const from = run.status;
+  const to = nextStatus(from, action);
+
+  if (action === 'start') {
+    run.startTime = at;
+  }
+
+  if (to === 'completed' || to === 'cancelled') {
+    run.endTime = at;
+  }
+
+  const transition = {
+    action,
+    from,
+    to,
+    at,
+    user: userIdentifier(user),
+    reason
+  };
+
+  run.status = to;
+  run.transitions.push(transition);
+  return transition;
+};
+
+module.exports = {
+  ACTIONS,
+  allowedActions,
+  nextStatus,
+  applyTransition
+};
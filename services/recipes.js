@@ -0,0 +1,92 @@
+// Process parameter recipes: comparing versions and checking that a
+// production run is set up for the part, mold and machine of its recipe.
+
+// Setpoints of a recipe, in display order
+const PARAMETERS = [
+  { name: 'barrelZones', label: 'Barrel zone temperature', unit: '°C' },
+  { name: 'injectionPressure', label: 'Injection pressure', unit: 'bar' },
+  { name: 'injectionSpeed', label: 'Injection speed', unit: 'mm/s' },
+  { name: 'holdPressure', label: 'Hold pressure', unit: 'bar' },
+  { name: 'holdTime', label: 'Hold time', unit: 's' },
+  { name: 'coolingTime', label: 'Cooling time', unit: 's' },
+  { name: 'moldTemperature', label: 'Mold temperature', unit: '°C' }
+];
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value || {});
+
+const change = (parameter, label, unit, from, to) => ({
+  parameter,
+  label,
+  unit,
+  from: from ?? null,
+  to: to ?? null,
+  delta: typeof from === 'number' && typeof to === 'number' ? Math.round((to - from) * 1000) / 1000 : null
+});
+
+// Setpoints that differ between two recipe versions. Barrel zones are
+// compared zone by zone (barrelZones[0] is the zone nearest the hopper).
+const diffParameters = (fromParameters, toParameters) => {
+  const from = plain(fromParameters);
+  const to = plain(toParameters);
+  const changes = [];
+  let unchanged = 0;
+
+  PARAMETERS.forEach(({ name, label, unit }) => {
+    if (name === 'barrelZones') {
+      const fromZones = from.barrelZones || [];
+      const toZones = to.barrelZones || [];
+      for (let zone = 0; zone < Math.max(fromZones.length, toZones.length); zone++) {
+        if (fromZones[zone] === toZones[zone]) {
+          unchanged += 1;
+        } else {
+          changes.push(change(`barrelZones[${zone}]`, `${label} zone ${zone + 1}`, unit, fromZones[zone], toZones[zone]));
+        }
+      }
+      return;
+    }
+
+    if (from[name] === to[name]) {
+      unchanged += 1;
+    } else {
+      changes.push(change(name, label, unit, from[name], to[name]));
+    }
+  });
+
+  return { changes, unchanged };
+};
+
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+
+// List the ways a run's setup differs from its recipe (empty when it matches)
+const recipeMismatches = (recipe, run) => {
+  const problems = [];
+
+  if (run.partNumber && recipe.partNumber !== run.partNumber) {
+    problems.push({
+      field: 'partNumber',
+      message: `Recipe is for part ${recipe.partNumber}, run makes ${run.partNumber}`
+    });
+  }
+
+  if (run.machineId && !sameId(recipe.machineId, run.machineId)) {
+    problems.push({
+      field: 'machineId',
+      message: 'Recipe is for a different machine'
+    });
+  }
+
+  if (run.moldId && !sameId(recipe.moldId, run.moldId)) {
+    problems.push({
+      field: 'moldId',
+      message: 'Recipe is for a different mold'
+    });
+  }
+
+  return problems;
+};
+
+module.exports = {
+  PARAMETERS,
+  diffParameters,
+  recipeMismatches
+};
@@ -0,0 +1,204 @@
+// Referential integrity on delete. REFERENCES lists, for each entity, the
+// fields of other entities that point at it and what deleting it may do:
+//   cascade  - dependents are soft deleted along with it (?cascade=delete)
+//   unassign - the reference is cleared (?cascade=unassign or ?cascade=delete)
+//   restrict - the delete is refused while any dependents exist
+//   keep     - history that stays pointing at the soft-deleted document
+// Without a cascade policy every reference but keep blocks the delete.
+// Purges and hard deletes (molds, employees) are blocked by every reference.
+const ProductionRun = require('../models/productionRun');
+const QualityCheck = require('../models/qualityCheck');
+const Employee = require('../models/employee');
+const Nonconformance = require('../models/nonconformance');
+const Recipe = require('../models/recipe');
+const MaintenancePlan = require('../models/maintenancePlan');
+const WorkOrder = require('../models/workOrder');
+const DowntimeEvent = require('../models/downtimeEvent');
+const MachineCycle = require('../models/machineCycle');
+const Webhook = require('../models/webhook');
+const { userIdentifier } = require('../middleware/auth');
+const { softDeleteById } = require('./softDelete');
+const { inTransaction } = require('./transaction');
+
+const MODELS = {
+  ProductionRun,
+  QualityCheck,
+  Employee,
+  Nonconformance,
+  Recipe,
+  MaintenancePlan,
+  WorkOrder,
+  DowntimeEvent,
+  MachineCycle,
+  Webhook
+};
+
+const REFERENCES = {
+  Machine: [
+    { entity: 'ProductionRun', field: 'machineId', label: 'runId', onDelete: 'cascade' },
+    { entity: 'QualityCheck', field: 'machineId', label: 'checkId', onDelete: 'cascade' },
+    { entity: 'Employee', field: 'assignedMachine', label: 'employeeId', onDelete: 'unassign' },
+    { entity: 'Nonconformance', field: 'machineId', label: 'ncrNumber', onDelete: 'restrict' },
+    { entity: 'Recipe', field: 'machineId', label: 'recipeId', onDelete: 'restrict' },
+    { entity: 'MaintenancePlan', field: 'machineId', label: 'planId', onDelete: 'restrict' },
+    { entity: 'WorkOrder', field: 'machineId', label: 'workOrderNumber', onDelete: 'keep' },
+    { entity: 'DowntimeEvent', field: 'machineId', label: 'startTime', onDelete: 'keep' },
+    { entity: 'MachineCycle', field: 'machineId', label: 'sequence', onDelete: 'keep' },
+    { entity: 'Webhook', field: 'machineIds', label: 'name', onDelete: 'keep' }
+  ],
+  ProductionRun: [
+    { entity: 'QualityCheck', field: 'productionRunId', label: 'checkId', onDelete: 'cascade' },
+    { entity: 'Nonconformance', field: 'productionRunId', label: 'ncrNumber', onDelete: 'restrict' },
+    { entity: 'MachineCycle', field: 'runId', label: 'sequence', onDelete: 'keep' }
+  ],
+  Mold: [
+    { entity: 'ProductionRun', field: 'moldId', label: 'runId', onDelete: 'restrict' },
+    { entity: 'Recipe', field: 'moldId', label: 'recipeId', onDelete: 'restrict' }
+  ],
+  Employee: [
+    { entity: 'ProductionRun', field: 'operator', label: 'runId', onDelete: 'restrict' },
+    { entity: 'QualityCheck', field: 'employeeId', label: 'checkId', onDelete: 'restrict' }
+  ]
+};
+
+// Dependents a cascade must not delete, and why
+const PROTECTED = {
+  ProductionRun: { filter: { status: 'running' }, reason: 'Running runs must be completed or cancelled first' }
+};
+
+const CASCADE_POLICIES = ['unassign', 'delete'];
+
+// How many blocking documents are listed per reference
+const SAMPLE_SIZE = 20;
+
+// Whether `policy` deals with a reference instead of blocking on it
+const resolves = (onDelete, policy) => {
+  if (onDelete === 'keep') return true;
+  return onDelete === 'unassign' ? CASCADE_POLICIES.includes(policy) : onDelete === 'cascade' && policy === 'delete';
+};
+
+const snapshot = (document) => (
+  typeof document.toObject === 'function' ? document.toObject() : { ...document }
+);
+
+// Documents that reference `id`, grouped by referencing field:
+// [{ entity, field, onDelete, count, protected, items }]. Only references
+// with at least one document are returned.
+const findReferences = async (entity, id, { includeDeleted = false } = {}) => {
+  const found = await Promise.all((REFERENCES[entity] || []).map(async (reference) => {
+    const Model = MODELS[reference.entity];
+    const filter = { [reference.field]: id };
+    const options = { includeDeleted };
+    const guard = PROTECTED[reference.entity];
+
+    const [count, sample, protectedCount] = await Promise.all([
+      Model.countDocuments(filter, options),
+      Model.find(filter, reference.label, options).limit(SAMPLE_SIZE),
+      guard ? Model.countDocuments({ ...filter, ...guard.filter }, options) : 0
+    ]);
+
+    return {
+      entity: reference.entity,
+      field: reference.field,
+      onDelete: reference.onDelete,
+      count,
+      protected: protectedCount,
+      ...(protectedCount > 0 && { reason: guard.reason }),
+      items: sample.map(document => ({ id: document._id, [reference.label]: document[reference.label] }))
+    };
+  }));
+  return found.filter(reference => reference.count > 0);
+};
+
+// References that stop a delete under `policy`
+const blockingReferences = (references, policy) => references.filter(reference => (
+  !resolves(reference.onDelete, policy) || (reference.onDelete === 'cascade' && reference.protected > 0)
+));
+
+// Human-readable summary of blocking references for error messages
+const describeReferences = (references) => references
+  .map(reference => `${reference.count} ${reference.entity} (${reference.field})`)
+  .join(', ');
+
+// Apply `policy` to everything referencing the documents `ids` of `entity`,
+// inside `session`. Cascaded documents have their own references handled
+// first. Returns the changes as [{ entity, action, before, after }] so they
+// can be audited once the transaction commits.
+const applyPolicy = async (entity, ids, policy, { user, session, at }) => {
+  const changes = [];
+
+  for (const reference of REFERENCES[entity] || []) {
+    if (reference.onDelete === 'keep' || !resolves(reference.onDelete, policy)) continue;
+
+    const Model = MODELS[reference.entity];
+    const dependents = await Model.find({ [reference.field]: { $in: ids } }, null, { session });
+    if (dependents.length === 0) continue;
+    const dependentIds = dependents.map(document => document._id);
+
+    if (reference.onDelete === 'unassign') {
+      await Model.updateMany(
+        { _id: { $in: dependentIds } },
+        { $set: { [reference.field]: null } },
+        { session }
+      );
+      dependents.forEach(document => changes.push({
+        entity: reference.entity,
+        action: 'update',
+        before: document,
+        after: { ...snapshot(document), [reference.field]: null }
+      }));
+      continue;
+    }
+
+    changes.push(...await applyPolicy(reference.entity, dependentIds, policy, { user, session, at }));
+    const deletedBy = userIdentifier(user);
+    await Model.updateMany(
+      { _id: { $in: dependentIds }, deletedAt: null },
+      { $set: { deletedAt: at, deletedBy } },
+      { session }
+    );
+    dependents.forEach(document => changes.push({
+      entity: reference.entity,
+      action: 'delete',
+      before: document,
+      after: { ...snapshot(document), deletedAt: at, deletedBy }
+    }));
+  }
+
+  return changes;
+};
+
+// Soft delete a document of `entity` and apply the cascade policy to what
+// references it, all in one transaction. Returns { blocking } when references
+// stop the delete; otherwise { before, after, changes } where after is null
+// if there was no such document.
+const deleteWithReferences = async (entity, Model, id, { policy, user }) => {
+  const references = await findReferences(entity, id);
+  const blocking = blockingReferences(references, policy);
+  if (blocking.length > 0) return { blocking };
+
+  if (references.length === 0) {
+    return { ...await softDeleteById(Model, id, user), changes: [] };
+  }
+
+  return inTransaction(async (session) => {
+    const deleted = await softDeleteById(Model, id, user, { session });
+    if (!deleted.after) return { ...deleted, changes: [] };
+
+    const changes = await applyPolicy(entity, [deleted.after._id], policy, {
+      user,
+      session,
+      at: deleted.after.deletedAt
+    });
+    return { ...deleted, changes };
+  });
+};
+
+module.exports = {
+  CASCADE_POLICIES,
+  REFERENCES,
+  findReferences,
+  blockingReferences,
+  describeReferences,
+  deleteWithReferences
+};
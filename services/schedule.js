@@ -0,0 +1,192 @@
+// Machine scheduling. A run's planned slot on its machine runs from
+// plannedStart to plannedEnd. When no end is given it is derived from the
+// target quantity and the mold's standard cycle time. Runs booked before
+// planned slots existed occupy the machine from their startTime instead, and
+// running or paused runs hold it at least until now, even past their planned
+// end. Runs with neither a planned start nor a startTime are unscheduled.
+const ProductionRun = require('../models/productionRun');
+const { idealCycleTimePerPart } = require('./moldFit');
+
+// Runs that still hold their slot on the machine
+const ACTIVE_STATUSES = ['scheduled', 'running', 'paused'];
+
+// Runs that are on the machine right now
+const BUSY_STATUSES = ['running', 'paused'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Planned duration in milliseconds, or null when the mold's cycle time is unknown
+const plannedDuration = (targetQty, mold) => {
+  const perPart = idealCycleTimePerPart(mold);
+  return perPart && targetQty > 0 ? Math.round(targetQty * perPart * 1000) : null;
+};
+
+// Planned slot for a run from the request `fields`, falling back to the
+// `current` run on update. Returns { plannedStart, plannedEnd } (both null
+// for an unscheduled run) or { error }. Without an explicit end the duration
+// is derived again when the quantity or mold changes, otherwise kept.
+//
+// Without a planned start the run is planned from its startTime, ending at its
+// endTime or after the derived duration; if neither is known it stays
+// unscheduled rather than failing, as runs did before planned slots.
+const planSlot = (fields, { current = null, mold = null } = {}) => {
+  const value = field => (fields[field] !== undefined ? fields[field] : current?.[field]);
+  const fromStartTime = !value('plannedStart') && Boolean(value('startTime'));
+
+  if (!value('plannedStart') && !fromStartTime) {
+    if (fields.plannedEnd) return { error: 'plannedEnd requires a plannedStart' };
+    return { plannedStart: null, plannedEnd: null };
+  }
+
+  const plannedStart = new Date(fromStartTime ? value('startTime') : value('plannedStart'));
+  if (isNaN(plannedStart)) return { error: `${fromStartTime ? 'startTime' : 'plannedStart'} must be a valid date` };
+
+  let plannedEnd = null;
+  const givenEnd = fields.plannedEnd || (fromStartTime ? value('endTime') : null);
+  if (givenEnd) {
+    plannedEnd = new Date(givenEnd);
+    if (isNaN(plannedEnd)) return { error: `${fields.plannedEnd ? 'plannedEnd' : 'endTime'} must be a valid date` };
+  } else {
+    const previous = current?.plannedStart && current?.plannedEnd
+      ? new Date(current.plannedEnd) - new Date(current.plannedStart)
+      : null;
+    const rederive = previous === null || fields.targetQty !== undefined || fields.moldId !== undefined;
+    const duration = (rederive && plannedDuration(Number(value('targetQty')), mold)) || previous;
+    if (!duration) {
+      if (fromStartTime) return { plannedStart: null, plannedEnd: null };
+      return { error: 'plannedEnd is required when the mold has no standard cycle time' };
+    }
+    plannedEnd = new Date(plannedStart.getTime() + duration);
+  }
+
+  if (plannedEnd <= plannedStart) return { error: 'plannedEnd must be after plannedStart' };
+  return { plannedStart, plannedEnd };
+};
+
+// The time a run occupies its machine as { plannedStart, plannedEnd }, or
+// null when it is unscheduled. Runs without a planned slot run from their
+// startTime to their endTime (a single instant while it is unknown).
+const occupiedSlot = (run, now = new Date()) => {
+  const start = run.plannedStart || run.startTime;
+  if (!start) return null;
+
+  let end = new Date(run.plannedEnd || run.endTime || start);
+  if (BUSY_STATUSES.includes(run.status) && end < now) end = new Date(now);
+  return { plannedStart: new Date(start), plannedEnd: end };
+};
+
+const overlaps = (a, b) => a.plannedStart < b.plannedEnd && b.plannedStart < a.plannedEnd;
+
+// Active runs on the machine with their occupied slot, in start order.
+// Only runs starting before `before` are loaded when it is given.
+const activeRuns = async (machineId, { before, excludeId, now = new Date() } = {}) => {
+  const filter = { machineId, status: { $in: ACTIVE_STATUSES } };
+  if (before) {
+    filter.$or = [
+      { plannedStart: { $lt: before } },
+      { plannedStart: null, startTime: { $lt: before } }
+    ];
+  }
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const runs = await ProductionRun.find(filter, 'runId partNumber status plannedStart plannedEnd startTime endTime');
+  return runs
+    .map(run => ({ run, slot: occupiedSlot(run, now) }))
+    .filter(({ slot }) => slot !== null)
+    .sort((a, b) => a.slot.plannedStart - b.slot.plannedStart);
+};
+
+// Active runs on the machine whose occupied slot overlaps `slot`, with the
+// slot they occupy
+const findConflicts = async (machineId, slot, { excludeId, now = new Date() } = {}) => {
+  const runs = await activeRuns(machineId, { before: slot.plannedEnd, excludeId, now });
+  return runs
+    .filter(({ slot: occupied }) => overlaps(occupied, slot))
+    .map(({ run, slot: occupied }) => ({
+      _id: run._id,
+      runId: run.runId,
+      partNumber: run.partNumber,
+      status: run.status,
+      ...occupied
+    }));
+};
+
+// Timeline window: from now for a week unless given
+const parseScheduleWindow = ({ from, to }, now = new Date()) => {
+  const window = {
+    from: from ? new Date(from) : now,
+    to: to ? new Date(to) : new Date((from ? new Date(from) : now).getTime() + 7 * DAY)
+  };
+
+  if (isNaN(window.from) || isNaN(window.to)) {
+    return { error: 'Dates must be valid ISO 8601 dates' };
+  }
+  if (window.from >= window.to) {
+    return { error: '"from" must be before "to"' };
+  }
+  return { window };
+};
+
+// Gantt-style timeline of the machine's runs inside `window`, one bar per
+// run in start order. Each bar lists the active runs it overlaps.
+const machineSchedule = async (machineId, window, now = new Date()) => {
+  const loaded = await ProductionRun.find({
+    machineId,
+    status: { $ne: 'cancelled' },
+    $or: [
+      { plannedStart: { $lt: window.to }, plannedEnd: { $gt: window.from } },
+      { plannedStart: null, startTime: { $lt: window.to }, $or: [{ endTime: null }, { endTime: { $gt: window.from } }] },
+      { status: { $in: BUSY_STATUSES }, plannedStart: { $lt: window.to } }
+    ]
+  });
+
+  const slots = new Map();
+  loaded.forEach(run => slots.set(run, occupiedSlot(run, now)));
+  const runs = loaded
+    .filter(run => slots.get(run)
+      && slots.get(run).plannedStart < window.to
+      && slots.get(run).plannedEnd >= window.from)
+    .sort((a, b) => slots.get(a).plannedStart - slots.get(b).plannedStart);
+
+  const active = runs.filter(run => ACTIVE_STATUSES.includes(run.status));
+  return runs.map(run => ({
+    id: run._id,
+    runId: run.runId,
+    partNumber: run.partNumber,
+    partName: run.partName,
+    status: run.status,
+    targetQty: run.targetQty,
+    actualQty: run.actualQty,
+    plannedStart: run.plannedStart,
+    plannedEnd: run.plannedEnd,
+    actualStart: run.status === 'scheduled' ? null : run.startTime || null,
+    actualEnd: run.endTime || null,
+    conflicts: ACTIVE_STATUSES.includes(run.status)
+      ? active.filter(other => other !== run && overlaps(slots.get(run), slots.get(other))).map(other => other.runId)
+      : []
+  }));
+};
+
+// Earliest slot of `duration` ms starting at or after `after` that does not
+// overlap an active run on the machine
+const nextAvailableSlot = async (machineId, duration, after = new Date(), now = new Date()) => {
+  const runs = (await activeRuns(machineId, { now }))
+    .filter(({ slot }) => slot.plannedEnd > after);
+
+  let start = new Date(after);
+  for (const { slot } of runs) {
+    if (slot.plannedStart - start >= duration) break;
+    if (slot.plannedEnd > start) start = new Date(slot.plannedEnd);
+  }
+  return { start, end: new Date(start.getTime() + duration) };
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  plannedDuration,
+  planSlot,
+  findConflicts,
+  parseScheduleWindow,
+  machineSchedule,
+  nextAvailableSlot
+};
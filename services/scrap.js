@@ -0,0 +1,123 @@
+// Scrap (reject) figures from the scrap entries recorded on production runs.
+const ProductionRun = require('../models/productionRun');
+const { defects } = require('../config/defectCodes');
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+// Sort by quantity and add each entry's share and running share of the total
+const pareto = (entries, total) => {
+  let cumulative = 0;
+  return entries
+    .sort((a, b) => b.quantity - a.quantity)
+    .map(entry => {
+      cumulative += entry.quantity;
+      return {
+        ...entry,
+        percent: percent(entry.quantity, total),
+        cumulativePercent: percent(cumulative, total)
+      };
+    });
+};
+
+const tally = (map, key, seed, quantity) => {
+  if (!map.has(key)) {
+    map.set(key, { ...seed, entries: 0, quantity: 0 });
+  }
+  const entry = map.get(key);
+  entry.entries += 1;
+  entry.quantity += quantity;
+  return entry;
+};
+
+const defectLabel = (defectCode) => ({ defectCode, description: defects[defectCode] || defectCode });
+
+// Scrap quantities by defect code, ranked
+const scrapByDefect = (entries) => {
+  const byDefect = new Map();
+  entries.forEach(entry => tally(byDefect, entry.defectCode, defectLabel(entry.defectCode), entry.quantity));
+  const total = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+  return pareto(Array.from(byDefect.values()), total);
+};
+
+// Good/reject totals of a single run
+const runYield = (run) => {
+  const produced = run.actualQty || 0;
+  const rejects = run.rejectQty || 0;
+  return {
+    actualQty: produced,
+    rejectQty: rejects,
+    goodQty: Math.max(0, produced - rejects),
+    scrapRate: produced > 0 ? Math.round((rejects / produced) * 10000) / 10000 : null
+  };
+};
+
+const inWindow = (date, window) => {
+  const time = new Date(date).getTime();
+  return time >= window.from.getTime() && time <= window.to.getTime();
+};
+
+// Rejects of a run inside a window: the scrap entries recorded in it, plus
+// `share` of any rejectQty no scrap entry accounts for (runs recorded before
+// scrap entries). The window excludes its end so adjacent windows, like
+// shifts, do not count an entry twice.
+const rejectsInWindow = (run, window, share = 0) => {
+  const scrap = run.scrap || [];
+  const recorded = scrap.reduce((sum, entry) => sum + entry.quantity, 0);
+  const inside = scrap
+    .filter(entry => {
+      const time = new Date(entry.recordedAt).getTime();
+      return time >= window.from.getTime() && time < window.to.getTime();
+    })
+    .reduce((sum, entry) => sum + entry.quantity, 0);
+  return inside + Math.max(0, (run.rejectQty || 0) - recorded) * share;
+};
+
+// Runs with scrap recorded inside the window
+const loadScrap = (filter, window) => ProductionRun.find({
+  ...filter,
+  scrap: { $elemMatch: { recordedAt: { $gte: window.from, $lte: window.to } } }
+}).populate('machineId', 'name machineId status');
+
+// Plant-level scrap by defect, with per-machine and per-part breakdowns
+const scrapReport = (runs, window) => {
+  const byMachine = new Map();
+  const byPart = new Map();
+  const entries = [];
+
+  runs.forEach(run => {
+    const machine = run.machineId?._id
+      ? { id: run.machineId._id, machineId: run.machineId.machineId, name: run.machineId.name }
+      : { id: run.machineId };
+
+    (run.scrap || [])
+      .filter(entry => inWindow(entry.recordedAt, window))
+      .forEach(entry => {
+        entries.push(entry);
+        const machineEntry = tally(byMachine, String(machine.id), { machine, scrap: [] }, entry.quantity);
+        machineEntry.scrap.push(entry);
+        tally(byPart, run.partNumber, { partNumber: run.partNumber }, entry.quantity);
+      });
+  });
+
+  const total = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+
+  return {
+    totalRejects: total,
+    entries: entries.length,
+    runs: runs.length,
+    byDefect: scrapByDefect(entries),
+    machines: pareto(Array.from(byMachine.values()).map(({ scrap, ...entry }) => ({
+      ...entry,
+      defects: scrapByDefect(scrap)
+    })), total),
+    partNumbers: pareto(Array.from(byPart.values()), total)
+  };
+};
+
+module.exports = {
+  scrapByDefect,
+  runYield,
+  rejectsInWindow,
+  loadScrap,
+  scrapReport
+};
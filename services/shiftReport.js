@@ -0,0 +1,154 @@
+// Per machine and shift production figures for one production day.
+//
+//   partsProduced   run output, prorated by running time inside the shift
+//   rejects         scrap recorded on the runs during the shift
+//   downtimeMinutes machine downtime inside the shift
+//   qualityChecks   checks performed during the shift
+const ProductionRun = require('../models/productionRun');
+const QualityCheck = require('../models/qualityCheck');
+const { runningIntervals } = require('./oee');
+const { rejectsInWindow } = require('./scrap');
+const { loadDowntime, eventDuration } = require('./downtime');
+const { shiftWindows } = require('../config/shifts');
+
+const overlap = (start, end, window) => Math.max(
+  0,
+  Math.min(end.getTime(), window.to.getTime()) - Math.max(start.getTime(), window.from.getTime())
+);
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// The whole production day, from the first shift start to the last shift end
+const daySpan = (windows) => ({
+  from: new Date(Math.min(...windows.map(window => window.from.getTime()))),
+  to: new Date(Math.max(...windows.map(window => window.to.getTime())))
+});
+
+// Runs, checks and downtime touching any shift of the day
+const loadShiftData = async (day) => {
+  const windows = shiftWindows(day);
+  const span = daySpan(windows);
+
+  const [runs, checks, downtime] = await Promise.all([
+    ProductionRun.find({
+      status: { $ne: 'scheduled' },
+      startTime: { $lte: span.to },
+      $or: [
+        { endTime: null },
+        { endTime: { $gte: span.from } },
+        { 'scrap.recordedAt': { $gte: span.from, $lt: span.to } }
+      ]
+    }).populate('machineId', 'name machineId status'),
+    QualityCheck.find({
+      checkDate: { $gte: span.from, $lt: span.to }
+    }).populate('machineId', 'name machineId status'),
+    loadDowntime({}, span)
+  ]);
+
+  return { windows, runs, checks, downtime };
+};
+
+const emptyFigures = () => ({
+  partsProduced: 0,
+  rejects: 0,
+  downtimeMinutes: 0,
+  qualityChecks: 0,
+  runs: 0
+});
+
+const finalize = (figures) => ({
+  partsProduced: Math.round(figures.partsProduced),
+  rejects: Math.round(figures.rejects),
+  goodParts: Math.max(0, Math.round(figures.partsProduced) - Math.round(figures.rejects)),
+  downtimeMinutes: round(figures.downtimeMinutes),
+  qualityChecks: figures.qualityChecks,
+  runs: figures.runs
+});
+
+const addFigures = (target, source) => {
+  Object.keys(target).forEach(key => {
+    target[key] += source[key];
+  });
+  return target;
+};
+
+const shiftReport = ({ windows, runs, checks, downtime }, now = new Date()) => {
+  const machines = new Map();
+
+  const figuresFor = (machine, shiftName) => {
+    const key = String(machine?._id || machine);
+    if (!machines.has(key)) {
+      machines.set(key, {
+        machine: machine?._id
+          ? { id: machine._id, machineId: machine.machineId, name: machine.name }
+          : { id: key },
+        shifts: new Map(windows.map(window => [window.name, emptyFigures()]))
+      });
+    }
+    return machines.get(key).shifts.get(shiftName);
+  };
+
+  // Scrap can be recorded while a run is paused or after it completed, so
+  // rejects are counted for every shift, not only those the run ran in
+  runs.forEach(run => {
+    const intervals = runningIntervals(run, now);
+    const totalRunTime = intervals.reduce((sum, { start, end }) => sum + (end - start), 0);
+
+    windows.forEach(window => {
+      const inShift = intervals.reduce((sum, { start, end }) => sum + overlap(start, end, window), 0);
+      const share = totalRunTime > 0 ? inShift / totalRunTime : 0;
+      const rejects = rejectsInWindow(run, window, share);
+      if (inShift === 0 && rejects === 0) return;
+
+      const figures = figuresFor(run.machineId, window.name);
+      figures.rejects += rejects;
+      if (inShift > 0) {
+        figures.partsProduced += (run.actualQty || 0) * share;
+        figures.runs += 1;
+      }
+    });
+  });
+
+  checks.forEach(check => {
+    const checkDate = new Date(check.checkDate);
+    const window = windows.find(({ from, to }) => checkDate >= from && checkDate < to);
+    if (!window) return;
+    figuresFor(check.machineId, window.name).qualityChecks += 1;
+  });
+
+  downtime.forEach(event => {
+    windows.forEach(window => {
+      const duration = eventDuration(event, window, now);
+      if (duration > 0) {
+        figuresFor(event.machineId, window.name).downtimeMinutes += duration / 60000;
+      }
+    });
+  });
+
+  const shiftTotals = new Map(windows.map(window => [window.name, emptyFigures()]));
+  const machineRows = Array.from(machines.values()).map(({ machine, shifts }) => ({
+    machine,
+    shifts: windows.map(window => {
+      const figures = shifts.get(window.name);
+      addFigures(shiftTotals.get(window.name), figures);
+      return { shift: window.name, ...finalize(figures) };
+    }),
+    totals: finalize(Array.from(shifts.values()).reduce(addFigures, emptyFigures()))
+  }));
+
+  return {
+    shifts: windows.map(window => ({
+      shift: window.name,
+      from: window.from,
+      to: window.to,
+      ...finalize(shiftTotals.get(window.name))
+    })),
+    machines: machineRows.sort((a, b) => String(a.machine.machineId || a.machine.id)
+      .localeCompare(String(b.machine.machineId || b.machine.id)))
+  };
+};
+
+module.exports = {
+  loadShiftData,
+  shiftReport
+};
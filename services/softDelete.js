@@ -0,0 +1,65 @@
+// Soft delete, restore and purge for models using models/plugins/softDelete.js
+const { userIdentifier } = require('../middleware/auth');
+
+// Mark a document deleted. Returns { before, after }; both are null when
+// there is no such document, or it is already deleted.
+const softDeleteById = async (Model, id, user, { session } = {}) => {
+  const before = await Model.findById(id, null, { session });
+  if (!before) return { before: null, after: null };
+
+  const after = await Model.findOneAndUpdate(
+    { _id: id, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: userIdentifier(user) } },
+    { new: true, session }
+  );
+  return { before: after ? before : null, after };
+};
+
+// Undo a soft delete. Returns { before, after }: before is null when the
+// document does not exist at all, after is null when it is not deleted.
+const restoreById = async (Model, id) => {
+  const before = await Model.findById(id, null, { includeDeleted: true });
+  if (!before?.deletedAt) return { before, after: null };
+
+  const after = await Model.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true }
+  );
+  return { before, after };
+};
+
+// Permanently remove a document. Only soft-deleted documents can be purged.
+// Returns { before, purged } like restoreById.
+const purgeById = async (Model, id) => {
+  const before = await Model.findById(id, null, { includeDeleted: true });
+  if (!before?.deletedAt) return { before, purged: null };
+
+  const purged = await Model.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+  return { before, purged };
+};
+
+// Only DELETE and restore set these; create, update and import bodies may not
+const SOFT_DELETE_FIELDS = ['deletedAt', 'deletedBy'];
+
+// Returns { status, body } when `fields` sets a soft-delete field, or null
+const softDeleteFieldsProblem = (fields = {}) => {
+  const found = SOFT_DELETE_FIELDS.filter(field => fields[field] !== undefined);
+  if (found.length === 0) return null;
+  return {
+    status: 400,
+    body: {
+      error: 'Invalid update',
+      message: 'deletedAt and deletedBy are only set by DELETE and restore',
+      fields: found
+    }
+  };
+};
+
+module.exports = {
+  SOFT_DELETE_FIELDS,
+  softDeleteFieldsProblem,
+  softDeleteById,
+  restoreById,
+  purgeById
+};
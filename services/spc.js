@@ -0,0 +1,188 @@
+// Statistical process control: control charts, capability indices and
+// run-rule detection for quality check measurements.
+
+// Control chart constants by subgroup size
+const CONSTANTS = {
+  2: { A2: 1.880, D3: 0, D4: 3.267, d2: 1.128 },
+  3: { A2: 1.023, D3: 0, D4: 2.574, d2: 1.693 },
+  4: { A2: 0.729, D3: 0, D4: 2.282, d2: 2.059 },
+  5: { A2: 0.577, D3: 0, D4: 2.114, d2: 2.326 },
+  6: { A2: 0.483, D3: 0, D4: 2.004, d2: 2.534 },
+  7: { A2: 0.419, D3: 0.076, D4: 1.924, d2: 2.704 },
+  8: { A2: 0.373, D3: 0.136, D4: 1.864, d2: 2.847 },
+  9: { A2: 0.337, D3: 0.184, D4: 1.816, d2: 2.970 },
+  10: { A2: 0.308, D3: 0.223, D4: 1.777, d2: 3.078 }
+};
+
+const SUBGROUP_SIZES = Object.keys(CONSTANTS).map(Number);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const stdDev = (values) => {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+};
+
+const round = (value, digits = 4) => (
+  value === null || !isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits
+);
+
+const limits = (center, upper, lower) => ({
+  centerLine: round(center),
+  ucl: round(upper),
+  lcl: round(lower)
+});
+
+// X-bar/R chart over consecutive subgroups of size n (an incomplete last subgroup is dropped)
+const xbarRChart = (values, n = 5) => {
+  const { A2, D3, D4, d2 } = CONSTANTS[n];
+  const subgroups = [];
+  for (let i = 0; i + n <= values.length; i += n) {
+    subgroups.push(values.slice(i, i + n));
+  }
+  if (subgroups.length < 2) return null;
+
+  const means = subgroups.map(mean);
+  const ranges = subgroups.map(group => Math.max(...group) - Math.min(...group));
+  const grandMean = mean(means);
+  const rBar = mean(ranges);
+
+  return {
+    subgroupSize: n,
+    subgroups: subgroups.length,
+    xbar: {
+      ...limits(grandMean, grandMean + A2 * rBar, grandMean - A2 * rBar),
+      points: means.map(value => round(value))
+    },
+    range: {
+      ...limits(rBar, D4 * rBar, D3 * rBar),
+      points: ranges.map(value => round(value))
+    },
+    sigmaWithin: round(rBar / d2)
+  };
+};
+
+// Individuals and moving range (I-MR) chart
+const individualsChart = (values) => {
+  if (values.length < 2) return null;
+
+  const { D4, d2 } = CONSTANTS[2];
+  const movingRanges = values.slice(1).map((value, i) => Math.abs(value - values[i]));
+  const center = mean(values);
+  const mrBar = mean(movingRanges);
+  const sigma = mrBar / d2;
+
+  return {
+    individuals: {
+      ...limits(center, center + 3 * sigma, center - 3 * sigma),
+      points: values.map(value => round(value))
+    },
+    movingRange: {
+      ...limits(mrBar, D4 * mrBar, 0),
+      points: movingRanges.map(value => round(value))
+    },
+    sigmaWithin: round(sigma)
+  };
+};
+
+// Cp/Cpk from within-subgroup sigma, Pp/Ppk from overall sigma.
+// With a single spec limit only the one-sided Cpk/Ppk are reported.
+const capability = (values, { lsl, usl }, sigmaWithin) => {
+  const hasLsl = lsl !== undefined && lsl !== null;
+  const hasUsl = usl !== undefined && usl !== null;
+  if (values.length < 2 || (!hasLsl && !hasUsl)) return null;
+
+  const avg = mean(values);
+  const sigmaOverall = stdDev(values);
+
+  const potential = (sigma) => (hasLsl && hasUsl && sigma > 0 ? (usl - lsl) / (6 * sigma) : null);
+  const actual = (sigma) => {
+    if (!(sigma > 0)) return null;
+    const sides = [];
+    if (hasUsl) sides.push((usl - avg) / (3 * sigma));
+    if (hasLsl) sides.push((avg - lsl) / (3 * sigma));
+    return Math.min(...sides);
+  };
+
+  return {
+    lsl: hasLsl ? lsl : null,
+    usl: hasUsl ? usl : null,
+    mean: round(avg),
+    sigmaWithin: round(sigmaWithin),
+    sigmaOverall: round(sigmaOverall),
+    cp: round(potential(sigmaWithin), 3),
+    cpk: round(actual(sigmaWithin), 3),
+    pp: round(potential(sigmaOverall), 3),
+    ppk: round(actual(sigmaOverall), 3),
+    outOfSpec: values.filter(value => (hasLsl && value < lsl) || (hasUsl && value > usl)).length
+  };
+};
+
+// Nelson rules (the first four Western Electric rules are rules 1, 5, 6 and 2)
+const RULES = [
+  { rule: 1, westernElectric: 1, description: 'One point beyond 3 sigma' },
+  { rule: 2, westernElectric: 4, description: 'Nine points in a row on the same side of the center line' },
+  { rule: 3, westernElectric: null, description: 'Six points in a row steadily increasing or decreasing' },
+  { rule: 4, westernElectric: null, description: 'Fourteen points in a row alternating up and down' },
+  { rule: 5, westernElectric: 2, description: 'Two out of three points beyond 2 sigma on the same side' },
+  { rule: 6, westernElectric: 3, description: 'Four out of five points beyond 1 sigma on the same side' },
+  { rule: 7, westernElectric: null, description: 'Fifteen points in a row within 1 sigma' },
+  { rule: 8, westernElectric: null, description: 'Eight points in a row beyond 1 sigma on either side' }
+];
+
+// Indices i where `test` holds for the window of `size` points ending at i
+const windows = (points, size, test) => {
+  const hits = [];
+  for (let end = size - 1; end < points.length; end++) {
+    if (test(points.slice(end - size + 1, end + 1))) hits.push(end);
+  }
+  return hits;
+};
+
+const detectRuleViolations = (points, centerLine, sigma) => {
+  if (!(sigma > 0) || points.length === 0) return [];
+
+  const z = points.map(value => (value - centerLine) / sigma);
+  const sameSide = (window, beyond, count) => [1, -1].some(side =>
+    window.filter(value => value * side > beyond).length >= count
+  );
+  const monotonic = (window) => {
+    const steps = window.slice(1).map((value, i) => value - window[i]);
+    return steps.every(step => step > 0) || steps.every(step => step < 0);
+  };
+  const alternating = (window) => {
+    const steps = window.slice(1).map((value, i) => Math.sign(value - window[i]));
+    return steps.every((step, i) => step !== 0 && (i === 0 || step === -steps[i - 1]));
+  };
+
+  const hitsByRule = {
+    1: z.map((value, i) => (Math.abs(value) > 3 ? i : null)).filter(i => i !== null),
+    2: windows(z, 9, w => w.every(value => value > 0) || w.every(value => value < 0)),
+    3: windows(points, 6, monotonic),
+    4: windows(points, 14, alternating),
+    5: windows(z, 3, w => sameSide(w, 2, 2)),
+    6: windows(z, 5, w => sameSide(w, 1, 4)),
+    7: windows(z, 15, w => w.every(value => Math.abs(value) < 1)),
+    8: windows(z, 8, w => w.every(value => Math.abs(value) > 1))
+  };
+
+  return RULES
+    .filter(({ rule }) => hitsByRule[rule].length > 0)
+    .map(definition => ({ ...definition, points: hitsByRule[definition.rule] }));
+};
+
+// Indices of points outside a chart's control limits (used for R and MR charts,
+// whose limits are not symmetric around the center line)
+const pointsBeyondLimits = ({ points, ucl, lcl }) => points
+  .map((value, i) => (value > ucl || value < lcl ? i : null))
+  .filter(i => i !== null);
+
+module.exports = {
+  SUBGROUP_SIZES,
+  xbarRChart,
+  individualsChart,
+  capability,
+  detectRuleViolations,
+  pointsBeyondLimits
+};
@@ -0,0 +1,192 @@
+// Structured measurement tolerances and server-side spec evaluation.
+//
+// A tolerance is either a nominal with plus/minus limits
+//   { nominal: 2.0, plus: 0.05, minus: 0.05, unit: 'mm' }
+// or explicit bounds (one of them may be omitted for one-sided specs)
+//   { min: 1.95, max: 2.05, unit: 'mm' }
+// Legacy free-text tolerances ("±0.05", "2.0 ± 0.05 mm", "1.95-2.05",
+// "+0.1/-0.05") are parsed into the same shape.
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+const UNIT = '\\s*([^\\d\\s±+\\-/]\\S*)?';
+
+const LEGACY_FORMATS = [
+  // [nominal] ± tol [unit]
+  {
+    pattern: new RegExp(`^${NUMBER}?\\s*(?:±|\\+/-|\\+-)\\s*(\\d+(?:\\.\\d+)?)${UNIT}$`),
+    parse: ([, nominal, tol, unit]) => ({ nominal: nominal && Number(nominal), plus: Number(tol), minus: Number(tol), unit })
+  },
+  // [nominal] +plus/-minus [unit]
+  {
+    pattern: new RegExp(`^${NUMBER}?\\s*\\+(\\d+(?:\\.\\d+)?)\\s*/\\s*-(\\d+(?:\\.\\d+)?)${UNIT}$`),
+    parse: ([, nominal, plus, minus, unit]) => ({ nominal: nominal && Number(nominal), plus: Number(plus), minus: Number(minus), unit })
+  },
+  // min - max [unit]
+  {
+    pattern: new RegExp(`^${NUMBER}\\s*(?:-|–|to|\\.\\.)\\s*${NUMBER}${UNIT}$`),
+    parse: ([, min, max, unit]) => ({ min: Number(min), max: Number(max), unit })
+  }
+];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// The measured value; older checks only recorded `value`
+const measuredValue = (measurement) => (
+  isSet(measurement.actualValue) ? measurement.actualValue : measurement.value
+);
+
+const parseLegacyTolerance = (text) => {
+  const trimmed = text.trim();
+  for (const { pattern, parse } of LEGACY_FORMATS) {
+    const match = trimmed.match(pattern);
+    if (match) return parse(match);
+  }
+  return null;
+};
+
+// Validate a tolerance and fill in its nominal and unit from the measurement.
+// Returns { tolerance } or { error }.
+const normalizeTolerance = (input, measurement = {}) => {
+  if (!isSet(input)) return { tolerance: undefined };
+
+  const raw = typeof input === 'string' ? parseLegacyTolerance(input) : input;
+  if (!raw || typeof raw !== 'object') {
+    return { error: `Unrecognised tolerance "${input}"` };
+  }
+
+  const tolerance = {};
+  for (const field of ['nominal', 'plus', 'minus', 'min', 'max']) {
+    if (!isSet(raw[field])) continue;
+    const value = Number(raw[field]);
+    if (!isFinite(value)) {
+      return { error: `Tolerance ${field} must be a number` };
+    }
+    tolerance[field] = value;
+  }
+
+  const hasBounds = isSet(tolerance.min) || isSet(tolerance.max);
+  const hasDeviation = isSet(tolerance.plus) || isSet(tolerance.minus);
+
+  if (hasBounds && hasDeviation) {
+    return { error: 'Tolerance must use either min/max or plus/minus, not both' };
+  }
+  if (!hasBounds && !hasDeviation) {
+    return { error: 'Tolerance needs min/max or plus/minus limits' };
+  }
+  if (hasBounds && isSet(tolerance.min) && isSet(tolerance.max) && tolerance.min > tolerance.max) {
+    return { error: 'Tolerance min must not exceed max' };
+  }
+
+  if (hasDeviation) {
+    if (tolerance.plus < 0 || tolerance.minus < 0) {
+      return { error: 'Tolerance plus/minus must not be negative' };
+    }
+    // Legacy checks recorded the nominal in `value` next to the actual reading
+    if (!isSet(tolerance.nominal) && isSet(measurement.actualValue) && isSet(measurement.value)) {
+      tolerance.nominal = Number(measurement.value);
+    }
+    // Legacy free text without a nominal was accepted; it is kept, unevaluated
+    if (!isSet(tolerance.nominal) && typeof input !== 'string') {
+      return { error: 'Tolerance with plus/minus limits needs a nominal' };
+    }
+  }
+
+  const unit = isSet(raw.unit) ? String(raw.unit).trim() : measurement.unit;
+  if (isSet(unit) && isSet(measurement.unit) && unit !== measurement.unit) {
+    return { error: `Tolerance unit "${unit}" does not match measurement unit "${measurement.unit}"` };
+  }
+  if (isSet(unit)) tolerance.unit = unit;
+
+  return { tolerance };
+};
+
+// Lower and upper spec limits of a normalized tolerance
+const specLimits = (tolerance) => {
+  if (!tolerance) return { lsl: null, usl: null };
+  if (isSet(tolerance.nominal) && (isSet(tolerance.plus) || isSet(tolerance.minus))) {
+    return {
+      lsl: isSet(tolerance.minus) ? tolerance.nominal - tolerance.minus : null,
+      usl: isSet(tolerance.plus) ? tolerance.nominal + tolerance.plus : null
+    };
+  }
+  return {
+    lsl: isSet(tolerance.min) ? tolerance.min : null,
+    usl: isSet(tolerance.max) ? tolerance.max : null
+  };
+};
+
+// 'Within' / 'Out of Spec', or undefined when there is nothing to evaluate
+const measurementStatus = (value, tolerance) => {
+  if (!tolerance || !isSet(value) || !isFinite(value)) return undefined;
+  const { lsl, usl } = specLimits(tolerance);
+  if (lsl === null && usl === null) return undefined;
+  return (lsl !== null && value < lsl) || (usl !== null && value > usl) ? 'Out of Spec' : 'Within';
+};
+
+// Normalize tolerances and (re)compute the status of every measurement.
+// Client-supplied statuses are ignored.
+const evaluateMeasurements = (measurements = []) => {
+  const errors = [];
+  const evaluated = measurements.map((measurement, index) => {
+    const { tolerance, error } = normalizeTolerance(measurement.tolerance, measurement);
+    if (error) {
+      errors.push({ index, parameter: measurement.parameter, message: error });
+      return measurement;
+    }
+    const { status, ...rest } = measurement;
+    const computed = measurementStatus(measuredValue(measurement), tolerance);
+    return { ...rest, tolerance, ...(computed && { status: computed }) };
+  });
+
+  const outOfSpec = evaluated
+    .filter(measurement => measurement.status === 'Out of Spec')
+    .map(({ parameter, tolerance, ...measurement }) => ({
+      parameter,
+      value: measuredValue(measurement),
+      ...specLimits(tolerance)
+    }));
+
+  return {
+    measurements: evaluated,
+    evaluated: evaluated.filter(measurement => measurement.status).length,
+    outOfSpec,
+    errors
+  };
+};
+
+// The evaluation of measurements as stored, without checking their
+// tolerances again: used when only the result of a check changes
+const storedEvaluation = (measurements = []) => {
+  const outOfSpec = measurements
+    .filter(measurement => measurement.status === 'Out of Spec')
+    .map(measurement => ({
+      parameter: measurement.parameter,
+      value: measuredValue(measurement),
+      ...specLimits(measurement.tolerance)
+    }));
+  return {
+    evaluated: measurements.filter(measurement => measurement.status).length,
+    outOfSpec
+  };
+};
+
+// Result implied by the measurements when the client gave none
+const deriveResult = ({ evaluated, outOfSpec }) => {
+  if (evaluated === 0) return undefined;
+  return outOfSpec.length > 0 ? 'Fail' : 'Pass';
+};
+
+// A check cannot pass with measurements out of spec
+const resultConflicts = (result, { outOfSpec }) => result === 'Pass' && outOfSpec.length > 0;
+
+module.exports = {
+  measuredValue,
+  parseLegacyTolerance,
+  normalizeTolerance,
+  specLimits,
+  measurementStatus,
+  evaluateMeasurements,
+  storedEvaluation,
+  deriveResult,
+  resultConflicts
+};
@@ -0,0 +1,21 @@
+// Run `work(session)` in a MongoDB transaction and return what it returns.
+// Transactions need a replica set (MongoDB Atlas, or a local replica set).
+const mongoose = require('mongoose');
+
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    // withTransaction retries `work` on transient errors, so only the last attempt's result counts
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  inTransaction
+};
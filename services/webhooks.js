@@ -0,0 +1,185 @@
+// Outbound webhooks. Live events (services/events.js) that match a webhook
+// event type become one delivery per subscribed webhook, POSTed right away
+// and retried with exponential backoff while they fail (config/webhooks.js).
+//
+// Every request has a JSON body { id, event, createdAt, machineId, data } and
+// the headers:
+//   X-Webhook-Event      the event type
+//   X-Webhook-Delivery   the delivery ID, the same on every retry
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//                        keyed with the webhook's secret
+const crypto = require('crypto');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { userIdentifier } = require('../middleware/auth');
+const { subscribe } = require('./events');
+const { maxAttempts, timeoutSeconds, backoff, retryCheckSeconds } = require('../config/webhooks');
+
+// The live events behind each webhook event type
+const TRIGGERS = {
+  'qualityCheck.flagged': event => event.type === 'qualityCheck.flagged',
+  'machine.down': event => event.type === 'machine.status' && event.data.status === 'down',
+  'run.completed': event => event.type === 'run.status' && event.data.status === 'completed'
+};
+
+// Deliveries retried per check, oldest first
+const RETRY_BATCH = 100;
+
+const webhookEventFor = event => Object.keys(TRIGGERS).find(type => TRIGGERS[type](event)) || null;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signatureHeader = (secret, body, at = new Date()) => {
+  const timestamp = Math.floor(at.getTime() / 1000);
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+// Wait before retrying after `failures` failed attempts
+const retryDelay = failures => Math.min(backoff.baseSeconds * 2 ** (failures - 1), backoff.maxSeconds) * 1000;
+
+// POST a delivery to its webhook once and record the attempt. Pending
+// deliveries that fail are rescheduled until they run out of attempts; a
+// failed manual redelivery leaves a finished delivery as it was. Returns the
+// updated delivery.
+const attemptDelivery = async (delivery, webhook, { manual = false, user } = {}) => {
+  const body = JSON.stringify(delivery.payload);
+  const at = new Date();
+  let responseCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Signature': signatureHeader(webhook.secret, body, at)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutSeconds * 1000)
+    });
+    responseCode = response.status;
+    if (response.status < 200 || response.status >= 300) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `No response within ${timeoutSeconds} s` : err.message;
+  }
+
+  const attemptCount = (delivery.attemptCount || 0) + 1;
+  let status = 'succeeded';
+  if (error && manual && delivery.status !== 'pending') status = delivery.status;
+  else if (error) status = attemptCount < maxAttempts ? 'pending' : 'failed';
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+    $set: {
+      status,
+      attemptCount,
+      lastResponseCode: responseCode,
+      nextAttemptAt: status === 'pending' ? new Date(Date.now() + retryDelay(attemptCount)) : null,
+      ...(status === 'succeeded' && { deliveredAt: new Date() })
+    },
+    $push: {
+      attempts: {
+        at,
+        responseCode,
+        error,
+        durationMs: Date.now() - at.getTime(),
+        ...(manual && { manual: true, requestedBy: userIdentifier(user) })
+      }
+    }
+  }, { new: true });
+};
+
+// Take a due delivery for one attempt, so two checks cannot send it twice.
+// Returns null when it is not (or no longer) due.
+const claimDelivery = (delivery, now = new Date()) => WebhookDelivery.findOneAndUpdate(
+  { _id: delivery._id, status: 'pending', nextAttemptAt: { $lte: now } },
+  { $set: { nextAttemptAt: new Date(now.getTime() + (timeoutSeconds + 60) * 1000) } },
+  { new: true }
+);
+
+const sendDelivery = async (delivery, webhook) => {
+  const claimed = await claimDelivery(delivery);
+  return claimed ? attemptDelivery(claimed, webhook) : null;
+};
+
+// Record and send a live event to every active webhook subscribed to it
+const deliverEvent = async (event) => {
+  const type = webhookEventFor(event);
+  if (!type) return [];
+
+  const webhooks = (await Webhook.find({ active: true, events: type }).select('+secret'))
+    .filter(webhook => !webhook.machineIds?.length
+      || webhook.machineIds.some(machineId => String(machineId) === event.machineId));
+  if (webhooks.length === 0) return [];
+
+  const payload = {
+    id: event.id,
+    event: type,
+    createdAt: event.at,
+    machineId: event.machineId,
+    data: event.data
+  };
+  const deliveries = await Promise.all(webhooks.map(webhook => WebhookDelivery.create({
+    webhookId: webhook._id,
+    event: type,
+    eventId: event.id,
+    payload,
+    nextAttemptAt: new Date()
+  })));
+
+  return Promise.all(deliveries.map((delivery, index) => sendDelivery(delivery, webhooks[index])));
+};
+
+// Send pending deliveries whose retry is due. Deliveries of deleted or
+// deactivated webhooks are given up.
+const retryDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRY_BATCH);
+  if (due.length === 0) return [];
+
+  const webhooks = await Webhook.find({ _id: { $in: [...new Set(due.map(delivery => String(delivery.webhookId)))] } })
+    .select('+secret');
+  const byId = new Map(webhooks.map(webhook => [String(webhook._id), webhook]));
+
+  const results = [];
+  for (const delivery of due) {
+    const webhook = byId.get(String(delivery.webhookId));
+    if (!webhook?.active) {
+      results.push(await WebhookDelivery.findByIdAndUpdate(delivery._id, {
+        $set: { status: 'failed', nextAttemptAt: null },
+        $push: { attempts: { at: now, error: webhook ? 'Webhook is inactive' : 'Webhook was deleted' } }
+      }, { new: true }));
+      continue;
+    }
+    results.push(await sendDelivery(delivery, webhook));
+  }
+  return results.filter(Boolean);
+};
+
+// Send live events to webhooks, and retry failed deliveries periodically
+const startWebhookDispatcher = (intervalSeconds = retryCheckSeconds) => {
+  subscribe(event => {
+    deliverEvent(event).catch(error => console.error(`Error delivering ${event.type} event to webhooks:`, error));
+  });
+
+  const timer = setInterval(() => {
+    retryDueDeliveries().catch(error => console.error('Error retrying webhook deliveries:', error));
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRIGGERS,
+  generateSecret,
+  signatureHeader,
+  retryDelay,
+  attemptDelivery,
+  deliverEvent,
+  retryDueDeliveries,
+  startWebhookDispatcher
+};
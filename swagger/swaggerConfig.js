@@ -23,6 +23,150 @@ const options = {
       }
     ],
     components: {
+      // Shared by every paginated list endpoint (middleware/pagination.js)
+      parameters: {
+        Page: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          description: 'Page number'
+        },
+        Limit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+          description: 'Items per page'
+        },
+        Sort: {
+          in: 'query',
+          name: 'sort',
+          schema: { type: 'string' },
+          description: 'Comma-separated fields to sort by; prefix a field with - for descending order (e.g. -startTime,runId)'
+        },
+        // Soft-deleted records (models/plugins/softDelete.js)
+        IncludeDeleted: {
+          in: 'query',
+          name: 'includeDeleted',
+          schema: { type: 'boolean', default: false },
+          description: 'Also return soft-deleted records (requires the deleted:read permission)'
+        },
+        // Deletes of referenced records (services/references.js)
+        Cascade: {
+          in: 'query',
+          name: 'cascade',
+          schema: { type: 'string', enum: ['unassign', 'delete'] },
+          description: 'What to do with records that reference the deleted one: unassign clears optional references, delete also deletes dependents'
+        },
+        // CSV/Excel export of lists and reports (middleware/export.js)
+        Format: {
+          in: 'query',
+          name: 'format',
+          schema: { type: 'string', enum: ['json', 'csv', 'xlsx'] },
+          description: 'Download as a CSV or Excel file instead of JSON (same as Accept: text/csv). Exports contain every matching record, ignoring page and limit.'
+        },
+        // Bulk imports (middleware/import.js)
+        DryRun: {
+          in: 'query',
+          name: 'dryRun',
+          schema: { type: 'boolean', default: false },
+          description: 'Validate every row and report the errors without creating anything'
+        },
+        Partial: {
+          in: 'query',
+          name: 'partial',
+          schema: { type: 'boolean', default: false },
+          description: 'Create the valid rows and report the invalid ones. By default nothing is created unless every row is valid.'
+        }
+      },
+      schemas: {
+        ImportReport: {
+          type: 'object',
+          properties: {
+            dryRun: { type: 'boolean' },
+            partial: { type: 'boolean' },
+            total: { type: 'integer', description: 'Rows in the file' },
+            valid: { type: 'integer', description: 'Rows that passed validation' },
+            invalid: { type: 'integer', description: 'Rows with errors' },
+            imported: { type: 'integer', description: 'Records created' },
+            created: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer' },
+                  id: { type: 'string' },
+                  key: { type: 'string', description: 'The record\'s business key, e.g. machineId' }
+                }
+              }
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer', description: 'Row number, counting from 1 after the CSV header' },
+                  key: { type: 'string' },
+                  errors: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        field: { type: 'string' },
+                        message: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ExportFile: {
+          type: 'string',
+          format: 'binary',
+          description: 'One row per record; populated references are flattened to columns like machineId.name'
+        },
+        DeleteBlocked: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', example: 'Delete blocked' },
+            message: { type: 'string' },
+            references: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  entity: { type: 'string', example: 'ProductionRun' },
+                  field: { type: 'string', example: 'machineId' },
+                  onDelete: { type: 'string', enum: ['cascade', 'unassign', 'restrict', 'keep'] },
+                  count: { type: 'integer' },
+                  protected: { type: 'integer', description: 'Dependents that cannot be deleted in a cascade (e.g. running runs)' },
+                  reason: { type: 'string' },
+                  items: {
+                    type: 'array',
+                    description: 'Up to 20 of the referencing records',
+                    items: { type: 'object' }
+                  }
+                }
+              }
+            },
+            cascadePolicies: {
+              type: 'array',
+              items: { type: 'string' }
+            }
+          }
+        }
+      },
+      headers: {
+        TotalCount: {
+          description: 'Total number of items matching the filters',
+          schema: { type: 'integer' }
+        },
+        Link: {
+          description: 'Pagination links (rel="first", "prev", "next", "last")',
+          schema: { type: 'string' }
+        }
+      },
       securitySchemes: {
         // CHANGED: Use your actual Google OAuth endpoint, not Google's directly
         googleOAuth2: {
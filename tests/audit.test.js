@@ -0,0 +1,204 @@
+const request = require('supertest');
+const app = require('../app');
+const AuditEntry = require('../models/auditEntry');
+const Machine = require('../models/machine');
+const ProductionRun = require('../models/productionRun');
+const Recipe = require('../models/recipe');
+const { diffFields } = require('../services/audit');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const runId = '507f1f77bcf86cd799439033';
+const machineId = '507f1f77bcf86cd799439011';
+
+const run = (fields = {}) => ({
+  _id: runId,
+  runId: 'RUN-001',
+  machineId,
+  partNumber: 'HOUSING-A',
+  targetQty: 5000,
+  status: 'scheduled',
+  updatedAt: '2024-01-15T08:00:00.000Z',
+  ...fields
+});
+
+describe('Audit diff', () => {
+  test('lists changed fields with before and after values', () => {
+    expect(diffFields(run(), run({ targetQty: 6500, updatedAt: '2024-01-15T09:12:00.000Z' }))).toEqual([
+      { field: 'targetQty', before: 5000, after: 6500 }
+    ]);
+  });
+
+  test('nested fields use dotted paths', () => {
+    const before = { machineId, specifications: { tonnage: 250, shotSize: 400 } };
+    const after = { machineId, specifications: { tonnage: 300, shotSize: 400 } };
+    expect(diffFields(before, after)).toEqual([
+      { field: 'specifications.tonnage', before: 250, after: 300 }
+    ]);
+  });
+
+  test('a created document has a null before for every field it sets', () => {
+    expect(diffFields(null, { runId: 'RUN-001', notes: null })).toEqual([
+      { field: 'runId', before: null, after: 'RUN-001' }
+    ]);
+  });
+});
+
+describe('Audit routes', () => {
+  test('GET /audit without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/audit')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+
+  test('operators cannot read the audit trail', async () => {
+    const res = await request(app)
+      .get('/audit')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Operator');
+    expect(res.status).toBe(403);
+  });
+
+  test('GET /audit filters by entity, document and time', async () => {
+    const res = await request(app)
+      .get(`/audit?entity=ProductionRun&id=${runId}&user=planner@example.com&from=2024-01-01&to=2024-02-01`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(AuditEntry.countDocuments).toHaveBeenLastCalledWith({
+      entity: 'ProductionRun',
+      entityId: runId,
+      user: 'planner@example.com',
+      timestamp: { $gte: new Date('2024-01-01'), $lte: new Date('2024-02-01') }
+    });
+  });
+
+  test('GET /audit with an unknown entity returns 400', async () => {
+    const res = await request(app)
+      .get('/audit?entity=Spaceship')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid entity');
+  });
+});
+
+describe('Audited writes', () => {
+  beforeEach(() => AuditEntry.create.mockClear());
+
+  test('PUT /production-runs/:id records who changed which field', async () => {
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve(run()));
+    ProductionRun.findByIdAndUpdate.mockReturnValueOnce(query(run({ targetQty: 6500 })));
+
+    const res = await request(app)
+      .put(`/production-runs/${runId}`)
+      .set('x-test-auth', 'true')
+      .send({ targetQty: 6500 });
+    expect(res.status).toBe(200);
+    expect(AuditEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      entity: 'ProductionRun',
+      entityId: runId,
+      action: 'update',
+      changes: [{ field: 'targetQty', before: 5000, after: 6500 }],
+      user: 'test@example.com'
+    }));
+  });
+
+  test('an update that changes nothing is not recorded', async () => {
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve(run()));
+    ProductionRun.findByIdAndUpdate.mockReturnValueOnce(query(run()));
+
+    const res = await request(app)
+      .put(`/production-runs/${runId}`)
+      .set('x-test-auth', 'true')
+      .send({ targetQty: 5000 });
+    expect(res.status).toBe(200);
+    expect(AuditEntry.create).not.toHaveBeenCalled();
+  });
+
+  test('run transitions are recorded as updates', async () => {
+    const paused = run({
+      status: 'paused',
+      transitions: [],
+      save: jest.fn().mockResolvedValue(true),
+      populate: jest.fn().mockResolvedValue(true),
+      toObject() { return { ...this, transitions: [...this.transitions] }; }
+    });
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve(paused));
+
+    const res = await request(app)
+      .post(`/production-runs/${runId}/complete`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    const [entry] = AuditEntry.create.mock.calls[0];
+    expect(entry).toMatchObject({ entity: 'ProductionRun', action: 'update', user: 'test@example.com' });
+    expect(entry.changes).toEqual(expect.arrayContaining([
+      { field: 'status', before: 'paused', after: 'completed' }
+    ]));
+  });
+
+  test('scrap postings are recorded as updates', async () => {
+    const running = run({ status: 'running', actualQty: 1000, rejectQty: 10 });
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve(running));
+    ProductionRun.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({
+      ...running,
+      rejectQty: 15,
+      scrap: [{ defectCode: 'short_shot', quantity: 5 }]
+    }));
+
+    const res = await request(app)
+      .post(`/production-runs/${runId}/scrap`)
+      .set('x-test-auth', 'true')
+      .send({ defectCode: 'short_shot', quantity: 5 });
+    expect(res.status).toBe(201);
+    expect(AuditEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      entity: 'ProductionRun',
+      changes: expect.arrayContaining([{ field: 'rejectQty', before: 10, after: 15 }])
+    }));
+  });
+
+  test('approving a recipe records the approval and the superseded version', async () => {
+    const recipeId = '507f1f77bcf86cd799439044';
+    const draft = { _id: recipeId, recipeId: 'RCP-HOUSING-A', version: 2, status: 'draft', createdBy: 'engineer@example.com' };
+    const previous = { _id: '507f1f77bcf86cd799439045', recipeId: 'RCP-HOUSING-A', version: 1, status: 'approved' };
+    Recipe.findById.mockReturnValueOnce(Promise.resolve(draft));
+    Recipe.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({ ...draft, status: 'approved' }));
+    Recipe.find.mockReturnValueOnce(query([{ ...previous, toObject: () => previous }]));
+
+    const res = await request(app)
+      .post(`/recipes/${recipeId}/approve`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    const statuses = AuditEntry.create.mock.calls.map(([entry]) => [
+      entry.entityId,
+      entry.changes.find(change => change.field === 'status')
+    ]);
+    expect(statuses).toEqual([
+      [recipeId, { field: 'status', before: 'draft', after: 'approved' }],
+      [previous._id, { field: 'status', before: 'approved', after: 'superseded' }]
+    ]);
+  });
+
+  test('DELETE /machines/:id records the soft delete', async () => {
+    const machine = { _id: machineId, machineId: 'IM-001', name: 'Engel 250', deletedAt: null };
+    Machine.findById.mockReturnValueOnce(Promise.resolve(machine));
+    Machine.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({
+      ...machine,
+      deletedAt: new Date('2024-01-15T09:00:00Z'),
+      deletedBy: 'test@example.com'
+    }));
+
+    const res = await request(app)
+      .delete(`/machines/${machineId}`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(AuditEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      entity: 'Machine',
+      action: 'delete',
+      changes: [
+        { field: 'deletedAt', before: null, after: '2024-01-15T09:00:00.000Z' },
+        { field: 'deletedBy', before: null, after: 'test@example.com' }
+      ]
+    }));
+  });
+});
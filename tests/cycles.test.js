@@ -0,0 +1,257 @@
+const request = require('supertest');
+const app = require('../app');
+const Machine = require('../models/machine');
+const MachineCycle = require('../models/machineCycle');
+const ProductionRun = require('../models/productionRun');
+const { parseCycles } = require('../services/cycles');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const runId = '507f1f77bcf86cd799439033';
+const machine = { _id: machineId, machineId: 'IM-001', name: 'Engel 250' };
+
+describe('Cycle parsing', () => {
+  test('sorts by sequence and drops repeated sequence numbers', () => {
+    const now = new Date('2024-01-15T10:00:00Z');
+    const { cycles } = parseCycles([
+      { sequence: 12, cycleTime: 30.5 },
+      { sequence: 11, cycleTime: 31, shotCounter: 5000 },
+      { sequence: 12, cycleTime: 99 }
+    ], now);
+
+    expect(cycles).toEqual([
+      { sequence: 11, timestamp: now, cycleTime: 31, shotCounter: 5000 },
+      { sequence: 12, timestamp: now, cycleTime: 30.5 }
+    ]);
+  });
+
+  test('reports every invalid entry', () => {
+    const { errors } = parseCycles([
+      { cycleTime: 30 },
+      { sequence: 2, cycleTime: -1 },
+      { sequence: 3, timestamp: 'yesterday' }
+    ]);
+
+    expect(errors.map(error => error.field)).toEqual(['sequence', 'cycleTime', 'timestamp']);
+  });
+
+  test('rejects an empty batch', () => {
+    expect(parseCycles([]).errors).toHaveLength(1);
+    expect(parseCycles(undefined).errors).toHaveLength(1);
+  });
+});
+
+describe('POST /machines/:id/cycles', () => {
+  afterEach(() => {
+    delete process.env.MACHINE_API_KEY;
+  });
+
+  test('without auth returns 401', async () => {
+    const res = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-test-auth', 'false')
+      .send({ cycles: [{ sequence: 1 }] });
+    expect(res.status).toBe(401);
+  });
+
+  test('with invalid cycles returns 400', async () => {
+    const res = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-test-auth', 'true')
+      .send({ cycles: [{ sequence: -4 }] });
+    expect(res.status).toBe(400);
+    expect(res.body.details[0]).toMatchObject({ index: 0, field: 'sequence' });
+  });
+
+  test('for an unknown machine returns 404', async () => {
+    const res = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-test-auth', 'true')
+      .send({ cycles: [{ sequence: 1 }] });
+    expect(res.status).toBe(404);
+  });
+
+  test('skips known sequences and counts new cycles on the running run', async () => {
+    Machine.findById.mockReturnValueOnce(query(machine));
+    ProductionRun.find.mockReturnValueOnce(query([{
+      _id: runId,
+      runId: 'RUN-001',
+      actualQty: 100,
+      startTime: new Date(Date.now() - 60 * 60 * 1000),
+      endTime: null,
+      moldId: { moldId: 'MLD-4', cavities: 4 }
+    }]));
+    MachineCycle.find.mockReturnValueOnce(query([{ sequence: 7 }]));
+    ProductionRun.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({ _id: runId, runId: 'RUN-001', actualQty: 108, targetQty: 5000 }));
+
+    const res = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-test-auth', 'true')
+      .send({ cycles: [{ sequence: 7 }, { sequence: 8 }, { sequence: 9 }] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ received: 3, accepted: 2, duplicates: [7], partsAdded: 8 });
+    expect(res.body.run).toMatchObject({ runId: 'RUN-001', actualQty: 108, partsPerShot: 4 });
+    expect(ProductionRun.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: runId },
+      { $inc: { actualQty: 8 } },
+      { new: true }
+    );
+  });
+
+  test('a late batch counts each cycle on the run open at its timestamp', async () => {
+    const nextRunId = '507f1f77bcf86cd799439034';
+    Machine.findById.mockReturnValueOnce(query(machine));
+    MachineCycle.find.mockReturnValueOnce(query([]));
+    ProductionRun.find.mockReturnValueOnce(query([
+      {
+        _id: runId,
+        runId: 'RUN-001',
+        startTime: new Date('2024-01-15T06:00:00Z'),
+        endTime: new Date('2024-01-15T10:00:00Z'),
+        moldId: { moldId: 'MLD-4', cavities: 4 }
+      },
+      {
+        _id: nextRunId,
+        runId: 'RUN-002',
+        startTime: new Date('2024-01-15T10:30:00Z'),
+        endTime: null,
+        moldId: { moldId: 'MLD-2', cavities: 2 }
+      }
+    ]));
+    ProductionRun.findOneAndUpdate.mockClear();
+    ProductionRun.findOneAndUpdate
+      .mockReturnValueOnce(Promise.resolve({ _id: runId, runId: 'RUN-001', actualQty: 504 }))
+      .mockReturnValueOnce(Promise.resolve({ _id: nextRunId, runId: 'RUN-002', actualQty: 2 }));
+
+    const res = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-test-auth', 'true')
+      .send({
+        cycles: [
+          { sequence: 20, timestamp: '2024-01-15T09:59:00Z' },
+          { sequence: 21, timestamp: '2024-01-15T10:15:00Z' },
+          { sequence: 22, timestamp: '2024-01-15T10:31:00Z' }
+        ]
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ accepted: 3, partsAdded: 6 });
+    expect(res.body.runs.map(run => [run.runId, run.partsAdded])).toEqual([['RUN-001', 4], ['RUN-002', 2]]);
+    expect(res.body.run.runId).toBe('RUN-002');
+    expect(ProductionRun.findOneAndUpdate.mock.calls.map(([filter, update]) => [filter._id, update.$inc.actualQty]))
+      .toEqual([[runId, 4], [nextRunId, 2]]);
+  });
+
+  test('cycles count only on the run that was running, not a paused one', async () => {
+    const nextRunId = '507f1f77bcf86cd799439034';
+    Machine.findById.mockReturnValueOnce(query(machine));
+    MachineCycle.find.mockReturnValueOnce(query([]));
+    ProductionRun.find.mockReturnValueOnce(query([
+      {
+        _id: runId,
+        runId: 'RUN-001',
+        status: 'paused',
+        startTime: new Date('2024-01-15T06:00:00Z'),
+        endTime: null,
+        transitions: [
+          { from: 'scheduled', to: 'running', at: new Date('2024-01-15T06:00:00Z') },
+          { from: 'running', to: 'paused', at: new Date('2024-01-15T08:00:00Z') }
+        ],
+        moldId: { moldId: 'MLD-4', cavities: 4 }
+      },
+      {
+        _id: nextRunId,
+        runId: 'RUN-002',
+        status: 'running',
+        startTime: new Date('2024-01-15T08:30:00Z'),
+        endTime: null,
+        transitions: [{ from: 'scheduled', to: 'running', at: new Date('2024-01-15T08:30:00Z') }],
+        moldId: { moldId: 'MLD-2', cavities: 2 }
+      }
+    ]));
+    ProductionRun.findOneAndUpdate.mockClear();
+    ProductionRun.findOneAndUpdate
+      .mockReturnValueOnce(Promise.resolve({ _id: runId, runId: 'RUN-001', actualQty: 4 }))
+      .mockReturnValueOnce(Promise.resolve({ _id: nextRunId, runId: 'RUN-002', actualQty: 4 }));
+
+    const res = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-test-auth', 'true')
+      .send({
+        cycles: [
+          { sequence: 30, timestamp: '2024-01-15T07:00:00Z' },
+          { sequence: 31, timestamp: '2024-01-15T08:15:00Z' },
+          { sequence: 32, timestamp: '2024-01-15T09:00:00Z' },
+          { sequence: 33, timestamp: '2024-01-15T09:01:00Z' }
+        ]
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ accepted: 4, partsAdded: 8 });
+    expect(ProductionRun.findOneAndUpdate.mock.calls.map(([filter, update]) => [filter._id, update.$inc.actualQty]))
+      .toEqual([[runId, 4], [nextRunId, 4]]);
+  });
+
+  test('a batch that was already received changes nothing', async () => {
+    Machine.findById.mockReturnValueOnce(query(machine));
+    MachineCycle.find.mockReturnValueOnce(query([{ sequence: 1 }, { sequence: 2 }]));
+    ProductionRun.findOneAndUpdate.mockClear();
+
+    const res = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-test-auth', 'true')
+      .send({ cycles: [{ sequence: 1 }, { sequence: 2 }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ accepted: 0, duplicates: [1, 2], partsAdded: 0, run: null });
+    expect(ProductionRun.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('accepts the machine key instead of a login', async () => {
+    process.env.MACHINE_API_KEY = 'line-3-gateway';
+
+    const wrongKey = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-machine-key', 'guess')
+      .send({ cycles: [{ sequence: 1 }] });
+    expect(wrongKey.status).toBe(401);
+
+    const rightKey = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-machine-key', 'line-3-gateway')
+      .send({ cycles: [{ sequence: 1 }] });
+    expect(rightKey.status).toBe(404);
+  });
+
+  test('Inspectors may not post cycles', async () => {
+    const res = await request(app)
+      .post(`/machines/${machineId}/cycles`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Inspector')
+      .send({ cycles: [{ sequence: 1 }] });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /machines/:id/cycles', () => {
+  test('with an invalid date range returns 400', async () => {
+    const res = await request(app)
+      .get(`/machines/${machineId}/cycles?from=2024-02-01&to=2024-01-01`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('returns a page of the cycle history', async () => {
+    Machine.findById.mockReturnValueOnce(query(machine));
+
+    const res = await request(app)
+      .get(`/machines/${machineId}/cycles?sort=timestamp`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.headers['x-total-count']).toBe('0');
+    expect(res.body).toEqual([]);
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const app = require('../app');
+const Machine = require('../models/machine');
+const DowntimeEvent = require('../models/downtimeEvent');
+const { requiresReason, downtimeReport } = require('../services/downtime');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+
+describe('Downtime routes', () => {
+  test('GET /downtime returns 200', async () => {
+    const res = await request(app).get('/downtime').set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(Array.isArray(res.body)).toBe(true);
+  });
+
+  test('GET /downtime/reasons lists the configured reason codes', async () => {
+    const res = await request(app).get('/downtime/reasons').set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.map(reason => reason.code)).toEqual(
+      expect.arrayContaining(['mold_change', 'material_shortage', 'breakdown', 'no_operator'])
+    );
+  });
+
+  test('GET /reports/downtime without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/reports/downtime')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+
+  test('GET /reports/downtime with auth returns 200', async () => {
+    const res = await request(app)
+      .get('/reports/downtime')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.totalMinutes).toBe(0);
+  });
+
+  test('PUT /machines/:id to down without a reason code returns 400', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, status: 'operational' }));
+
+    const res = await request(app)
+      .put(`/machines/${machineId}`)
+      .set('x-test-auth', 'true')
+      .send({ status: 'down' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Missing reason code');
+  });
+
+  test('PUT /machines/:id with an unknown reason code returns 400', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, status: 'operational' }));
+
+    const res = await request(app)
+      .put(`/machines/${machineId}`)
+      .set('x-test-auth', 'true')
+      .send({ status: 'maintenance', reasonCode: 'coffee_break' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid reason code');
+  });
+
+  test('POST /machines down without a reason code returns 400', async () => {
+    const res = await request(app)
+      .post('/machines')
+      .set('x-test-auth', 'true')
+      .send({ machineId: 'IM-020', name: 'Engel Victory 200', status: 'down' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Missing reason code');
+  });
+
+  test('machines imported down open a downtime event', async () => {
+    Machine.insertMany.mockImplementationOnce(docs => Promise.resolve(
+      docs.map((doc, index) => ({ _id: `machine-${index}`, ...doc }))
+    ));
+    DowntimeEvent.create.mockClear();
+
+    const res = await request(app)
+      .post('/machines/import')
+      .set('x-test-auth', 'true')
+      .send([
+        { machineId: 'IM-021', name: 'Arburg 370', status: 'operational' },
+        { machineId: 'IM-022', name: 'Arburg 470', status: 'down', reasonCode: 'breakdown', downtimeNotes: 'Hydraulic leak' }
+      ]);
+    expect(res.status).toBe(201);
+    expect(Machine.insertMany.mock.calls.at(-1)[0][1]).toEqual({ machineId: 'IM-022', name: 'Arburg 470', status: 'down' });
+    expect(DowntimeEvent.create).toHaveBeenCalledTimes(1);
+    expect(DowntimeEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      machineId: 'machine-1',
+      status: 'down',
+      reasonCode: 'breakdown',
+      notes: 'Hydraulic leak'
+    }));
+  });
+});
+
+describe('Downtime report', () => {
+  const window = {
+    from: new Date('2024-01-15T00:00:00Z'),
+    to: new Date('2024-01-16T00:00:00Z')
+  };
+  const event = (machine, reasonCode, start, end) => ({
+    machineId: machine,
+    reasonCode,
+    startTime: new Date(start),
+    endTime: end ? new Date(end) : null
+  });
+
+  test('only entering a new downtime status requires a reason', () => {
+    expect(requiresReason('operational', 'down')).toBe(true);
+    expect(requiresReason('down', 'maintenance')).toBe(true);
+    expect(requiresReason('down', 'down')).toBe(false);
+    expect(requiresReason('down', 'operational')).toBe(false);
+  });
+
+  test('ranks reasons by duration with cumulative percentages', () => {
+    const events = [
+      event('m1', 'breakdown', '2024-01-15T08:00:00Z', '2024-01-15T10:00:00Z'),
+      event('m1', 'mold_change', '2024-01-15T12:00:00Z', '2024-01-15T12:30:00Z'),
+      event('m2', 'breakdown', '2024-01-15T14:00:00Z', '2024-01-15T15:00:00Z'),
+      // Started before the window: only the part inside counts
+      event('m2', 'material_shortage', '2024-01-14T23:30:00Z', '2024-01-15T00:30:00Z')
+    ];
+
+    const report = downtimeReport(events, window, new Date('2024-01-17T00:00:00Z'));
+
+    expect(report.totalMinutes).toBe(240);
+    expect(report.pareto.map(entry => entry.reasonCode)).toEqual(['breakdown', 'mold_change', 'material_shortage']);
+    expect(report.pareto[0]).toMatchObject({ minutes: 180, events: 2, percent: 75, cumulativePercent: 75 });
+    expect(report.pareto[2].cumulativePercent).toBe(100);
+    expect(report.machines[0].machine.id).toBe('m1');
+    expect(report.machines[0].reasons[0]).toMatchObject({ reasonCode: 'breakdown', percent: 80 });
+  });
+
+  test('open events count up to now', () => {
+    const events = [event('m1', 'breakdown', '2024-01-15T08:00:00Z', null)];
+    const report = downtimeReport(events, window, new Date('2024-01-15T09:00:00Z'));
+    expect(report.totalMinutes).toBe(60);
+    expect(report.openEvents).toBe(1);
+  });
+});
@@ -1,5 +1,8 @@
 const request = require('supertest');
 const app = require('../app');
+const Employee = require('../models/employee');
+const { mapLegacyEmployee } = require('../middleware/legacyEmployee');
+const { query } = require('./query-helper');
 
 // Note: Console mocking is now handled in tests/setup.js
 
@@ -75,4 +78,103 @@ describe('Employee Routes - Week 6 Testing', () => {
     
     expect(res.status).toBe(401);
   });
-});
\ No newline at end of file
+
+  // Test 8: AUTHENTICATED request to department endpoint
+  test('GET /employees/department/Production with authentication returns 200', async () => {
+    const res = await request(app)
+      .get('/employees/department/Production')
+      .set('x-test-auth', 'true');
+    
+    expect(res.status).toBe(200);
+    expect(Array.isArray(res.body)).toBe(true);
+  });
+
+  // Test 9: Unknown department is rejected
+  test('GET /employees/department/Unknown returns 400', async () => {
+    const res = await request(app)
+      .get('/employees/department/Unknown')
+      .set('x-test-auth', 'true');
+    
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid department');
+  });
+
+  // Test 10: Legacy status values are validated
+  test('POST /employees with an unknown legacy status returns 400', async () => {
+    const res = await request(app)
+      .post('/employees')
+      .set('x-test-auth', 'true')
+      .send({ employeeId: 'EMP-009', name: 'John Doe', status: 'retired' });
+    
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid status');
+  });
+
+  test('POST /employees with an inherited property name as status returns 400', async () => {
+    const res = await request(app)
+      .post('/employees')
+      .set('x-test-auth', 'true')
+      .send({ employeeId: 'EMP-009', name: 'John Doe', status: 'toString' });
+    
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid status');
+  });
+});
+
+describe('Employee shifts', () => {
+  test('POST /employees with a shift outside the calendar returns 400', async () => {
+    const res = await request(app)
+      .post('/employees')
+      .set('x-test-auth', 'true')
+      .send({ employeeId: 'EMP-010', firstName: 'Jane', lastName: 'Doe', shift: 'Graveyard' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid shift');
+  });
+
+  test('employees keep a shift dropped from the calendar', async () => {
+    const employee = { _id: '507f1f77bcf86cd799439066', employeeId: 'EMP-011', shift: 'Weekend' };
+    Employee.findOne.mockReturnValueOnce(query(employee));
+    Employee.findOneAndUpdate.mockReturnValueOnce(query({ ...employee, phone: '555-0101' }));
+
+    const res = await request(app)
+      .put('/employees/EMP-011')
+      .set('x-test-auth', 'true')
+      .send({ shift: 'Weekend', phone: '555-0101' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.shift).toBe('Weekend');
+  });
+});
+
+describe('Legacy employee payload mapping', () => {
+  test('maps name, position and status onto the Employee schema', () => {
+    const mapped = mapLegacyEmployee({
+      employeeId: 'EMP-001',
+      name: 'Mary Ann Smith',
+      position: 'Machine Operator',
+      status: 'on_leave'
+    });
+    
+    expect(mapped).toEqual({
+      employeeId: 'EMP-001',
+      firstName: 'Mary Ann',
+      lastName: 'Smith',
+      role: 'Operator',
+      active: false
+    });
+  });
+
+  test('leaves an unknown status unmapped instead of clearing active', () => {
+    expect(mapLegacyEmployee({ name: 'John Doe', status: 'retired' })).not.toHaveProperty('active');
+    expect(mapLegacyEmployee({ name: 'John Doe', status: 'toString' })).not.toHaveProperty('active');
+  });
+
+  test('keeps fields that are already in the new shape', () => {
+    const mapped = mapLegacyEmployee({ name: 'John Doe', firstName: 'Jon', lastName: 'Doe', status: 'active', active: false });
+    
+    expect(mapped.firstName).toBe('Jon');
+    expect(mapped.active).toBe(false);
+    expect(mapped).not.toHaveProperty('name');
+  });
+});
@@ -0,0 +1,149 @@
+// Keep only a few events so resuming past them can be tested
+process.env.EVENT_BUFFER_SIZE = '5';
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../app');
+const { publish, subscribe, eventsAfter, publishFlaggedCheck } = require('../services/events');
+const { recordStatusChange } = require('../services/downtime');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const otherMachineId = '507f1f77bcf86cd799439012';
+
+let server;
+let port;
+
+beforeAll(done => {
+  server = app.listen(0, () => {
+    port = server.address().port;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+// Open GET `path` as an event stream; `until(pattern)` waits for the text so far to match
+const openStream = (path, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.get({ port, path, headers: { 'x-test-auth': 'true', ...headers } }, (res) => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      text += chunk;
+    });
+
+    const until = pattern => new Promise(found => {
+      const check = () => {
+        if (!pattern.test(text)) return;
+        res.off('data', check);
+        found(text);
+      };
+      res.on('data', check);
+      check();
+    });
+
+    resolve({ res, until, close: () => req.destroy() });
+  });
+  req.on('error', reject);
+});
+
+// Server-Sent Events in `text`, as { id, event, data }
+const parseEvents = text => text.split('\n\n')
+  .map(block => Object.fromEntries(block.split('\n')
+    .filter(line => /^(id|event|data): /.test(line))
+    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])))
+  .filter(event => event.event)
+  .map(event => ({ ...event, data: JSON.parse(event.data) }));
+
+describe('Event buffer', () => {
+  test('events after a known ID are replayed', () => {
+    const first = publish('run.progress', { machineId, actualQty: 10 });
+    const second = publish('run.progress', { machineId, actualQty: 20 });
+
+    expect(eventsAfter(first.id).events).toEqual([second]);
+    expect(eventsAfter(second.id).events).toEqual([]);
+  });
+
+  test('IDs from another server start or past the buffer are a gap', () => {
+    const first = publish('run.progress', { machineId });
+    for (let i = 0; i < 6; i++) publish('run.progress', { machineId });
+
+    expect(eventsAfter(first.id)).toEqual({ gap: true });
+    expect(eventsAfter('abc-1')).toEqual({ gap: true });
+  });
+
+  test('machine status changes are published', async () => {
+    const received = [];
+    const unsubscribe = subscribe(event => received.push(event));
+
+    await recordStatusChange({ _id: machineId, machineId: 'IM-001', name: 'Engel 250', status: 'idle' }, 'operational');
+    await recordStatusChange({ _id: machineId, status: 'idle' }, 'idle');
+    unsubscribe();
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({
+      type: 'machine.status',
+      machineId,
+      data: { status: 'idle', previousStatus: 'operational', machine: { machineId: 'IM-001' } }
+    });
+  });
+
+  test('only checks that newly fail or go on hold are flagged', () => {
+    const check = { _id: 'qc1', checkId: 'QC-001', machineId, productionRunId: 'run1', result: 'Fail' };
+    expect(publishFlaggedCheck({ ...check, result: 'Pass' })).toBeNull();
+    expect(publishFlaggedCheck(check, 'Fail')).toBeNull();
+    expect(publishFlaggedCheck(check, 'Pass').data).toMatchObject({ result: 'Fail', previousResult: 'Pass' });
+  });
+});
+
+describe('GET /events', () => {
+  test('streams matching events as Server-Sent Events', async () => {
+    const stream = await openStream(`/events?types=run&machine=${machineId}`);
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+    await stream.until(/retry: \d+/);
+
+    publish('machine.status', { machineId, status: 'down' });
+    publish('run.progress', { machineId: otherMachineId, actualQty: 5 });
+    const sent = publish('run.progress', { machineId, actualQty: 500 });
+
+    const text = await stream.until(/event: run\.progress/);
+    stream.close();
+    expect(parseEvents(text)).toEqual([
+      { id: sent.id, event: 'run.progress', data: expect.objectContaining({ machineId, data: { actualQty: 500 } }) }
+    ]);
+  });
+
+  test('resumes after Last-Event-ID', async () => {
+    const seen = publish('run.status', { machineId, status: 'running' });
+    const missed = publish('run.status', { machineId, status: 'paused' });
+
+    const stream = await openStream('/events', { 'Last-Event-ID': seen.id });
+    const text = await stream.until(/event: run\.status/);
+    stream.close();
+    expect(parseEvents(text).map(event => event.id)).toEqual([missed.id]);
+  });
+
+  test('asks the client to resync when the missed events are gone', async () => {
+    const stream = await openStream('/events?lastEventId=abc-3');
+    const text = await stream.until(/event: resync/);
+    stream.close();
+    expect(parseEvents(text)[0].event).toBe('resync');
+  });
+
+  test('rejects unknown event types', async () => {
+    const res = await request(app)
+      .get('/events?types=run,pallet.moved')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/pallet\.moved/);
+  });
+
+  test('requires authentication', async () => {
+    const res = await request(app).get('/events');
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const app = require('../app');
+const ProductionRun = require('../models/productionRun');
+const QualityCheck = require('../models/qualityCheck');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const lines = text => text.replace(/^\ufeff/, '').trim().split('\r\n');
+
+const run = (fields = {}) => ({
+  _id: '507f1f77bcf86cd799439033',
+  runId: 'RUN-001',
+  status: 'completed',
+  machineId: { _id: '507f1f77bcf86cd799439011', machineId: 'IM-001', name: 'Engel 250' },
+  partNumber: 'HOUSING-A',
+  partName: 'Main Housing, black',
+  actualQty: 1000,
+  rejectQty: 20,
+  operator: { employeeId: 'EMP-001', firstName: 'John', lastName: 'Smith' },
+  ...fields
+});
+
+describe('List exports', () => {
+  test('Accept: text/csv streams production runs with flattened references', async () => {
+    ProductionRun.find.mockReturnValueOnce(query([run()]));
+
+    const res = await request(app)
+      .get('/production-runs?status=completed&page=3')
+      .set('x-test-auth', 'true')
+      .set('Accept', 'text/csv');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="production-runs.csv"');
+
+    const [header, row] = lines(res.text);
+    const columns = header.split(',');
+    expect(columns).toContain('machineId.name');
+    expect(columns).toContain('operator.lastName');
+    expect(row).toContain('IM-001,Engel 250');
+    expect(row).toContain('"Main Housing, black"');
+    expect(ProductionRun.find).toHaveBeenLastCalledWith({ status: 'completed' }, null, { includeDeleted: false });
+  });
+
+  test('?format=xlsx sends an Excel workbook', async () => {
+    ProductionRun.find.mockReturnValueOnce(query([run()]));
+
+    const res = await request(app)
+      .get('/production-runs?format=xlsx')
+      .set('x-test-auth', 'true')
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/spreadsheetml\.sheet/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="production-runs.xlsx"');
+    // xlsx files are zip archives
+    expect(res.body.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  test('quality check exports honor the list filters', async () => {
+    QualityCheck.find.mockReturnValueOnce(query([{
+      checkId: 'QC-001',
+      result: 'Fail',
+      employeeId: { employeeId: 'EMP-002', firstName: 'Jane', lastName: 'Doe' },
+      notes: '=HYPERLINK("http://example.com")'
+    }]));
+
+    const res = await request(app)
+      .get('/quality-checks?format=csv&result=Fail')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    const [header, row] = lines(res.text);
+    expect(header.split(',')).toContain('employeeId.lastName');
+    expect(row).toContain('EMP-002,Jane,Doe');
+    // Text that looks like a formula is defused
+    expect(row).toContain('"\'=HYPERLINK(""http://example.com"")"');
+    expect(QualityCheck.find).toHaveBeenLastCalledWith(expect.objectContaining({ result: 'Fail' }), null, expect.any(Object));
+  });
+
+  test('an unknown format is rejected', async () => {
+    const res = await request(app)
+      .get('/machines?format=pdf')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid format');
+  });
+
+  test('JSON stays the default', async () => {
+    const res = await request(app)
+      .get('/machines')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/json/);
+  });
+});
+
+describe('Report exports', () => {
+  test('GET /reports/scrap as CSV has one row per machine and defect', async () => {
+    ProductionRun.find.mockReturnValueOnce(query([run({
+      scrap: [
+        { defectCode: 'short_shot', quantity: 15, recordedAt: new Date('2024-01-15T08:00:00Z') },
+        { defectCode: 'flash', quantity: 5, recordedAt: new Date('2024-01-15T09:00:00Z') }
+      ]
+    })]));
+
+    const res = await request(app)
+      .get('/reports/scrap?from=2024-01-15T00:00:00Z&to=2024-01-16T00:00:00Z')
+      .set('x-test-auth', 'true')
+      .set('Accept', 'text/csv');
+    expect(res.status).toBe(200);
+    expect(lines(res.text)).toEqual([
+      'machine.machineId,machine.name,defectCode,description,quantity,entries,percent,cumulativePercent',
+      expect.stringMatching(/^IM-001,Engel 250,short_shot,.*,15,1,75,75$/),
+      expect.stringMatching(/^IM-001,Engel 250,flash,.*,5,1,25,100$/)
+    ]);
+  });
+});
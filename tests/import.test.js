@@ -0,0 +1,223 @@
+const request = require('supertest');
+const app = require('../app');
+const mongoose = require('mongoose');
+const Employee = require('../models/employee');
+const Machine = require('../models/machine');
+const Recipe = require('../models/recipe');
+const { parseCsv } = require('../services/import');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const recipeVersionId = '507f1f77bcf86cd799439044';
+
+const csv = (...lines) => lines.join('\r\n');
+
+describe('CSV parsing', () => {
+  test('reads quoted fields, skips empty cells and builds nested fields', () => {
+    const rows = parseCsv(csv(
+      '\ufeffmachineId,name,location,specifications.tonnage',
+      'IM-010,"Engel Victory 200, ""blue""",,200',
+      '',
+      'IM-011,"Arburg\nAllrounder",Hall B,'
+    ));
+    expect(rows).toEqual([
+      { machineId: 'IM-010', name: 'Engel Victory 200, "blue"', specifications: { tonnage: '200' } },
+      { machineId: 'IM-011', name: 'Arburg\nAllrounder', location: 'Hall B' }
+    ]);
+  });
+
+  test('an unterminated quote is an error', () => {
+    expect(() => parseCsv(csv('machineId,name', 'IM-010,"Engel'))).toThrow(/Unterminated/);
+  });
+});
+
+describe('Machine import', () => {
+  const file = csv(
+    'machineId,name,status',
+    'IM-010,Engel Victory 200,operational',
+    'im-11,Arburg,idle',
+    'IM-001,Existing press,idle',
+    'IM-010,Engel again,idle'
+  );
+
+  test('?dryRun=true reports every row problem without creating anything', async () => {
+    Machine.find.mockReturnValueOnce(Promise.resolve([{ machineId: 'IM-001' }]));
+
+    const res = await request(app)
+      .post('/machines/import?dryRun=true')
+      .set('x-test-auth', 'true')
+      .set('Content-Type', 'text/csv')
+      .send(file);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, total: 4, valid: 1, invalid: 3, imported: 0 });
+    expect(res.body.errors.map(error => [error.row, error.key])).toEqual([
+      [2, 'im-11'],
+      [3, 'IM-001'],
+      [4, 'IM-010']
+    ]);
+    expect(res.body.errors[0].errors[0].message).toMatch(/^Invalid machine ID format/);
+    expect(res.body.errors[1].errors[0].message).toBe('machineId IM-001 already exists');
+    expect(res.body.errors[2].errors[0].message).toBe('machineId IM-010 repeats row 1');
+    expect(Machine.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('by default nothing is imported when any row is invalid', async () => {
+    const res = await request(app)
+      .post('/machines/import')
+      .set('x-test-auth', 'true')
+      .set('Content-Type', 'text/csv')
+      .send(file);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Import failed');
+    expect(res.body.message).toBe('2 of 4 rows are invalid; nothing was imported');
+    expect(Machine.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('a valid file is created in one transaction', async () => {
+    const res = await request(app)
+      .post('/machines/import')
+      .set('x-test-auth', 'true')
+      .send([
+        { machineId: 'IM-010', name: 'Engel Victory 200', shotCount: 5000 },
+        { machineId: 'IM-011', name: 'Arburg Allrounder' }
+      ]);
+    expect(res.status).toBe(201);
+    expect(res.body.imported).toBe(2);
+    expect(res.body.created.map(created => created.key)).toEqual(['IM-010', 'IM-011']);
+    expect(mongoose.startSession).toHaveBeenCalled();
+    expect(Machine.insertMany).toHaveBeenLastCalledWith([
+      { machineId: 'IM-010', name: 'Engel Victory 200' },
+      { machineId: 'IM-011', name: 'Arburg Allrounder' }
+    ], { session: expect.any(Object) });
+  });
+
+  test('?partial=true creates the valid rows and reports the rest', async () => {
+    Machine.find.mockReturnValueOnce(Promise.resolve([{ machineId: 'IM-001' }]));
+    Machine.create.mockImplementationOnce(fields => Promise.resolve({ _id: '507f1f77bcf86cd799439099', ...fields }));
+
+    const res = await request(app)
+      .post('/machines/import?partial=true')
+      .set('x-test-auth', 'true')
+      .set('Content-Type', 'text/csv')
+      .send(file);
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ partial: true, imported: 1, invalid: 3 });
+    expect(res.body.created).toEqual([{ row: 1, id: '507f1f77bcf86cd799439099', key: 'IM-010' }]);
+    expect(Machine.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('an empty file is rejected', async () => {
+    const res = await request(app)
+      .post('/machines/import')
+      .set('x-test-auth', 'true')
+      .set('Content-Type', 'text/csv')
+      .send('machineId,name\r\n');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid import file');
+  });
+});
+
+describe('Employee import', () => {
+  test('rows are checked against the schema, with legacy rows mapped and machine codes resolved', async () => {
+    Machine.find.mockReturnValueOnce(Promise.resolve([{ _id: machineId, machineId: 'IM-001' }]));
+    Employee.validate
+      .mockImplementationOnce(fields => Promise.resolve(fields))
+      .mockRejectedValueOnce({
+        name: 'ValidationError',
+        errors: { email: { path: 'email', message: 'Please enter a valid email' } }
+      });
+
+    const res = await request(app)
+      .post('/employees/import?dryRun=true')
+      .set('x-test-auth', 'true')
+      .send([
+        { employeeId: 'EMP-101', name: 'Maria Lopez', position: 'Machine Operator', email: 'maria@example.com', department: 'Production', assignedMachine: 'IM-001' },
+        { employeeId: 'EMP-102', firstName: 'Tom', lastName: 'Berg', email: 'tom@', department: 'Production', role: 'Operator' }
+      ]);
+    expect(res.status).toBe(200);
+    expect(res.body.valid).toBe(1);
+    expect(res.body.errors).toEqual([
+      { row: 2, key: 'EMP-102', errors: [{ field: 'email', message: 'Please enter a valid email' }] }
+    ]);
+    expect(Employee.validate).toHaveBeenCalledWith(expect.objectContaining({
+      firstName: 'Maria',
+      lastName: 'Lopez',
+      role: 'Operator',
+      assignedMachine: machineId
+    }));
+  });
+
+  test('legacy rows with an unknown status are reported, not imported as active', async () => {
+    const res = await request(app)
+      .post('/employees/import?dryRun=true')
+      .set('x-test-auth', 'true')
+      .send([{ employeeId: 'EMP-103', name: 'Ann Kim', status: 'retired', email: 'ann@example.com', department: 'Production' }]);
+    expect(res.body.valid).toBe(0);
+    expect(res.body.errors).toEqual([
+      { row: 1, key: 'EMP-103', errors: [{ message: 'Invalid status: Status must be one of: active, on_leave, terminated' }] }
+    ]);
+  });
+
+  test('emails already in use are duplicates regardless of case', async () => {
+    Employee.find
+      .mockReturnValueOnce(Promise.resolve([]))
+      .mockReturnValueOnce(Promise.resolve([{ email: 'maria@example.com' }]));
+
+    const res = await request(app)
+      .post('/employees/import?dryRun=true')
+      .set('x-test-auth', 'true')
+      .send([{ employeeId: 'EMP-101', email: 'Maria@Example.com' }]);
+    expect(res.body.errors[0].errors).toEqual([{ field: 'email', message: 'email Maria@Example.com already exists' }]);
+  });
+});
+
+describe('Production run import', () => {
+  // Machine and approved recipe for each of `count` rows
+  const setUp = (count) => {
+    for (let i = 0; i < count; i++) {
+      Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001' }));
+      Recipe.findById.mockReturnValueOnce(Promise.resolve({
+        _id: recipeVersionId,
+        recipeId: 'RCP-HOUSING-A',
+        partNumber: 'HOUSING-A',
+        machineId,
+        moldId: null,
+        status: 'approved'
+      }));
+    }
+  };
+
+  test('runs in the file may not overlap each other on a machine', async () => {
+    setUp(3);
+    const run = (runId, plannedStart, plannedEnd) => [
+      runId, machineId, 'HOUSING-A', 'Main Housing', 'ABS', '1000', recipeVersionId, plannedStart, plannedEnd
+    ].join(',');
+
+    const res = await request(app)
+      .post('/production-runs/import?dryRun=true')
+      .set('x-test-auth', 'true')
+      .set('Content-Type', 'text/csv')
+      .send(csv(
+        'runId,machineId,partNumber,partName,material,targetQty,recipeId,plannedStart,plannedEnd',
+        run('RUN-2001', '2024-06-03T06:00:00Z', '2024-06-03T12:00:00Z'),
+        run('RUN-2002', '2024-06-03T10:00:00Z', '2024-06-03T14:00:00Z'),
+        run('RUN-2003', '2024-06-03T12:00:00Z', '2024-06-03T18:00:00Z')
+      ));
+    expect(res.status).toBe(200);
+    expect(res.body.valid).toBe(2);
+    expect(res.body.errors).toEqual([{
+      row: 2,
+      key: 'RUN-2002',
+      errors: [{ message: 'Schedule conflict: The planned slot overlaps run RUN-2001 earlier in the file' }]
+    }]);
+  });
+
+  test('rows get the same checks as POST /production-runs', async () => {
+    const res = await request(app)
+      .post('/production-runs/import?dryRun=true')
+      .set('x-test-auth', 'true')
+      .send([{ runId: 'RUN-2001', machineId, partNumber: 'HOUSING-A' }]);
+    expect(res.body.errors[0].errors.map(error => error.field)).toEqual(['partName', 'material', 'targetQty', 'recipeId']);
+  });
+});
@@ -4,21 +4,31 @@ const app = require('../app');
 // Note: Console mocking is now handled in tests/setup.js
 
 test('GET /machines returns 200', async () => {
-  const res = await request(app).get('/machines');
+  const res = await request(app).get('/machines').set('x-test-auth', 'true');
   expect(res.status).toBe(200);
 });
 
 test('GET /machines returns JSON', async () => {
-  const res = await request(app).get('/machines');
+  const res = await request(app).get('/machines').set('x-test-auth', 'true');
   expect(res.headers['content-type']).toMatch(/json/);
 });
 
 test('GET /machines/invalid-id returns 400 or 404', async () => {
-  const res = await request(app).get('/machines/invalid-id');
+  const res = await request(app).get('/machines/invalid-id').set('x-test-auth', 'true');
   expect([400, 404]).toContain(res.status);
 });
 
 test('POST /machines with empty data returns 400', async () => {
-  const res = await request(app).post('/machines').send({});
+  const res = await request(app).post('/machines').set('x-test-auth', 'true').send({});
   expect(res.status).toBe(400);
-});
\ No newline at end of file
+});
+
+test('GET /machines/invalid-id/oee returns 400', async () => {
+  const res = await request(app).get('/machines/invalid-id/oee').set('x-test-auth', 'true');
+  expect(res.status).toBe(400);
+});
+
+test('GET /machines/:id/oee for an unknown machine returns 404', async () => {
+  const res = await request(app).get('/machines/507f1f77bcf86cd799439011/oee').set('x-test-auth', 'true');
+  expect(res.status).toBe(404);
+});
@@ -0,0 +1,228 @@
+const request = require('supertest');
+const app = require('../app');
+const Machine = require('../models/machine');
+const MaintenancePlan = require('../models/maintenancePlan');
+const WorkOrder = require('../models/workOrder');
+const ProductionRun = require('../models/productionRun');
+const { planStatus, generateDueWorkOrders } = require('../services/maintenance');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const planObjectId = '507f1f77bcf86cd799439055';
+const workOrderId = '507f1f77bcf86cd799439066';
+const machine = { _id: machineId, machineId: 'IM-001', name: 'Engel 250', status: 'operational', shotCount: 260000 };
+
+const shotPlan = {
+  _id: planObjectId,
+  planId: 'PM-IM001-HYD',
+  machineId: machine,
+  name: 'Hydraulic oil and filter check',
+  tasks: ['Check oil level', 'Replace return filter'],
+  triggerType: 'shots',
+  intervalShots: 250000,
+  lastServicedShots: 0,
+  workOrderCount: 3
+};
+
+const workOrder = (fields = {}) => ({
+  _id: workOrderId,
+  workOrderNumber: 'PM-IM001-HYD-WO004',
+  planId: planObjectId,
+  machineId,
+  status: 'open',
+  ...fields
+});
+
+describe('Maintenance due status', () => {
+  const now = new Date('2024-03-01T00:00:00Z');
+
+  test('calendar plans fall due intervalDays after the last service', () => {
+    const status = planStatus({
+      triggerType: 'calendar',
+      intervalDays: 30,
+      lastServicedAt: new Date('2024-01-21T00:00:00Z')
+    }, machine, now);
+
+    expect(status.due).toBe(true);
+    expect(status.dueAt).toEqual(new Date('2024-02-20T00:00:00Z'));
+    expect(status.overdueDays).toBe(10);
+  });
+
+  test('shot plans fall due intervalShots cycles after the last service', () => {
+    expect(planStatus({ triggerType: 'shots', intervalShots: 250000, lastServicedShots: 100000 }, machine, now))
+      .toMatchObject({ due: false, dueShots: 350000, remainingShots: 90000, overdueShots: 0 });
+    expect(planStatus(shotPlan, machine, now))
+      .toMatchObject({ due: true, dueShots: 250000, overdueShots: 10000 });
+  });
+
+  test('a due plan gets a numbered work order with its tasks', async () => {
+    MaintenancePlan.find.mockReturnValueOnce(query([shotPlan]));
+    MaintenancePlan.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({ ...shotPlan, workOrderCount: 4 }));
+
+    await generateDueWorkOrders({ machineId });
+    expect(WorkOrder.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      workOrderNumber: 'PM-IM001-HYD-WO004',
+      planId: planObjectId,
+      machineId,
+      tasks: shotPlan.tasks,
+      dueShots: 250000
+    }));
+  });
+
+  test('a plan with an open work order gets no second one', async () => {
+    WorkOrder.create.mockClear();
+    MaintenancePlan.find.mockReturnValueOnce(query([shotPlan]));
+    WorkOrder.findOne.mockReturnValueOnce(Promise.resolve(workOrder()));
+
+    expect(await generateDueWorkOrders()).toEqual([]);
+    expect(WorkOrder.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Maintenance routes', () => {
+  test('GET /maintenance/overdue without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/maintenance/overdue')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+
+  test('GET /maintenance/overdue lists due plans with their work order', async () => {
+    MaintenancePlan.find.mockReturnValueOnce(query([shotPlan]));
+    WorkOrder.find.mockReturnValueOnce(query([workOrder()]));
+
+    const res = await request(app)
+      .get('/maintenance/overdue')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(res.body.overdue[0]).toMatchObject({
+      plan: { planId: 'PM-IM001-HYD' },
+      overdueShots: 10000,
+      workOrder: { workOrderNumber: 'PM-IM001-HYD-WO004', status: 'open' }
+    });
+  });
+
+  test('POST /maintenance/plans without an interval for its trigger returns 400', async () => {
+    const res = await request(app)
+      .post('/maintenance/plans')
+      .set('x-test-auth', 'true')
+      .send({ planId: 'PM-IM001-HYD', machineId, name: 'Hydraulics', triggerType: 'calendar' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid trigger');
+  });
+
+  test('plan and work order lists reject malformed or non-string IDs', async () => {
+    MaintenancePlan.find.mockClear();
+    WorkOrder.find.mockClear();
+
+    const badPlans = await request(app)
+      .get('/maintenance/plans?machineId=IM-001')
+      .set('x-test-auth', 'true');
+    expect(badPlans.status).toBe(400);
+    expect(badPlans.body.error).toBe('Invalid machine ID');
+
+    const arrayMachine = await request(app)
+      .get(`/maintenance/work-orders?machineId=${machineId}&machineId=${machineId}`)
+      .set('x-test-auth', 'true');
+    expect(arrayMachine.status).toBe(400);
+    expect(arrayMachine.body.error).toBe('Invalid machine ID');
+
+    const objectPlan = await request(app)
+      .get('/maintenance/work-orders?planId[$ne]=x')
+      .set('x-test-auth', 'true');
+    expect(objectPlan.status).toBe(400);
+    expect(objectPlan.body.error).toBe('Invalid plan ID');
+
+    expect(MaintenancePlan.find).not.toHaveBeenCalled();
+    expect(WorkOrder.find).not.toHaveBeenCalled();
+  });
+
+  test('GET /maintenance/plans with an unknown triggerType returns 400', async () => {
+    const res = await request(app)
+      .get('/maintenance/plans?triggerType=hours')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid trigger type');
+  });
+
+  test('only technicians start work orders', async () => {
+    const res = await request(app)
+      .post(`/maintenance/work-orders/${workOrderId}/start`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(403);
+  });
+
+  test('a work order cannot start while a run is running on the machine', async () => {
+    WorkOrder.findOne.mockReturnValueOnce(Promise.resolve(workOrder()));
+    Machine.findById.mockReturnValueOnce(Promise.resolve(machine));
+    ProductionRun.findOne.mockReturnValueOnce(Promise.resolve({ _id: 'run-1', runId: 'RUN-001', status: 'running' }));
+
+    const res = await request(app)
+      .post(`/maintenance/work-orders/${workOrderId}/start`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Technician');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Machine busy');
+  });
+
+  test('starting a work order puts the machine into maintenance', async () => {
+    WorkOrder.findOne.mockReturnValueOnce(Promise.resolve(workOrder()));
+    Machine.findById.mockReturnValueOnce(Promise.resolve(machine));
+    WorkOrder.findOneAndUpdate.mockReturnValueOnce(Promise.resolve(workOrder({ status: 'in_progress' })));
+    Machine.findByIdAndUpdate.mockReturnValueOnce(Promise.resolve({ ...machine, status: 'maintenance' }));
+
+    const res = await request(app)
+      .post(`/maintenance/work-orders/${workOrderId}/start`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Technician');
+    expect(res.status).toBe(200);
+    expect(res.body.machine.status).toBe('maintenance');
+    expect(Machine.findByIdAndUpdate).toHaveBeenLastCalledWith(machineId, { status: 'maintenance' }, { new: true });
+  });
+
+  test('completing a work order requires notes', async () => {
+    const res = await request(app)
+      .post(`/maintenance/work-orders/${workOrderId}/complete`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Technician')
+      .send({ partsUsed: [{ partNumber: 'HF-2210', quantity: 1 }] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Missing notes');
+  });
+
+  test('an open work order must be started before it is completed', async () => {
+    WorkOrder.findOne.mockReturnValueOnce(Promise.resolve(workOrder()));
+
+    const res = await request(app)
+      .post(`/maintenance/work-orders/${workOrderId}/complete`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Technician')
+      .send({ notes: 'Filter replaced' });
+    expect(res.status).toBe(409);
+  });
+
+  test('completing a work order restores the machine and marks the plan serviced', async () => {
+    WorkOrder.findOne.mockReturnValueOnce(Promise.resolve(workOrder({ status: 'in_progress' })));
+    WorkOrder.findOneAndUpdate.mockReturnValueOnce(Promise.resolve(workOrder({
+      status: 'completed',
+      machineStatusBefore: 'idle'
+    })));
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ ...machine, status: 'maintenance' }));
+    Machine.findByIdAndUpdate.mockReturnValueOnce(Promise.resolve({ ...machine, status: 'idle' }));
+
+    const res = await request(app)
+      .post(`/maintenance/work-orders/${workOrderId}/complete`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Technician')
+      .send({ notes: 'Filter replaced', partsUsed: [{ partNumber: 'HF-2210', quantity: 1 }] });
+    expect(res.status).toBe(200);
+    expect(res.body.machine.status).toBe('idle');
+    expect(MaintenancePlan.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { _id: planObjectId },
+      { $set: { lastServicedAt: expect.any(Date), lastServicedShots: 260000 } }
+    );
+  });
+});
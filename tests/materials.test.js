@@ -0,0 +1,100 @@
+const request = require('supertest');
+const app = require('../app');
+const MaterialLot = require('../models/materialLot');
+const ProductionRun = require('../models/productionRun');
+const QualityCheck = require('../models/qualityCheck');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const runId = '507f1f77bcf86cd799439011';
+const lotId = '507f1f77bcf86cd799439022';
+
+describe('Material routes', () => {
+  test('GET /materials without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/materials')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+
+  test('GET /materials with auth returns 200', async () => {
+    const res = await request(app)
+      .get('/materials')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+  });
+
+  test('GET /material-lots with an unknown status returns 400', async () => {
+    const res = await request(app)
+      .get('/material-lots?status=lost')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /material-lots/:id/genealogy for an unknown lot returns 404', async () => {
+    const res = await request(app)
+      .get('/material-lots/LOT-404/genealogy')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(404);
+  });
+
+  test('GET /material-lots/:id/genealogy lists runs, machines and checks, deleted ones included', async () => {
+    const machine = { _id: 'machine-1', machineId: 'IM-001', name: 'Toshiba 350T' };
+    MaterialLot.findOne.mockReturnValueOnce(query({ _id: lotId, lotNumber: 'LOT-1' }));
+    ProductionRun.find.mockReturnValueOnce(query([
+      { _id: 'run-1', runId: 'RUN-1', partNumber: 'HOUSING-A', actualQty: 500, machineId: machine, materialLots: [{ lotId, quantity: 40 }] },
+      { _id: 'run-2', runId: 'RUN-2', partNumber: 'LID-B', actualQty: 300, machineId: machine, materialLots: [{ lotId, quantity: 25 }, { lotId: 'other', quantity: 5 }], deletedAt: '2024-02-01T00:00:00.000Z' }
+    ]));
+    QualityCheck.find.mockReturnValueOnce(query([{ result: 'Pass' }, { result: 'Hold', deletedAt: '2024-02-01T00:00:00.000Z' }]));
+
+    const res = await request(app)
+      .get('/material-lots/LOT-1/genealogy')
+      .set('x-test-auth', 'true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({
+      runs: 2,
+      machines: 1,
+      partNumbers: ['HOUSING-A', 'LID-B'],
+      quantityConsumed: 65,
+      partsProduced: 800,
+      qualityChecks: 2,
+      failedChecks: 1,
+      deletedRuns: 1,
+      deletedChecks: 1
+    });
+    expect(res.body.runs.map(run => run.deletedAt)).toEqual([null, '2024-02-01T00:00:00.000Z']);
+    expect(ProductionRun.find).toHaveBeenLastCalledWith({ 'materialLots.lotId': lotId }, null, { includeDeleted: true });
+    expect(QualityCheck.find.mock.calls.at(-1)[2]).toEqual({ includeDeleted: true });
+  });
+});
+
+describe('Material lot consumption', () => {
+  test('POST /production-runs/:id/material-lots without a quantity returns 400', async () => {
+    const res = await request(app)
+      .post(`/production-runs/${runId}/material-lots`)
+      .set('x-test-auth', 'true')
+      .send({ lotId });
+    expect(res.status).toBe(400);
+  });
+
+  test('POST /production-runs/:id/material-lots rejects lots that are not released', async () => {
+    ProductionRun.findById.mockReturnValueOnce(query({ _id: runId, status: 'running', materialLots: [] }));
+    MaterialLot.findOne.mockReturnValueOnce(query({ _id: lotId, lotNumber: 'LOT-1', status: 'quarantine' }));
+
+    const res = await request(app)
+      .post(`/production-runs/${runId}/material-lots`)
+      .set('x-test-auth', 'true')
+      .send({ lotId, quantity: 25 });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Lot not released');
+  });
+
+  test('GET /production-runs/:id/material-lots for an unknown run returns 404', async () => {
+    const res = await request(app)
+      .get(`/production-runs/${runId}/material-lots`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const app = require('../app');
+const Machine = require('../models/machine');
+const Mold = require('../models/mold');
+const Recipe = require('../models/recipe');
+const { moldFitProblems, idealCycleTimePerPart } = require('../services/moldFit');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const mold = {
+  moldId: 'MLD-001',
+  cavities: 4,
+  requiredTonnage: 250,
+  shotWeight: 180,
+  standardCycleTime: 32,
+  status: 'available'
+};
+
+describe('Mold routes', () => {
+  test('GET /molds without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/molds')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+
+  test('GET /molds with auth returns 200', async () => {
+    const res = await request(app)
+      .get('/molds')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(Array.isArray(res.body)).toBe(true);
+  });
+
+  test('GET /molds with an unknown status returns 400', async () => {
+    const res = await request(app)
+      .get('/molds?status=broken')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /molds/MLD-404 returns 404', async () => {
+    const res = await request(app)
+      .get('/molds/MLD-404')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(404);
+  });
+
+  test('POST /production-runs rejects a mold the machine cannot accommodate', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ machineId: 'IM-001', tonnage: 150, shotSize: 400 }));
+    Mold.findById.mockReturnValueOnce(Promise.resolve(mold));
+    Recipe.findById.mockReturnValueOnce(Promise.resolve({
+      recipeId: 'RCP-HOUSING-A',
+      version: 1,
+      status: 'approved',
+      partNumber: 'HOUSING-A',
+      machineId: '507f1f77bcf86cd799439011',
+      moldId: '507f1f77bcf86cd799439012'
+    }));
+
+    const res = await request(app).post('/production-runs').set('x-test-auth', 'true').send({
+      runId: 'RUN-001',
+      machineId: '507f1f77bcf86cd799439011',
+      moldId: '507f1f77bcf86cd799439012',
+      partNumber: 'HOUSING-A',
+      partName: 'Main Housing',
+      material: 'ABS',
+      targetQty: 100,
+      recipeId: '507f1f77bcf86cd799439044'
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Mold does not fit machine');
+    expect(res.body.details.map(problem => problem.field)).toEqual(['tonnage']);
+  });
+});
+
+describe('Mold to machine fit', () => {
+  test('a machine with enough tonnage and shot size fits', () => {
+    expect(moldFitProblems(mold, { tonnage: 350, shotSize: 400 })).toEqual([]);
+  });
+
+  test('reports tonnage and shot size shortfalls', () => {
+    const problems = moldFitProblems(mold, { tonnage: 200, shotSize: 150 });
+    expect(problems.map(problem => problem.field)).toEqual(['tonnage', 'shotSize']);
+  });
+
+  test('molds out of service do not fit anywhere', () => {
+    const problems = moldFitProblems({ ...mold, status: 'retired' }, { tonnage: 350, shotSize: 400 });
+    expect(problems.map(problem => problem.field)).toEqual(['status']);
+  });
+
+  test('ideal cycle time per part divides by cavities', () => {
+    expect(idealCycleTimePerPart(mold)).toBe(8);
+    expect(idealCycleTimePerPart(null)).toBeNull();
+  });
+});
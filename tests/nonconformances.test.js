@@ -0,0 +1,332 @@
+const request = require('supertest');
+const app = require('../app');
+const Nonconformance = require('../models/nonconformance');
+const ProductionRun = require('../models/productionRun');
+const AuditEntry = require('../models/auditEntry');
+const { hasPermission } = require('../config/permissions');
+const { openForCheck, dispositionProblems } = require('../services/nonconformance');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const runId = '507f1f77bcf86cd799439022';
+const checkId = '507f1f77bcf86cd799439033';
+const ncrId = '507f1f77bcf86cd799439044';
+const lotId = '507f1f77bcf86cd799439055';
+
+const run = (fields = {}) => ({
+  _id: runId,
+  runId: 'PR-2024-001',
+  machineId,
+  partNumber: 'CAP-28MM',
+  status: 'running',
+  actualQty: 1000,
+  rejectQty: 20,
+  transitions: [],
+  materialLots: [{ lotId, quantity: 50 }],
+  save: jest.fn().mockResolvedValue(true),
+  toObject() { return { ...this, transitions: [...this.transitions] }; },
+  ...fields
+});
+
+const check = (fields = {}) => ({
+  _id: checkId,
+  checkId: 'QC-2024-001',
+  productionRunId: runId,
+  machineId,
+  result: 'Hold',
+  defectsFound: 120,
+  notes: 'Short shots on cavity 3',
+  ...fields
+});
+
+const ncr = (fields = {}) => ({
+  _id: ncrId,
+  ncrNumber: 'NCR-QC-2024-001',
+  productionRunId: runId,
+  status: 'open',
+  quantity: 120,
+  dispositions: [],
+  history: [],
+  save: jest.fn().mockResolvedValue(true),
+  toObject() { return { ...this, history: [...this.history] }; },
+  set(values) { Object.assign(this, values); },
+  ...fields
+});
+
+// findOneAndUpdate applies the transition it was given to `ncr`, like { new: true }
+const echoTransition = (ncr) => Nonconformance.findOneAndUpdate.mockImplementationOnce((filter, update) => query({
+  ...ncr,
+  ...update.$set,
+  history: [...ncr.history, update.$push.history]
+}));
+
+const asQualityManager = (req) => req
+  .set('x-test-auth', 'true')
+  .set('x-test-role', 'Manager')
+  .set('x-test-department', 'Quality');
+
+describe('Opening nonconformances', () => {
+  test('a Hold check opens an NCR and pauses its running run when asked', async () => {
+    const heldRun = run();
+    ProductionRun.findById.mockReturnValueOnce(query(heldRun));
+    Nonconformance.create.mockImplementationOnce(([fields]) => Promise.resolve([{ _id: ncrId, status: 'open', ...fields }]));
+    AuditEntry.create.mockClear();
+
+    const opened = await openForCheck(check(), { pauseRun: true });
+
+    expect(opened.created).toBe(true);
+    expect(opened.ncr).toMatchObject({
+      ncrNumber: 'NCR-QC-2024-001',
+      productionRunId: runId,
+      result: 'Hold',
+      quantity: 120,
+      runPaused: true
+    });
+    expect(heldRun.status).toBe('paused');
+    expect(heldRun.transitions[0].reason).toBe('Quality hold: NCR-QC-2024-001');
+    expect(heldRun.save).toHaveBeenCalled();
+    expect(AuditEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      entity: 'ProductionRun',
+      action: 'update',
+      changes: expect.arrayContaining([{ field: 'status', before: 'running', after: 'paused' }])
+    }));
+  });
+
+  test('the run pause and the NCR are written in one transaction', async () => {
+    const heldRun = run();
+    ProductionRun.findById.mockReturnValueOnce(query(heldRun));
+    Nonconformance.create.mockImplementationOnce(() => Promise.reject(new Error('write conflict')));
+    AuditEntry.create.mockClear();
+
+    await expect(openForCheck(check(), { pauseRun: true })).rejects.toThrow('write conflict');
+
+    const session = heldRun.save.mock.calls[0][0].session;
+    expect(Nonconformance.create).toHaveBeenLastCalledWith([expect.objectContaining({ runPaused: true })], { session });
+    expect(AuditEntry.create).not.toHaveBeenCalled();
+  });
+
+  test('passing checks need no NCR and checks keep their existing one', async () => {
+    expect(await openForCheck(check({ result: 'Pass' }))).toBeNull();
+
+    const existing = ncr();
+    Nonconformance.findOne.mockReturnValueOnce(query(existing));
+    const calls = Nonconformance.create.mock.calls.length;
+
+    const opened = await openForCheck(check({ result: 'Fail' }));
+
+    expect(opened).toEqual({ ncr: existing, created: false });
+    expect(Nonconformance.create.mock.calls.length).toBe(calls);
+  });
+});
+
+describe('Disposition rules', () => {
+  test('every suspect part needs a complete disposition', () => {
+    const problems = dispositionProblems(ncr({
+      dispositions: [
+        { disposition: 'scrap', quantity: 50 },
+        { disposition: 'use_as_is', quantity: 30 },
+        { disposition: 'return_to_supplier', quantity: 10, materialLotId: '507f1f77bcf86cd799439099' }
+      ]
+    }), run());
+
+    expect(problems).toEqual([
+      'Dispositions cover 90 of 120 suspect parts',
+      'Disposition 1: scrap needs a valid defectCode',
+      'Disposition 2: use as is needs a justification in notes',
+      'Disposition 3: return to supplier needs a materialLotId the run consumed'
+    ]);
+  });
+
+  test('complete dispositions can be submitted', () => {
+    expect(dispositionProblems(ncr({
+      dispositions: [
+        { disposition: 'scrap', quantity: 80, defectCode: 'short_shot' },
+        { disposition: 'use_as_is', quantity: 30, notes: 'Cosmetic only, customer deviation D-12' },
+        { disposition: 'return_to_supplier', quantity: 10, materialLotId: lotId }
+      ]
+    }), run())).toEqual([]);
+  });
+
+  test('only quality managers approve', () => {
+    const approvers = ['Operator', 'Inspector', 'Supervisor', 'Manager', 'Administrator']
+      .flatMap(role => ['Production', 'Quality'].map(department => ({ role, department })))
+      .filter(employee => hasPermission(employee, 'nonconformances:approve'));
+
+    expect(approvers).toEqual([{ role: 'Manager', department: 'Quality' }]);
+  });
+});
+
+describe('Nonconformance routes', () => {
+  test('the NCR list rejects unknown results and malformed or non-string IDs', async () => {
+    Nonconformance.find.mockClear();
+
+    const badResult = await request(app)
+      .get('/nonconformances?result=Pass')
+      .set('x-test-auth', 'true')
+      .expect(400);
+    expect(badResult.body.error).toBe('Invalid result');
+
+    const badRun = await request(app)
+      .get('/nonconformances?productionRunId=PR-2024-001')
+      .set('x-test-auth', 'true')
+      .expect(400);
+    expect(badRun.body.error).toBe('Invalid production run ID');
+
+    const objectMachine = await request(app)
+      .get('/nonconformances?machineId[$ne]=x')
+      .set('x-test-auth', 'true')
+      .expect(400);
+    expect(objectMachine.body.error).toBe('Invalid machine ID');
+
+    expect(Nonconformance.find).not.toHaveBeenCalled();
+  });
+
+  test('only the description, quantity and dispositions can be edited', async () => {
+    const response = await request(app)
+      .put(`/nonconformances/${ncrId}`)
+      .set('x-test-auth', 'true')
+      .send({ status: 'closed' })
+      .expect(400);
+
+    expect(response.body.fields).toEqual(['status']);
+  });
+
+  test('submitted NCRs cannot be edited', async () => {
+    Nonconformance.findOne.mockReturnValueOnce(query(ncr({ status: 'pending_approval' })));
+
+    const response = await request(app)
+      .put(`/nonconformances/${ncrId}`)
+      .set('x-test-auth', 'true')
+      .send({ quantity: 100 })
+      .expect(409);
+
+    expect(response.body.error).toBe('Not editable');
+  });
+
+  test('incomplete dispositions cannot be submitted', async () => {
+    Nonconformance.findOne.mockReturnValueOnce(query(ncr({
+      dispositions: [{ disposition: 'rework', quantity: 100 }]
+    })));
+    ProductionRun.findById.mockReturnValueOnce(query(run()));
+
+    const response = await request(app)
+      .post(`/nonconformances/${ncrId}/submit`)
+      .set('x-test-auth', 'true')
+      .expect(409);
+
+    expect(response.body.error).toBe('Disposition incomplete');
+    expect(response.body.problems).toEqual(['Dispositions cover 100 of 120 suspect parts']);
+  });
+
+  test('managers outside quality cannot approve', async () => {
+    const response = await request(app)
+      .post(`/nonconformances/${ncrId}/approve`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Manager')
+      .expect(403);
+
+    expect(response.body.permission).toBe('nonconformances:approve');
+  });
+
+  test('quality managers approve submitted dispositions', async () => {
+    const submitted = ncr({ status: 'pending_approval' });
+    Nonconformance.findOne.mockReturnValueOnce(query(submitted));
+    ProductionRun.findById.mockReturnValueOnce(query(run()));
+    echoTransition(submitted);
+    AuditEntry.create.mockClear();
+
+    const response = await asQualityManager(request(app).post(`/nonconformances/${ncrId}/approve`))
+      .expect(200);
+
+    const [filter, update] = Nonconformance.findOneAndUpdate.mock.calls.at(-1);
+    expect(filter).toEqual({ _id: ncrId, status: 'pending_approval' });
+    expect(update.$set).toMatchObject({ status: 'approved', approvedAt: expect.any(Date) });
+    expect(response.body.nonconformance.status).toBe('approved');
+    expect(response.body.nonconformance.approvedAt).toBeDefined();
+    expect(AuditEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      entity: 'Nonconformance',
+      changes: expect.arrayContaining([{ field: 'status', before: 'pending_approval', after: 'approved' }])
+    }));
+  });
+
+  test('a concurrent approval that got there first wins', async () => {
+    Nonconformance.findOne.mockReturnValueOnce(query(ncr({ status: 'pending_approval' })));
+    ProductionRun.findById.mockReturnValueOnce(query(run()));
+    Nonconformance.findOneAndUpdate.mockReturnValueOnce(query(null));
+
+    const response = await asQualityManager(request(app).post(`/nonconformances/${ncrId}/approve`))
+      .expect(409);
+
+    expect(response.body.error).toBe('Status changed');
+  });
+
+  test('closing needs a verification note', async () => {
+    const response = await request(app)
+      .post(`/nonconformances/${ncrId}/close`)
+      .set('x-test-auth', 'true')
+      .expect(400);
+
+    expect(response.body.error).toBe('Missing reason');
+  });
+
+  test('closing posts the scrap dispositions to the run', async () => {
+    const approved = ncr({
+      status: 'approved',
+      dispositions: [
+        { disposition: 'scrap', quantity: 80, defectCode: 'short_shot' },
+        { disposition: 'rework', quantity: 40 }
+      ]
+    });
+    Nonconformance.findOne.mockReturnValueOnce(query(approved));
+    ProductionRun.findById.mockReturnValueOnce(query(run()));
+    echoTransition(approved);
+    ProductionRun.findOneAndUpdate.mockReturnValueOnce(query(run({ rejectQty: 100 })));
+
+    const response = await request(app)
+      .post(`/nonconformances/${ncrId}/close`)
+      .set('x-test-auth', 'true')
+      .send({ reason: 'Parts scrapped; reworked parts re-inspected and passed' })
+      .expect(200);
+
+    const [filter, update] = ProductionRun.findOneAndUpdate.mock.calls.at(-1);
+    expect(filter._id).toBe(runId);
+    expect(update.$inc).toEqual({ rejectQty: 80 });
+    expect(update.$push.scrap.$each).toEqual([
+      expect.objectContaining({ defectCode: 'short_shot', quantity: 80, notes: 'NCR-QC-2024-001' })
+    ]);
+    expect(response.body.nonconformance.status).toBe('closed');
+    expect(response.body.nonconformance.closureNotes).toMatch(/re-inspected/);
+    expect(response.body.run.rejectQty).toBe(100);
+  });
+
+  test('NCRs on a deleted run can still be closed', async () => {
+    const approved = ncr({ status: 'approved', dispositions: [{ disposition: 'rework', quantity: 120 }] });
+    Nonconformance.findOne.mockReturnValueOnce(query(approved));
+    ProductionRun.findById.mockReturnValueOnce(query(run({ status: 'completed', deletedAt: new Date() })));
+    echoTransition(approved);
+
+    const response = await request(app)
+      .post(`/nonconformances/${ncrId}/close`)
+      .set('x-test-auth', 'true')
+      .send({ reason: 'Reworked parts re-inspected and passed' })
+      .expect(200);
+
+    expect(ProductionRun.findById).toHaveBeenLastCalledWith(runId, null, { includeDeleted: true });
+    expect(response.body.nonconformance.status).toBe('closed');
+  });
+
+  test('a run paused by an open NCR cannot resume', async () => {
+    ProductionRun.findById.mockReturnValueOnce(query(run({ status: 'paused' })));
+    Nonconformance.findOne.mockReturnValueOnce(query(ncr()));
+
+    const response = await request(app)
+      .post(`/production-runs/${runId}/resume`)
+      .set('x-test-auth', 'true')
+      .expect(409);
+
+    expect(response.body.error).toBe('Quality hold');
+    expect(response.body.nonconformance.ncrNumber).toBe('NCR-QC-2024-001');
+  });
+});
@@ -0,0 +1,115 @@
+const { runningIntervals, calculateOee, calculateGroupedOee } = require('../services/oee');
+
+const window = {
+  from: new Date('2024-01-15T00:00:00Z'),
+  to: new Date('2024-01-16T00:00:00Z')
+};
+
+// Ran 08:00-16:00 with a one hour pause at 12:00
+const pausedRun = {
+  _id: 'run-1',
+  machineId: 'machine-1',
+  partNumber: 'HOUSING-A',
+  status: 'completed',
+  targetQty: 1000,
+  actualQty: 700,
+  startTime: new Date('2024-01-15T08:00:00Z'),
+  endTime: new Date('2024-01-15T16:00:00Z'),
+  transitions: [
+    { to: 'running', at: new Date('2024-01-15T08:00:00Z') },
+    { to: 'paused', at: new Date('2024-01-15T12:00:00Z') },
+    { to: 'running', at: new Date('2024-01-15T13:00:00Z') },
+    { to: 'completed', at: new Date('2024-01-15T16:00:00Z') }
+  ]
+};
+
+describe('OEE engine', () => {
+  test('rebuilds running intervals from transitions', () => {
+    const intervals = runningIntervals(pausedRun);
+    expect(intervals).toHaveLength(2);
+    expect(intervals[1].end).toEqual(new Date('2024-01-15T16:00:00Z'));
+  });
+
+  test('computes availability, performance and quality from scrap', () => {
+    const scrappedRun = {
+      ...pausedRun,
+      rejectQty: 14,
+      scrap: [{ defectCode: 'short_shot', quantity: 14, recordedAt: new Date('2024-01-15T10:00:00Z') }]
+    };
+    // Quality comes from the scrap, not from the defects a check found
+    const checks = [{ productionRunId: 'run-1', defectsFound: 50, result: 'Hold' }];
+    const result = calculateOee([scrappedRun], checks, window);
+
+    expect(result.availability).toBe(0.875);
+    expect(result.performance).toBe(0.7);
+    expect(result.performanceBasis).toBe('targetQty');
+    expect(result.quality).toBe(0.98);
+    expect(result.oee).toBeCloseTo(0.875 * 0.7 * 0.98, 4);
+    expect(result.defects).toBe(14);
+    expect(result.checks).toEqual({ total: 1, Hold: 1 });
+  });
+
+  test('prorates rejects that have no scrap entries like the output', () => {
+    const halfWindow = { from: window.from, to: new Date('2024-01-15T12:00:00Z') };
+    const result = calculateOee([{ ...pausedRun, rejectQty: 70 }], [], halfWindow);
+    expect(result.defects).toBe(40);
+    expect(result.goodCount).toBe(360);
+  });
+
+  test('uses the ideal cycle time when one is given', () => {
+    // 700 parts at 30s = 350 minutes over 420 minutes of run time
+    const result = calculateOee([pausedRun], [], window, { idealCycleTime: 30 });
+    expect(result.performanceBasis).toBe('idealCycleTime');
+    expect(result.performance).toBeCloseTo(350 / 420, 4);
+  });
+
+  test('prorates output for runs that straddle the window', () => {
+    const halfWindow = { from: window.from, to: new Date('2024-01-15T12:00:00Z') };
+    const result = calculateOee([pausedRun], [], halfWindow);
+    expect(result.totalCount).toBe(400);
+  });
+
+  test('splits runs that span shifts across them', () => {
+    // Shifts are local times: ran 10:00-18:00, half in Morning, half in Evening
+    const local = (hours) => new Date(2024, 0, 15, hours);
+    const run = {
+      ...pausedRun,
+      actualQty: 800,
+      startTime: local(10),
+      endTime: local(18),
+      transitions: [{ to: 'running', at: local(10) }, { to: 'completed', at: local(18) }]
+    };
+    const check = { productionRunId: 'run-1', checkDate: local(15), result: 'Pass' };
+
+    const groups = calculateGroupedOee([run], [check], { from: local(0), to: local(24) }, 'shift');
+
+    expect(groups.map(group => group.shift).sort()).toEqual(['Evening', 'Morning']);
+    groups.forEach(group => {
+      expect(group).toMatchObject({ plannedMinutes: 240, runMinutes: 240, totalCount: 400, runs: 1 });
+    });
+    expect(groups.find(group => group.shift === 'Evening').checks.total).toBe(1);
+    expect(groups.find(group => group.shift === 'Morning').checks.total).toBe(0);
+  });
+
+  test('groups results by part number', () => {
+    const other = { ...pausedRun, _id: 'run-2', partNumber: 'LID-B' };
+    const groups = calculateGroupedOee([pausedRun, other], [], window, 'partNumber');
+    expect(groups.map(group => group.partNumber).sort()).toEqual(['HOUSING-A', 'LID-B']);
+  });
+});
+
+describe('OEE with downtime events', () => {
+  test('downtime inside a running period reduces availability', () => {
+    const downtime = [{
+      machineId: 'machine-1',
+      startTime: new Date('2024-01-15T09:00:00Z'),
+      endTime: new Date('2024-01-15T10:00:00Z')
+    }];
+    const result = calculateOee([pausedRun], [], window, { downtime });
+
+    // 480 planned minutes, 60 paused, 60 down
+    expect(result.runMinutes).toBe(360);
+    expect(result.availability).toBe(0.75);
+    expect(result.totalCount).toBe(700);
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../app');
+const Employee = require('../models/employee');
+const Machine = require('../models/machine');
+const ProductionRun = require('../models/productionRun');
+const Recipe = require('../models/recipe');
+const { operatorProblems, operatorReport } = require('../services/operators');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const otherMachineId = '507f1f77bcf86cd799439012';
+const recipeVersionId = '507f1f77bcf86cd799439044';
+const operatorId = '507f1f77bcf86cd799439055';
+
+const employee = (fields = {}) => ({
+  _id: operatorId,
+  employeeId: 'EMP-001',
+  firstName: 'John',
+  lastName: 'Smith',
+  department: 'Production',
+  role: 'Operator',
+  active: true,
+  assignedMachine: machineId,
+  ...fields
+});
+
+const at = hour => new Date(Date.UTC(2024, 0, 15, hour));
+const window = { from: at(0), to: at(24) };
+
+describe('Operator qualification', () => {
+  test('an active Production operator qualifies', () => {
+    expect(operatorProblems(employee(), machineId)).toEqual([]);
+    expect(operatorProblems(employee({ role: 'Supervisor' }), machineId)).toEqual([]);
+  });
+
+  test('lists every reason an employee cannot operate', () => {
+    const problems = operatorProblems(employee({ active: false, department: 'Quality', role: 'Inspector' }), machineId);
+    expect(problems.map(problem => problem.field)).toEqual(['active', 'department', 'role']);
+  });
+
+  test('the machine assignment is only checked when required', () => {
+    const elsewhere = employee({ assignedMachine: otherMachineId });
+    expect(operatorProblems(elsewhere, machineId, { assignment: false })).toEqual([]);
+    expect(operatorProblems(elsewhere, machineId, { assignment: true })[0].field).toBe('assignedMachine');
+    expect(operatorProblems(employee(), machineId, { assignment: true })).toEqual([]);
+  });
+});
+
+describe('Run operators', () => {
+  const newRun = {
+    runId: 'RUN-001',
+    machineId,
+    partNumber: 'HOUSING-A',
+    partName: 'Main Housing',
+    material: 'ABS',
+    targetQty: 100,
+    recipeId: recipeVersionId
+  };
+
+  const setUp = () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001' }));
+    Recipe.findById.mockReturnValueOnce(Promise.resolve({
+      _id: recipeVersionId,
+      recipeId: 'RCP-HOUSING-A',
+      partNumber: 'HOUSING-A',
+      machineId,
+      moldId: null,
+      status: 'approved'
+    }));
+  };
+
+  test('POST /production-runs refuses an unqualified operator', async () => {
+    setUp();
+    Employee.findOne.mockReturnValueOnce(Promise.resolve(employee({ department: 'Quality', role: 'Inspector' })));
+
+    const res = await request(app)
+      .post('/production-runs')
+      .set('x-test-auth', 'true')
+      .send({ ...newRun, operator: 'EMP-001' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Operator not qualified');
+    expect(res.body.details.map(problem => problem.field)).toEqual(['department', 'role']);
+    expect(Employee.findOne).toHaveBeenLastCalledWith({ employeeId: 'EMP-001' });
+  });
+
+  test('POST /production-runs with an unknown operator returns 404', async () => {
+    setUp();
+
+    const res = await request(app)
+      .post('/production-runs')
+      .set('x-test-auth', 'true')
+      .send({ ...newRun, operator: 'John Smith' });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Operator not found');
+  });
+
+  test('PUT /production-runs/:id re-checks the operator against a new machine', async () => {
+    const current = {
+      _id: '507f1f77bcf86cd799439033',
+      machineId,
+      moldId: null,
+      status: 'scheduled',
+      operator: operatorId
+    };
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: otherMachineId, machineId: 'IM-002' }));
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve(current));
+    Employee.findOne.mockReturnValueOnce(Promise.resolve(employee({ active: false })));
+
+    const res = await request(app)
+      .put('/production-runs/507f1f77bcf86cd799439033')
+      .set('x-test-auth', 'true')
+      .send({ machineId: otherMachineId });
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].field).toBe('active');
+    expect(Employee.findOne).toHaveBeenLastCalledWith({ _id: operatorId });
+  });
+});
+
+describe('Operator report', () => {
+  const run = (fields = {}) => ({
+    runId: 'RUN-001',
+    status: 'completed',
+    actualQty: 1000,
+    startTime: at(6),
+    endTime: at(14),
+    operator: employee(),
+    scrap: [],
+    ...fields
+  });
+
+  test('totals output and scrap per operator, busiest first', () => {
+    const report = operatorReport([
+      run({ scrap: [{ defectCode: 'short_shot', quantity: 20, recordedAt: at(8) }] }),
+      run({ runId: 'RUN-002', actualQty: 500, scrap: [{ defectCode: 'flash', quantity: 5, recordedAt: at(9) }] }),
+      run({ runId: 'RUN-003', actualQty: 4000, operator: null })
+    ], window);
+
+    expect(report.map(entry => [entry.operator?.employeeId ?? null, entry.runs, entry.partsProduced, entry.rejects])).toEqual([
+      [null, 1, 4000, 0],
+      ['EMP-001', 2, 1500, 25]
+    ]);
+    expect(report[1].operator.name).toBe('John Smith');
+    expect(report[1].scrapRate).toBe(0.0167);
+    expect(report[1].defects.map(defect => defect.defectCode)).toEqual(['short_shot', 'flash']);
+  });
+
+  test('output is prorated to the time run inside the window', () => {
+    const [entry] = operatorReport([run({ startTime: at(20), endTime: new Date(at(24).getTime() + 4 * 60 * 60 * 1000) })], window);
+    expect(entry.partsProduced).toBe(500);
+  });
+
+  test('GET /reports/operators filters by operator', async () => {
+    ProductionRun.find.mockReturnValueOnce(query([run()]));
+
+    const res = await request(app)
+      .get(`/reports/operators?operator=${operatorId}&from=2024-01-15T00:00:00Z&to=2024-01-16T00:00:00Z`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.operators[0].partsProduced).toBe(1000);
+    expect(ProductionRun.find).toHaveBeenLastCalledWith(expect.objectContaining({ operator: operatorId }));
+  });
+
+  test('GET /reports/operators rejects a malformed operator ID', async () => {
+    const res = await request(app)
+      .get('/reports/operators?operator=John')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+});
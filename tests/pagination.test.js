@@ -0,0 +1,56 @@
+const request = require('supertest');
+const app = require('../app');
+const ProductionRun = require('../models/productionRun');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+describe('List pagination', () => {
+  test('GET /machines sets X-Total-Count and Link headers', async () => {
+    const res = await request(app)
+      .get('/machines')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.headers['x-total-count']).toBe('0');
+    expect(res.headers.link).toMatch(/rel="first"/);
+    expect(res.headers.link).toMatch(/rel="last"/);
+  });
+
+  test('GET /production-runs links to the next and previous pages', async () => {
+    ProductionRun.countDocuments.mockReturnValueOnce(Promise.resolve(120));
+
+    const res = await request(app)
+      .get('/production-runs?status=completed&page=2&limit=50&sort=-startTime')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.headers['x-total-count']).toBe('120');
+    expect(res.headers.link).toMatch(/page=1&limit=50[^>]*>; rel="prev"/);
+    expect(res.headers.link).toMatch(/page=3&limit=50[^>]*>; rel="next"/);
+    expect(res.headers.link).toMatch(/\/production-runs\?status=completed/);
+  });
+
+  test('passes sort, skip and limit to the query', async () => {
+    await request(app)
+      .get('/production-runs?page=3&limit=10&sort=-startTime,runId')
+      .set('x-test-auth', 'true');
+
+    const query = ProductionRun.find.mock.results[ProductionRun.find.mock.results.length - 1].value;
+    expect(query.sort).toHaveBeenCalledWith({ startTime: -1, runId: 1, _id: 1 });
+    expect(query.skip).toHaveBeenCalledWith(20);
+    expect(query.limit).toHaveBeenCalledWith(10);
+  });
+
+  test('rejects a limit above the maximum', async () => {
+    const res = await request(app)
+      .get('/employees?limit=1000')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects sorting by an unknown field', async () => {
+    const res = await request(app)
+      .get('/quality-checks?sort=password')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Sortable fields/);
+  });
+});
@@ -0,0 +1,64 @@
+const request = require('supertest');
+const app = require('../app');
+const { permissionsFor, hasPermission } = require('../config/permissions');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+describe('Permission matrix', () => {
+  test('only Inspectors and Supervisors create quality checks', () => {
+    const canInspect = ['Operator', 'Supervisor', 'Manager', 'Technician', 'Inspector', 'Administrator']
+      .filter(role => hasPermission({ role, department: 'Production' }, 'qualityChecks:create'));
+    expect(canInspect).toEqual(['Supervisor', 'Inspector']);
+  });
+
+  test('only Managers delete machines', () => {
+    const canDelete = ['Operator', 'Supervisor', 'Manager', 'Technician', 'Inspector', 'Administrator']
+      .filter(role => hasPermission({ role, department: 'Maintenance' }, 'machines:delete'));
+    expect(canDelete).toEqual(['Manager']);
+  });
+
+  test('departments add to the role permissions', () => {
+    expect(hasPermission({ role: 'Operator', department: 'Production' }, 'machines:update')).toBe(false);
+    expect(hasPermission({ role: 'Operator', department: 'Maintenance' }, 'machines:update')).toBe(true);
+  });
+
+  test('inactive employees have no permissions', () => {
+    expect(permissionsFor({ role: 'Manager', department: 'Production', active: false })).toEqual([]);
+  });
+});
+
+describe('Route authorization', () => {
+  test('POST /quality-checks as an Operator returns 403 naming the permission', async () => {
+    const res = await request(app)
+      .post('/quality-checks')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Operator')
+      .send({});
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe('qualityChecks:create');
+  });
+
+  test('DELETE /machines/:id as a Supervisor returns 403', async () => {
+    const res = await request(app)
+      .delete('/machines/507f1f77bcf86cd799439011')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Supervisor');
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe('machines:delete');
+  });
+
+  test('DELETE /machines/:id as a Manager passes authorization', async () => {
+    const res = await request(app)
+      .delete('/machines/507f1f77bcf86cd799439011')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Manager');
+    expect(res.status).not.toBe(403);
+  });
+
+  test('GET /machines without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/machines')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+});
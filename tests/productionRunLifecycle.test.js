@@ -0,0 +1,53 @@
+const { allowedActions, nextStatus, applyTransition } = require('../services/productionRunLifecycle');
+
+const makeRun = (status) => ({ status, transitions: [] });
+
+describe('Production run lifecycle', () => {
+  test('allows the documented transitions', () => {
+    expect(nextStatus('scheduled', 'start')).toBe('running');
+    expect(nextStatus('running', 'pause')).toBe('paused');
+    expect(nextStatus('paused', 'resume')).toBe('running');
+    expect(nextStatus('paused', 'complete')).toBe('completed');
+    expect(nextStatus('scheduled', 'cancel')).toBe('cancelled');
+  });
+
+  test('rejects illegal transitions', () => {
+    expect(nextStatus('cancelled', 'start')).toBeNull();
+    expect(nextStatus('cancelled', 'resume')).toBeNull();
+    expect(nextStatus('completed', 'cancel')).toBeNull();
+    expect(nextStatus('scheduled', 'complete')).toBeNull();
+    expect(nextStatus('running', 'unknown')).toBeNull();
+  });
+
+  test('terminal states allow no actions', () => {
+    expect(allowedActions('completed')).toEqual([]);
+    expect(allowedActions('cancelled')).toEqual([]);
+    expect(allowedActions('running')).toEqual(['pause', 'complete', 'cancel']);
+  });
+
+  test('start stamps startTime and records the transition', () => {
+    const run = makeRun('scheduled');
+    const at = new Date('2024-01-15T08:00:00Z');
+    const user = { displayName: 'Test User', emails: [{ value: 'test@example.com' }] };
+
+    applyTransition(run, 'start', { user, at });
+
+    expect(run.status).toBe('running');
+    expect(run.startTime).toBe(at);
+    expect(run.transitions).toEqual([
+      { action: 'start', from: 'scheduled', to: 'running', at, user: 'test@example.com', reason: undefined }
+    ]);
+  });
+
+  test('complete and cancel stamp endTime', () => {
+    const completed = makeRun('running');
+    const cancelled = makeRun('paused');
+
+    applyTransition(completed, 'complete');
+    applyTransition(cancelled, 'cancel', { reason: 'Mold damaged' });
+
+    expect(completed.endTime).toBeInstanceOf(Date);
+    expect(cancelled.endTime).toBeInstanceOf(Date);
+    expect(cancelled.transitions[0].reason).toBe('Mold damaged');
+  });
+});
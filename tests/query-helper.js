@@ -0,0 +1,26 @@
+// tests/query-helper.js - Mongoose query stand-in for tests
+
+/**
+ * Chainable stand-in for a mongoose query resolving to `result`.
+ * Thenable like a real Query, with a cursor over array results.
+ */
+const query = (result) => {
+  const q = {
+    populate: jest.fn(() => q),
+    sort: jest.fn(() => q),
+    limit: jest.fn(() => q),
+    skip: jest.fn(() => q),
+    select: jest.fn(() => q),
+    lean: jest.fn(() => q),
+    exec: jest.fn(() => Promise.resolve(result)),
+    // Async iterable over the results, like QueryCursor
+    cursor: jest.fn(() => (async function* () { yield* (Array.isArray(result) ? result : []); })()),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject)
+  };
+  return q;
+};
+
+module.exports = {
+  query
+};
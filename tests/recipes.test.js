@@ -0,0 +1,233 @@
+const request = require('supertest');
+const app = require('../app');
+const Machine = require('../models/machine');
+const ProductionRun = require('../models/productionRun');
+const Recipe = require('../models/recipe');
+const { diffParameters, recipeMismatches } = require('../services/recipes');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const recipeVersionId = '507f1f77bcf86cd799439044';
+const machineId = '507f1f77bcf86cd799439011';
+const moldId = '507f1f77bcf86cd799439022';
+
+const parameters = {
+  barrelZones: [210, 220, 230],
+  injectionPressure: 1200,
+  injectionSpeed: 85,
+  holdPressure: 650,
+  holdTime: 6,
+  coolingTime: 18,
+  moldTemperature: 55
+};
+
+const recipe = (fields = {}) => ({
+  _id: recipeVersionId,
+  recipeId: 'RCP-HOUSING-A',
+  version: 2,
+  partNumber: 'HOUSING-A',
+  moldId,
+  machineId,
+  parameters,
+  status: 'draft',
+  createdBy: 'engineer@example.com',
+  ...fields
+});
+
+describe('Recipe comparison', () => {
+  test('lists changed setpoints with deltas, zone by zone', () => {
+    const { changes, unchanged } = diffParameters(parameters, {
+      ...parameters,
+      barrelZones: [210, 225, 230, 240],
+      coolingTime: 20
+    });
+
+    expect(changes).toEqual([
+      { parameter: 'barrelZones[1]', label: 'Barrel zone temperature zone 2', unit: '°C', from: 220, to: 225, delta: 5 },
+      { parameter: 'barrelZones[3]', label: 'Barrel zone temperature zone 4', unit: '°C', from: null, to: 240, delta: null },
+      { parameter: 'coolingTime', label: 'Cooling time', unit: 's', from: 18, to: 20, delta: 2 }
+    ]);
+    expect(unchanged).toBe(7);
+  });
+
+  test('identical versions have no changes', () => {
+    expect(diffParameters(parameters, { ...parameters }).changes).toEqual([]);
+  });
+
+  test('reports a run set up for another part or mold', () => {
+    const problems = recipeMismatches(recipe(), { partNumber: 'COVER-B', machineId, moldId: '507f1f77bcf86cd799439099' });
+    expect(problems.map(problem => problem.field)).toEqual(['partNumber', 'moldId']);
+  });
+});
+
+describe('Recipe routes', () => {
+  test('GET /recipes without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/recipes')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+
+  test('GET /recipes returns a page of versions', async () => {
+    const res = await request(app)
+      .get('/recipes?recipeId=RCP-HOUSING-A')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([]);
+  });
+
+  test('POST /recipes without parameters returns 400', async () => {
+    const res = await request(app)
+      .post('/recipes')
+      .set('x-test-auth', 'true')
+      .send({ recipeId: 'RCP-HOUSING-A', partNumber: 'HOUSING-A', moldId, machineId });
+    expect(res.status).toBe(400);
+    expect(res.body.missing).toEqual(['parameters']);
+  });
+
+  test('PUT /recipes/:id on an approved version returns 409', async () => {
+    Recipe.findById.mockReturnValueOnce(Promise.resolve(recipe({ status: 'approved' })));
+
+    const res = await request(app)
+      .put(`/recipes/${recipeVersionId}`)
+      .set('x-test-auth', 'true')
+      .send({ parameters: { coolingTime: 20 } });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Recipe locked');
+  });
+
+  test('PUT /recipes/:id cannot move a recipe to another machine', async () => {
+    const res = await request(app)
+      .put(`/recipes/${recipeVersionId}`)
+      .set('x-test-auth', 'true')
+      .send({ machineId });
+    expect(res.status).toBe(400);
+    expect(res.body.fields).toEqual(['machineId']);
+  });
+
+  test('only managers may approve', async () => {
+    const res = await request(app)
+      .post(`/recipes/${recipeVersionId}/approve`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Supervisor');
+    expect(res.status).toBe(403);
+  });
+
+  test('the author of a version cannot approve it', async () => {
+    Recipe.findById.mockReturnValueOnce(Promise.resolve(recipe({ createdBy: 'test@example.com' })));
+
+    const res = await request(app)
+      .post(`/recipes/${recipeVersionId}/approve`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(403);
+  });
+
+  test('approving a version supersedes the previously approved one', async () => {
+    Recipe.findById.mockReturnValueOnce(Promise.resolve(recipe()));
+    Recipe.findOneAndUpdate.mockReturnValueOnce(Promise.resolve(recipe({ status: 'approved', approvedBy: 'test@example.com' })));
+
+    const res = await request(app)
+      .post(`/recipes/${recipeVersionId}/approve`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.recipe.status).toBe('approved');
+    expect(Recipe.updateMany).toHaveBeenLastCalledWith(
+      { recipeId: 'RCP-HOUSING-A', status: 'approved', _id: { $ne: recipeVersionId } },
+      { $set: { status: 'superseded', supersededAt: expect.any(Date) } }
+    );
+  });
+
+  test('GET /recipes/:id/diff compares with the version it was based on', async () => {
+    Recipe.findById.mockReturnValueOnce(Promise.resolve(recipe({
+      version: 3,
+      basedOnVersion: 1,
+      parameters: { ...parameters, holdPressure: 700 }
+    })));
+    Recipe.findOne.mockReturnValueOnce(Promise.resolve(recipe({ version: 1, status: 'superseded' })));
+
+    const res = await request(app)
+      .get(`/recipes/${recipeVersionId}/diff`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.from.version).toBe(1);
+    expect(res.body.to.version).toBe(3);
+    expect(res.body.changes).toEqual([expect.objectContaining({ parameter: 'holdPressure', delta: 50 })]);
+    expect(Recipe.findOne).toHaveBeenLastCalledWith({ recipeId: 'RCP-HOUSING-A', version: 1 });
+  });
+
+  test('GET /recipes/:id/diff of version 1 has nothing to compare with', async () => {
+    Recipe.findById.mockReturnValueOnce(Promise.resolve(recipe({ version: 1 })));
+
+    const res = await request(app)
+      .get(`/recipes/${recipeVersionId}/diff`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Production runs and recipes', () => {
+  const newRun = {
+    runId: 'RUN-001',
+    machineId,
+    partNumber: 'HOUSING-A',
+    partName: 'Main Housing',
+    material: 'ABS',
+    targetQty: 100,
+    recipeId: recipeVersionId
+  };
+
+  test('POST /production-runs requires a recipe', async () => {
+    const { recipeId, ...run } = newRun;
+    const res = await request(app)
+      .post('/production-runs')
+      .set('x-test-auth', 'true')
+      .send(run);
+    expect(res.status).toBe(400);
+    expect(res.body.missing).toEqual(['recipeId']);
+  });
+
+  test('POST /production-runs with a draft recipe returns 409', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001' }));
+    Recipe.findById.mockReturnValueOnce(Promise.resolve(recipe()));
+
+    const res = await request(app)
+      .post('/production-runs')
+      .set('x-test-auth', 'true')
+      .send(newRun);
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Recipe not approved');
+  });
+
+  test('POST /production-runs with a recipe for another part returns 400', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001' }));
+    Recipe.findById.mockReturnValueOnce(Promise.resolve(recipe({ status: 'approved', partNumber: 'COVER-B' })));
+
+    const res = await request(app)
+      .post('/production-runs')
+      .set('x-test-auth', 'true')
+      .send(newRun);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Recipe does not match run');
+  });
+
+  test('PUT /production-runs/:id cannot change the recipe of a running run', async () => {
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve({ _id: 'run-1', status: 'running', recipeId: 'other' }));
+
+    const res = await request(app)
+      .put('/production-runs/507f1f77bcf86cd799439033')
+      .set('x-test-auth', 'true')
+      .send({ recipeId: recipeVersionId });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Recipe locked');
+  });
+
+  test('a run without an approved recipe cannot start', async () => {
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve({ _id: 'run-1', status: 'scheduled', recipeId: null }));
+
+    const res = await request(app)
+      .post('/production-runs/507f1f77bcf86cd799439033/start')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Recipe not approved');
+  });
+});
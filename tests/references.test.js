@@ -0,0 +1,255 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const AuditEntry = require('../models/auditEntry');
+const Employee = require('../models/employee');
+const Machine = require('../models/machine');
+const ProductionRun = require('../models/productionRun');
+const QualityCheck = require('../models/qualityCheck');
+const Nonconformance = require('../models/nonconformance');
+const MachineCycle = require('../models/machineCycle');
+const Mold = require('../models/mold');
+const { blockingReferences } = require('../services/references');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const runId = '507f1f77bcf86cd799439033';
+const employeeId = '507f1f77bcf86cd799439044';
+const checkId = '65a1b2c3d4e5f67890123459';
+const deletedAt = new Date('2024-01-15T09:00:00Z');
+
+const machine = { _id: machineId, machineId: 'IM-001', name: 'Engel 250', deletedAt: null };
+const employee = { _id: employeeId, employeeId: 'EMP-001', assignedMachine: machineId };
+
+describe('Blocking references', () => {
+  const references = [
+    { entity: 'ProductionRun', onDelete: 'cascade', count: 2, protected: 0 },
+    { entity: 'Employee', onDelete: 'unassign', count: 1, protected: 0 },
+    { entity: 'QualityCheck', onDelete: 'restrict', count: 1, protected: 0 }
+  ];
+  const blockedBy = (policy, refs = references) => blockingReferences(refs, policy).map(reference => reference.entity);
+
+  test('without a policy every reference blocks', () => {
+    expect(blockedBy(undefined)).toEqual(['ProductionRun', 'Employee', 'QualityCheck']);
+  });
+
+  test('history that is kept never blocks a delete', () => {
+    const history = [{ entity: 'MachineCycle', onDelete: 'keep', count: 500, protected: 0 }];
+    expect(blockedBy(undefined, history)).toEqual([]);
+    expect(blockedBy('delete', history)).toEqual([]);
+  });
+
+  test('unassign clears optional references only', () => {
+    expect(blockedBy('unassign')).toEqual(['ProductionRun', 'QualityCheck']);
+  });
+
+  test('delete cascades, but never through restrict or protected dependents', () => {
+    expect(blockedBy('delete')).toEqual(['QualityCheck']);
+    expect(blockedBy('delete', [{ entity: 'ProductionRun', onDelete: 'cascade', count: 2, protected: 1 }]))
+      .toEqual(['ProductionRun']);
+  });
+});
+
+describe('Delete guards', () => {
+  beforeEach(() => {
+    AuditEntry.create.mockClear();
+    mongoose.startSession.mockClear();
+  });
+
+  test('DELETE /machines/:id lists the records that still reference it', async () => {
+    ProductionRun.countDocuments
+      .mockReturnValueOnce(Promise.resolve(2))
+      .mockReturnValueOnce(Promise.resolve(0));
+    ProductionRun.find.mockReturnValueOnce(query([
+      { _id: runId, runId: 'RUN-001' },
+      { _id: '507f1f77bcf86cd799439034', runId: 'RUN-002' }
+    ]));
+    Employee.countDocuments.mockReturnValueOnce(Promise.resolve(1));
+    Employee.find.mockReturnValueOnce(query([employee]));
+
+    const res = await request(app)
+      .delete(`/machines/${machineId}`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Delete blocked');
+    expect(res.body.cascadePolicies).toEqual(['unassign', 'delete']);
+    expect(res.body.references).toEqual([
+      expect.objectContaining({ entity: 'ProductionRun', field: 'machineId', onDelete: 'cascade', count: 2 }),
+      expect.objectContaining({ entity: 'Employee', field: 'assignedMachine', onDelete: 'unassign', count: 1 })
+    ]);
+    expect(res.body.references[0].items[0]).toEqual({ id: runId, runId: 'RUN-001' });
+  });
+
+  test('an unknown cascade policy returns 400', async () => {
+    const res = await request(app)
+      .delete(`/machines/${machineId}?cascade=everything`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid cascade policy');
+  });
+
+  test('cascade=unassign clears employee assignments in the same transaction', async () => {
+    Employee.countDocuments.mockReturnValueOnce(Promise.resolve(1));
+    Employee.find
+      .mockReturnValueOnce(query([employee]))
+      .mockReturnValueOnce(Promise.resolve([employee]));
+    Machine.findById.mockReturnValueOnce(Promise.resolve(machine));
+    Machine.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({ ...machine, deletedAt, deletedBy: 'test@example.com' }));
+
+    const res = await request(app)
+      .delete(`/machines/${machineId}?cascade=unassign`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.cascaded).toBe(1);
+    expect(mongoose.startSession).toHaveBeenCalled();
+    expect(Employee.updateMany).toHaveBeenLastCalledWith(
+      { _id: { $in: [employeeId] } },
+      { $set: { assignedMachine: null } },
+      { session: expect.any(Object) }
+    );
+    expect(AuditEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      entity: 'Employee',
+      action: 'update',
+      changes: [{ field: 'assignedMachine', before: machineId, after: null }]
+    }));
+  });
+
+  test('cascade=unassign does not delete production runs', async () => {
+    ProductionRun.countDocuments
+      .mockReturnValueOnce(Promise.resolve(1))
+      .mockReturnValueOnce(Promise.resolve(0));
+    ProductionRun.find.mockReturnValueOnce(query([{ _id: runId, runId: 'RUN-001' }]));
+
+    const res = await request(app)
+      .delete(`/machines/${machineId}?cascade=unassign`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(409);
+    expect(res.body.references.map(reference => reference.entity)).toEqual(['ProductionRun']);
+  });
+
+  test('cascade=delete stops at running production runs', async () => {
+    ProductionRun.countDocuments
+      .mockReturnValueOnce(Promise.resolve(1))
+      .mockReturnValueOnce(Promise.resolve(1));
+    ProductionRun.find.mockReturnValueOnce(query([{ _id: runId, runId: 'RUN-001' }]));
+
+    const res = await request(app)
+      .delete(`/machines/${machineId}?cascade=delete`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(409);
+    expect(res.body.references[0]).toEqual(expect.objectContaining({ entity: 'ProductionRun', protected: 1 }));
+    expect(ProductionRun.countDocuments).toHaveBeenCalledWith({ machineId, status: 'running' }, { includeDeleted: false });
+  });
+
+  test('DELETE /production-runs/:id?cascade=delete deletes its quality checks with it', async () => {
+    const run = { _id: runId, runId: 'RUN-001', status: 'completed', deletedAt: null };
+    const check = { _id: checkId, checkId: 'QC-2024-001', productionRunId: runId, deletedAt: null };
+    ProductionRun.findById
+      .mockReturnValueOnce(Promise.resolve(run))
+      .mockReturnValueOnce(Promise.resolve(run));
+    ProductionRun.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({ ...run, deletedAt, deletedBy: 'test@example.com' }));
+    QualityCheck.countDocuments.mockReturnValueOnce(Promise.resolve(1));
+    QualityCheck.find
+      .mockReturnValueOnce(query([check]))
+      .mockReturnValueOnce(Promise.resolve([check]));
+
+    const res = await request(app)
+      .delete(`/production-runs/${runId}?cascade=delete`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.cascaded).toBe(1);
+    expect(QualityCheck.updateMany).toHaveBeenLastCalledWith(
+      { _id: { $in: [checkId] }, deletedAt: null },
+      { $set: { deletedAt, deletedBy: 'test@example.com' } },
+      { session: expect.any(Object) }
+    );
+    expect(AuditEntry.create).toHaveBeenCalledWith(expect.objectContaining({ entity: 'QualityCheck', action: 'delete' }));
+  });
+
+  test('a production run with a nonconformance cannot be deleted, even with cascade=delete', async () => {
+    Nonconformance.countDocuments.mockReturnValueOnce(Promise.resolve(1));
+    Nonconformance.find.mockReturnValueOnce(query([{ _id: '507f1f77bcf86cd799439055', ncrNumber: 'NCR-QC-2024-001' }]));
+    ProductionRun.findOneAndUpdate.mockClear();
+
+    const res = await request(app)
+      .delete(`/production-runs/${runId}?cascade=delete`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(409);
+    expect(res.body.references).toEqual([
+      expect.objectContaining({ entity: 'Nonconformance', field: 'productionRunId', onDelete: 'restrict', count: 1 })
+    ]);
+    expect(ProductionRun.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('machine history stays with a deleted machine but blocks a purge', async () => {
+    MachineCycle.countDocuments
+      .mockReturnValueOnce(Promise.resolve(500))
+      .mockReturnValueOnce(Promise.resolve(500));
+    MachineCycle.find
+      .mockReturnValueOnce(query([{ _id: 'cycle-1', sequence: 1 }]))
+      .mockReturnValueOnce(query([{ _id: 'cycle-1', sequence: 1 }]));
+    Machine.findById.mockReturnValueOnce(Promise.resolve(machine));
+    Machine.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({ ...machine, deletedAt, deletedBy: 'test@example.com' }));
+
+    const deleteRes = await request(app)
+      .delete(`/machines/${machineId}`)
+      .set('x-test-auth', 'true');
+    expect(deleteRes.status).toBe(200);
+    expect(MachineCycle.updateMany).not.toHaveBeenCalled();
+
+    const purgeRes = await request(app)
+      .delete(`/machines/${machineId}/purge`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Administrator');
+    expect(purgeRes.status).toBe(409);
+    expect(purgeRes.body.references).toEqual([
+      expect.objectContaining({ entity: 'MachineCycle', field: 'machineId', onDelete: 'keep', count: 500 })
+    ]);
+  });
+
+  test('a mold used by production runs cannot be deleted', async () => {
+    const moldId = '507f1f77bcf86cd799439066';
+    Mold.findOne.mockReturnValueOnce(Promise.resolve({ _id: moldId, moldId: 'MLD-001' }));
+    ProductionRun.countDocuments.mockReturnValueOnce(Promise.resolve(2));
+    ProductionRun.find.mockReturnValueOnce(query([{ _id: runId, runId: 'RUN-001' }]));
+
+    const res = await request(app)
+      .delete('/molds/MLD-001')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(409);
+    expect(res.body.references[0]).toEqual(expect.objectContaining({ entity: 'ProductionRun', field: 'moldId', count: 2 }));
+    expect(ProductionRun.countDocuments).toHaveBeenCalledWith({ moldId }, { includeDeleted: true });
+    expect(Mold.findOneAndDelete).not.toHaveBeenCalled();
+  });
+
+  test('purging counts deleted dependents too', async () => {
+    ProductionRun.countDocuments
+      .mockReturnValueOnce(Promise.resolve(1))
+      .mockReturnValueOnce(Promise.resolve(0));
+    ProductionRun.find.mockReturnValueOnce(query([{ _id: runId, runId: 'RUN-001' }]));
+
+    const res = await request(app)
+      .delete(`/machines/${machineId}/purge`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Administrator');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Purge blocked');
+    expect(ProductionRun.countDocuments).toHaveBeenCalledWith({ machineId }, { includeDeleted: true });
+  });
+
+  test('an employee with quality checks cannot be deleted', async () => {
+    Employee.findOne.mockReturnValueOnce(Promise.resolve(employee));
+    QualityCheck.countDocuments.mockReturnValueOnce(Promise.resolve(3));
+    QualityCheck.find.mockReturnValueOnce(query([{ _id: checkId, checkId: 'QC-2024-001' }]));
+
+    const res = await request(app)
+      .delete('/employees/EMP-001')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Administrator');
+    expect(res.status).toBe(409);
+    expect(res.body.references[0]).toEqual(expect.objectContaining({ entity: 'QualityCheck', field: 'employeeId', count: 3 }));
+    expect(Employee.findOneAndDelete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,34 @@
+const request = require('supertest');
+const app = require('../app');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+test('GET /reports/oee without auth returns 401', async () => {
+  const res = await request(app)
+    .get('/reports/oee')
+    .set('x-test-auth', 'false');
+  expect(res.status).toBe(401);
+});
+
+test('GET /reports/oee with auth returns 200', async () => {
+  const res = await request(app)
+    .get('/reports/oee?groupBy=shift')
+    .set('x-test-auth', 'true');
+  expect(res.status).toBe(200);
+  expect(res.body.groupBy).toBe('shift');
+  expect(Array.isArray(res.body.groups)).toBe(true);
+});
+
+test('GET /reports/oee with an unknown groupBy returns 400', async () => {
+  const res = await request(app)
+    .get('/reports/oee?groupBy=operator')
+    .set('x-test-auth', 'true');
+  expect(res.status).toBe(400);
+});
+
+test('GET /reports/oee with an inverted date range returns 400', async () => {
+  const res = await request(app)
+    .get('/reports/oee?from=2024-02-01&to=2024-01-01')
+    .set('x-test-auth', 'true');
+  expect(res.status).toBe(400);
+});
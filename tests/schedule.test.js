@@ -0,0 +1,240 @@
+const request = require('supertest');
+const app = require('../app');
+const Machine = require('../models/machine');
+const Mold = require('../models/mold');
+const ProductionRun = require('../models/productionRun');
+const Recipe = require('../models/recipe');
+const { planSlot } = require('../services/schedule');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const moldId = '507f1f77bcf86cd799439022';
+const runId = '507f1f77bcf86cd799439033';
+const recipeVersionId = '507f1f77bcf86cd799439044';
+
+// 36 s cycle, 2 cavities: 18 s per part
+const mold = {
+  _id: moldId,
+  moldId: 'MLD-001',
+  status: 'available',
+  cavities: 2,
+  requiredTonnage: 150,
+  shotWeight: 120,
+  standardCycleTime: 36
+};
+
+const at = hour => new Date(Date.UTC(2024, 0, 15, hour));
+
+const booked = (fields = {}) => ({
+  _id: '507f1f77bcf86cd799439034',
+  runId: 'RUN-002',
+  status: 'scheduled',
+  plannedStart: at(10),
+  plannedEnd: at(14),
+  ...fields
+});
+
+describe('Planned slots', () => {
+  test('the end is derived from target quantity and the mold cycle time', () => {
+    expect(planSlot({ plannedStart: at(8), targetQty: 1000 }, { mold })).toEqual({
+      plannedStart: at(8),
+      plannedEnd: new Date(at(8).getTime() + 5 * 60 * 60 * 1000)
+    });
+  });
+
+  test('without a cycle time the end must be given', () => {
+    expect(planSlot({ plannedStart: at(8), targetQty: 1000 }).error).toMatch(/plannedEnd is required/);
+    expect(planSlot({ plannedStart: at(8), plannedEnd: at(6) }).error).toBe('plannedEnd must be after plannedStart');
+  });
+
+  test('moving a run keeps its planned duration', () => {
+    const current = { targetQty: 1000, plannedStart: at(8), plannedEnd: at(11) };
+    expect(planSlot({ plannedStart: at(12) }, { current, mold })).toEqual({ plannedStart: at(12), plannedEnd: at(15) });
+  });
+
+  test('runs without a planned start are unscheduled', () => {
+    expect(planSlot({ targetQty: 1000 }, { mold })).toEqual({ plannedStart: null, plannedEnd: null });
+  });
+});
+
+describe('Schedule conflicts', () => {
+  test('POST /production-runs refuses a slot that overlaps another run', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001' }));
+    Recipe.findById.mockReturnValueOnce(Promise.resolve({
+      _id: recipeVersionId,
+      recipeId: 'RCP-HOUSING-A',
+      partNumber: 'HOUSING-A',
+      moldId,
+      machineId,
+      status: 'approved'
+    }));
+    Mold.findById
+      .mockReturnValueOnce(Promise.resolve(mold))
+      .mockReturnValueOnce(Promise.resolve(mold));
+    ProductionRun.find.mockReturnValueOnce(query([booked()]));
+
+    const res = await request(app)
+      .post('/production-runs')
+      .set('x-test-auth', 'true')
+      .send({
+        runId: 'RUN-001',
+        machineId,
+        partNumber: 'HOUSING-A',
+        partName: 'Main Housing',
+        material: 'ABS',
+        targetQty: 1000,
+        recipeId: recipeVersionId,
+        plannedStart: at(8).toISOString()
+      });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Schedule conflict');
+    expect(res.body.plannedEnd).toBe(at(13).toISOString());
+    expect(res.body.conflicts[0].runId).toBe('RUN-002');
+    expect(ProductionRun.find).toHaveBeenLastCalledWith({
+      machineId,
+      status: { $in: ['scheduled', 'running', 'paused'] },
+      $or: [
+        { plannedStart: { $lt: at(13) } },
+        { plannedStart: null, startTime: { $lt: at(13) } }
+      ]
+    }, expect.any(String));
+  });
+
+  test('PUT /production-runs/:id checks the new slot against other runs only', async () => {
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve({
+      _id: runId,
+      runId: 'RUN-001',
+      machineId,
+      status: 'scheduled',
+      targetQty: 1000,
+      plannedStart: at(6),
+      plannedEnd: at(9)
+    }));
+    ProductionRun.find.mockReturnValueOnce(query([booked()]));
+
+    const res = await request(app)
+      .put(`/production-runs/${runId}`)
+      .set('x-test-auth', 'true')
+      .send({ plannedStart: at(12).toISOString() });
+    expect(res.status).toBe(409);
+    expect(ProductionRun.find).toHaveBeenLastCalledWith(expect.objectContaining({
+      _id: { $ne: runId },
+      $or: [
+        { plannedStart: { $lt: at(15) } },
+        { plannedStart: null, startTime: { $lt: at(15) } }
+      ]
+    }), expect.any(String));
+  });
+
+  test('runs booked before planned slots conflict from their startTime', async () => {
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve({
+      _id: runId,
+      runId: 'RUN-001',
+      machineId,
+      status: 'scheduled',
+      plannedStart: at(6),
+      plannedEnd: at(9)
+    }));
+    ProductionRun.find.mockReturnValueOnce(query([
+      booked({ plannedStart: undefined, plannedEnd: undefined, startTime: at(11), endTime: at(16) })
+    ]));
+
+    const res = await request(app)
+      .put(`/production-runs/${runId}`)
+      .set('x-test-auth', 'true')
+      .send({ plannedStart: at(12).toISOString() });
+    expect(res.status).toBe(409);
+    expect(res.body.conflicts[0]).toMatchObject({
+      runId: 'RUN-002',
+      plannedStart: at(11).toISOString(),
+      plannedEnd: at(16).toISOString()
+    });
+  });
+
+  test('a run starting from its startTime is checked like a planned one', () => {
+    expect(planSlot({ startTime: at(8), endTime: at(10) })).toEqual({ plannedStart: at(8), plannedEnd: at(10) });
+    expect(planSlot({ startTime: at(8), targetQty: 1000 })).toEqual({ plannedStart: null, plannedEnd: null });
+  });
+});
+
+describe('Machine schedule routes', () => {
+  test('GET /machines/:id/schedule lists bars and flags overlaps', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001', name: 'Engel 250' }));
+    ProductionRun.find.mockReturnValueOnce(query([
+      { _id: runId, runId: 'RUN-001', status: 'running', plannedStart: at(6), plannedEnd: at(11), startTime: at(6) },
+      booked(),
+      booked({ _id: '507f1f77bcf86cd799439035', runId: 'RUN-003', status: 'completed', plannedStart: at(14), plannedEnd: at(16) })
+    ]));
+
+    const res = await request(app)
+      .get(`/machines/${machineId}/schedule?from=2024-01-15T00:00:00Z&to=2024-01-16T00:00:00Z`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.runs.map(run => [run.runId, run.conflicts])).toEqual([
+      ['RUN-001', ['RUN-002']],
+      ['RUN-002', ['RUN-001']],
+      ['RUN-003', []]
+    ]);
+    expect(res.body.runs[0].actualStart).toBe(at(6).toISOString());
+    expect(res.body.runs[1].actualStart).toBeNull();
+  });
+
+  test('GET /machines/:id/schedule rejects an inverted window', async () => {
+    const res = await request(app)
+      .get(`/machines/${machineId}/schedule?from=2024-01-16&to=2024-01-15`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /machines/:id/next-slot finds the first gap long enough', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001', name: 'Engel 250' }));
+    ProductionRun.find.mockReturnValueOnce(query([
+      { plannedStart: at(6), plannedEnd: at(9) },
+      { plannedStart: at(10), plannedEnd: at(12) },
+      { plannedStart: at(15), plannedEnd: at(18) }
+    ]));
+
+    const res = await request(app)
+      .get(`/machines/${machineId}/next-slot?duration=120&after=${at(8).toISOString()}`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.plannedStart).toBe(at(12).toISOString());
+    expect(res.body.plannedEnd).toBe(at(14).toISOString());
+  });
+
+  test('GET /machines/:id/next-slot waits for a running run past its planned end', async () => {
+    const now = new Date();
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001', name: 'Engel 250' }));
+    ProductionRun.find.mockReturnValueOnce(query([
+      { status: 'running', plannedStart: new Date(now.getTime() - 4 * 60 * 60 * 1000), plannedEnd: new Date(now.getTime() - 60 * 60 * 1000) }
+    ]));
+
+    const res = await request(app)
+      .get(`/machines/${machineId}/next-slot?duration=60&after=${new Date(now.getTime() - 2 * 60 * 60 * 1000).toISOString()}`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.plannedStart).getTime()).toBeGreaterThanOrEqual(now.getTime());
+  });
+
+  test('GET /machines/:id/next-slot derives the length from a mold', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001', name: 'Engel 250' }));
+    Mold.findById.mockReturnValueOnce(Promise.resolve(mold));
+
+    const res = await request(app)
+      .get(`/machines/${machineId}/next-slot?targetQty=400&moldId=${moldId}&after=${at(8).toISOString()}`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.duration).toBe(120);
+    expect(res.body.plannedStart).toBe(at(8).toISOString());
+  });
+
+  test('GET /machines/:id/next-slot needs a duration', async () => {
+    const res = await request(app)
+      .get(`/machines/${machineId}/next-slot`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Missing duration');
+  });
+});
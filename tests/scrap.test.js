@@ -0,0 +1,173 @@
+const request = require('supertest');
+const app = require('../app');
+const ProductionRun = require('../models/productionRun');
+const { scrapByDefect, runYield, scrapReport } = require('../services/scrap');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const runId = '507f1f77bcf86cd799439011';
+const machine = { _id: 'machine-1', machineId: 'IM-001', name: 'Engel 250' };
+
+describe('Scrap figures', () => {
+  test('ranks defects by quantity with cumulative share', () => {
+    const ranked = scrapByDefect([
+      { defectCode: 'flash', quantity: 10 },
+      { defectCode: 'short_shot', quantity: 30 },
+      { defectCode: 'flash', quantity: 20 },
+      { defectCode: 'warpage', quantity: 40 }
+    ]);
+
+    expect(ranked.map(entry => entry.defectCode)).toEqual(['warpage', 'flash', 'short_shot']);
+    expect(ranked[1]).toMatchObject({ description: 'Flash', quantity: 30, entries: 2, percent: 30, cumulativePercent: 70 });
+    expect(ranked[2].cumulativePercent).toBe(100);
+  });
+
+  test('computes good parts and scrap rate of a run', () => {
+    expect(runYield({ actualQty: 400, rejectQty: 10 })).toEqual({ actualQty: 400, rejectQty: 10, goodQty: 390, scrapRate: 0.025 });
+    expect(runYield({ actualQty: 0 })).toMatchObject({ goodQty: 0, scrapRate: null });
+  });
+
+  test('only counts scrap recorded inside the window', () => {
+    const window = { from: new Date('2024-01-15T00:00:00Z'), to: new Date('2024-01-16T00:00:00Z') };
+    const report = scrapReport([
+      {
+        machineId: machine,
+        partNumber: 'HOUSING-A',
+        scrap: [
+          { defectCode: 'sink_marks', quantity: 5, recordedAt: new Date('2024-01-15T09:00:00Z') },
+          { defectCode: 'flash', quantity: 50, recordedAt: new Date('2024-01-14T09:00:00Z') }
+        ]
+      },
+      {
+        machineId: machine,
+        partNumber: 'COVER-B',
+        scrap: [{ defectCode: 'sink_marks', quantity: 15, recordedAt: new Date('2024-01-15T12:00:00Z') }]
+      }
+    ], window);
+
+    expect(report).toMatchObject({ totalRejects: 20, entries: 2, runs: 2 });
+    expect(report.byDefect).toEqual([expect.objectContaining({ defectCode: 'sink_marks', quantity: 20 })]);
+    expect(report.machines[0]).toMatchObject({ machine: { machineId: 'IM-001' }, quantity: 20, percent: 100 });
+    expect(report.partNumbers.map(entry => entry.partNumber)).toEqual(['COVER-B', 'HOUSING-A']);
+  });
+});
+
+describe('Production run scrap', () => {
+  test('POST /production-runs/:id/scrap rejects unknown defect codes', async () => {
+    const res = await request(app)
+      .post(`/production-runs/${runId}/scrap`)
+      .set('x-test-auth', 'true')
+      .send({ defectCode: 'bubbles', quantity: 3 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid defect code');
+  });
+
+  test('POST /production-runs/:id/scrap requires a whole positive quantity', async () => {
+    const res = await request(app)
+      .post(`/production-runs/${runId}/scrap`)
+      .set('x-test-auth', 'true')
+      .send({ defectCode: 'flash', quantity: 2.5 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid quantity');
+  });
+
+  test('POST /production-runs/:id/scrap on a scheduled run returns 409', async () => {
+    ProductionRun.findById.mockReturnValueOnce(query({ _id: runId, status: 'scheduled', actualQty: 0 }));
+
+    const res = await request(app)
+      .post(`/production-runs/${runId}/scrap`)
+      .set('x-test-auth', 'true')
+      .send({ defectCode: 'flash', quantity: 3 });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Scrap not allowed');
+  });
+
+  test('POST /production-runs/:id/scrap cannot reject more than was produced', async () => {
+    ProductionRun.findById.mockReturnValueOnce(query({ _id: runId, runId: 'RUN-001', status: 'running', actualQty: 10, rejectQty: 8 }));
+
+    const res = await request(app)
+      .post(`/production-runs/${runId}/scrap`)
+      .set('x-test-auth', 'true')
+      .send({ defectCode: 'flash', quantity: 3 });
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ error: 'Rejects exceed output', goodQty: 2 });
+  });
+
+  test('POST /production-runs/:id/scrap records the entry and returns the new totals', async () => {
+    ProductionRun.findById.mockReturnValueOnce(query({ _id: runId, runId: 'RUN-001', status: 'running', actualQty: 100, rejectQty: 0 }));
+    ProductionRun.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({
+      _id: runId,
+      runId: 'RUN-001',
+      actualQty: 100,
+      rejectQty: 4,
+      scrap: [{ defectCode: 'burn_marks', quantity: 4 }]
+    }));
+
+    const res = await request(app)
+      .post(`/production-runs/${runId}/scrap`)
+      .set('x-test-auth', 'true')
+      .send({ defectCode: 'burn_marks', quantity: 4 });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ rejectQty: 4, goodQty: 96, entry: { defectCode: 'burn_marks' } });
+  });
+
+  test('an Inspector may record scrap but a Technician may not', async () => {
+    const send = (role) => request(app)
+      .post(`/production-runs/${runId}/scrap`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', role)
+      .send({ defectCode: 'flash', quantity: 1 });
+
+    expect((await send('Inspector')).status).toBe(404);
+    expect((await send('Technician')).status).toBe(403);
+  });
+
+  test('PUT /production-runs/:id cannot set rejectQty directly', async () => {
+    const res = await request(app)
+      .put(`/production-runs/${runId}`)
+      .set('x-test-auth', 'true')
+      .send({ rejectQty: 0 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid update');
+  });
+
+  test('GET /production-runs/:id/scrap summarizes the run', async () => {
+    ProductionRun.findById.mockReturnValueOnce(query({
+      _id: runId,
+      runId: 'RUN-001',
+      status: 'completed',
+      actualQty: 200,
+      rejectQty: 12,
+      scrap: [
+        { defectCode: 'splay', quantity: 2 },
+        { defectCode: 'contamination', quantity: 10 }
+      ]
+    }));
+
+    const res = await request(app)
+      .get(`/production-runs/${runId}/scrap`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ goodQty: 188, rejectQty: 12 });
+    expect(res.body.byDefect[0].defectCode).toBe('contamination');
+    expect(res.body.entries).toHaveLength(2);
+  });
+});
+
+describe('GET /reports/scrap', () => {
+  test('with an invalid machine ID returns 400', async () => {
+    const res = await request(app)
+      .get('/reports/scrap?machineId=abc')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('returns an empty report when nothing was scrapped', async () => {
+    const res = await request(app)
+      .get('/reports/scrap')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ totalRejects: 0, byDefect: [], machines: [] });
+  });
+});
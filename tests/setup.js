@@ -11,8 +11,16 @@ jest.mock('mongoose', () => {
     
     // Add schema methods
     index() { return this; }
+    plugin() { return this; }
     pre() { return this; }
     post() { return this; }
+    virtual() {
+      const virtualType = {
+        get: () => virtualType,
+        set: () => virtualType
+      };
+      return virtualType;
+    }
     static Types = {
       ObjectId: function ObjectId() { return this; }
     };
@@ -20,6 +28,11 @@ jest.mock('mongoose', () => {
 
   return {
     connect: jest.fn().mockResolvedValue({}),
+    // Transactions run their callback once, without a real session
+    startSession: jest.fn(() => Promise.resolve({
+      withTransaction: (work) => work(),
+      endSession: jest.fn()
+    })),
     connection: {
       db: { databaseName: 'test' },
       on: jest.fn(),
@@ -31,16 +44,25 @@ jest.mock('mongoose', () => {
       ObjectId: function() { return this; }
     },
     model: jest.fn().mockImplementation((modelName) => {
+      // Queries are chainable and thenable, like a real mongoose Query
+      const { query: mockQuery } = require('./query-helper');
+
       // Return a generic mock model
       const mockModel = {
-        find: jest.fn().mockResolvedValue([]),
-        findById: jest.fn().mockResolvedValue(null),
-        findOne: jest.fn().mockResolvedValue(null),
+        find: jest.fn(() => mockQuery([])),
+        findById: jest.fn(() => mockQuery(null)),
+        findOne: jest.fn(() => mockQuery(null)),
         create: jest.fn().mockResolvedValue({ _id: 'mock-id' }),
+        insertMany: jest.fn((docs) => Promise.resolve(docs)),
+        validate: jest.fn((doc) => Promise.resolve(doc)),
         save: jest.fn().mockResolvedValue({ _id: 'mock-id' }),
-        findByIdAndUpdate: jest.fn().mockResolvedValue({ _id: 'mock-id' }),
-        findByIdAndDelete: jest.fn().mockResolvedValue({ _id: 'mock-id' }),
-        countDocuments: jest.fn().mockResolvedValue(0),
+        findByIdAndUpdate: jest.fn(() => mockQuery({ _id: 'mock-id' })),
+        findByIdAndDelete: jest.fn(() => mockQuery({ _id: 'mock-id' })),
+        findOneAndUpdate: jest.fn(() => mockQuery(null)),
+        findOneAndDelete: jest.fn(() => mockQuery(null)),
+        countDocuments: jest.fn(() => mockQuery(0)),
+        updateMany: jest.fn(() => mockQuery({ acknowledged: true, modifiedCount: 0 })),
+        deleteMany: jest.fn(() => mockQuery({ acknowledged: true, deletedCount: 0 })),
         populate: jest.fn().mockReturnThis(),
         sort: jest.fn().mockReturnThis(),
         limit: jest.fn().mockReturnThis(),
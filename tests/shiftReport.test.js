@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../app');
+const { shiftOf, shiftWindows } = require('../config/shifts');
+const { shiftReport } = require('../services/shiftReport');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const local = (day, time) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, date, hours, minutes);
+};
+
+const machine = { _id: 'machine-1', machineId: 'IM-001', name: 'Engel 250' };
+
+describe('Shift calendar', () => {
+  test('the night shift runs into the next day', () => {
+    const night = shiftWindows('2024-01-15').find(window => window.name === 'Night');
+    expect(night.from).toEqual(local('2024-01-15', '22:00'));
+    expect(night.to).toEqual(local('2024-01-16', '06:00'));
+  });
+
+  test('finds the shift of a timestamp', () => {
+    expect(shiftOf(local('2024-01-15', '03:30'))).toBe('Night');
+    expect(shiftOf(local('2024-01-15', '14:00'))).toBe('Evening');
+  });
+});
+
+describe('Shift report', () => {
+  const windows = shiftWindows('2024-01-15');
+  const now = local('2024-01-17', '00:00');
+
+  test('prorates output and assigns scrap, checks and downtime to shifts', () => {
+    const report = shiftReport({
+      windows,
+      // Ran 10:00-18:00: half in Morning, half in Evening
+      runs: [{
+        _id: 'run-1',
+        machineId: machine,
+        status: 'completed',
+        actualQty: 800,
+        rejectQty: 6,
+        scrap: [{ defectCode: 'short_shot', quantity: 6, recordedAt: local('2024-01-15', '11:30') }],
+        startTime: local('2024-01-15', '10:00'),
+        endTime: local('2024-01-15', '18:00')
+      }],
+      checks: [
+        { machineId: machine, checkDate: local('2024-01-15', '11:00'), defectsFound: 0 },
+        { machineId: machine, checkDate: local('2024-01-15', '15:00'), defectsFound: 12 }
+      ],
+      downtime: [{
+        machineId: machine,
+        startTime: local('2024-01-15', '13:30'),
+        endTime: local('2024-01-15', '14:15')
+      }]
+    }, now);
+
+    expect(report.machines).toHaveLength(1);
+    const [morning, evening, night] = report.machines[0].shifts;
+
+    expect(morning).toMatchObject({ shift: 'Morning', partsProduced: 400, rejects: 6, goodParts: 394, qualityChecks: 1, downtimeMinutes: 30 });
+    expect(evening).toMatchObject({ shift: 'Evening', partsProduced: 400, rejects: 0, qualityChecks: 1, downtimeMinutes: 15 });
+    expect(night).toMatchObject({ partsProduced: 0, runs: 0 });
+    expect(report.machines[0].totals).toMatchObject({ partsProduced: 800, downtimeMinutes: 45, qualityChecks: 2 });
+    expect(report.shifts[0]).toMatchObject({ shift: 'Morning', partsProduced: 400 });
+  });
+});
+
+describe('GET /reports/shifts', () => {
+  test('without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/reports/shifts')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+
+  test('with an invalid date returns 400', async () => {
+    const res = await request(app)
+      .get('/reports/shifts?date=15/01/2024')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('returns every configured shift', async () => {
+    const res = await request(app)
+      .get('/reports/shifts?date=2024-01-15')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.date).toBe('2024-01-15');
+    expect(res.body.shifts.map(shift => shift.shift)).toEqual(['Morning', 'Evening', 'Night']);
+    expect(res.body.machines).toEqual([]);
+  });
+});
@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../app');
+const Machine = require('../models/machine');
+const ProductionRun = require('../models/productionRun');
+const QualityCheck = require('../models/qualityCheck');
+const softDelete = require('../models/plugins/softDelete');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const runId = '507f1f77bcf86cd799439033';
+const checkId = '65a1b2c3d4e5f67890123459';
+const deletedAt = new Date('2024-01-15T09:00:00Z');
+
+describe('Soft delete plugin', () => {
+  // Register the plugin on a stand-in schema and return its query hook
+  const queryHook = () => {
+    const schema = { add: jest.fn(), index: jest.fn(), pre: jest.fn() };
+    softDelete(schema);
+    expect(schema.add).toHaveBeenCalledWith(expect.objectContaining({ deletedAt: expect.any(Object) }));
+    return schema.pre.mock.calls[0][1];
+  };
+
+  const fakeQuery = (filter, options = {}) => ({
+    getFilter: () => filter,
+    getOptions: () => options,
+    where: jest.fn()
+  });
+
+  test('queries leave deleted documents out', () => {
+    const query = fakeQuery({ status: 'running' });
+    queryHook().call(query);
+    expect(query.where).toHaveBeenCalledWith({ deletedAt: null });
+  });
+
+  test('the includeDeleted option or a deletedAt filter keeps them in', () => {
+    const hook = queryHook();
+    const withOption = fakeQuery({}, { includeDeleted: true });
+    const withFilter = fakeQuery({ deletedAt: { $ne: null } });
+    hook.call(withOption);
+    hook.call(withFilter);
+    expect(withOption.where).not.toHaveBeenCalled();
+    expect(withFilter.where).not.toHaveBeenCalled();
+  });
+});
+
+describe('Soft delete routes', () => {
+  test('includeDeleted requires the deleted:read permission', async () => {
+    const res = await request(app)
+      .get('/machines?includeDeleted=true')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Supervisor');
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe('deleted:read');
+  });
+
+  test('administrators can list deleted machines', async () => {
+    const res = await request(app)
+      .get('/machines?includeDeleted=true')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Administrator');
+    expect(res.status).toBe(200);
+    expect(Machine.find).toHaveBeenLastCalledWith({}, null, { includeDeleted: true });
+  });
+
+  test('DELETE /production-runs/:id keeps the run and stamps who deleted it', async () => {
+    const run = { _id: runId, runId: 'RUN-001', status: 'completed', deletedAt: null };
+    ProductionRun.findById
+      .mockReturnValueOnce(Promise.resolve(run))
+      .mockReturnValueOnce(Promise.resolve(run));
+    ProductionRun.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({ ...run, deletedAt, deletedBy: 'test@example.com' }));
+
+    const res = await request(app)
+      .delete(`/production-runs/${runId}`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.deletedRun.deletedBy).toBe('test@example.com');
+    expect(ProductionRun.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { _id: runId, deletedAt: null },
+      { $set: { deletedAt: expect.any(Date), deletedBy: 'test@example.com' } },
+      { new: true }
+    );
+  });
+
+  test('a running production run cannot be deleted', async () => {
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve({ _id: runId, runId: 'RUN-001', status: 'running' }));
+
+    const res = await request(app)
+      .delete(`/production-runs/${runId}`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(409);
+  });
+
+  test('POST /quality-checks/:id/restore brings a deleted check back', async () => {
+    const check = { _id: checkId, checkId: 'QC-2024-001', deletedAt, deletedBy: 'test@example.com' };
+    QualityCheck.findById.mockReturnValueOnce(Promise.resolve(check));
+    QualityCheck.findOneAndUpdate.mockReturnValueOnce(Promise.resolve({ ...check, deletedAt: null, deletedBy: null }));
+
+    const res = await request(app)
+      .post(`/quality-checks/${checkId}/restore`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(QualityCheck.findById).toHaveBeenLastCalledWith(checkId, null, { includeDeleted: true });
+    expect(res.body.qualityCheck.deletedAt).toBeNull();
+  });
+
+  test('restoring a check that is not deleted returns 409', async () => {
+    QualityCheck.findById.mockReturnValueOnce(Promise.resolve({ _id: checkId, checkId: 'QC-2024-001', deletedAt: null }));
+
+    const res = await request(app)
+      .post(`/quality-checks/${checkId}/restore`)
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Not deleted');
+  });
+
+  test('only administrators can purge', async () => {
+    const res = await request(app)
+      .delete(`/machines/${machineId}/purge`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Manager');
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe('deleted:purge');
+  });
+
+  test('a machine must be deleted before it is purged', async () => {
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ _id: machineId, machineId: 'IM-001', deletedAt: null }));
+
+    const res = await request(app)
+      .delete(`/machines/${machineId}/purge`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Administrator');
+    expect(res.status).toBe(409);
+  });
+
+  test('DELETE /machines/:id/purge removes a deleted machine for good', async () => {
+    const machine = { _id: machineId, machineId: 'IM-001', name: 'Engel 250', deletedAt };
+    Machine.findById.mockReturnValueOnce(Promise.resolve(machine));
+    Machine.findOneAndDelete.mockReturnValueOnce(Promise.resolve(machine));
+
+    const res = await request(app)
+      .delete(`/machines/${machineId}/purge`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Administrator');
+    expect(res.status).toBe(200);
+    expect(Machine.findOneAndDelete).toHaveBeenLastCalledWith({ _id: machineId, deletedAt: { $ne: null } });
+  });
+});
+
+describe('Soft delete fields in write paths', () => {
+  test('PUT /machines/:id cannot delete a machine', async () => {
+    const updates = Machine.findByIdAndUpdate.mock.calls.length;
+    const res = await request(app)
+      .put(`/machines/${machineId}`)
+      .set('x-test-auth', 'true')
+      .send({ deletedAt: deletedAt.toISOString() });
+    expect(res.status).toBe(400);
+    expect(res.body.fields).toEqual(['deletedAt']);
+    expect(Machine.findByIdAndUpdate.mock.calls.length).toBe(updates);
+  });
+
+  test('PUT /production-runs/:id and /quality-checks/:id reject deletedAt and deletedBy', async () => {
+    const runRes = await request(app)
+      .put(`/production-runs/${runId}`)
+      .set('x-test-auth', 'true')
+      .send({ notes: 'x', deletedAt: deletedAt.toISOString() });
+    expect(runRes.status).toBe(400);
+
+    const checkRes = await request(app)
+      .put(`/quality-checks/${checkId}`)
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Supervisor')
+      .send({ deletedBy: 'someone@example.com' });
+    expect(checkRes.status).toBe(400);
+    expect(checkRes.body.fields).toEqual(['deletedBy']);
+  });
+
+  test('machines cannot be created or imported already deleted', async () => {
+    const createRes = await request(app)
+      .post('/machines')
+      .set('x-test-auth', 'true')
+      .send({ machineId: 'IM-010', name: 'Engel Victory 200', deletedAt: deletedAt.toISOString() });
+    expect(createRes.status).toBe(400);
+
+    const importRes = await request(app)
+      .post('/machines/import')
+      .set('x-test-auth', 'true')
+      .send([{ machineId: 'IM-011', name: 'Arburg 370', deletedAt: deletedAt.toISOString() }]);
+    expect(importRes.status).toBe(400);
+    expect(importRes.body.imported).toBe(0);
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const app = require('../app');
+const { xbarRChart, individualsChart, capability, detectRuleViolations } = require('../services/spc');
+
+describe('SPC service', () => {
+  test('builds X-bar/R limits from subgroups', () => {
+    const chart = xbarRChart([1, 2, 3, 4], 2);
+
+    expect(chart.subgroups).toBe(2);
+    expect(chart.xbar.points).toEqual([1.5, 3.5]);
+    expect(chart.xbar.centerLine).toBe(2.5);
+    expect(chart.xbar.ucl).toBe(4.38);
+    expect(chart.range.ucl).toBe(3.267);
+    expect(chart.sigmaWithin).toBe(0.8865);
+  });
+
+  test('needs at least two complete subgroups', () => {
+    expect(xbarRChart([1, 2, 3, 4, 5, 6, 7], 5)).toBeNull();
+  });
+
+  test('builds individuals and moving range charts', () => {
+    const chart = individualsChart([10, 12, 11, 13]);
+    expect(chart.movingRange.points).toEqual([2, 1, 2]);
+    expect(chart.individuals.centerLine).toBe(11.5);
+  });
+
+  test('computes Cp/Cpk and Pp/Ppk', () => {
+    const result = capability([9, 10, 11, 10], { lsl: 7, usl: 13 }, 1);
+
+    expect(result.cp).toBe(1);
+    expect(result.cpk).toBe(1);
+    expect(result.pp).toBe(1.225);
+    expect(result.ppk).toBe(1.225);
+    expect(result.outOfSpec).toBe(0);
+  });
+
+  test('reports only one-sided indices with a single spec limit', () => {
+    const result = capability([9, 10, 11, 10], { usl: 13 }, 1);
+    expect(result.cp).toBeNull();
+    expect(result.cpk).toBe(1);
+  });
+
+  test('flags a point beyond 3 sigma', () => {
+    const violations = detectRuleViolations([0, 0.5, -0.5, 5], 0, 1);
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ rule: 1, westernElectric: 1, points: [3] });
+  });
+
+  test('flags six points steadily increasing', () => {
+    const violations = detectRuleViolations([1, 2, 3, 4, 5, 6], 3.5, 10);
+    expect(violations.map(violation => violation.rule)).toEqual([3]);
+    expect(violations[0].points).toEqual([5]);
+  });
+});
+
+describe('GET /quality-checks/spc', () => {
+  test('without auth returns 401', async () => {
+    const res = await request(app)
+      .get('/quality-checks/spc?partNumber=HOUSING-A&parameter=Wall%20thickness')
+      .set('x-test-auth', 'false');
+    expect(res.status).toBe(401);
+  });
+
+  test('requires partNumber and parameter', async () => {
+    const res = await request(app)
+      .get('/quality-checks/spc?partNumber=HOUSING-A')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects an unsupported subgroup size', async () => {
+    const res = await request(app)
+      .get('/quality-checks/spc?partNumber=HOUSING-A&parameter=Weight&subgroupSize=25')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(400);
+  });
+
+  test('returns an empty analysis when there are no measurements', async () => {
+    const res = await request(app)
+      .get('/quality-checks/spc?partNumber=HOUSING-A&parameter=Weight&lsl=10&usl=12')
+      .set('x-test-auth', 'true');
+    expect(res.status).toBe(200);
+    expect(res.body.observations).toBe(0);
+    expect(res.body.xbarR).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../app');
+const ProductionRun = require('../models/productionRun');
+const Machine = require('../models/machine');
+const Employee = require('../models/employee');
+const QualityCheck = require('../models/qualityCheck');
+const {
+  parseLegacyTolerance,
+  normalizeTolerance,
+  specLimits,
+  evaluateMeasurements,
+  deriveResult
+} = require('../services/tolerance');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const wallThickness = (actualValue) => ({
+  parameter: 'Wall thickness',
+  unit: 'mm',
+  actualValue,
+  tolerance: { nominal: 2.0, plus: 0.05, minus: 0.05 }
+});
+
+describe('Tolerance evaluation', () => {
+  test('parses legacy tolerance strings', () => {
+    expect(parseLegacyTolerance('2.0 ± 0.05 mm')).toEqual({ nominal: 2, plus: 0.05, minus: 0.05, unit: 'mm' });
+    expect(parseLegacyTolerance('+0.1/-0.05')).toMatchObject({ plus: 0.1, minus: 0.05 });
+    expect(parseLegacyTolerance('1.95-2.05')).toMatchObject({ min: 1.95, max: 2.05 });
+    expect(parseLegacyTolerance('looks fine')).toBeNull();
+  });
+
+  test('takes the nominal of a legacy tolerance from the measurement value', () => {
+    const { tolerance } = normalizeTolerance('±0.05', { value: 2.0, actualValue: 2.01, unit: 'mm' });
+    expect(tolerance).toEqual({ nominal: 2, plus: 0.05, minus: 0.05, unit: 'mm' });
+  });
+
+  test('keeps a legacy tolerance without a nominal, unevaluated', () => {
+    const { measurements, errors } = evaluateMeasurements([{ parameter: 'Wall thickness', value: 2.01, tolerance: '±0.05' }]);
+    expect(errors).toEqual([]);
+    expect(measurements[0].tolerance).toEqual({ plus: 0.05, minus: 0.05 });
+    expect(measurements[0].status).toBeUndefined();
+    expect(normalizeTolerance({ plus: 0.05, minus: 0.05 }).error).toMatch(/needs a nominal/);
+  });
+
+  test('rejects mismatched units and mixed limit styles', () => {
+    expect(normalizeTolerance({ min: 1, max: 2, unit: 'in' }, { unit: 'mm' }).error).toMatch(/unit/);
+    expect(normalizeTolerance({ nominal: 2, plus: 0.1, max: 3 }).error).toMatch(/either/);
+  });
+
+  test('computes spec limits for both tolerance styles', () => {
+    expect(specLimits({ nominal: 10, plus: 0.2, minus: 0.1 })).toEqual({ lsl: 9.9, usl: 10.2 });
+    expect(specLimits({ max: 5 })).toEqual({ lsl: null, usl: 5 });
+  });
+
+  test('overrides client-supplied statuses', () => {
+    const { measurements, outOfSpec } = evaluateMeasurements([
+      { ...wallThickness(2.08), status: 'Within' },
+      { ...wallThickness(1.98), status: 'Out of Spec' }
+    ]);
+
+    expect(measurements.map(measurement => measurement.status)).toEqual(['Out of Spec', 'Within']);
+    expect(outOfSpec).toEqual([{ parameter: 'Wall thickness', value: 2.08, lsl: 1.95, usl: 2.05 }]);
+  });
+
+  test('derives the result from the measurements', () => {
+    expect(deriveResult(evaluateMeasurements([wallThickness(2.0)]))).toBe('Pass');
+    expect(deriveResult(evaluateMeasurements([wallThickness(2.1)]))).toBe('Fail');
+    expect(deriveResult(evaluateMeasurements([{ parameter: 'Color', value: 3 }]))).toBeUndefined();
+  });
+});
+
+describe('Quality check tolerance enforcement', () => {
+  const mockReferences = () => {
+    ProductionRun.findById.mockReturnValueOnce(Promise.resolve({ runId: 'RUN-001' }));
+    Machine.findById.mockReturnValueOnce(Promise.resolve({ machineId: 'IM-001' }));
+    Employee.findById.mockReturnValueOnce(Promise.resolve({ employeeId: 'EMP-001' }));
+  };
+
+  test('POST /quality-checks rejects Pass with a measurement out of spec', async () => {
+    mockReferences();
+    const res = await request(app)
+      .post('/quality-checks')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Inspector')
+      .send({
+        checkId: 'QC-TOL-001',
+        productionRunId: '65a1b2c3d4e5f67890123456',
+        machineId: '65a1b2c3d4e5f67890123457',
+        employeeId: '65a1b2c3d4e5f67890123458',
+        checkType: 'Dimensional',
+        result: 'Pass',
+        measurements: [wallThickness(2.09)]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Result conflicts with measurements');
+    expect(res.body.outOfSpec[0].parameter).toBe('Wall thickness');
+  });
+
+  test('POST /quality-checks rejects an unreadable tolerance', async () => {
+    mockReferences();
+    const res = await request(app)
+      .post('/quality-checks')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Inspector')
+      .send({
+        checkId: 'QC-TOL-002',
+        productionRunId: '65a1b2c3d4e5f67890123456',
+        machineId: '65a1b2c3d4e5f67890123457',
+        employeeId: '65a1b2c3d4e5f67890123458',
+        checkType: 'Dimensional',
+        measurements: [{ parameter: 'Length', actualValue: 10, tolerance: 'roughly' }]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid tolerance');
+  });
+
+  test('PUT /quality-checks/:id rejects Pass when stored measurements are out of spec', async () => {
+    QualityCheck.findById.mockReturnValueOnce(Promise.resolve({
+      result: 'Fail',
+      measurements: [{ ...wallThickness(1.9), status: 'Out of Spec' }]
+    }));
+
+    const res = await request(app)
+      .put('/quality-checks/65a1b2c3d4e5f67890123459')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Inspector')
+      .send({ result: 'Pass' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.outOfSpec).toEqual([{ parameter: 'Wall thickness', value: 1.9, lsl: 1.95, usl: 2.05 }]);
+  });
+
+  test('PUT /quality-checks/:id with only a result leaves stored tolerances alone', async () => {
+    QualityCheck.findById.mockReturnValueOnce(Promise.resolve({
+      result: 'Hold',
+      measurements: [{ parameter: 'Gate vestige', value: 0.3, tolerance: 'looks fine' }]
+    }));
+
+    const res = await request(app)
+      .put('/quality-checks/65a1b2c3d4e5f67890123459')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Inspector')
+      .send({ result: 'Pass' });
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const {
+  signatureHeader,
+  retryDelay,
+  attemptDelivery,
+  deliverEvent,
+  retryDueDeliveries
+} = require('../services/webhooks');
+const AuditEntry = require('../models/auditEntry');
+const { maxAttempts } = require('../config/webhooks');
+const { query } = require('./query-helper');
+
+// Note: Console mocking is now handled in tests/setup.js
+
+const machineId = '507f1f77bcf86cd799439011';
+const webhookId = '507f1f77bcf86cd799439077';
+const deliveryId = '507f1f77bcf86cd799439088';
+
+const webhook = (fields = {}) => ({
+  _id: webhookId,
+  name: 'ERP quality alerts',
+  url: 'https://erp.example.com/hooks/plant',
+  events: ['machine.down'],
+  machineIds: [],
+  secret: 'whsec_test',
+  active: true,
+  toObject() { return { ...this }; },
+  ...fields
+});
+
+const delivery = (fields = {}) => ({
+  _id: deliveryId,
+  webhookId,
+  event: 'machine.down',
+  payload: { id: 'boot-1', event: 'machine.down', machineId, data: { status: 'down' } },
+  status: 'pending',
+  attemptCount: 0,
+  ...fields
+});
+
+// findByIdAndUpdate hands back the update it was given, like { new: true }
+const echoUpdate = () => WebhookDelivery.findByIdAndUpdate.mockImplementationOnce((id, update) => query({
+  _id: id,
+  ...update.$set,
+  attempts: [update.$push.attempts]
+}));
+
+describe('Webhook signing and backoff', () => {
+  test('signs "<timestamp>.<body>" with the webhook secret', () => {
+    const body = JSON.stringify({ event: 'machine.down' });
+    const at = new Date('2024-03-01T08:00:00Z');
+    const header = signatureHeader('whsec_test', body, at);
+
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1709280000.${body}`).digest('hex');
+    expect(header).toBe(`t=1709280000,v1=${expected}`);
+  });
+
+  test('retry delays double and are capped', () => {
+    expect(retryDelay(1)).toBe(30 * 1000);
+    expect(retryDelay(2)).toBe(60 * 1000);
+    expect(retryDelay(4)).toBe(240 * 1000);
+    expect(retryDelay(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('Webhook delivery', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  test('sends machine.down events to subscribed webhooks for that machine only', async () => {
+    Webhook.find.mockReturnValueOnce(query([
+      webhook(),
+      webhook({ _id: '507f1f77bcf86cd799439078', machineIds: ['507f1f77bcf86cd799439099'] })
+    ]));
+    WebhookDelivery.create.mockImplementationOnce(fields => Promise.resolve({ _id: deliveryId, ...fields }));
+    WebhookDelivery.findOneAndUpdate.mockImplementationOnce(() => query(delivery()));
+    fetchSpy.mockResolvedValueOnce({ status: 204 });
+    echoUpdate();
+
+    const [sent] = await deliverEvent({
+      id: 'boot-1',
+      type: 'machine.status',
+      machineId,
+      at: new Date(),
+      data: { status: 'down', previousStatus: 'operational' }
+    });
+
+    expect(WebhookDelivery.create).toHaveBeenCalledTimes(1);
+    expect(sent.status).toBe('succeeded');
+    expect(sent.lastResponseCode).toBe(204);
+
+    const [url, options] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://erp.example.com/hooks/plant');
+    expect(options.headers['X-Webhook-Event']).toBe('machine.down');
+    expect(options.headers['X-Webhook-Delivery']).toBe(deliveryId);
+    expect(options.headers['X-Webhook-Signature']).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+  });
+
+  test('ignores events no webhook event type matches', async () => {
+    const calls = Webhook.find.mock.calls.length;
+    const sent = await deliverEvent({ id: 'boot-2', type: 'machine.status', machineId, data: { status: 'idle' } });
+
+    expect(sent).toEqual([]);
+    expect(Webhook.find.mock.calls.length).toBe(calls);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  test('reschedules failed deliveries with backoff', async () => {
+    fetchSpy.mockResolvedValueOnce({ status: 503 });
+    echoUpdate();
+
+    const before = Date.now();
+    const updated = await attemptDelivery(delivery({ attemptCount: 1 }), webhook());
+
+    expect(updated.status).toBe('pending');
+    expect(updated.attemptCount).toBe(2);
+    expect(updated.lastResponseCode).toBe(503);
+    expect(updated.attempts[0].error).toBe('HTTP 503');
+    expect(updated.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + retryDelay(2));
+  });
+
+  test('gives up after the last attempt', async () => {
+    fetchSpy.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    echoUpdate();
+
+    const updated = await attemptDelivery(delivery({ attemptCount: maxAttempts - 1 }), webhook());
+
+    expect(updated.status).toBe('failed');
+    expect(updated.nextAttemptAt).toBeNull();
+    expect(updated.attempts[0]).toMatchObject({ responseCode: null, error: 'connect ECONNREFUSED' });
+  });
+
+  test('gives up pending deliveries of deleted webhooks', async () => {
+    WebhookDelivery.find.mockReturnValueOnce(query([delivery({ attemptCount: 2 })]));
+    Webhook.find.mockReturnValueOnce(query([]));
+    echoUpdate();
+
+    const [updated] = await retryDueDeliveries();
+
+    expect(updated.status).toBe('failed');
+    expect(updated.attempts[0].error).toBe('Webhook was deleted');
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+});
+
+describe('Webhook routes', () => {
+  test('rejects unknown event types', async () => {
+    const response = await request(app)
+      .post('/webhooks')
+      .set('x-test-auth', 'true')
+      .send({ name: 'ERP', url: 'https://erp.example.com/hooks', events: ['machine.exploded'] })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid events');
+    expect(response.body.allowed).toContain('machine.down');
+  });
+
+  test('rejects URLs that are not http(s)', async () => {
+    const response = await request(app)
+      .post('/webhooks')
+      .set('x-test-auth', 'true')
+      .send({ name: 'ERP', url: 'ftp://erp.example.com', events: ['machine.down'] })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid URL');
+  });
+
+  test('operators cannot manage webhooks', async () => {
+    await request(app)
+      .get('/webhooks')
+      .set('x-test-auth', 'true')
+      .set('x-test-role', 'Operator')
+      .expect(403);
+  });
+
+  test('rejects an unknown delivery status filter', async () => {
+    const response = await request(app)
+      .get(`/webhooks/${webhookId}/deliveries?status=lost`)
+      .set('x-test-auth', 'true')
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid status');
+  });
+
+  test('rotating the secret is audited without the secret', async () => {
+    const rotatedAt = new Date('2024-03-01T08:00:00Z');
+    Webhook.findById.mockReturnValueOnce(query(webhook({ secret: undefined })));
+    Webhook.findByIdAndUpdate.mockReturnValueOnce(query(webhook({ secret: 'whsec_new', secretRotatedAt: rotatedAt })));
+    AuditEntry.create.mockClear();
+
+    const response = await request(app)
+      .post(`/webhooks/${webhookId}/rotate-secret`)
+      .set('x-test-auth', 'true')
+      .expect(200);
+
+    expect(response.body.secret).toBe('whsec_new');
+    const [entry] = AuditEntry.create.mock.calls[0];
+    expect(entry).toMatchObject({ entity: 'Webhook', action: 'update' });
+    expect(entry.changes).toEqual([{ field: 'secretRotatedAt', before: null, after: rotatedAt.toISOString() }]);
+  });
+
+  test('redelivers a delivery on request', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValueOnce({ status: 200 });
+    Webhook.findById.mockReturnValueOnce(query(webhook()));
+    WebhookDelivery.findOne.mockReturnValueOnce(query(delivery({ status: 'failed', attemptCount: maxAttempts })));
+    echoUpdate();
+
+    const response = await request(app)
+      .post(`/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`)
+      .set('x-test-auth', 'true')
+      .expect(200);
+    fetchSpy.mockRestore();
+
+    expect(response.body.message).toBe('Redelivered');
+    expect(response.body.delivery.status).toBe('succeeded');
+    expect(response.body.delivery.attempts[0].manual).toBe(true);
+  });
+
+  test('does not redeliver to an inactive webhook', async () => {
+    Webhook.findById.mockReturnValueOnce(query(webhook({ active: false })));
+    WebhookDelivery.findOne.mockReturnValueOnce(query(delivery()));
+
+    const response = await request(app)
+      .post(`/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`)
+      .set('x-test-auth', 'true')
+      .expect(409);
+
+    expect(response.body.error).toBe('Webhook inactive');
+  });
+});